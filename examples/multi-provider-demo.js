@@ -12,7 +12,6 @@
 
 // Import from built SDK
 const { CostTracker } = require('../sdk/dist/cost-tracker');
-const { incrementAgentSpend } = require('../src/config/redis');
 
 const OpenAI = require('openai');
 
@@ -1,11 +1,23 @@
 import axios, { AxiosInstance } from 'axios';
-import { TrackerConfig, UsageEvent, ApiResponse } from './types';
+import { randomUUID } from 'crypto';
+import {
+  TrackerConfig,
+  UsageEvent,
+  ApiResponse,
+  CostData,
+  SupportedVendors,
+  Authorization,
+  AuthorizationRequest
+} from './types';
+import { PricingCatalog } from './utils/pricing-catalog';
+import { calculateOpenAICost, calculateAnthropicCost } from './utils/cost-calculator';
 
 export class CostTracker {
   private client: AxiosInstance;
   private config: Required<TrackerConfig>;
   private eventQueue: UsageEvent[] = [];
   private flushTimer?: NodeJS.Timeout;
+  private pricing: PricingCatalog;
 
   constructor(config: TrackerConfig) {
     this.config = {
@@ -14,6 +26,7 @@ export class CostTracker {
       customerId: 'default-customer',
       batchSize: 10,
       flushInterval: 30000, // 30 seconds
+      pricingCacheTtl: 3600000, // 1 hour
       debug: false,
       ...config
     };
@@ -26,6 +39,8 @@ export class CostTracker {
       }
     });
 
+    this.pricing = new PricingCatalog(this.client, this.config.pricingCacheTtl);
+
     this.startFlushTimer();
   }
 
@@ -41,7 +56,9 @@ export class CostTracker {
       agent_id: this.config.agentId,
       customer_id: this.config.customerId,
       ...event,
-      event_timestamp: event.event_timestamp || new Date()
+      event_timestamp: event.event_timestamp || new Date(),
+      // Assigned once so retried flushes are deduplicated by the server
+      idempotency_key: event.idempotency_key || randomUUID()
     } as UsageEvent;
 
     if (this.config.debug) {
@@ -61,7 +78,8 @@ export class CostTracker {
       agent_id: this.config.agentId,
       customer_id: this.config.customerId,
       ...event,
-      event_timestamp: event.event_timestamp || new Date()
+      event_timestamp: event.event_timestamp || new Date(),
+      idempotency_key: event.idempotency_key || randomUUID()
     } as UsageEvent));
 
     this.eventQueue.push(...fullEvents);
@@ -101,6 +119,102 @@ export class CostTracker {
     }
   }
 
+  /**
+   * Hold budget for an expensive call before making it, e.g. for
+   * max_tokens worth of output. Throws if the hold is declined.
+   */
+  async authorize(request: AuthorizationRequest): Promise<Authorization> {
+    try {
+      const response = await this.client.post<Authorization>('/api/usage/authorize', {
+        agent_id: this.config.agentId,
+        customer_id: this.config.customerId,
+        ...request
+      });
+      return response.data;
+    } catch (error: any) {
+      throw this.toAuthorizationError(error);
+    }
+  }
+
+  /**
+   * Record the actual usage of an authorized call. The unused part of the
+   * hold is released. Sent immediately instead of being queued.
+   */
+  async capture(authorizationId: string, event: Partial<UsageEvent>): Promise<ApiResponse> {
+    const fullEvent: UsageEvent = {
+      event_name: 'api_call',
+      agent_id: this.config.agentId,
+      customer_id: this.config.customerId,
+      ...event,
+      event_timestamp: event.event_timestamp || new Date(),
+      idempotency_key: event.idempotency_key || randomUUID(),
+      authorization_id: authorizationId
+    } as UsageEvent;
+
+    try {
+      const response = await this.client.post<ApiResponse>('/api/usage/record', fullEvent);
+      return response.data;
+    } catch (error: any) {
+      throw this.toAuthorizationError(error);
+    }
+  }
+
+  /**
+   * Give back a hold that will not be used (e.g. the call was cancelled)
+   */
+  async releaseAuthorization(authorizationId: string): Promise<void> {
+    try {
+      await this.client.post(`/api/usage/authorizations/${authorizationId}/release`);
+    } catch (error: any) {
+      throw this.toAuthorizationError(error);
+    }
+  }
+
+  private toAuthorizationError(error: any): Error {
+    const data = error.response?.data;
+    if (!data?.code) {
+      return error;
+    }
+
+    const authorizationError: any = new Error(`${data.error} (${data.code})`);
+    authorizationError.code = data.code;
+    authorizationError.status = error.response.status;
+    authorizationError.details = data;
+    return authorizationError;
+  }
+
+  /**
+   * Price usage with the server's catalog, falling back to the bundled
+   * price tables when the catalog is unavailable or lacks the model
+   */
+  async calculateCost(
+    vendor: SupportedVendors,
+    model: string,
+    inputTokens: number,
+    outputTokens: number = 0
+  ): Promise<CostData> {
+    try {
+      await this.pricing.ensureFresh();
+    } catch (error: any) {
+      if (this.config.debug) {
+        console.warn('CostTracker: Failed to fetch price catalog, using bundled prices', error.message);
+      }
+    }
+
+    const costData = this.pricing.calculateCost(vendor, model, inputTokens, outputTokens);
+    if (costData) {
+      return costData;
+    }
+
+    return vendor === SupportedVendors.ANTHROPIC
+      ? calculateAnthropicCost(model, inputTokens, outputTokens)
+      : calculateOpenAICost(model, inputTokens, outputTokens);
+  }
+
+  async refreshPricing(): Promise<void> {
+    await this.pricing.refresh();
+  }
+
   private startFlushTimer(): void {
     if (this.flushTimer) {
       clearInterval(this.flushTimer);
@@ -155,13 +269,34 @@ export class CostTracker {
     }
   }
 
+  // Report that the agent is alive between usage events; intervalSeconds sets how long
+  // the server waits for the next sign of life before marking the agent silent
+  async heartbeat(status?: string, intervalSeconds?: number): Promise<void> {
+    try {
+      await this.client.post(`/api/agents/${this.config.agentId}/heartbeat`, {
+        status,
+        interval_seconds: intervalSeconds
+      });
+    } catch (error: any) {
+      // A missed heartbeat must not stop the agent
+      if (this.config.debug) {
+        console.warn('CostTracker: Failed to send heartbeat', error.message);
+      }
+    }
+  }
+
   async emergencyStop(): Promise<void> {
     try {
-      await this.client.post('/api/killswitch/emergency-stop-all', {
+      const response = await this.client.post('/api/killswitch/emergency-stop-all', {
         reason: 'Emergency stop initiated from SDK',
         confirm: true
       });
-      console.log('🚨 EMERGENCY STOP ACTIVATED - All agents terminated');
+      // An approval policy turns the stop into a request another user must approve
+      if (response.status === 202) {
+        console.log(`✋ Emergency stop awaiting approval (request ${response.data.approval_request.id})`);
+        return;
+      }
+      console.log('🚨 EMERGENCY STOP ACTIVATED - All agents of this account terminated');
     } catch (error: any) {
       console.error('Failed to activate emergency stop:', error.message);
       throw error;
@@ -6,7 +6,12 @@ export {
   UsageEvent, 
   CostData, 
   TrackerConfig,
+  ModelPrice,
+  Authorization,
+  AuthorizationRequest,
+  BudgetAdvisory,
   OpenAIModels,
   SupportedVendors 
 } from './types';
-export { calculateOpenAICost, calculateAnthropicCost } from './utils/cost-calculator';
\ No newline at end of file
+export { calculateOpenAICost, calculateAnthropicCost } from './utils/cost-calculator';
+export { PricingCatalog } from './utils/pricing-catalog';
\ No newline at end of file
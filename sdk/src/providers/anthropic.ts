@@ -1,6 +1,5 @@
 import { CostTracker } from '../cost-tracker';
 import { SupportedVendors } from '../types';
-import { calculateAnthropicCost } from '../utils/cost-calculator';
 
 export class TrackedAnthropic {
   private costTracker: CostTracker;
@@ -26,7 +25,8 @@ export class TrackedAnthropic {
           
           // Anthropic returns usage in response.usage
           if (response.usage) {
-            const costData = calculateAnthropicCost(
+            const costData = await this.costTracker.calculateCost(
+              SupportedVendors.ANTHROPIC,
               response.model || params.model,
               response.usage.input_tokens || 0,
               response.usage.output_tokens || 0
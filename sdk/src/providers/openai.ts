@@ -25,7 +25,8 @@ export class TrackedOpenAI {
           const response = await originalCreate(params);
           
           if (response.usage) {
-            const costData = calculateOpenAICost(
+            const costData = await this.costTracker.calculateCost(
+              SupportedVendors.OPENAI,
               response.model || params.model,
               response.usage.prompt_tokens || 0,
               response.usage.completion_tokens || 0
@@ -80,7 +81,8 @@ export class TrackedOpenAI {
           const response = await originalEmbeddingsCreate(params);
           
           if (response.usage) {
-            const costData = calculateOpenAICost(
+            const costData = await this.costTracker.calculateCost(
+              SupportedVendors.OPENAI,
               response.model || params.model,
               response.usage.prompt_tokens || 0,
               0
@@ -5,6 +5,7 @@ export interface TrackerConfig {
   customerId?: string;
   batchSize?: number;
   flushInterval?: number;
+  pricingCacheTtl?: number;
   debug?: boolean;
 }
 
@@ -21,6 +22,43 @@ export interface UsageEvent {
   total_tokens?: number;
   metadata?: Record<string, any>;
   event_timestamp?: Date;
+  idempotency_key?: string;
+  authorization_id?: string;
+}
+
+export interface AuthorizationRequest {
+  amount?: number;
+  vendor?: SupportedVendors;
+  model?: string;
+  input_tokens?: number;
+  max_output_tokens?: number;
+  ttl_seconds?: number;
+  metadata?: Record<string, any>;
+}
+
+export interface Authorization {
+  authorization_id: string;
+  agent_id: string;
+  status: 'open' | 'captured' | 'released' | 'expired';
+  amount: number;
+  captured_amount: number | null;
+  usage_event_id: string | null;
+  metadata: Record<string, any>;
+  expires_at: string;
+  created_at: string;
+  captured_at: string | null;
+  released_at: string | null;
+  budget_advisory?: BudgetAdvisory;
+}
+
+export interface BudgetAdvisory {
+  action: 'downgrade_model';
+  level: 'tenant' | 'customer' | 'api_key' | 'agent';
+  id: string;
+  percent: number;
+  utilization_percent: number;
+  suggested_model?: string;
+  message: string;
 }
 
 export interface CostData {
@@ -31,6 +69,20 @@ export interface CostData {
   cost_amount: number;
 }
 
+export interface ModelPrice {
+  id: string;
+  vendor: string;
+  model: string;
+  source: 'platform' | 'tenant';
+  input_price_per_1k: number;
+  output_price_per_1k: number;
+  cached_input_price_per_1k: number | null;
+  image_price: number;
+  audio_price_per_minute: number;
+  effective_from: string;
+  effective_to: string | null;
+}
+
 export enum SupportedVendors {
   OPENAI = 'openai',
   ANTHROPIC = 'anthropic',
@@ -71,6 +123,15 @@ export interface OpenAIResponse {
 export interface ApiResponse {
   message: string;
   event_id?: string;
-  events?: { event_id: string; recorded_at: string }[];
+  events?: { event_id: string; recorded_at: string; replayed?: boolean }[];
   recorded_at?: string;
+  replayed?: boolean;
+  authorization?: {
+    authorization_id: string;
+    authorized_amount: number;
+    captured_amount: number;
+    released_amount: number;
+    exceeded_authorization: boolean;
+  };
+  budget_advisory?: BudgetAdvisory;
 }
\ No newline at end of file
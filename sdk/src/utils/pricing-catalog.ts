@@ -0,0 +1,91 @@
+import { AxiosInstance } from 'axios';
+import { CostData, ModelPrice, SupportedVendors } from '../types';
+
+/**
+ * Client-side cache of the server's price catalog, so the SDK prices events
+ * with the same effective-dated versions the API uses to verify them.
+ */
+export class PricingCatalog {
+  private client: AxiosInstance;
+  private ttlMs: number;
+  private versions = new Map<string, ModelPrice[]>();
+  private fetchedAt = 0;
+  private pending?: Promise<void>;
+
+  constructor(client: AxiosInstance, ttlMs: number) {
+    this.client = client;
+    this.ttlMs = ttlMs;
+  }
+
+  async refresh(): Promise<void> {
+    const response = await this.client.get<{ prices: ModelPrice[] }>('/api/pricing', {
+      params: { include_history: true }
+    });
+
+    const versions = new Map<string, ModelPrice[]>();
+    for (const price of response.data.prices) {
+      const key = `${price.vendor}/${price.model}`;
+      versions.set(key, [...(versions.get(key) || []), price]);
+    }
+
+    this.versions = versions;
+    this.fetchedAt = Date.now();
+  }
+
+  async ensureFresh(): Promise<void> {
+    if (Date.now() - this.fetchedAt < this.ttlMs) return;
+
+    if (!this.pending) {
+      this.pending = this.refresh()
+        .catch(error => {
+          // Back off until the next TTL instead of refetching on every call
+          this.fetchedAt = Date.now();
+          throw error;
+        })
+        .finally(() => {
+          this.pending = undefined;
+        });
+    }
+
+    await this.pending;
+  }
+
+  /**
+   * Price version in effect at a point in time (tenant overrides win)
+   */
+  getPrice(vendor: string, model: string, at: Date = new Date()): ModelPrice | undefined {
+    const candidates = (this.versions.get(`${vendor}/${model}`) || []).filter(price =>
+      new Date(price.effective_from) <= at &&
+      (!price.effective_to || new Date(price.effective_to) > at)
+    );
+
+    candidates.sort((a, b) => {
+      if (a.source !== b.source) return a.source === 'tenant' ? -1 : 1;
+      return new Date(b.effective_from).getTime() - new Date(a.effective_from).getTime();
+    });
+
+    return candidates[0];
+  }
+
+  calculateCost(
+    vendor: string,
+    model: string,
+    inputTokens: number,
+    outputTokens: number = 0,
+    at: Date = new Date()
+  ): CostData | undefined {
+    const price = this.getPrice(vendor, model, at);
+    if (!price) return undefined;
+
+    const inputCost = (inputTokens / 1000) * price.input_price_per_1k;
+    const outputCost = (outputTokens / 1000) * price.output_price_per_1k;
+
+    return {
+      vendor: vendor as SupportedVendors,
+      model,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      cost_amount: Math.round((inputCost + outputCost) * 1000000) / 1000000
+    };
+  }
+}
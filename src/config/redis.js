@@ -26,83 +26,470 @@ redisClient.on('error', (err) => {
 })();
 
 /**
- * Increment agent spending in Redis for fast budget checks
+ * Budgets are enforced at several levels: tenant, customer, api_key and agent.
+ * A level's spend is cached per budget window (see services/budget-periods.js):
+ * - fixed windows (daily, weekly, monthly, custom) use one hash per window,
+ *   e.g. customer_spend_2026-10 or agent_spend_daily-2026-10-18T04:00:00.000Z,
+ *   keyed by the UUID of the tenant/customer/API key/agent row
+ * - rolling windows use one hash per row, e.g. agent_rolling_spend:<uuid>,
+ *   keyed by hour bucket (hours since the epoch)
+ * Levels are passed as { level, id, window }.
  */
-async function incrementAgentSpend(agentId, costAmount, monthKey = null) {
+function spendLocation({ level, id, window }) {
+  if (window.rollingHours) {
+    return {
+      key: `${level}_rolling_spend:${id}`,
+      field: (window.firstBucket + window.rollingHours - 1).toString(), // current hour
+      rolling: true
+    };
+  }
+
+  return { key: `${level}_spend_${window.key}`, field: id, rolling: false };
+}
+
+// Keep a window's cache a day past its end (rolling caches an hour past their length)
+function spendTtlSeconds(window) {
+  if (window.rollingHours) {
+    return (window.rollingHours + 1) * 60 * 60;
+  }
+  return Math.max(0, Math.ceil((window.end.getTime() - Date.now()) / 1000)) + 24 * 60 * 60;
+}
+
+/**
+ * Cache a budget level's spend computed from the database, unless another request already did.
+ * spend is an amount for fixed windows, or { hourBucket: amount } for rolling windows.
+ */
+async function initBudgetSpend(budgetLevel, spend) {
   try {
-    const month = monthKey || new Date().toISOString().slice(0, 7); // YYYY-MM
-    const key = `agent_spend_${month}`;
+    const { key, field, rolling } = spendLocation(budgetLevel);
     
-    await redisClient.hIncrByFloat(key, agentId, costAmount);
+    if (rolling) {
+      for (const [bucket, amount] of Object.entries(spend)) {
+        await redisClient.hSetNX(key, bucket, amount.toString());
+      }
+      await redisClient.hSetNX(key, 'init', '1'); // marks the window as cached even without spend
+    } else {
+      await redisClient.hSetNX(key, field, spend.toString());
+    }
     
-    // Set expiry on the key if it's new (35 days from now)
     const ttl = await redisClient.ttl(key);
-    if (ttl === -1) { // Key exists but no expiry set
-      await redisClient.expire(key, 35 * 24 * 60 * 60); // 35 days
+    if (ttl === -1) {
+      await redisClient.expire(key, spendTtlSeconds(budgetLevel.window));
     }
     
     return true;
   } catch (error) {
-    console.error('Redis increment error:', error);
+    console.error('Redis init error:', error);
     return false;
   }
 }
 
 /**
- * Get agent spending from Redis cache
+ * Whether a budget level's spend for its current window is already cached
  */
-async function getAgentSpend(agentId, monthKey = null) {
+async function hasBudgetSpend(budgetLevel) {
   try {
-    const month = monthKey || new Date().toISOString().slice(0, 7); // YYYY-MM
-    const key = `agent_spend_${month}`;
-    
-    const spend = await redisClient.hGet(key, agentId);
-    return parseFloat(spend) || 0;
+    const { key, field, rolling } = spendLocation(budgetLevel);
+    return rolling
+      ? (await redisClient.exists(key)) === 1
+      : await redisClient.hExists(key, field);
   } catch (error) {
-    console.error('Redis get error:', error);
-    return 0; // Fallback to 0 if Redis fails
+    console.error('Redis exists error:', error);
+    return false;
   }
 }
 
 /**
- * Get all agent spending for a specific month
+ * Drop a budget level's cached spend so the next check rebuilds it from the database
  */
-async function getAllAgentSpend(monthKey = null) {
+async function resetBudgetSpend(budgetLevel) {
   try {
-    const month = monthKey || new Date().toISOString().slice(0, 7); // YYYY-MM
-    const key = `agent_spend_${month}`;
+    const { key, field, rolling } = spendLocation(budgetLevel);
     
-    const spendData = await redisClient.hGetAll(key);
+    if (rolling) {
+      await redisClient.del(key);
+    } else {
+      await redisClient.hDel(key, field);
+    }
     
-    // Convert string values to numbers
-    const result = {};
-    for (const [agentId, spend] of Object.entries(spendData)) {
-      result[agentId] = parseFloat(spend) || 0;
+    return true;
+  } catch (error) {
+    console.error('Redis reset error:', error);
+    return false;
+  }
+}
+
+/**
+ * Amounts derived from the database for a budget level's window, like its grant total or
+ * rollover, are cached in one hash per level and kind, e.g. budget_grants:agent:<uuid>,
+ * with a field per window (and whatever else the amount depends on). A field stores the
+ * amount and when it stops being valid; the hash is dropped when the amount changes.
+ */
+async function getCachedBudgetAmount(name, field, now = new Date()) {
+  try {
+    const cached = await redisClient.hGet(name, field);
+    if (!cached) {
+      return null;
     }
+
+    const { amount, validUntil } = JSON.parse(cached);
+    return validUntil > now.getTime() ? amount : null;
+  } catch (error) {
+    console.error('Redis cached amount error:', error);
+    return null;
+  }
+}
+
+async function cacheBudgetAmount(name, field, amount, validUntil) {
+  const ttl = Math.ceil((validUntil.getTime() - Date.now()) / 1000);
+  if (ttl <= 0) {
+    return false;
+  }
+
+  try {
+    await redisClient.hSet(name, field, JSON.stringify({ amount, validUntil: validUntil.getTime() }));
+
+    // The hash lives as long as its longest-lived field
+    if (ttl > await redisClient.ttl(name)) {
+      await redisClient.expire(name, ttl);
+    }
+    return true;
+  } catch (error) {
+    console.error('Redis cache amount error:', error);
+    return false;
+  }
+}
+
+async function clearCachedBudgetAmounts(name) {
+  try {
+    await redisClient.del(name);
+    return true;
+  } catch (error) {
+    console.error('Redis clear cached amounts error:', error);
+    return false;
+  }
+}
+
+// Open reservations are tracked per budget level: a sorted set of reservation ids
+// scored by expiry time, and a hash of reservation id -> amount.
+// Expired reservations are purged before they are summed.
+
+// Atomically check spend + open reservations + amount against every level's limit,
+// and reserve the amount at every level only if all of them have room.
+// Rolling windows sum their hour buckets from the first bucket on, dropping older ones.
+// KEYS: spend hash, reservations zset, amounts hash (for each level)
+// ARGV: now, amount, reservation id, expires at,
+//       then field, limit and first hour bucket ('' for fixed windows) for each level
+// Returns {1|0, spent, reserved, spent, reserved, ...}
+const RESERVE_SCRIPT = `
+  local amount = tonumber(ARGV[2])
+  local reply = {1}
+
+  for i = 1, #KEYS / 3 do
+    local expired = redis.call('ZRANGEBYSCORE', KEYS[i * 3 - 1], '-inf', ARGV[1])
+    for _, id in ipairs(expired) do
+      redis.call('HDEL', KEYS[i * 3], id)
+    end
+    if #expired > 0 then
+      redis.call('ZREMRANGEBYSCORE', KEYS[i * 3 - 1], '-inf', ARGV[1])
+    end
+
+    local spent = 0
+    local firstBucket = ARGV[4 + i * 3]
+    if firstBucket == '' then
+      spent = tonumber(redis.call('HGET', KEYS[i * 3 - 2], ARGV[2 + i * 3]) or '0')
+    else
+      local buckets = redis.call('HGETALL', KEYS[i * 3 - 2])
+      for j = 1, #buckets, 2 do
+        local bucket = tonumber(buckets[j])
+        if bucket then
+          if bucket >= tonumber(firstBucket) then
+            spent = spent + tonumber(buckets[j + 1])
+          else
+            redis.call('HDEL', KEYS[i * 3 - 2], buckets[j])
+          end
+        end
+      end
+    end
+
+    local reserved = 0
+    for _, value in ipairs(redis.call('HVALS', KEYS[i * 3])) do
+      reserved = reserved + tonumber(value)
+    end
+
+    if spent + reserved + amount > tonumber(ARGV[3 + i * 3]) then
+      reply[1] = 0
+    end
+    table.insert(reply, tostring(spent))
+    table.insert(reply, tostring(reserved))
+  end
+
+  if reply[1] == 1 then
+    for i = 1, #KEYS / 3 do
+      redis.call('ZADD', KEYS[i * 3 - 1], ARGV[4], ARGV[3])
+      redis.call('HSET', KEYS[i * 3], ARGV[3], ARGV[2])
+      redis.call('EXPIRE', KEYS[i * 3 - 1], 86400)
+      redis.call('EXPIRE', KEYS[i * 3], 86400)
+    end
+  end
+
+  return reply
+`;
+
+// Turn a reservation into actual spend at every level
+// Levels that are not cached yet are left alone; their next check backfills them from the database
+// KEYS: spend hash, reservations zset, amounts hash (for each level)
+// ARGV: actual amount, reservation id, then field and rolling flag ('1' or '0') for each level
+const COMMIT_SCRIPT = `
+  for i = 1, #KEYS / 3 do
+    redis.call('ZREM', KEYS[i * 3 - 1], ARGV[2])
+    redis.call('HDEL', KEYS[i * 3], ARGV[2])
+
+    local cached
+    if ARGV[2 + i * 2] == '1' then
+      cached = redis.call('EXISTS', KEYS[i * 3 - 2])
+    else
+      cached = redis.call('HEXISTS', KEYS[i * 3 - 2], ARGV[1 + i * 2])
+    end
+    if cached == 1 then
+      redis.call('HINCRBYFLOAT', KEYS[i * 3 - 2], ARGV[1 + i * 2], ARGV[1])
+    end
+  end
+  return 1
+`;
+
+function reservationKeys(levels) {
+  return levels.flatMap(budgetLevel => [
+    spendLocation(budgetLevel).key,
+    `${budgetLevel.level}_reservations:${budgetLevel.id}`,
+    `${budgetLevel.level}_reservation_amounts:${budgetLevel.id}`
+  ]);
+}
+
+/**
+ * Atomically reserve budget at every level before recording spend.
+ * levels: [{ level, id, window, limit }], only the levels that have a limit.
+ * Returns { status: 'reserved' | 'exceeded' | 'unavailable', usage: [{ spent, reserved }] per level }
+ */
+async function reserveBudget(levels, amount, reservationId, ttlMs = 60000) {
+  try {
+    const now = Date.now();
+    
+    const [reservedOk, ...totals] = await redisClient.eval(RESERVE_SCRIPT, {
+      keys: reservationKeys(levels),
+      arguments: [
+        now.toString(), amount.toString(), reservationId, (now + ttlMs).toString(),
+        ...levels.flatMap(budgetLevel => [
+          spendLocation(budgetLevel).field,
+          budgetLevel.limit.toString(),
+          budgetLevel.window.rollingHours ? budgetLevel.window.firstBucket.toString() : ''
+        ])
+      ]
+    });
     
-    return result;
+    return {
+      status: reservedOk === 1 ? 'reserved' : 'exceeded',
+      usage: levels.map((_, i) => ({
+        spent: parseFloat(totals[i * 2]),
+        reserved: parseFloat(totals[i * 2 + 1])
+      }))
+    };
   } catch (error) {
-    console.error('Redis get all error:', error);
-    return {};
+    console.error('Redis reserve error:', error);
+    return { status: 'unavailable', usage: [] };
   }
 }
 
 /**
- * Reset agent spending (useful for testing or manual adjustments)
+ * Commit a reservation as actual spend at every level (the actual amount may differ from the reserved one)
  */
-async function resetAgentSpend(agentId, monthKey = null) {
+async function commitBudget(levels, reservationId, actualAmount) {
   try {
-    const month = monthKey || new Date().toISOString().slice(0, 7); // YYYY-MM
-    const key = `agent_spend_${month}`;
+    await redisClient.eval(COMMIT_SCRIPT, {
+      keys: reservationKeys(levels),
+      arguments: [
+        actualAmount.toString(), reservationId,
+        ...levels.flatMap(budgetLevel => {
+          const { field, rolling } = spendLocation(budgetLevel);
+          return [field, rolling ? '1' : '0'];
+        })
+      ]
+    });
     
-    await redisClient.hDel(key, agentId);
     return true;
   } catch (error) {
-    console.error('Redis reset error:', error);
+    console.error('Redis commit error:', error);
     return false;
   }
 }
 
+/**
+ * Release a reservation at every level without recording spend
+ */
+async function releaseBudget(levels, reservationId) {
+  try {
+    for (const { level, id } of levels) {
+      await redisClient.zRem(`${level}_reservations:${id}`, reservationId);
+      await redisClient.hDel(`${level}_reservation_amounts:${id}`, reservationId);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Redis release error:', error);
+    return false;
+  }
+}
+
+/**
+ * Count a request against a per-minute limit (fixed one-minute windows).
+ * Used by the throttle stage of budgets; returns null when Redis is unavailable.
+ */
+async function consumeRequestQuota(name, requestsPerMinute) {
+  try {
+    const now = Date.now();
+    const key = `request_quota:${name}:${Math.floor(now / 60000)}`;
+    
+    const count = await redisClient.incr(key);
+    if (count === 1) {
+      await redisClient.expire(key, 60);
+    }
+    
+    return {
+      allowed: count <= requestsPerMinute,
+      count,
+      retryAfterSeconds: Math.ceil((60000 - (now % 60000)) / 1000)
+    };
+  } catch (error) {
+    console.error('Redis request quota error:', error);
+    return null;
+  }
+}
+
+/**
+ * Mark a budget stage as fired in its window (name identifies the level, window and stage).
+ * Returns true for the first caller, false when the stage already fired and null when
+ * Redis is unavailable.
+ */
+async function claimBudgetStage(name, ttlSeconds) {
+  try {
+    const claimed = await redisClient.set(`budget_stage:${name}`, '1', { NX: true, EX: ttlSeconds });
+    return claimed === 'OK';
+  } catch (error) {
+    console.error('Redis budget stage error:', error);
+    return null;
+  }
+}
+
+/**
+ * Forget a claimed budget stage that could not be persisted, so a later event fires it
+ */
+async function releaseBudgetStage(name) {
+  try {
+    await redisClient.del(`budget_stage:${name}`);
+  } catch (error) {
+    console.error('Redis budget stage release error:', error);
+  }
+}
+
+// Sliding windows of usage per target (agent, customer or tenant) for real-time trigger
+// checks: a hash of one-second buckets kept for a minute and a hash of one-minute buckets
+// kept for an hour, with fields '<bucket>:cost', '<bucket>:requests' and '<bucket>:errors'.
+// The minute-bucket windows include the current, partial minute.
+// KEYS: seconds hash, minutes hash (for each target)
+// ARGV: now (seconds since the epoch), cost, '1' if the event is an error else '0'
+// Returns for each target: cost, requests and errors over the last minute, the last
+// 15 minutes and the last hour
+const USAGE_WINDOW_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local minute = math.floor(now / 60)
+  local reply = {}
+
+  local function add(key, bucket)
+    redis.call('HINCRBYFLOAT', key, bucket .. ':cost', ARGV[2])
+    redis.call('HINCRBY', key, bucket .. ':requests', 1)
+    if ARGV[3] == '1' then
+      redis.call('HINCRBY', key, bucket .. ':errors', 1)
+    end
+  end
+
+  -- Sum the buckets from each of firsts on (one total per first), dropping older buckets
+  local function sum(key, keepFrom, firsts)
+    local totals = {}
+    for j = 1, #firsts do
+      totals[j] = { cost = 0, requests = 0, errors = 0 }
+    end
+
+    local fields = redis.call('HGETALL', key)
+    for f = 1, #fields, 2 do
+      local bucket, metric = string.match(fields[f], '^(%d+):(%a+)$')
+      bucket = tonumber(bucket)
+      if bucket and bucket < keepFrom then
+        redis.call('HDEL', key, fields[f])
+      elseif bucket then
+        for j = 1, #firsts do
+          if bucket >= firsts[j] then
+            totals[j][metric] = totals[j][metric] + tonumber(fields[f + 1])
+          end
+        end
+      end
+    end
+    return totals
+  end
+
+  for i = 1, #KEYS / 2 do
+    local seconds = KEYS[i * 2 - 1]
+    local minutes = KEYS[i * 2]
+
+    add(seconds, now)
+    add(minutes, minute)
+    redis.call('EXPIRE', seconds, 120)
+    redis.call('EXPIRE', minutes, 3720)
+
+    local lastMinute = sum(seconds, now - 59, { now - 59 })[1]
+    local longer = sum(minutes, minute - 59, { minute - 14, minute - 59 })
+
+    for _, total in ipairs({ lastMinute, longer[1], longer[2] }) do
+      table.insert(reply, tostring(total.cost))
+      table.insert(reply, tostring(total.requests))
+      table.insert(reply, tostring(total.errors))
+    end
+  end
+
+  return reply
+`;
+
+/**
+ * Add an event to the usage windows of its targets ([{ level, id }]) and read them back.
+ * Returns [{ minute, quarter, hour }] per target, each { cost, requests, errors }, or null
+ * when Redis is unavailable.
+ */
+async function recordUsageWindows(targets, costAmount, isError) {
+  try {
+    const reply = await redisClient.eval(USAGE_WINDOW_SCRIPT, {
+      keys: targets.flatMap(({ level, id }) => [
+        `usage_window:${level}:${id}:seconds`,
+        `usage_window:${level}:${id}:minutes`
+      ]),
+      arguments: [Math.floor(Date.now() / 1000).toString(), costAmount.toString(), isError ? '1' : '0']
+    });
+
+    const total = offset => ({
+      cost: parseFloat(reply[offset]),
+      requests: parseInt(reply[offset + 1]),
+      errors: parseInt(reply[offset + 2])
+    });
+
+    return targets.map((_, i) => ({
+      minute: total(i * 9),
+      quarter: total(i * 9 + 3),
+      hour: total(i * 9 + 6)
+    }));
+  } catch (error) {
+    console.error('Redis usage window error:', error);
+    return null;
+  }
+}
+
 /**
  * Health check for Redis connection
  */
@@ -118,9 +505,18 @@ async function healthCheck() {
 
 module.exports = {
   client: redisClient,
-  incrementAgentSpend,
-  getAgentSpend,
-  getAllAgentSpend,
-  resetAgentSpend,
+  initBudgetSpend,
+  hasBudgetSpend,
+  resetBudgetSpend,
+  getCachedBudgetAmount,
+  cacheBudgetAmount,
+  clearCachedBudgetAmounts,
+  reserveBudget,
+  commitBudget,
+  releaseBudget,
+  consumeRequestQuota,
+  claimBudgetStage,
+  releaseBudgetStage,
+  recordUsageWindows,
   healthCheck
 };
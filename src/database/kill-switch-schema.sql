@@ -16,7 +16,7 @@ CREATE INDEX IF NOT EXISTS idx_agents_pause_until ON agents(pause_until);
 CREATE TABLE IF NOT EXISTS kill_switch_events (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   event_type VARCHAR(50) NOT NULL, -- 'kill_all', 'kill_customer', 'kill_agent', 'pause_agent', 'revive_agent'
-  target_type VARCHAR(20) NOT NULL, -- 'global', 'customer', 'agent'
+  target_type VARCHAR(20) NOT NULL, -- 'tenant', 'platform', 'customer', 'agent' ('global' before tenant-scoped stops)
   target_id VARCHAR(255), -- customer_id or agent_id
   user_id UUID REFERENCES users(id),
   triggered_by VARCHAR(100), -- 'manual', 'auto_spend_rate', 'auto_error_rate', etc.
@@ -38,7 +38,7 @@ CREATE TABLE IF NOT EXISTS kill_switch_triggers (
   trigger_type VARCHAR(50) NOT NULL, -- 'spend_rate', 'total_daily_spend', 'error_rate', 'infinite_loop', 'requests_per_minute'
   threshold_value DECIMAL(15,6),
   threshold_unit VARCHAR(20), -- 'per_minute', 'per_hour', 'per_day', 'percentage'
-  target_scope VARCHAR(20) DEFAULT 'agent', -- 'global', 'customer', 'agent'
+  target_scope VARCHAR(20) DEFAULT 'agent', -- 'global' (whole tenant), 'customer', 'agent'
   is_active BOOLEAN DEFAULT true,
   metadata JSONB DEFAULT '{}', -- Additional trigger configuration
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -49,7 +49,7 @@ CREATE TABLE IF NOT EXISTS kill_switch_triggers (
 CREATE INDEX IF NOT EXISTS idx_triggers_user_active ON kill_switch_triggers(user_id, is_active);
 CREATE INDEX IF NOT EXISTS idx_triggers_type ON kill_switch_triggers(trigger_type);
 
--- Create global kill switch state table
+-- Create platform-operator kill switch state table (blocks every tenant)
 CREATE TABLE IF NOT EXISTS global_kill_switch (
   id INTEGER PRIMARY KEY DEFAULT 1,
   is_emergency_stopped BOOLEAN DEFAULT false,
@@ -64,6 +64,16 @@ INSERT INTO global_kill_switch (id, is_emergency_stopped)
 VALUES (1, false) 
 ON CONFLICT (id) DO NOTHING;
 
+-- Per-tenant emergency stop state
+CREATE TABLE IF NOT EXISTS tenant_kill_switch (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  is_emergency_stopped BOOLEAN DEFAULT false,
+  stopped_at TIMESTAMP,
+  stopped_by UUID REFERENCES users(id),
+  stop_reason TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create spend rate monitoring table for real-time tracking
 CREATE TABLE IF NOT EXISTS spend_rate_monitoring (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -134,8 +144,9 @@ DECLARE
   agent_status VARCHAR(20);
   pause_until TIMESTAMP;
   global_stopped BOOLEAN;
+  tenant_stopped BOOLEAN;
 BEGIN
-  -- Check global emergency stop
+  -- Check platform emergency stop
   SELECT is_emergency_stopped INTO global_stopped 
   FROM global_kill_switch WHERE id = 1;
   
@@ -143,6 +154,14 @@ BEGIN
     RETURN FALSE;
   END IF;
   
+  -- Check this tenant's emergency stop
+  SELECT is_emergency_stopped INTO tenant_stopped
+  FROM tenant_kill_switch WHERE user_id = p_user_id;
+  
+  IF tenant_stopped THEN
+    RETURN FALSE;
+  END IF;
+  
   -- Check agent status
   SELECT status, agents.pause_until INTO agent_status, pause_until
   FROM agents 
@@ -0,0 +1,13 @@
+-- Migration: Add idempotency keys to usage events
+-- Date: 2026-10-18
+-- Description: Lets clients retry /api/usage/record and /api/usage/record-bulk safely.
+-- A replayed key returns the original event instead of inserting a duplicate row.
+
+ALTER TABLE usage_events
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255) DEFAULT NULL;  -- client-supplied, unique per tenant
+
+-- Keys are unique per tenant; events recorded without a key are unaffected
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_events_idempotency_key
+ON usage_events(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+COMMENT ON COLUMN usage_events.idempotency_key IS 'Client-supplied key used to deduplicate retried usage events. Unique per user.';
@@ -0,0 +1,72 @@
+-- Migration: Server-side pricing catalog for usage events
+-- Date: 2026-10-18
+-- Description: Adds an authoritative price catalog so the API computes event cost from
+-- token counts instead of trusting the client-reported cost_amount.
+
+-- Price catalog, one row per model price version
+CREATE TABLE IF NOT EXISTS model_prices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor VARCHAR(100) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+
+  -- Unit prices in USD
+  input_price_per_1k DECIMAL(12, 8) NOT NULL DEFAULT 0,
+  output_price_per_1k DECIMAL(12, 8) NOT NULL DEFAULT 0,
+  cached_input_price_per_1k DECIMAL(12, 8), -- NULL = cached tokens billed at the input price
+  image_price DECIMAL(12, 8) NOT NULL DEFAULT 0, -- per generated image
+  audio_price_per_minute DECIMAL(12, 8) NOT NULL DEFAULT 0,
+
+  -- Validity window
+  effective_from TIMESTAMP NOT NULL DEFAULT '1970-01-01',
+  effective_to TIMESTAMP, -- NULL = still in effect
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(vendor, model, effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_prices_lookup ON model_prices(vendor, model, effective_from DESC);
+
+-- Usage quantities beyond input/output tokens
+ALTER TABLE usage_events
+ADD COLUMN IF NOT EXISTS cached_input_tokens INTEGER,
+ADD COLUMN IF NOT EXISTS image_count INTEGER,
+ADD COLUMN IF NOT EXISTS audio_seconds DECIMAL(10, 2);
+
+-- Both sides of the pricing check are kept for auditing
+ALTER TABLE usage_events
+ADD COLUMN IF NOT EXISTS reported_cost_amount DECIMAL(10, 6),
+ADD COLUMN IF NOT EXISTS computed_cost_amount DECIMAL(10, 6),
+ADD COLUMN IF NOT EXISTS pricing_status VARCHAR(20) DEFAULT 'unpriced', -- 'verified', 'mismatch', 'unpriced'
+ADD COLUMN IF NOT EXISTS price_id UUID REFERENCES model_prices(id);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_pricing_status ON usage_events(pricing_status) WHERE pricing_status = 'mismatch';
+
+COMMENT ON COLUMN usage_events.cost_amount IS 'Authoritative cost. Server-computed when the model is in the price catalog, otherwise as reported.';
+COMMENT ON COLUMN usage_events.reported_cost_amount IS 'Cost as reported by the client.';
+COMMENT ON COLUMN usage_events.computed_cost_amount IS 'Cost computed from the price catalog. NULL when the event could not be priced.';
+
+-- Seed catalog with the prices shipped in the SDK (December 2023)
+INSERT INTO model_prices (vendor, model, input_price_per_1k, output_price_per_1k, image_price, audio_price_per_minute) VALUES
+  ('openai', 'gpt-4', 0.03, 0.06, 0, 0),
+  ('openai', 'gpt-4-turbo', 0.01, 0.03, 0, 0),
+  ('openai', 'gpt-4-turbo-preview', 0.01, 0.03, 0, 0),
+  ('openai', 'gpt-4-0125-preview', 0.01, 0.03, 0, 0),
+  ('openai', 'gpt-4-1106-preview', 0.01, 0.03, 0, 0),
+  ('openai', 'gpt-3.5-turbo', 0.0015, 0.002, 0, 0),
+  ('openai', 'gpt-3.5-turbo-16k', 0.003, 0.004, 0, 0),
+  ('openai', 'gpt-3.5-turbo-instruct', 0.0015, 0.002, 0, 0),
+  ('openai', 'text-embedding-ada-002', 0.0001, 0, 0, 0),
+  ('openai', 'text-embedding-3-small', 0.00002, 0, 0, 0),
+  ('openai', 'text-embedding-3-large', 0.00013, 0, 0, 0),
+  ('openai', 'whisper-1', 0, 0, 0, 0.006),
+  ('openai', 'tts-1', 0.015, 0, 0, 0), -- per 1K characters
+  ('openai', 'tts-1-hd', 0.030, 0, 0, 0), -- per 1K characters
+  ('openai', 'dall-e-2', 0, 0, 0.020, 0),
+  ('openai', 'dall-e-3', 0, 0, 0.040, 0),
+  ('anthropic', 'claude-3-opus-20240229', 0.015, 0.075, 0, 0),
+  ('anthropic', 'claude-3-sonnet-20240229', 0.003, 0.015, 0, 0),
+  ('anthropic', 'claude-3-haiku-20240307', 0.00025, 0.00125, 0, 0),
+  ('anthropic', 'claude-2.1', 0.008, 0.024, 0, 0),
+  ('anthropic', 'claude-2.0', 0.008, 0.024, 0, 0),
+  ('anthropic', 'claude-instant-1.2', 0.0008, 0.0024, 0, 0)
+ON CONFLICT (vendor, model, effective_from) DO NOTHING;
@@ -0,0 +1,20 @@
+-- Migration: Versioned, tenant-overridable price catalog
+-- Date: 2026-10-18
+-- Description: Lets tenants add their own effective-dated model prices on top of the
+-- platform catalog. Events are priced against the version in effect at event_timestamp,
+-- bounded to PRICING_MAX_BACKDATE_HOURS (default 24) before they are received.
+
+-- NULL user_id = platform default price, otherwise a tenant override
+ALTER TABLE model_prices
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+
+-- One version per (tenant, vendor, model, effective_from)
+ALTER TABLE model_prices DROP CONSTRAINT IF EXISTS model_prices_vendor_model_effective_from_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_model_prices_version
+ON model_prices(COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid), vendor, model, effective_from);
+
+CREATE INDEX IF NOT EXISTS idx_model_prices_user ON model_prices(user_id) WHERE user_id IS NOT NULL;
+
+COMMENT ON COLUMN model_prices.user_id IS 'Tenant that owns this price override. NULL for platform default prices.';
@@ -0,0 +1,45 @@
+-- Migration: Re-pricing jobs for historical usage events
+-- Date: 2026-10-18
+-- Description: Recomputes cost_amount of past events against the current price catalog.
+-- Every change is recorded as an adjustment row so history stays auditable.
+
+CREATE TABLE IF NOT EXISTS repricing_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'running', 'completed', 'failed'
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+  filters JSONB DEFAULT '{}', -- vendor, model, start_date, end_date, customer_id
+
+  -- Progress and results
+  events_examined INTEGER NOT NULL DEFAULT 0,
+  events_adjusted INTEGER NOT NULL DEFAULT 0,
+  events_unpriced INTEGER NOT NULL DEFAULT 0,
+  total_before DECIMAL(15, 6) NOT NULL DEFAULT 0,
+  total_after DECIMAL(15, 6) NOT NULL DEFAULT 0,
+  report JSONB DEFAULT '{}', -- per vendor/model totals before and after
+  error TEXT,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  heartbeat_at TIMESTAMP, -- refreshed by the running job; a stale one was lost with its process
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_repricing_jobs_user ON repricing_jobs(user_id, created_at);
+
+-- One row per event whose cost changed
+CREATE TABLE IF NOT EXISTS usage_event_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID REFERENCES repricing_jobs(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  usage_event_id UUID REFERENCES usage_events(id) ON DELETE CASCADE,
+  previous_cost_amount DECIMAL(10, 6) NOT NULL,
+  new_cost_amount DECIMAL(10, 6) NOT NULL,
+  delta DECIMAL(10, 6) NOT NULL,
+  previous_price_id UUID REFERENCES model_prices(id),
+  new_price_id UUID REFERENCES model_prices(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjustments_job ON usage_event_adjustments(job_id);
+CREATE INDEX IF NOT EXISTS idx_adjustments_event ON usage_event_adjustments(usage_event_id);
@@ -0,0 +1,26 @@
+-- Migration: Pre-authorization holds
+-- Date: 2026-10-18
+-- Description: Agents can hold an estimated maximum cost before an expensive call.
+-- Open holds count against the agent's budget until captured, released or expired.
+
+CREATE TABLE IF NOT EXISTS budget_authorizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 6) NOT NULL,
+  captured_amount DECIMAL(10, 6),
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open', 'captured', 'released', 'expired'
+  usage_event_id UUID REFERENCES usage_events(id) ON DELETE SET NULL,
+  metadata JSONB DEFAULT '{}',
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  captured_at TIMESTAMP,
+  released_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_authorizations_agent ON budget_authorizations(agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_budget_authorizations_open ON budget_authorizations(expires_at) WHERE status = 'open';
+
+-- Link events to the hold they captured
+ALTER TABLE usage_events ADD COLUMN IF NOT EXISTS authorization_id UUID REFERENCES budget_authorizations(id) ON DELETE SET NULL;
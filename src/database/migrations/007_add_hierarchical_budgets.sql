@@ -0,0 +1,19 @@
+-- Migration: Hierarchical budgets
+-- Date: 2026-10-18
+-- Description: Monthly cost limits for the whole tenant, per customer and per API key,
+-- in addition to the existing per-agent limit. The tightest applicable limit wins.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS monthly_cost_limit DECIMAL(10,2) DEFAULT NULL;     -- tenant-wide cap
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS monthly_cost_limit DECIMAL(10,2) DEFAULT NULL; -- per end customer
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS monthly_cost_limit DECIMAL(10,2) DEFAULT NULL;  -- per API key
+
+COMMENT ON COLUMN users.monthly_cost_limit IS 'Tenant-wide monthly spending limit in USD. NULL means unlimited.';
+COMMENT ON COLUMN customers.monthly_cost_limit IS 'Monthly spending limit for this end customer in USD. NULL means unlimited.';
+COMMENT ON COLUMN api_keys.monthly_cost_limit IS 'Monthly spending limit for events recorded with this API key in USD. NULL means unlimited.';
+
+-- Track which API key recorded each event so key-level spend can be computed
+ALTER TABLE usage_events ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_usage_events_api_key ON usage_events(api_key_id, event_timestamp);
+
+-- Holds count against the API key that placed them
+ALTER TABLE budget_authorizations ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
@@ -0,0 +1,42 @@
+-- Migration: Configurable budget periods
+-- Date: 2026-10-18
+-- Description: Each budget (tenant, customer, API key, agent) chooses the window its
+-- monthly_cost_limit applies to, and the timezone that window is computed in.
+--   daily / weekly (Monday) / monthly: calendar windows in budget_timezone
+--   custom: monthly cycle starting on budget_anchor_day (clamped to short months)
+--   rolling: the last budget_period_hours hours, tracked in hourly buckets
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+ADD COLUMN IF NOT EXISTS budget_period_hours INTEGER,
+ADD COLUMN IF NOT EXISTS budget_anchor_day INTEGER,
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+ADD COLUMN IF NOT EXISTS budget_period_hours INTEGER,
+ADD COLUMN IF NOT EXISTS budget_anchor_day INTEGER,
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE api_keys
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+ADD COLUMN IF NOT EXISTS budget_period_hours INTEGER,
+ADD COLUMN IF NOT EXISTS budget_anchor_day INTEGER,
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+ADD COLUMN IF NOT EXISTS budget_period_hours INTEGER,
+ADD COLUMN IF NOT EXISTS budget_anchor_day INTEGER,
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+COMMENT ON COLUMN agents.budget_period IS 'Window monthly_cost_limit applies to: daily, weekly, monthly, custom or rolling.';
+COMMENT ON COLUMN agents.budget_period_hours IS 'Length of a rolling window in hours.';
+COMMENT ON COLUMN agents.budget_anchor_day IS 'Day of month a custom billing cycle starts on (1-31).';
+COMMENT ON COLUMN agents.budget_timezone IS 'IANA timezone calendar windows are computed in.';
+
+-- Budget checks sum spend per level over arbitrary windows, by when events were received
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_events_customer_created ON usage_events(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_events_api_key_created ON usage_events(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_events_agent_created ON usage_events(agent_id, created_at);
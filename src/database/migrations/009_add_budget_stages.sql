@@ -0,0 +1,36 @@
+-- Migration: Graduated budget stages
+-- Date: 2026-10-18
+-- Description: Soft limits below a budget's hard limit. Each budget (tenant, customer,
+-- API key, agent) can list stages such as
+--   [{"percent": 50, "action": "notify"},
+--    {"percent": 80, "action": "throttle", "requests_per_minute": 30},
+--    {"percent": 90, "action": "downgrade", "suggested_model": "gpt-4o-mini"},
+--    {"percent": 100, "action": "suspend"}]
+-- NULL uses the default stages (notify at 80%). Exceeding the limit always suspends.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS budget_stages JSONB DEFAULT NULL;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS budget_stages JSONB DEFAULT NULL;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS budget_stages JSONB DEFAULT NULL;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS budget_stages JSONB DEFAULT NULL;
+
+COMMENT ON COLUMN agents.budget_stages IS 'Graduated actions (notify, throttle, downgrade, suspend) at percentages of the budget limit. NULL uses the defaults.';
+
+-- A stage fires once per budget window; the unique key makes concurrent requests agree on who fired it
+CREATE TABLE IF NOT EXISTS budget_stage_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  level VARCHAR(20) NOT NULL,              -- 'tenant', 'customer', 'api_key', 'agent'
+  level_id UUID NOT NULL,                  -- users / customers / api_keys / agents row
+  level_label VARCHAR(255),                -- company name, customer_id, key name or agent_id
+  window_key VARCHAR(100) NOT NULL,
+  window_start TIMESTAMP NOT NULL,
+  threshold_percent INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL,             -- 'notify', 'throttle', 'downgrade', 'suspend'
+  spend DECIMAL(12, 6) NOT NULL,
+  budget_limit DECIMAL(10, 2) NOT NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL, -- agent whose request crossed the stage
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (level, level_id, window_key, threshold_percent)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_stage_events_user ON budget_stage_events(user_id, created_at DESC);
@@ -0,0 +1,29 @@
+-- Migration: Per-model and per-vendor usage quotas
+-- Date: 2026-10-18
+-- Description: Quota rules scoped by vendor and/or model, limiting cost, input tokens,
+-- output tokens or request count over a budget period. A quota applies to one agent,
+-- one customer, or (with neither) every agent of the tenant.
+
+CREATE TABLE IF NOT EXISTS usage_quotas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,       -- NULL: not limited to one agent
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE, -- NULL: not limited to one customer
+  vendor VARCHAR(100),                     -- NULL: any vendor
+  model VARCHAR(100),                      -- NULL: any model
+  metric VARCHAR(20) NOT NULL,             -- 'cost', 'input_tokens', 'output_tokens', 'requests'
+  quota_limit DECIMAL(16, 6) NOT NULL,
+  budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+  budget_period_hours INTEGER,
+  budget_anchor_day INTEGER,
+  budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (vendor IS NOT NULL OR model IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_quotas_user ON usage_quotas(user_id) WHERE is_active = TRUE;
+-- Quota usage is summed by created_at (when the event was received), since the
+-- client-supplied event_timestamp could be backdated out of the quota window
+CREATE INDEX IF NOT EXISTS idx_usage_events_model_created ON usage_events(user_id, vendor, model, created_at);
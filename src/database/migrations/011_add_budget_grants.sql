@@ -0,0 +1,32 @@
+-- Migration: Budget grants and rollover
+-- Date: 2026-10-18
+-- Description: Time-boxed increases of a budget ("+$50 until Friday") that expire on their own,
+-- with an audit trail of who granted or revoked them, and optional rollover of the
+-- previous window's unused budget up to a cap.
+
+CREATE TABLE IF NOT EXISTS budget_grants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  level VARCHAR(20) NOT NULL,              -- 'tenant', 'customer', 'api_key', 'agent'
+  level_id UUID NOT NULL,                  -- users / customers / api_keys / agents row
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  granted_by VARCHAR(255) NOT NULL,        -- email of the user, or the API key name
+  granted_by_api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  revoked_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (expires_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_grants_level ON budget_grants(level, level_id, expires_at) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_budget_grants_user ON budget_grants(user_id, created_at DESC);
+
+-- Unused budget of the previous window carried into the current one, up to this amount.
+-- NULL disables rollover. Rolling windows never roll over.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS budget_rollover_cap DECIMAL(10,2) DEFAULT NULL;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS budget_rollover_cap DECIMAL(10,2) DEFAULT NULL;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS budget_rollover_cap DECIMAL(10,2) DEFAULT NULL;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS budget_rollover_cap DECIMAL(10,2) DEFAULT NULL;
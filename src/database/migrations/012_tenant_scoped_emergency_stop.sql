@@ -0,0 +1,83 @@
+-- Migration: Tenant-scoped emergency stop
+-- Date: 2026-10-18
+-- Description: The emergency stop used to set the single-row global_kill_switch and kill every
+-- tenant's agents. Each tenant now has its own stop in tenant_kill_switch. global_kill_switch
+-- becomes the platform-operator stop, which only users flagged is_platform_operator can change.
+
+CREATE TABLE IF NOT EXISTS tenant_kill_switch (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  is_emergency_stopped BOOLEAN DEFAULT false,
+  stopped_at TIMESTAMP,
+  stopped_by UUID REFERENCES users(id),
+  stop_reason TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_platform_operator BOOLEAN DEFAULT false;
+
+COMMENT ON TABLE global_kill_switch IS 'Platform-operator emergency stop: blocks every tenant while set.';
+COMMENT ON COLUMN users.is_platform_operator IS 'May set and clear the platform-wide emergency stop.';
+
+-- Agents are blocked by their own status, their tenant's stop or the platform stop
+CREATE OR REPLACE FUNCTION is_agent_active(p_agent_id UUID, p_user_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  agent_status VARCHAR(20);
+  pause_until TIMESTAMP;
+  platform_stopped BOOLEAN;
+  tenant_stopped BOOLEAN;
+BEGIN
+  -- Check platform emergency stop
+  SELECT is_emergency_stopped INTO platform_stopped
+  FROM global_kill_switch WHERE id = 1;
+
+  IF platform_stopped THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Check this tenant's emergency stop
+  SELECT is_emergency_stopped INTO tenant_stopped
+  FROM tenant_kill_switch WHERE user_id = p_user_id;
+
+  IF tenant_stopped THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Check agent status
+  SELECT status, agents.pause_until INTO agent_status, pause_until
+  FROM agents
+  WHERE id = p_agent_id AND user_id = p_user_id;
+
+  -- Agent not found or killed
+  IF agent_status IS NULL OR agent_status = 'killed' THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Agent is paused and pause hasn't expired
+  IF agent_status = 'paused' AND pause_until > NOW() THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Auto-unpause if pause period expired
+  IF agent_status = 'paused' AND pause_until <= NOW() THEN
+    UPDATE agents
+    SET status = 'active', pause_until = NULL
+    WHERE id = p_agent_id;
+    RETURN TRUE;
+  END IF;
+
+  RETURN agent_status = 'active';
+END;
+$$ LANGUAGE plpgsql;
+
+-- A stop left over from the old cross-tenant switch was set by a tenant, not an operator:
+-- keep it as that tenant's stop and clear the platform stop
+INSERT INTO tenant_kill_switch (user_id, is_emergency_stopped, stopped_at, stopped_by, stop_reason)
+SELECT stopped_by, true, stopped_at, stopped_by, stop_reason
+FROM global_kill_switch
+WHERE id = 1 AND is_emergency_stopped AND stopped_by IS NOT NULL
+ON CONFLICT (user_id) DO NOTHING;
+
+UPDATE global_kill_switch
+SET is_emergency_stopped = false, stopped_at = NULL, stopped_by = NULL, stop_reason = NULL
+WHERE id = 1;
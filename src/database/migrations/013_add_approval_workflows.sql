@@ -0,0 +1,45 @@
+-- Migration: Two-person approval workflow
+-- Date: 2026-10-18
+-- Description: Policies that turn destructive kill switch and budget operations into
+-- pending requests another user of the same organization must approve before they expire.
+-- Every state change is also written to kill_switch_events.
+
+-- Users sharing an org_id can approve each other's requests.
+-- NULL means the user is an organization of its own.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS org_id UUID;
+CREATE INDEX IF NOT EXISTS idx_users_org ON users(org_id) WHERE org_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS approval_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL,                    -- COALESCE(users.org_id, users.id)
+  action VARCHAR(50) NOT NULL,             -- 'emergency_stop_all', 'emergency_stop_disable', 'kill_customer', 'revive_agent', 'budget_increase'
+  min_budget_limit DECIMAL(10,2),          -- budget_increase: only raises to more than this (NULL = any raise)
+  auto_killed_only BOOLEAN DEFAULT false,  -- revive_agent: only agents killed by an automatic trigger
+  approval_window_minutes INTEGER NOT NULL DEFAULT 60 CHECK (approval_window_minutes > 0),
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, action)
+);
+
+CREATE TABLE IF NOT EXISTS approval_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL,
+  policy_id UUID REFERENCES approval_policies(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- tenant the action runs for
+  action VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',     -- validated request body the action runs with
+  summary TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'expired', 'failed'
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP,
+  decision_reason TEXT,
+  result JSONB,                            -- outcome of the action once approved
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_org ON approval_requests(org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_pending ON approval_requests(expires_at) WHERE status = 'pending';
@@ -0,0 +1,32 @@
+-- Migration: Escalation ladders and automatic revival for auto-kill triggers
+-- Date: 2026-10-18
+-- Description: A trigger responds to repeated violations step by step (pause, longer pause,
+-- kill) instead of killing on the first one, and can revive the agents it killed once the
+-- metric is back under the threshold after a cooldown.
+
+-- Steps such as [{"action": "pause", "duration_minutes": 15}, {"action": "pause", "duration_minutes": 60}, {"action": "kill"}].
+-- NULL keeps the original behavior: kill on the first violation.
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS escalation_ladder JSONB DEFAULT NULL;
+-- Violations this close together climb the ladder; older ones no longer count
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS escalation_window_minutes INTEGER DEFAULT 60;
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS auto_revive BOOLEAN DEFAULT false;
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS revive_cooldown_minutes INTEGER DEFAULT 30;
+
+-- Each step a trigger took against an agent
+CREATE TABLE IF NOT EXISTS trigger_escalations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trigger_id UUID REFERENCES kill_switch_triggers(id) ON DELETE CASCADE, -- NULL for built-in detection
+  trigger_type VARCHAR(50) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  step INTEGER NOT NULL,                   -- 1-based position on the ladder
+  action VARCHAR(20) NOT NULL,             -- 'pause', 'kill'
+  pause_until TIMESTAMP,
+  violation JSONB DEFAULT '{}',
+  revived_at TIMESTAMP,                    -- set when an automatic revival undid a kill
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP -- equals agents.killed_at for kills
+);
+
+CREATE INDEX IF NOT EXISTS idx_trigger_escalations_agent ON trigger_escalations(agent_id, trigger_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trigger_escalations_revivable ON trigger_escalations(created_at)
+  WHERE action = 'kill' AND revived_at IS NULL;
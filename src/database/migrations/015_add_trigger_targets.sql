@@ -0,0 +1,22 @@
+-- Migration: Customer and tenant scoped kill switch triggers
+-- Date: 2026-10-18
+-- Description: A trigger aggregates its metric per agent, per customer (across the customer's
+-- agents) or over the whole tenant, according to target_scope, and responds against that
+-- target as a whole. A trigger can also be limited to one agent or one customer.
+
+-- NULL applies the trigger to every agent / customer of the tenant
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS target_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE;
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS target_customer_id UUID REFERENCES customers(id) ON DELETE CASCADE;
+
+-- Escalation steps are taken against an agent, a customer or the tenant (user_id)
+ALTER TABLE trigger_escalations ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) DEFAULT 'agent'; -- 'agent', 'customer', 'global'
+ALTER TABLE trigger_escalations ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE CASCADE;
+-- Agents the step paused or killed, the ones an automatic revival brings back
+ALTER TABLE trigger_escalations ADD COLUMN IF NOT EXISTS agent_ids UUID[] DEFAULT '{}';
+
+UPDATE trigger_escalations SET agent_ids = ARRAY[agent_id] WHERE agent_id IS NOT NULL AND agent_ids = '{}';
+
+CREATE INDEX IF NOT EXISTS idx_trigger_escalations_customer ON trigger_escalations(customer_id, trigger_type, created_at DESC)
+  WHERE target_type = 'customer';
+CREATE INDEX IF NOT EXISTS idx_trigger_escalations_tenant ON trigger_escalations(user_id, trigger_type, created_at DESC)
+  WHERE target_type = 'global';
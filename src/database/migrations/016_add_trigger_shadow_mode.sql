@@ -0,0 +1,14 @@
+-- Migration: Shadow mode for kill switch triggers
+-- Date: 2026-10-18
+-- Description: A trigger in shadow mode is evaluated like any other but never touches agents.
+-- The steps it would have taken are recorded as shadow escalations so its threshold can be
+-- judged from a report before it is enforced.
+
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS mode VARCHAR(20) DEFAULT 'enforce'; -- 'enforce', 'shadow'
+
+-- Shadow steps only record what would have happened; pause_until is when the simulated
+-- pause or kill would have ended
+ALTER TABLE trigger_escalations ADD COLUMN IF NOT EXISTS shadow BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_trigger_escalations_shadow ON trigger_escalations(trigger_id, created_at DESC)
+  WHERE shadow = true;
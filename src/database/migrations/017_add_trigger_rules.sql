@@ -0,0 +1,7 @@
+-- Migration: Rule triggers
+-- Date: 2026-10-18
+-- Description: Triggers of type 'rule' hold a condition over several usage metrics as a JSON
+-- AST (boolean combinators, event filters and a "for N windows" clause) instead of one
+-- metric and threshold. Their threshold_value is 0 and threshold_unit NULL.
+
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS rule JSONB DEFAULT NULL;
@@ -0,0 +1,43 @@
+-- Migration: Per-agent baselines and anomaly triggers
+-- Date: 2026-10-18
+-- Description: Each agent's normal cost per minute and request rate are learned from
+-- spend_rate_monitoring as exponentially weighted moving averages. Every monitoring window
+-- is scored in standard deviations from the baseline, and triggers of type 'anomaly' fire
+-- when the score exceeds their threshold_value.
+
+CREATE TABLE IF NOT EXISTS agent_baselines (
+  agent_id UUID PRIMARY KEY REFERENCES agents(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  cost_mean DECIMAL(15,6) NOT NULL DEFAULT 0,
+  cost_variance DECIMAL(20,10) NOT NULL DEFAULT 0,
+  requests_mean DECIMAL(15,6) NOT NULL DEFAULT 0,
+  requests_variance DECIMAL(20,10) NOT NULL DEFAULT 0,
+  samples INTEGER NOT NULL DEFAULT 0,        -- monitoring windows folded in
+  last_window_end TIMESTAMP,                 -- newest window folded in
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each window scored against the baseline as it was just before the window
+CREATE TABLE IF NOT EXISTS agent_baseline_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  window_end TIMESTAMP NOT NULL,
+  cost_per_minute DECIMAL(15,6) NOT NULL,
+  cost_mean DECIMAL(15,6),
+  cost_stddev DECIMAL(15,6),
+  cost_score DECIMAL(10,4),                  -- NULL while the baseline is still learning
+  requests_per_minute DECIMAL(10,2) NOT NULL,
+  requests_mean DECIMAL(15,6),
+  requests_stddev DECIMAL(15,6),
+  requests_score DECIMAL(10,4),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_baseline_scores_agent ON agent_baseline_scores(agent_id, window_end DESC);
+CREATE INDEX IF NOT EXISTS idx_baseline_scores_user ON agent_baseline_scores(user_id, window_end DESC);
+CREATE INDEX IF NOT EXISTS idx_spend_monitoring_window_end ON spend_rate_monitoring(window_end);
+
+-- Metric an anomaly trigger watches: 'cost_per_minute' or 'requests_per_minute'
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS baseline_metric VARCHAR(30) DEFAULT NULL;
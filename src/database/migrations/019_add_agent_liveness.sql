@@ -0,0 +1,45 @@
+-- Migration: Stuck and silent agent detection
+-- Date: 2026-10-18
+-- Description: agent_heartbeats is now read by the kill switch monitor. An agent is marked
+-- not alive when nothing (usage or an explicit heartbeat) arrives within its expected
+-- interval, and usage events count how many identical requests (same metadata.request_hash)
+-- an agent sent in a row.
+
+-- Expected time between an agent's activity; NULL uses the default of the monitor
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS heartbeat_interval_seconds INTEGER DEFAULT NULL;
+
+ALTER TABLE agent_heartbeats ADD COLUMN IF NOT EXISTS last_heartbeat TIMESTAMP;   -- last explicit heartbeat
+ALTER TABLE agent_heartbeats ADD COLUMN IF NOT EXISTS heartbeat_status VARCHAR(255); -- status the agent reported with it
+ALTER TABLE agent_heartbeats ADD COLUMN IF NOT EXISTS silent_since TIMESTAMP;     -- set when is_alive turns false
+
+CREATE INDEX IF NOT EXISTS idx_agent_heartbeats_alive ON agent_heartbeats(last_activity) WHERE is_alive = true;
+
+-- Usage events keep the heartbeat current and count repeats of the same request hash
+CREATE OR REPLACE FUNCTION update_agent_heartbeat()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.agent_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO agent_heartbeats (agent_id, user_id, last_activity, last_request_signature, consecutive_identical_requests)
+  VALUES (
+    NEW.agent_id, NEW.user_id, NEW.created_at, NEW.metadata->>'request_hash',
+    CASE WHEN NEW.metadata->>'request_hash' IS NULL THEN 0 ELSE 1 END
+  )
+  ON CONFLICT (agent_id)
+  DO UPDATE SET
+    last_activity = GREATEST(agent_heartbeats.last_activity, NEW.created_at),
+    -- Requests without a hash are not counted and do not break a run
+    consecutive_identical_requests = CASE
+      WHEN NEW.metadata->>'request_hash' IS NULL THEN agent_heartbeats.consecutive_identical_requests
+      WHEN NEW.metadata->>'request_hash' = agent_heartbeats.last_request_signature
+        THEN agent_heartbeats.consecutive_identical_requests + 1
+      ELSE 1
+    END,
+    last_request_signature = COALESCE(NEW.metadata->>'request_hash', agent_heartbeats.last_request_signature),
+    is_alive = true,
+    silent_since = NULL;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,23 @@
+-- Migration: Configurable loop detection triggers
+-- Date: 2026-10-18
+-- Description: Loop detection used to be a check built into the kill switch monitor that
+-- killed any agent sending 50 identical requests (metadata.request_hash) within 10 minutes,
+-- for every tenant. It is now the 'infinite_loop' trigger type, configured by the
+-- trigger's loop_detection settings. Each existing tenant gets a trigger doing what the
+-- built-in check did, which it can tune, switch to notify-only or deactivate.
+
+-- window_minutes, patterns ('identical', 'cycle', 'tool_chain'), max_cycle_length and
+-- agent_overrides ({agent_id: {enabled, window_minutes, threshold_value}})
+ALTER TABLE kill_switch_triggers ADD COLUMN IF NOT EXISTS loop_detection JSONB DEFAULT NULL;
+
+-- threshold_value 49: the trigger fires above it, the built-in check fired from 50
+INSERT INTO kill_switch_triggers (user_id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, loop_detection)
+SELECT u.id, 'Auto Loop Detection', 'infinite_loop', 49, 'repeats', 'agent',
+       '{"window_minutes": 10, "patterns": ["identical"], "max_cycle_length": 4, "agent_overrides": {}}'
+FROM users u
+WHERE NOT EXISTS (
+  SELECT 1 FROM kill_switch_triggers t WHERE t.user_id = u.id AND t.trigger_type = 'infinite_loop'
+);
+
+-- Events keep request hashes and tool calls in metadata; loop triggers read them per agent in order
+CREATE INDEX IF NOT EXISTS idx_usage_events_agent_created ON usage_events(agent_id, created_at);
@@ -0,0 +1,51 @@
+-- Migration: Alert notification channels
+-- Date: 2026-10-18
+-- Description: Kill switch events and budget stage crossings used to end in a console
+-- log. Tenants now configure channels (signed webhooks, email over SMTP and chat
+-- webhooks) and routing rules choosing which event types and severities go to each
+-- channel. Every delivery is logged and failed deliveries are retried with backoff.
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  channel_type VARCHAR(20) NOT NULL,       -- 'webhook', 'email', 'chat'
+  config JSONB NOT NULL DEFAULT '{}',      -- webhook: {url}, email: {to: [...]}, chat: {url, format}
+  signing_secret VARCHAR(100),             -- webhook: HMAC-SHA256 key for the X-Signature header
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS notification_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel_id UUID NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+  event_types TEXT[],                      -- NULL = every event type
+  min_severity VARCHAR(10) NOT NULL DEFAULT 'info', -- 'info', 'warning', 'critical'
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_rules_user ON notification_rules(user_id) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel_id UUID NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  severity VARCHAR(10) NOT NULL,
+  notification JSONB NOT NULL,             -- what was sent: id, event_type, severity, title, message, data
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'delivered', 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP,               -- pending: when the next attempt is due
+  response_status INTEGER,                 -- HTTP status of the last webhook or chat attempt
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
@@ -1,18 +1,612 @@
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { getAgentSpend, incrementAgentSpend } = require('../config/redis');
+const {
+  initBudgetSpend,
+  hasBudgetSpend,
+  reserveBudget,
+  commitBudget,
+  releaseBudget,
+  resetBudgetSpend,
+  getCachedBudgetAmount,
+  cacheBudgetAmount,
+  clearCachedBudgetAmounts,
+  consumeRequestQuota
+} = require('../config/redis');
+const { claimAuthorization, getOpenAuthorizationTotal } = require('../services/authorizations');
+const { periodFromRow, getBudgetWindow } = require('../services/budget-periods');
+const { STAGE_ACTIONS, stagesFromRow, recordStageEvent } = require('../services/budget-stages');
+const { getActiveGrantTotal } = require('../services/budget-grants');
+
+// Reservations left behind by a crashed request stop counting after this long
+const RESERVATION_TTL_MS = 60000;
+
+// Budget levels from the widest to the narrowest, and the column that
+// identifies each of them on usage_events and budget_authorizations
+const LEVEL_COLUMNS = {
+  tenant: 'user_id',
+  customer: 'customer_id',
+  api_key: 'api_key_id',
+  agent: 'agent_id'
+};
+
+/**
+ * Get a budget level's spend within its budget window from the database.
+ * Events count in the window they were received in (created_at), like in the Redis
+ * spend cache: a client-supplied event_timestamp could be backdated out of the window.
+ */
+async function getWindowSpendFromDatabase(level, id, window) {
+  const params = [id, window.start];
+  let endFilter = '';
+  if (window.end) {
+    params.push(window.end);
+    endFilter = 'AND created_at < $3';
+  }
+
+  const spendQuery = await db.query(`
+    SELECT COALESCE(SUM(cost_amount), 0) as current_spend
+    FROM usage_events 
+    WHERE ${LEVEL_COLUMNS[level]} = $1 
+    AND created_at >= $2 ${endFilter}
+  `, params);
+  
+  return parseFloat(spendQuery.rows[0].current_spend || 0);
+}
+
+/**
+ * Backfill the Redis spend cache from the database the first time a level is checked in a window.
+ * Spend is keyed by row UUID so ids reused across tenants never share a budget.
+ * Rolling windows are backfilled per hour bucket.
+ */
+async function ensureSpendCached(budgetLevel) {
+  if (await hasBudgetSpend(budgetLevel)) {
+    return;
+  }
+  
+  const { level, id, window } = budgetLevel;
+  
+  if (!window.rollingHours) {
+    await initBudgetSpend(budgetLevel, await getWindowSpendFromDatabase(level, id, window));
+    return;
+  }
+  
+  const buckets = await db.query(`
+    SELECT FLOOR(EXTRACT(EPOCH FROM created_at) / 3600) as bucket, SUM(cost_amount) as spend
+    FROM usage_events
+    WHERE ${LEVEL_COLUMNS[level]} = $1 AND created_at >= $2
+    GROUP BY 1
+  `, [id, window.start]);
+  
+  const spend = {};
+  for (const row of buckets.rows) {
+    spend[parseInt(row.bucket)] = parseFloat(row.spend);
+  }
+  await initBudgetSpend(budgetLevel, spend);
+}
+
+/**
+ * Drop a level's cached spend for its current window, e.g. after its events were re-priced
+ */
+async function invalidateSpendCache(level, id) {
+  const table = { tenant: 'users', customer: 'customers', api_key: 'api_keys', agent: 'agents' }[level];
+  const result = await db.query(`
+    SELECT budget_period, budget_period_hours, budget_anchor_day, budget_timezone
+    FROM ${table} WHERE id = $1
+  `, [id]);
+  
+  if (result.rows.length > 0) {
+    await resetBudgetSpend({ level, id, window: getBudgetWindow(periodFromRow(result.rows[0])) });
+  }
+  await clearCachedBudgetAmounts(rolloverCacheName(level, id));
+}
+
+// Redis hash caching a budget level's rollover per window
+function rolloverCacheName(level, id) {
+  return `budget_rollover:${level}:${id}`;
+}
+
+const BUDGET_COLUMNS = 'budget_period, budget_period_hours, budget_anchor_day, budget_timezone, budget_stages, budget_rollover_cap';
+
+/**
+ * Resolve the budget levels that apply to an event: tenant, customer, API key and agent.
+ * Customers and agents that do not exist yet are skipped (they have no limit or spend).
+ * Each level is { level, id, label, limit, period, window, stages } with limit null
+ * when unlimited and window the level's current budget window. limit is the
+ * effective limit including grants and rollover (see resolveLimit).
+ */
+async function resolveBudgetChain(userId, {
+  agent = null,
+  agentUuid = null,
+  customerId = null,
+  customerUuid = null,
+  apiKeyId = null
+} = {}) {
+  const chain = [];
+  const now = new Date();
+  const addLevel = async (level, id, label, row) => {
+    chain.push(await resolveBudgetLevel(level, id, label, row, now));
+  };
+  
+  const tenant = await db.query(`SELECT company_name, monthly_cost_limit, ${BUDGET_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  await addLevel('tenant', userId, tenant.rows[0]?.company_name || userId, tenant.rows[0] || {});
+  
+  if (customerUuid || customerId) {
+    const customer = await db.query(`
+      SELECT id, customer_id, monthly_cost_limit, ${BUDGET_COLUMNS} FROM customers
+      WHERE user_id = $1 AND ${customerUuid ? 'id' : 'customer_id'} = $2
+    `, [userId, customerUuid || customerId]);
+    
+    if (customer.rows.length > 0) {
+      const row = customer.rows[0];
+      await addLevel('customer', row.id, row.customer_id, row);
+    }
+  }
+  
+  if (apiKeyId) {
+    const apiKey = await db.query(
+      `SELECT id, key_name, monthly_cost_limit, ${BUDGET_COLUMNS} FROM api_keys WHERE id = $1 AND user_id = $2`,
+      [apiKeyId, userId]
+    );
+    
+    if (apiKey.rows.length > 0) {
+      const row = apiKey.rows[0];
+      await addLevel('api_key', row.id, row.key_name, row);
+    }
+  }
+  
+  if (!agent && agentUuid) {
+    const agentResult = await db.query(
+      `SELECT id, agent_id, monthly_cost_limit, ${BUDGET_COLUMNS} FROM agents WHERE id = $1 AND user_id = $2`,
+      [agentUuid, userId]
+    );
+    agent = agentResult.rows[0] || null;
+  }
+  
+  if (agent) {
+    await addLevel('agent', agent.id, agent.agent_id, agent);
+  }
+  
+  return chain;
+}
+
+/**
+ * Resolve a single budget level from its row (see resolveBudgetChain)
+ */
+async function resolveBudgetLevel(level, id, label, row, now = new Date()) {
+  const period = periodFromRow(row);
+  const window = getBudgetWindow(period, now);
+  return {
+    level,
+    id,
+    label,
+    ...await resolveLimit(level, id, row, period, window),
+    period,
+    window,
+    stages: stagesFromRow(row)
+  };
+}
+
+function toLimit(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Effective limit of a budget level in a window: its own limit, plus the grants
+ * topping up the window, plus the previous window's unused budget up to budget_rollover_cap.
+ * Rollover is based on the current limit and never compounds over several windows; it is
+ * cached in Redis per window, limit and cap, and dropped with the spend cache.
+ * Returns { limit, base_limit, granted, rolled_over }; unlimited levels stay unlimited.
+ */
+async function resolveLimit(level, id, row, period, window) {
+  const baseLimit = toLimit(row.monthly_cost_limit);
+  if (baseLimit === null) {
+    return { limit: null, base_limit: null, granted: 0, rolled_over: 0 };
+  }
+  
+  const granted = await getActiveGrantTotal(level, id, window);
+  
+  let rolledOver = 0;
+  const rolloverCap = toLimit(row.budget_rollover_cap);
+  if (rolloverCap && !window.rollingHours) {
+    // The previous window is closed, so its rollover holds for the whole window
+    const cacheName = rolloverCacheName(level, id);
+    const field = `${window.key}:${baseLimit}:${rolloverCap}`;
+    const cached = await getCachedBudgetAmount(cacheName, field);
+    if (cached !== null) {
+      rolledOver = cached;
+    } else {
+      const previousWindow = getBudgetWindow(period, new Date(window.start.getTime() - 1));
+      const previousSpend = await getWindowSpendFromDatabase(level, id, previousWindow);
+      rolledOver = Math.round(Math.min(rolloverCap, Math.max(0, baseLimit - previousSpend)) * 100) / 100;
+      await cacheBudgetAmount(cacheName, field, rolledOver, window.end);
+    }
+  }
+  
+  return { limit: baseLimit + granted + rolledOver, base_limit: baseLimit, granted, rolled_over: rolledOver };
+}
+
+/**
+ * Describe a level's effective limit for API responses
+ */
+function describeLimit(budgetLevel) {
+  return {
+    limit: budgetLevel.limit,
+    base_limit: budgetLevel.base_limit,
+    ...(budgetLevel.granted > 0 && { granted: budgetLevel.granted }),
+    ...(budgetLevel.rolled_over > 0 && { rolled_over: budgetLevel.rolled_over })
+  };
+}
+
+/**
+ * Describe a level's budget window for API responses
+ */
+function describeWindow(budgetLevel) {
+  return {
+    budget_period: budgetLevel.period.type,
+    ...(budgetLevel.window.rollingHours && { budget_period_hours: budgetLevel.window.rollingHours }),
+    budget_timezone: budgetLevel.period.timezone,
+    window_start: budgetLevel.window.start,
+    window_end: budgetLevel.window.end
+  };
+}
+
+/**
+ * Describe a level's spend in its current window against its effective limit, for API responses
+ */
+async function describeBudgetStatus(budgetLevel) {
+  const currentSpend = await getWindowSpendFromDatabase(budgetLevel.level, budgetLevel.id, budgetLevel.window);
+  return {
+    ...describeLimit(budgetLevel),
+    ...describeWindow(budgetLevel),
+    current_spend: currentSpend,
+    utilization_percent: budgetLevel.limit ? (currentSpend / budgetLevel.limit) * 100 : null
+  };
+}
+
+/**
+ * Check every budget level with a limit and atomically reserve the requested cost
+ *
+ * The check and the reservation happen in a single Redis script, so concurrent
+ * requests can never reserve more than the remaining budget at any level.
+ * When several levels cannot cover the cost, the one with the least headroom
+ * is reported as blocked_by.
+ * Levels that reach one of their stages get its graduated action (see applyBudgetStages).
+ * Returns { allowed: true, reservation, stage, advisory, stageEvents } or
+ * { allowed: false, status, body, stage }.
+ * The reservation (null when Redis is unavailable) must be passed to
+ * recordAgentSpend on success or releaseBudgetReservation on failure, and the
+ * stageEvents to recordBudgetStages once the event or hold is recorded.
+ *
+ * Options:
+ * - reservationId / ttlMs: used by pre-authorization holds, which outlive the request
+ * - hold: refuse with 402 instead of suspending the agent, since nothing was spent yet
+ */
+async function checkAndReserveBudget(chain, requestedCost, options = {}) {
+  const { reservationId = uuidv4(), ttlMs = RESERVATION_TTL_MS, hold = false } = options;
+  const limited = chain.filter(level => level.limit !== null);
+  
+  let status = 'reserved';
+  let usage = [];
+  
+  if (limited.length > 0) {
+    for (const budgetLevel of limited) {
+      await ensureSpendCached(budgetLevel);
+    }
+    
+    const result = await reserveBudget(limited, requestedCost, reservationId, ttlMs);
+    status = result.status;
+    usage = result.usage;
+    
+    // Fallback to a (non-atomic) database check if Redis is unavailable
+    if (status === 'unavailable') {
+      for (const { level, id, window } of limited) {
+        usage.push({
+          spent: await getWindowSpendFromDatabase(level, id, window),
+          reserved: await getOpenAuthorizationTotal(LEVEL_COLUMNS[level], id)
+        });
+      }
+    }
+  }
+  
+  const levels = limited.map((level, i) => {
+    const currentSpend = usage[i].spent + usage[i].reserved;
+    return { ...level, current_spend: currentSpend, remaining: level.limit - currentSpend };
+  });
+  
+  // The level with the least headroom is the tightest applicable limit
+  const tightest = levels.reduce((min, level) => (!min || level.remaining < min.remaining ? level : min), null);
+  const exceeded = status === 'exceeded' ||
+    (status === 'unavailable' && tightest !== null && requestedCost > tightest.remaining);
+  
+  if (exceeded) {
+    return denyBudget(chain, tightest, requestedCost, hold);
+  }
+  
+  const reservation = status === 'unavailable' ? null : {
+    levels: chain.map(({ level, id, window }) => ({ level, id, window })),
+    reservationId,
+    amount: requestedCost,
+    committed: false,
+    hold
+  };
+  
+  const stages = await applyBudgetStages(chain, levels, requestedCost, hold);
+  if (stages.refusal) {
+    if (reservation) {
+      await releaseBudget(reservation.levels, reservationId);
+    }
+    return stages.refusal;
+  }
+  
+  return {
+    allowed: true,
+    reservation,
+    stage: stages.stage,
+    advisory: stages.advisory,
+    stageEvents: stages.stageEvents
+  };
+}
+
+const stageSeverity = stage => STAGE_ACTIONS.indexOf(stage.action) * 1000 + stage.percent;
+
+/**
+ * Graduated actions for the stages each limited level reaches with a request.
+ *
+ * A stage is persisted as a budget_stage_event the first time it is reached in a
+ * window (by recordBudgetStages, after the event is recorded), but its action applies
+ * for as long as the level stays above it:
+ * - notify: only the event and the X-Budget-Stage header
+ * - throttle: requests beyond requests_per_minute are refused with 429
+ * - downgrade: the response carries an advisory to switch to a cheaper model
+ * - suspend: refused as if the limit was exceeded (suspends the agent at the agent level)
+ * Returns { stage, advisory, refusal, stageEvents } with stage the most severe stage
+ * reached and stageEvents the stages to record.
+ */
+async function applyBudgetStages(chain, levels, requestedCost, hold) {
+  const userId = chain[0].id; // the tenant level is always first
+  const agentUuid = chain.find(level => level.level === 'agent')?.id || null;
+  
+  let stage = null;
+  let advisory = null;
+  const suspensions = [];
+  const throttles = [];
+  const stageEvents = [];
+  
+  for (const level of levels) {
+    const projectedSpend = level.current_spend + requestedCost;
+    const utilizationPercent = (projectedSpend / level.limit) * 100;
+    const reached = level.stages.filter(candidate => candidate.percent <= utilizationPercent);
+    if (reached.length === 0) {
+      continue;
+    }
+    
+    for (const reachedStage of reached) {
+      stageEvents.push({ userId, level, stage: reachedStage, spend: projectedSpend, agentUuid });
+    }
+    
+    const describe = reachedStage => ({
+      level: level.level,
+      id: level.label,
+      percent: reachedStage.percent,
+      action: reachedStage.action,
+      utilization_percent: Math.round(utilizationPercent * 10) / 10
+    });
+    
+    const mostSevere = reached.reduce((max, candidate) => (stageSeverity(candidate) > stageSeverity(max) ? candidate : max));
+    if (!stage || stageSeverity(mostSevere) > stageSeverity(stage)) {
+      stage = describe(mostSevere);
+    }
+    
+    const suspend = reached.find(candidate => candidate.action === 'suspend');
+    if (suspend) {
+      suspensions.push({ level, stage: describe(suspend) });
+    }
+    
+    // The highest throttle stage reached sets the rate
+    const throttle = reached.filter(candidate => candidate.action === 'throttle').pop();
+    if (throttle) {
+      throttles.push({ level, stage: { ...describe(throttle), requests_per_minute: throttle.requests_per_minute } });
+    }
+    
+    const downgrade = reached.filter(candidate => candidate.action === 'downgrade').pop();
+    if (downgrade && (!advisory || downgrade.percent > advisory.percent)) {
+      advisory = {
+        action: 'downgrade_model',
+        ...describe(downgrade),
+        ...(downgrade.suggested_model && { suggested_model: downgrade.suggested_model }),
+        message: `${level.level} budget is at ${describe(downgrade).utilization_percent}% of its limit; switch to a cheaper model`
+      };
+    }
+  }
+  
+  if (suspensions.length > 0) {
+    const { level, stage: suspendStage } = suspensions[0];
+    const refusal = await denyBudget(chain, { ...level, remaining: level.limit - level.current_spend }, requestedCost, hold, suspendStage);
+    return { refusal: { ...refusal, stage: suspendStage } };
+  }
+  
+  for (const { level, stage: throttleStage } of throttles) {
+    const quota = await consumeRequestQuota(`${level.level}:${level.id}`, throttleStage.requests_per_minute);
+    
+    // Without Redis requests are not throttled
+    if (quota && !quota.allowed) {
+      console.log(`🐢 Request throttled by ${level.level} ${level.label} budget stage (${throttleStage.requests_per_minute}/min at ${throttleStage.utilization_percent}%)`);
+      
+      return {
+        refusal: {
+          allowed: false,
+          status: 429,
+          stage: throttleStage,
+          retryAfterSeconds: quota.retryAfterSeconds,
+          body: {
+            error: `Request rate throttled: ${level.level} budget is at ${throttleStage.utilization_percent}% of its limit`,
+            code: 'BUDGET_THROTTLED',
+            budget_stage: throttleStage,
+            requests_per_minute: throttleStage.requests_per_minute,
+            retry_after_seconds: quota.retryAfterSeconds
+          }
+        }
+      };
+    }
+  }
+  
+  return { stage, advisory, refusal: null, stageEvents };
+}
+
+/**
+ * Persist and notify the stages reached by an accepted event or hold, once it is recorded.
+ * A failure is only logged: the event itself was recorded.
+ */
+async function recordBudgetStages(stageEvents = []) {
+  for (const { userId, level, stage, spend, agentUuid } of stageEvents) {
+    try {
+      await recordStageEvent(userId, level, stage, spend, agentUuid);
+    } catch (error) {
+      console.error(`Error recording ${level.level} ${level.label} budget stage ${stage.percent}%:`, error);
+    }
+  }
+}
+
+/**
+ * Expose the budget stage of a budget check to the agent as response headers
+ */
+function setBudgetStageHeaders(res, budgetCheck) {
+  if (budgetCheck.stage) {
+    res.set('X-Budget-Stage', budgetCheck.stage.action);
+    res.set('X-Budget-Stage-Level', budgetCheck.stage.level);
+    res.set('X-Budget-Stage-Percent', budgetCheck.stage.percent.toString());
+    res.set('X-Budget-Utilization', budgetCheck.stage.utilization_percent.toString());
+  }
+  
+  if (budgetCheck.advisory) {
+    res.set('X-Budget-Advisory', 'downgrade-model');
+    if (budgetCheck.advisory.suggested_model) {
+      res.set('X-Budget-Suggested-Model', budgetCheck.advisory.suggested_model);
+    }
+  }
+  
+  if (budgetCheck.retryAfterSeconds) {
+    res.set('Retry-After', budgetCheck.retryAfterSeconds.toString());
+  }
+}
+
+/**
+ * Build the refusal for a request that a budget level cannot cover, or that reached
+ * a suspend stage of it. Only an agent's own limit suspends the agent; wider limits
+ * just refuse the request.
+ */
+async function denyBudget(chain, blocking, requestedCost, hold, stage = null) {
+  const blockedBy = {
+    level: blocking.level,
+    id: blocking.label,
+    ...describeLimit(blocking),
+    ...describeWindow(blocking),
+    current_spend: blocking.current_spend,
+    remaining: Math.max(0, blocking.remaining),
+    ...(stage && { stage_percent: stage.percent })
+  };
+  const reason = stage
+    ? `reached the ${stage.percent}% suspend stage of its ${blocking.period.type} limit of $${blocking.limit}`
+    : `exceeded ${blocking.period.type} limit of $${blocking.limit}`;
+  
+  if (hold) {
+    console.log(`💳 Authorization of $${requestedCost.toFixed(4)} declined by ${blocking.level} ${blocking.label} budget (current: $${blocking.current_spend.toFixed(4)}, limit: $${blocking.limit})`);
+    
+    return {
+      allowed: false,
+      status: 402,
+      body: {
+        error: 'Insufficient budget to authorize this amount',
+        code: 'INSUFFICIENT_BUDGET',
+        blocked_by: blockedBy,
+        monthly_limit: blocking.limit,
+        current_spend: blocking.current_spend,
+        requested_amount: requestedCost,
+        available: blockedBy.remaining
+      }
+    };
+  }
+  
+  // The refusal is what the suspend stage does, so it is recorded now. Exceeding the
+  // limit is the implicit 100% suspend stage.
+  const agentUuid = chain.find(level => level.level === 'agent')?.id || null;
+  await recordBudgetStages([{
+    userId: chain[0].id,
+    level: blocking,
+    stage: stage || { percent: 100, action: 'suspend' },
+    spend: blocking.current_spend + requestedCost,
+    agentUuid
+  }]);
+  
+  if (blocking.level === 'agent') {
+    // Automatically suspend the agent
+    await db.query(`
+      UPDATE agents 
+      SET is_suspended = TRUE, 
+          updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1
+    `, [blocking.id]);
+    
+    console.log(`🛑 Agent ${blocking.label} automatically suspended - ${reason} (current: $${blocking.current_spend.toFixed(4)}, requested: $${requestedCost.toFixed(4)})`);
+  } else {
+    console.log(`🛑 Request blocked by ${blocking.level} ${blocking.label} budget - ${reason} (current: $${blocking.current_spend.toFixed(4)}, requested: $${requestedCost.toFixed(4)})`);
+  }
+  
+  return {
+    allowed: false,
+    status: 403,
+    body: {
+      error: blocking.level === 'agent'
+        ? `Agent suspended: ${blocking.period.type} cost limit exceeded`
+        : `${blocking.period.type[0].toUpperCase()}${blocking.period.type.slice(1)} cost limit exceeded at ${blocking.level} level`,
+      code: 'BUDGET_LIMIT_EXCEEDED',
+      blocked_by: blockedBy,
+      monthly_limit: blocking.limit,
+      current_spend: blocking.current_spend,
+      requested_cost: requestedCost,
+      projected_spend: blocking.current_spend + requestedCost
+    }
+  };
+}
 
 /**
- * Middleware to enforce agent budget limits and kill-switch functionality
+ * Record actual spend for an accepted event, committing its reservation if there is one
+ */
+async function recordAgentSpend(agentUuid, reservation, actualCost) {
+  // Without a reservation Redis was unavailable; the cache is backfilled from the database later
+  if (!reservation) {
+    return false;
+  }
+  
+  reservation.committed = true;
+  return commitBudget(reservation.levels, reservation.reservationId, actualCost);
+}
+
+/**
+ * Release a reservation that was not committed (the event was rejected or failed).
+ * Pre-authorization holds stay open until they are captured, released or expire.
+ */
+async function releaseBudgetReservation(reservation) {
+  if (!reservation || reservation.committed || reservation.hold) {
+    return;
+  }
+  
+  reservation.committed = true;
+  await releaseBudget(reservation.levels, reservation.reservationId);
+}
+
+/**
+ * Middleware to enforce budget limits and kill-switch functionality
  * 
  * This middleware:
  * 1. Checks if agent is suspended (kill-switch)
- * 2. Validates monthly spending limits 
- * 3. Automatically suspends agents that exceed limits
- * 4. Attaches agent data to request for downstream use
+ * 2. Validates monthly spending limits at the tenant, customer, API key and
+ *    agent levels and reserves the requested cost
+ * 3. Automatically suspends agents that exceed their own limit
+ * 4. Attaches agent data and the budget reservation to request for downstream use
  */
 async function enforceAgentBudget(req, res, next) {
   try {
-    const { agent_id } = req.body;
+    const { agent_id, customer_id } = req.body;
 
     if (!agent_id) {
       return res.status(400).json({ 
@@ -21,6 +615,11 @@ async function enforceAgentBudget(req, res, next) {
       });
     }
 
+    // Capturing a pre-authorization: the budget was already reserved by the hold
+    if (req.body.authorization_id) {
+      return await attachAuthorizationHold(req, res, next);
+    }
+
     // 1. Get agent details including budget controls
     const agentQuery = await db.query(`
       SELECT 
@@ -29,22 +628,26 @@ async function enforceAgentBudget(req, res, next) {
         agent_name,
         is_suspended,
         monthly_cost_limit,
+        budget_period,
+        budget_period_hours,
+        budget_anchor_day,
+        budget_timezone,
+        budget_stages,
+        budget_rollover_cap,
         user_id
       FROM agents 
       WHERE agent_id = $1 AND user_id = $2
     `, [agent_id, req.user.id]);
 
     // If agent doesn't exist, let the downstream middleware create it
-    // We'll re-check after creation in ensureAgentExists
-    if (agentQuery.rows.length === 0) {
+    // We'll re-check its own limit after creation in ensureAgentExists
+    const agent = agentQuery.rows[0] || null;
+    if (!agent) {
       req.agentBudgetCheck = 'DEFERRED'; // Flag for post-creation check
-      return next();
     }
 
-    const agent = agentQuery.rows[0];
-
     // 2. Kill-switch check - immediate rejection if suspended
-    if (agent.is_suspended) {
+    if (agent && agent.is_suspended) {
       return res.status(403).json({ 
         error: 'Agent is suspended due to budget limits or manual override',
         code: 'AGENT_SUSPENDED',
@@ -53,66 +656,25 @@ async function enforceAgentBudget(req, res, next) {
       });
     }
 
-    // 3. Budget limit check (skip if no limit set)
-    if (agent.monthly_cost_limit !== null) {
-      const requestedCost = parseFloat(req.body.cost_amount || 0);
-      
-      // Fast Redis lookup for current spending
-      let currentSpend = await getAgentSpend(agent.agent_id);
-      
-      // Fallback to database if Redis fails
-      if (currentSpend === 0) {
-        const spendQuery = await db.query(`
-          SELECT COALESCE(SUM(cost_amount), 0) as current_spend
-          FROM usage_events 
-          WHERE agent_id = $1 
-          AND DATE_TRUNC('month', event_timestamp) = DATE_TRUNC('month', CURRENT_DATE)
-        `, [agent.id]);
-        currentSpend = parseFloat(spendQuery.rows[0].current_spend || 0);
-        
-        // Update Redis with the database value for future fast lookups
-        if (currentSpend > 0) {
-          await incrementAgentSpend(agent.agent_id, currentSpend);
-          // Reset to actual spend since we just backfilled
-          currentSpend = await getAgentSpend(agent.agent_id);
-        }
-      }
-
-      const projectedSpend = currentSpend + requestedCost;
-
-      // Check if this request would exceed the monthly limit
-      if (projectedSpend > agent.monthly_cost_limit) {
-        // Automatically suspend the agent
-        await db.query(`
-          UPDATE agents 
-          SET is_suspended = TRUE, 
-              updated_at = CURRENT_TIMESTAMP 
-          WHERE id = $1
-        `, [agent.id]);
-
-        console.log(`🛑 Agent ${agent.agent_id} automatically suspended - exceeded monthly limit of $${agent.monthly_cost_limit} (current: $${currentSpend.toFixed(4)}, requested: $${requestedCost.toFixed(4)})`);
-
-        return res.status(403).json({ 
-          error: 'Agent suspended: monthly cost limit exceeded',
-          code: 'BUDGET_LIMIT_EXCEEDED',
-          agent_id: agent.agent_id,
-          agent_name: agent.agent_name,
-          monthly_limit: parseFloat(agent.monthly_cost_limit),
-          current_spend: currentSpend,
-          requested_cost: requestedCost,
-          projected_spend: projectedSpend
-        });
-      }
+    // 3. Budget limit check and reservation at every level (levels without a limit are skipped)
+    const chain = await resolveBudgetChain(req.user.id, {
+      agent,
+      customerId: customer_id,
+      apiKeyId: req.apiKey?.id
+    });
+    const requestedCost = parseFloat(req.body.cost_amount || 0);
+    const budgetCheck = await checkAndReserveBudget(chain, requestedCost);
+    setBudgetStageHeaders(res, budgetCheck);
 
-      // Warn if getting close to limit (>80%)
-      const utilizationPercent = (projectedSpend / agent.monthly_cost_limit) * 100;
-      if (utilizationPercent > 80) {
-        console.warn(`⚠️  Agent ${agent.agent_id} at ${utilizationPercent.toFixed(1)}% of monthly budget ($${projectedSpend.toFixed(4)}/$${agent.monthly_cost_limit})`);
-      }
+    if (!budgetCheck.allowed) {
+      return res.status(budgetCheck.status).json({ ...budgetCheck.body, agent_id });
     }
 
     // 4. Attach agent data to request for downstream middleware
     req.agent = agent;
+    req.budgetReservation = budgetCheck.reservation;
+    req.budgetAdvisory = budgetCheck.advisory;
+    req.budgetStageEvents = budgetCheck.stageEvents;
     
     next();
   } catch (error) {
@@ -124,6 +686,37 @@ async function enforceAgentBudget(req, res, next) {
   }
 }
 
+/**
+ * Claim the hold a usage event captures and use it as the event's budget reservation.
+ * The route validated the body, so authorization_id is a UUID.
+ */
+async function attachAuthorizationHold(req, res, next) {
+  const { agent_id, customer_id, authorization_id } = req.body;
+
+  const claim = await claimAuthorization(authorization_id, req.user.id, agent_id, customer_id);
+  if (claim.error) {
+    return res.status(claim.error.status).json(claim.error.body);
+  }
+
+  // Spend is committed to the current window of every level the hold reserved
+  const chain = await resolveBudgetChain(req.user.id, {
+    agentUuid: claim.authorization.agent_id,
+    customerUuid: claim.authorization.customer_id,
+    apiKeyId: claim.authorization.api_key_id
+  });
+
+  req.authorization = claim.authorization;
+  req.budgetReservation = {
+    levels: chain.map(({ level, id, window }) => ({ level, id, window })),
+    reservationId: claim.authorization.id,
+    amount: parseFloat(claim.authorization.amount),
+    committed: false,
+    hold: true
+  };
+
+  next();
+}
+
 /**
  * Utility function to manually suspend an agent
  */
@@ -218,6 +811,13 @@ async function checkAgentBudgetAfterCreation(agentUuid, requestedCost, userId) {
         allowed: false,
         error: 'Agent suspended: first event would exceed monthly limit',
         code: 'BUDGET_LIMIT_EXCEEDED',
+        blocked_by: {
+          level: 'agent',
+          id: agent.agent_id,
+          limit: parseFloat(agent.monthly_cost_limit),
+          current_spend: 0,
+          remaining: parseFloat(agent.monthly_cost_limit)
+        },
         monthly_limit: parseFloat(agent.monthly_cost_limit),
         requested_cost: requestedCost
       };
@@ -231,38 +831,34 @@ async function checkAgentBudgetAfterCreation(agentUuid, requestedCost, userId) {
 }
 
 /**
- * Get current spending status for an agent
+ * Get current spending status for an agent: its spend in its configured budget window
+ * against its effective limit, and the same at every budget level that applies to it
+ * (tenant, and the customer / API key when given, and the agent itself)
  */
-async function getAgentSpendingStatus(agentId, userId) {
+async function getAgentSpendingStatus(agentId, userId, { customerId = null, apiKeyId = null } = {}) {
   try {
     const result = await db.query(`
-      SELECT 
-        a.agent_id,
-        a.agent_name,
-        a.is_suspended,
-        a.monthly_cost_limit,
-        COALESCE(SUM(ue.cost_amount), 0) as current_month_spend,
-        COUNT(ue.id) as current_month_events
-      FROM agents a
-      LEFT JOIN usage_events ue ON a.id = ue.agent_id 
-        AND DATE_TRUNC('month', ue.event_timestamp) = DATE_TRUNC('month', CURRENT_DATE)
-      WHERE a.agent_id = $1 AND a.user_id = $2
-      GROUP BY a.id, a.agent_id, a.agent_name, a.is_suspended, a.monthly_cost_limit
+      SELECT id, agent_id, agent_name, is_suspended, monthly_cost_limit
+      FROM agents
+      WHERE agent_id = $1 AND user_id = $2
     `, [agentId, userId]);
 
     if (result.rows.length === 0) {
       throw new Error('Agent not found');
     }
 
-    const agent = result.rows[0];
-    const utilizationPercent = agent.monthly_cost_limit 
-      ? (agent.current_month_spend / agent.monthly_cost_limit) * 100
-      : null;
+    const { id: agentUuid, ...agent } = result.rows[0];
+    const chain = await resolveBudgetChain(userId, { agentUuid, customerId, apiKeyId });
+
+    const statuses = [];
+    for (const level of chain) {
+      statuses.push(await describeBudgetStatus(level));
+    }
 
     return {
       ...agent,
-      current_month_spend: parseFloat(agent.current_month_spend),
-      utilization_percent: utilizationPercent
+      ...statuses[statuses.length - 1], // the agent's own level is always last
+      budget_levels: chain.map((level, i) => ({ level: level.level, id: level.label, ...statuses[i] }))
     };
   } catch (error) {
     console.error('Error getting agent spending status:', error);
@@ -272,6 +868,19 @@ async function getAgentSpendingStatus(agentId, userId) {
 
 module.exports = {
   enforceAgentBudget,
+  resolveBudgetChain,
+  resolveBudgetLevel,
+  getWindowSpendFromDatabase,
+  resolveLimit,
+  describeLimit,
+  describeWindow,
+  describeBudgetStatus,
+  invalidateSpendCache,
+  checkAndReserveBudget,
+  recordBudgetStages,
+  setBudgetStageHeaders,
+  recordAgentSpend,
+  releaseBudgetReservation,
   checkAgentBudgetAfterCreation,
   suspendAgent,
   reactivateAgent,
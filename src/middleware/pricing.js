@@ -0,0 +1,69 @@
+const { priceUsageEvent, MISMATCH_ACTION } = require('../services/pricing');
+
+/**
+ * Middleware to apply server-side pricing to incoming usage events
+ *
+ * Runs before enforceAgentBudget so budget checks see the authoritative cost:
+ * 1. Prices each event against the model price catalog
+ * 2. Rejects events for catalog models without usage quantities, and cost
+ *    mismatches when PRICING_MISMATCH_ACTION=reject
+ * 3. Replaces cost_amount with the computed cost and keeps the
+ *    pricing results on req.pricing (one entry per event) for storage
+ */
+async function applyServerPricing(req, res, next) {
+  try {
+    const isBulk = Array.isArray(req.body.events);
+    const events = isBulk ? req.body.events : [req.body];
+
+    req.pricing = [];
+
+    for (let index = 0; index < events.length; index++) {
+      const event = events[index];
+      const pricing = await priceUsageEvent(event, req.user.id);
+
+      if (pricing.pricing_status === 'missing_usage') {
+        return res.status(422).json({
+          error: 'Usage quantities (input_tokens, output_tokens, cached_input_tokens, image_count or audio_seconds) are required for catalog models',
+          code: 'USAGE_QUANTITIES_REQUIRED',
+          ...(isBulk && { event_index: index }),
+          vendor: event.vendor,
+          model: event.model
+        });
+      }
+
+      if (pricing.pricing_status === 'mismatch' && MISMATCH_ACTION === 'reject') {
+        return res.status(422).json({
+          error: 'Reported cost does not match the computed cost for this model',
+          code: 'COST_MISMATCH',
+          ...(isBulk && { event_index: index }),
+          vendor: event.vendor,
+          model: event.model,
+          reported_cost: pricing.reported_cost_amount,
+          computed_cost: pricing.computed_cost_amount
+        });
+      }
+
+      if (pricing.pricing_status === 'mismatch') {
+        console.warn(`⚠️  Cost mismatch for ${event.vendor}/${event.model} from agent ${event.agent_id}: reported $${pricing.reported_cost_amount}, computed $${pricing.computed_cost_amount}`);
+      }
+
+      if (pricing.computed_cost_amount !== null) {
+        event.cost_amount = pricing.cost_amount;
+      }
+
+      req.pricing.push(pricing);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Pricing error:', error);
+    res.status(500).json({ 
+      error: 'Failed to price usage event',
+      code: 'PRICING_ERROR'
+    });
+  }
+}
+
+module.exports = {
+  applyServerPricing
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const idSchema = Joi.string().guid().required();
+
+/**
+ * Middleware validating req.body against a Joi schema, answering 400 with the first error.
+ * req.body is replaced by the validated value (defaults applied, types converted), so the
+ * middleware after it, like pricing and budget reservation, only sees valid amounts.
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+// Whether a route parameter is not a valid UUID; routes answer 400 before querying with it
+function invalidId(id) {
+  return Boolean(idSchema.validate(id).error);
+}
+
+module.exports = {
+  validateBody,
+  invalidId
+};
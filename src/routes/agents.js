@@ -2,7 +2,20 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
-const { suspendAgent, reactivateAgent, getAgentSpendingStatus } = require('../middleware/agentBudget');
+const {
+  suspendAgent,
+  reactivateAgent,
+  getAgentSpendingStatus,
+  resolveBudgetLevel,
+  describeBudgetStatus
+} = require('../middleware/agentBudget');
+const { budgetSettingsSchema, formatPeriod } = require('../services/budget-periods');
+const { formatStages } = require('../services/budget-stages');
+const { getQuotaUtilization } = require('../services/usage-quotas');
+const { getAgentBaseline } = require('../services/agent-baselines');
+const { recordHeartbeat, getAgentHealth } = require('../services/agent-health');
+const { getBudgetSettings, updateBudgetSettings } = require('../services/budget-settings');
+const { requestBudgetApprovalIfRequired, approvalPendingBody } = require('../services/approvals');
 
 const router = express.Router();
 
@@ -22,48 +35,68 @@ const authenticateEither = (req, res, next) => {
 };
 
 // Validation schemas
-const setBudgetSchema = Joi.object({
-  monthly_cost_limit: Joi.number().positive().precision(2).allow(null).required()
+const statusQuerySchema = Joi.object({
+  customer_id: Joi.string().optional(),
+  api_key_id: Joi.string().guid().optional()
+});
+
+const heartbeatSchema = Joi.object({
+  status: Joi.string().max(255).optional(),
+  // Expected seconds until the agent's next heartbeat or usage
+  interval_seconds: Joi.number().integer().min(10).max(7 * 24 * 3600).optional()
+});
+
+const baselineQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(60)
 });
 
 const agentActionSchema = Joi.object({
   reason: Joi.string().max(500).optional()
 });
 
-// Get all agents for a user
+// Get all agents for a user, with each agent's spend in its current budget window
 router.get('/', authenticateEither, async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
+        a.id,
         a.agent_id,
         a.agent_name,
         a.description,
         a.is_suspended,
         a.monthly_cost_limit,
+        a.budget_period,
+        a.budget_period_hours,
+        a.budget_anchor_day,
+        a.budget_timezone,
+        a.budget_rollover_cap,
         a.created_at,
         a.updated_at,
         COALESCE(SUM(ue.cost_amount), 0) as total_cost,
-        COUNT(ue.id) as total_events,
-        COALESCE(SUM(CASE 
-          WHEN DATE_TRUNC('month', ue.event_timestamp) = DATE_TRUNC('month', CURRENT_DATE) 
-          THEN ue.cost_amount 
-          ELSE 0 
-        END), 0) as current_month_cost
+        COUNT(ue.id) as total_events
       FROM agents a
       LEFT JOIN usage_events ue ON a.id = ue.agent_id
       WHERE a.user_id = $1
-      GROUP BY a.id, a.agent_id, a.agent_name, a.description, a.is_suspended, a.monthly_cost_limit, a.created_at, a.updated_at
+      GROUP BY a.id
       ORDER BY a.created_at DESC
     `, [req.user.id]);
 
-    const agents = result.rows.map(agent => ({
-      ...agent,
-      total_cost: parseFloat(agent.total_cost),
-      current_month_cost: parseFloat(agent.current_month_cost),
-      utilization_percent: agent.monthly_cost_limit 
-        ? (parseFloat(agent.current_month_cost) / parseFloat(agent.monthly_cost_limit)) * 100
-        : null
-    }));
+    const agents = [];
+    for (const row of result.rows) {
+      const budgetLevel = await resolveBudgetLevel('agent', row.id, row.agent_id, row);
+      agents.push({
+        agent_id: row.agent_id,
+        agent_name: row.agent_name,
+        description: row.description,
+        is_suspended: row.is_suspended,
+        monthly_cost_limit: row.monthly_cost_limit,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        total_cost: parseFloat(row.total_cost),
+        total_events: row.total_events,
+        ...await describeBudgetStatus(budgetLevel)
+      });
+    }
 
     res.json({ agents });
   } catch (error) {
@@ -76,7 +109,15 @@ router.get('/', authenticateEither, async (req, res) => {
 router.get('/:agentId', authenticateEither, async (req, res) => {
   try {
     const { agentId } = req.params;
-    const status = await getAgentSpendingStatus(agentId, req.user.id);
+    const { error } = statusQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const status = await getAgentSpendingStatus(agentId, req.user.id, {
+      customerId: req.query.customer_id || null,
+      apiKeyId: req.query.api_key_id || req.apiKey?.id || null
+    });
     res.json(status);
   } catch (error) {
     if (error.message === 'Agent not found') {
@@ -87,11 +128,125 @@ router.get('/:agentId', authenticateEither, async (req, res) => {
   }
 });
 
-// Set monthly budget limit for an agent
+// Usage quotas that apply to an agent, with their utilization
+router.get('/:agentId/quotas', authenticateEither, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { error } = statusQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const agent = await db.query(
+      'SELECT id FROM agents WHERE agent_id = $1 AND user_id = $2',
+      [agentId, req.user.id]
+    );
+    if (agent.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    let customerUuid = null;
+    if (req.query.customer_id) {
+      const customer = await db.query(
+        'SELECT id FROM customers WHERE customer_id = $1 AND user_id = $2',
+        [req.query.customer_id, req.user.id]
+      );
+      customerUuid = customer.rows[0]?.id || null;
+    }
+
+    const quotas = await getQuotaUtilization(req.user.id, { agentUuid: agent.rows[0].id, customerUuid });
+    res.json({ agent_id: agentId, quotas });
+  } catch (error) {
+    console.error('Get agent quotas error:', error);
+    res.status(500).json({ error: 'Failed to get agent quotas' });
+  }
+});
+
+// Learned baseline of an agent's cost and request rates, with its latest anomaly scores
+router.get('/:agentId/baseline', authenticateEither, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { error, value } = baselineQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const agent = await db.query(
+      'SELECT id FROM agents WHERE agent_id = $1 AND user_id = $2',
+      [agentId, req.user.id]
+    );
+    if (agent.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const baseline = await getAgentBaseline(agent.rows[0].id, { limit: value.limit });
+    if (!baseline) {
+      return res.status(404).json({ error: 'No baseline yet: the agent has no monitored usage' });
+    }
+
+    res.json({ agent_id: agentId, ...baseline });
+  } catch (error) {
+    console.error('Get agent baseline error:', error);
+    res.status(500).json({ error: 'Failed to get agent baseline' });
+  }
+});
+
+// Liveness of an agent: last activity, whether it went silent and repeated identical requests
+router.get('/:agentId/health', authenticateEither, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+
+    const agent = await db.query(
+      'SELECT id FROM agents WHERE agent_id = $1 AND user_id = $2',
+      [agentId, req.user.id]
+    );
+    if (agent.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const health = await getAgentHealth(agent.rows[0].id);
+    res.json({ agent_id: agentId, ...health });
+  } catch (error) {
+    console.error('Get agent health error:', error);
+    res.status(500).json({ error: 'Failed to get agent health' });
+  }
+});
+
+// Report that an agent is alive, for agents that go a while without recording usage
+router.post('/:agentId/heartbeat', authenticateEither, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { error, value } = heartbeatSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const agent = await db.query(
+      'SELECT id FROM agents WHERE agent_id = $1 AND user_id = $2',
+      [agentId, req.user.id]
+    );
+    if (agent.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await recordHeartbeat(agent.rows[0].id, req.user.id, {
+      status: value.status,
+      intervalSeconds: value.interval_seconds
+    });
+
+    const health = await getAgentHealth(agent.rows[0].id);
+    res.json({ agent_id: agentId, ...health });
+  } catch (error) {
+    console.error('Record heartbeat error:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
+// Set budget limit and period for an agent
 router.patch('/:agentId/budget', authenticateEither, async (req, res) => {
   try {
     const { agentId } = req.params;
-    const { error, value } = setBudgetSchema.validate(req.body);
+    const { error, value } = budgetSettingsSchema.validate(req.body);
     
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
@@ -99,25 +254,32 @@ router.patch('/:agentId/budget', authenticateEither, async (req, res) => {
 
     const { monthly_cost_limit } = value;
 
-    const result = await db.query(`
-      UPDATE agents 
-      SET monthly_cost_limit = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE agent_id = $2 AND user_id = $3
-      RETURNING agent_id, agent_name, monthly_cost_limit
-    `, [monthly_cost_limit, agentId, req.user.id]);
+    const current = await getBudgetSettings('agent', req.user.id, agentId);
+    if (!current) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const approval = await requestBudgetApprovalIfRequired(
+      req.user.id, 'agent', agentId, current, value, `agent ${agentId}`
+    );
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
 
-    if (result.rows.length === 0) {
+    const agent = await updateBudgetSettings('agent', req.user.id, agentId, value);
+    if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
-    const agent = result.rows[0];
     console.log(`💰 Budget updated for agent ${agentId}: $${monthly_cost_limit || 'unlimited'}`);
 
     res.json({
       message: 'Budget limit updated successfully',
       agent_id: agent.agent_id,
       agent_name: agent.agent_name,
-      monthly_cost_limit: parseFloat(agent.monthly_cost_limit) || null
+      monthly_cost_limit: parseFloat(agent.monthly_cost_limit) || null,
+      ...formatPeriod(agent),
+      ...formatStages(agent)
     });
   } catch (error) {
     console.error('Set budget error:', error);
@@ -0,0 +1,302 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const { logKillSwitchEvent } = require('../services/kill-switch-actions');
+const {
+  APPROVAL_ACTIONS,
+  getOrgId,
+  getPolicy,
+  updatePolicy,
+  deletePolicy,
+  requestPolicyChangeApprovalIfRequired,
+  approvalPendingBody,
+  getApprovalRequest,
+  listApprovalRequests,
+  approveRequest,
+  rejectRequest,
+  formatApprovalRequest,
+  formatPolicy
+} = require('../services/approvals');
+
+const router = express.Router();
+
+// Middleware to allow both API key and JWT authentication
+const authenticateEither = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  if (authHeader.startsWith('Bearer ak_')) {
+    return authenticateApiKey(req, res, next);
+  } else {
+    return authenticateJWT(req, res, next);
+  }
+};
+
+// Validation schemas
+const createPolicySchema = Joi.object({
+  action: Joi.string().valid(...Object.keys(APPROVAL_ACTIONS)).required(),
+  min_budget_limit: Joi.number().positive().precision(2).allow(null).optional(),
+  auto_killed_only: Joi.boolean().default(false),
+  approval_window_minutes: Joi.number().integer().min(1).max(10080).default(60), // Max 1 week
+  is_active: Joi.boolean().default(true)
+});
+
+const updatePolicySchema = Joi.object({
+  min_budget_limit: Joi.number().positive().precision(2).allow(null).optional(),
+  auto_killed_only: Joi.boolean().optional(),
+  approval_window_minutes: Joi.number().integer().min(1).max(10080).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected', 'expired', 'failed').optional()
+});
+
+const decisionSchema = Joi.object({
+  reason: Joi.string().max(1000).optional()
+});
+
+// List the organization's approval policies
+router.get('/policies', authenticateEither, async (req, res) => {
+  try {
+    const orgId = await getOrgId(req.user.id);
+    const result = await db.query(
+      'SELECT * FROM approval_policies WHERE org_id = $1 ORDER BY action',
+      [orgId]
+    );
+
+    res.json({
+      policies: result.rows.map(formatPolicy),
+      available_actions: APPROVAL_ACTIONS
+    });
+  } catch (error) {
+    console.error('List approval policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval policies' });
+  }
+});
+
+// Put an action behind a second user's approval
+router.post('/policies', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = createPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const orgId = await getOrgId(req.user.id);
+    const result = await db.query(`
+      INSERT INTO approval_policies (
+        org_id, action, min_budget_limit, auto_killed_only, approval_window_minutes, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (org_id, action) DO NOTHING
+      RETURNING *
+    `, [
+      orgId,
+      value.action,
+      value.min_budget_limit ?? null,
+      value.auto_killed_only,
+      value.approval_window_minutes,
+      value.is_active,
+      req.user.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: `A policy for ${value.action} already exists`,
+        code: 'POLICY_EXISTS'
+      });
+    }
+
+    const policy = result.rows[0];
+    await logKillSwitchEvent('approval_policy_created', 'approval_policy', policy.id, req.user.id,
+      `Approval required for ${policy.action}`, 'manual', formatPolicy(policy));
+
+    console.log(`✋ Approval policy created for ${policy.action} (${policy.approval_window_minutes} min window)`);
+
+    res.status(201).json({
+      message: 'Approval policy created successfully',
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Create approval policy error:', error);
+    res.status(500).json({ error: 'Failed to create approval policy' });
+  }
+});
+
+// Change a policy's threshold, window or active flag.
+// An active policy is only changed once another user approves.
+router.patch('/policies/:policyId', authenticateJWT, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    if (invalidId(policyId)) {
+      return res.status(400).json({ error: 'Invalid policy id' });
+    }
+
+    const { error, value } = updatePolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const orgId = await getOrgId(req.user.id);
+    const current = await getPolicy(policyId, orgId);
+    if (!current) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    const approval = await requestPolicyChangeApprovalIfRequired(req.user.id, current, value);
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const policy = await updatePolicy(policyId, orgId, value, req.user.id);
+    if (!policy) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    res.json({
+      message: 'Approval policy updated successfully',
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Update approval policy error:', error);
+    res.status(500).json({ error: 'Failed to update approval policy' });
+  }
+});
+
+// Delete a policy; pending requests it created can still be decided.
+// An active policy is only deleted once another user approves.
+router.delete('/policies/:policyId', authenticateJWT, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    if (invalidId(policyId)) {
+      return res.status(400).json({ error: 'Invalid policy id' });
+    }
+
+    const orgId = await getOrgId(req.user.id);
+    const current = await getPolicy(policyId, orgId);
+    if (!current) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    const approval = await requestPolicyChangeApprovalIfRequired(req.user.id, current);
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const deleted = await deletePolicy(policyId, orgId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    res.json({ message: 'Approval policy deleted successfully', id: policyId });
+  } catch (error) {
+    console.error('Delete approval policy error:', error);
+    res.status(500).json({ error: 'Failed to delete approval policy' });
+  }
+});
+
+// List the organization's approval requests, newest first
+router.get('/', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const orgId = await getOrgId(req.user.id);
+    const requests = await listApprovalRequests(orgId, { status: value.status });
+
+    res.json({ approval_requests: requests.map(formatApprovalRequest) });
+  } catch (error) {
+    console.error('List approval requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval requests' });
+  }
+});
+
+// Get one approval request
+router.get('/:requestId', authenticateEither, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (invalidId(requestId)) {
+      return res.status(400).json({ error: 'Invalid approval request id' });
+    }
+
+    const orgId = await getOrgId(req.user.id);
+    const request = await getApprovalRequest(requestId, orgId);
+    if (!request) {
+      return res.status(404).json({ error: 'Approval request not found', code: 'APPROVAL_NOT_FOUND' });
+    }
+
+    res.json({ approval_request: formatApprovalRequest(request) });
+  } catch (error) {
+    console.error('Get approval request error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval request' });
+  }
+});
+
+// Approve a request made by another user of the organization; the action runs right away.
+// Decisions need a user login (JWT): an API key cannot approve or reject.
+router.post('/:requestId/approve', authenticateJWT, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (invalidId(requestId)) {
+      return res.status(400).json({ error: 'Invalid approval request id' });
+    }
+
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const outcome = await approveRequest(requestId, req.user.id, value.reason);
+    if (!outcome.request) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    const request = formatApprovalRequest(outcome.request);
+    res.json({
+      message: request.status === 'approved'
+        ? `Approved and executed: ${request.summary}`
+        : `Approved, but the action failed: ${request.result.error}`,
+      approval_request: request
+    });
+  } catch (error) {
+    console.error('Approve request error:', error);
+    res.status(500).json({ error: 'Failed to approve request' });
+  }
+});
+
+// Reject a request made by another user of the organization (JWT only, as for approvals)
+router.post('/:requestId/reject', authenticateJWT, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (invalidId(requestId)) {
+      return res.status(400).json({ error: 'Invalid approval request id' });
+    }
+
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const outcome = await rejectRequest(requestId, req.user.id, value.reason);
+    if (!outcome.request) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    res.json({
+      message: 'Approval request rejected',
+      approval_request: formatApprovalRequest(outcome.request)
+    });
+  } catch (error) {
+    console.error('Reject request error:', error);
+    res.status(500).json({ error: 'Failed to reject request' });
+  }
+});
+
+module.exports = router;
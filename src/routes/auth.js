@@ -5,6 +5,7 @@ const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateJWT } = require('../middleware/auth');
+const { LOOP_THRESHOLD_UNIT, DEFAULT_LOOP_TRIGGER } = require('../services/trigger-loops');
 
 const router = express.Router();
 
@@ -53,6 +54,16 @@ router.post('/register', async (req, res) => {
       [userId, 'Default Key', apiKey]
     );
     
+    // Create default loop detection trigger
+    await db.query(`
+      INSERT INTO kill_switch_triggers
+      (user_id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, loop_detection)
+      VALUES ($1, $2, 'infinite_loop', $3, $4, 'agent', $5)
+    `, [
+      userId, DEFAULT_LOOP_TRIGGER.trigger_name, DEFAULT_LOOP_TRIGGER.threshold_value,
+      LOOP_THRESHOLD_UNIT, DEFAULT_LOOP_TRIGGER.loop_detection
+    ]);
+    
     // Generate JWT
     const token = jwt.sign(
       { userId },
@@ -0,0 +1,410 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const {
+  getWindowSpendFromDatabase,
+  resolveLimit,
+  describeLimit,
+  describeWindow
+} = require('../middleware/agentBudget');
+const {
+  budgetSettingsSchema,
+  periodFromRow,
+  getBudgetWindow,
+  formatPeriod
+} = require('../services/budget-periods');
+const { formatStages } = require('../services/budget-stages');
+const {
+  resolveGrantTarget,
+  grantWindow,
+  applyGrant,
+  revokeGrant,
+  listGrants,
+  formatGrant
+} = require('../services/budget-grants');
+const { BUDGET_COLUMNS, getBudgetSettings, updateBudgetSettings } = require('../services/budget-settings');
+const {
+  requestBudgetApprovalIfRequired,
+  requestGrantApprovalIfRequired,
+  approvalPendingBody
+} = require('../services/approvals');
+
+const router = express.Router();
+
+// Middleware to allow both API key and JWT authentication
+const authenticateEither = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  if (authHeader.startsWith('Bearer ak_')) {
+    return authenticateApiKey(req, res, next);
+  } else {
+    return authenticateJWT(req, res, next);
+  }
+};
+
+const stageEventsQuerySchema = Joi.object({
+  level: Joi.string().valid('tenant', 'customer', 'api_key', 'agent').optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+const grantSchema = Joi.object({
+  level: Joi.string().valid('tenant', 'customer', 'api_key', 'agent').required(),
+  id: Joi.string().when('level', { is: 'tenant', then: Joi.forbidden(), otherwise: Joi.required() }),
+  amount: Joi.number().positive().precision(2).required(),
+  starts_at: Joi.date().iso().optional(),
+  expires_at: Joi.date().iso().greater('now'),
+  duration_hours: Joi.number().positive().max(24 * 366),
+  reason: Joi.string().max(1000).optional(),
+  reactivate_agent: Joi.boolean().default(false)
+}).xor('expires_at', 'duration_hours');
+
+const grantsQuerySchema = Joi.object({
+  level: Joi.string().valid('tenant', 'customer', 'api_key', 'agent').optional(),
+  include_inactive: Joi.boolean().default(false)
+});
+
+// Helper function to format a budget level with its spend in the current budget window
+async function formatBudget(level, uuid, id, name, row) {
+  const period = periodFromRow(row);
+  const window = getBudgetWindow(period);
+  const limits = await resolveLimit(level, uuid, row, period, window);
+  const { limit } = limits;
+  const spend = await getWindowSpendFromDatabase(level, uuid, window);
+
+  return {
+    level,
+    id,
+    name,
+    ...describeLimit(limits),
+    ...describeWindow({ period, window }),
+    current_spend: spend,
+    utilization_percent: limit ? (spend / limit) * 100 : null,
+    ...formatStages(row)
+  };
+}
+
+// List every budget in the hierarchy: tenant, customers, API keys and agents with a limit
+router.get('/', authenticateEither, async (req, res) => {
+  try {
+    const tenant = await db.query(`
+      SELECT company_name, monthly_cost_limit, ${BUDGET_COLUMNS} FROM users WHERE id = $1
+    `, [req.user.id]);
+
+    const customers = await db.query(`
+      SELECT id, customer_id, customer_name, monthly_cost_limit, ${BUDGET_COLUMNS}
+      FROM customers
+      WHERE user_id = $1 AND monthly_cost_limit IS NOT NULL
+      ORDER BY customer_id
+    `, [req.user.id]);
+
+    const apiKeys = await db.query(`
+      SELECT id, key_name, monthly_cost_limit, ${BUDGET_COLUMNS}
+      FROM api_keys
+      WHERE user_id = $1 AND monthly_cost_limit IS NOT NULL
+      ORDER BY key_name
+    `, [req.user.id]);
+
+    const agents = await db.query(`
+      SELECT id, agent_id, agent_name, monthly_cost_limit, ${BUDGET_COLUMNS}
+      FROM agents
+      WHERE user_id = $1 AND monthly_cost_limit IS NOT NULL
+      ORDER BY agent_id
+    `, [req.user.id]);
+
+    const tenantRow = tenant.rows[0];
+
+    res.json({
+      tenant: await formatBudget('tenant', req.user.id, req.user.id, tenantRow.company_name, tenantRow),
+      customers: await Promise.all(customers.rows.map(row =>
+        formatBudget('customer', row.id, row.customer_id, row.customer_name, row))),
+      api_keys: await Promise.all(apiKeys.rows.map(row =>
+        formatBudget('api_key', row.id, row.id, row.key_name, row))),
+      agents: await Promise.all(agents.rows.map(row =>
+        formatBudget('agent', row.id, row.agent_id, row.agent_name, row)))
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+// Budget stages reached by this tenant's budgets, newest first
+router.get('/stage-events', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = stageEventsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const params = [req.user.id, value.limit];
+    let levelFilter = '';
+    if (value.level) {
+      params.push(value.level);
+      levelFilter = `AND bse.level = $${params.length}`;
+    }
+
+    const result = await db.query(`
+      SELECT bse.*, a.agent_id as agent_external_id
+      FROM budget_stage_events bse
+      LEFT JOIN agents a ON bse.agent_id = a.id
+      WHERE bse.user_id = $1 ${levelFilter}
+      ORDER BY bse.created_at DESC
+      LIMIT $2
+    `, params);
+
+    res.json({
+      stage_events: result.rows.map(row => ({
+        id: row.id,
+        level: row.level,
+        budget_id: row.level_label,
+        window_key: row.window_key,
+        window_start: row.window_start,
+        percent: row.threshold_percent,
+        action: row.action,
+        spend: parseFloat(row.spend),
+        limit: parseFloat(row.budget_limit),
+        agent_id: row.agent_external_id,
+        created_at: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get budget stage events error:', error);
+    res.status(500).json({ error: 'Failed to fetch budget stage events' });
+  }
+});
+
+// Grant a time-boxed budget increase, e.g. +$50 until Friday
+router.post('/grants', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = grantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.level === 'api_key' && invalidId(value.id)) {
+      return res.status(400).json({ error: 'Invalid API key id' });
+    }
+
+    const { startsAt, expiresAt } = grantWindow(value);
+    if (expiresAt <= startsAt) {
+      return res.status(400).json({ error: '"expires_at" must be after "starts_at"' });
+    }
+
+    const target = await resolveGrantTarget(req.user.id, value.level, value.id);
+    if (!target) {
+      return res.status(404).json({ error: `${value.level === 'api_key' ? 'API key' : value.level[0].toUpperCase() + value.level.slice(1)} not found` });
+    }
+
+    const grantedBy = req.apiKey ? `api_key:${req.apiKey.name}` : req.user.email;
+    const current = await getBudgetSettings(value.level, req.user.id, value.id);
+    const approval = await requestGrantApprovalIfRequired(req.user.id, value.level, value.id || null, current, {
+      amount: value.amount,
+      reason: value.reason || null,
+      starts_at: value.starts_at || null,
+      expires_at: value.expires_at || null,
+      duration_hours: value.duration_hours || null,
+      reactivate_agent: value.reactivate_agent,
+      granted_by: grantedBy,
+      granted_by_api_key_id: req.apiKey?.id || null
+    }, `${value.level === 'api_key' ? 'API key' : value.level} ${target.label}`);
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const { grant, agentReactivated } = await applyGrant(req.user.id, value.level, target, {
+      amount: value.amount,
+      reason: value.reason,
+      startsAt,
+      expiresAt,
+      grantedBy,
+      grantedByApiKeyId: req.apiKey?.id,
+      reactivateAgent: value.reactivate_agent
+    });
+
+    res.status(201).json({
+      message: 'Budget grant created successfully',
+      grant: formatGrant(grant),
+      ...(value.level === 'agent' && { agent_reactivated: agentReactivated })
+    });
+  } catch (error) {
+    console.error('Create budget grant error:', error);
+    res.status(500).json({ error: 'Failed to create budget grant' });
+  }
+});
+
+// List budget grants (active and scheduled ones unless include_inactive is set)
+router.get('/grants', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = grantsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const grants = await listGrants(req.user.id, {
+      level: value.level,
+      includeInactive: value.include_inactive
+    });
+
+    res.json({ grants: grants.map(formatGrant) });
+  } catch (error) {
+    console.error('List budget grants error:', error);
+    res.status(500).json({ error: 'Failed to fetch budget grants' });
+  }
+});
+
+// Revoke a grant before it expires (the grant is kept for the audit trail)
+router.delete('/grants/:grantId', authenticateEither, async (req, res) => {
+  try {
+    const { grantId } = req.params;
+    if (invalidId(grantId)) {
+      return res.status(400).json({ error: 'Invalid grant id' });
+    }
+
+    const revokedBy = req.apiKey ? `api_key:${req.apiKey.name}` : req.user.email;
+    const grant = await revokeGrant(grantId, req.user.id, revokedBy);
+    if (!grant) {
+      return res.status(404).json({ error: 'Active budget grant not found' });
+    }
+
+    console.log(`🎁 Budget grant ${grantId} revoked by ${revokedBy}`);
+
+    res.json({
+      message: 'Budget grant revoked successfully',
+      grant: formatGrant(grant)
+    });
+  } catch (error) {
+    console.error('Revoke budget grant error:', error);
+    res.status(500).json({ error: 'Failed to revoke budget grant' });
+  }
+});
+
+// Set the tenant-wide budget limit and period
+router.patch('/tenant', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = budgetSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { monthly_cost_limit } = value;
+
+    const current = await getBudgetSettings('tenant', req.user.id);
+    const approval = await requestBudgetApprovalIfRequired(req.user.id, 'tenant', null, current, value, 'tenant');
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const tenant = await updateBudgetSettings('tenant', req.user.id, null, value);
+    console.log(`💰 Tenant budget updated for user ${req.user.id}: $${monthly_cost_limit || 'unlimited'} (${tenant.budget_period})`);
+
+    res.json({
+      message: 'Tenant budget limit updated successfully',
+      monthly_cost_limit: parseFloat(tenant.monthly_cost_limit) || null,
+      ...formatPeriod(tenant),
+      ...formatStages(tenant)
+    });
+  } catch (error) {
+    console.error('Set tenant budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget limit' });
+  }
+});
+
+// Set the budget limit and period for an end customer
+router.patch('/customers/:customerId', authenticateEither, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { error, value } = budgetSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { monthly_cost_limit } = value;
+
+    const current = await getBudgetSettings('customer', req.user.id, customerId);
+    if (!current) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const approval = await requestBudgetApprovalIfRequired(
+      req.user.id, 'customer', customerId, current, value, `customer ${customerId}`
+    );
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const customer = await updateBudgetSettings('customer', req.user.id, customerId, value);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    console.log(`💰 Budget updated for customer ${customerId}: $${monthly_cost_limit || 'unlimited'}`);
+
+    res.json({
+      message: 'Customer budget limit updated successfully',
+      customer_id: customer.customer_id,
+      customer_name: customer.customer_name,
+      monthly_cost_limit: parseFloat(customer.monthly_cost_limit) || null,
+      ...formatPeriod(customer),
+      ...formatStages(customer)
+    });
+  } catch (error) {
+    console.error('Set customer budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget limit' });
+  }
+});
+
+// Set the budget limit and period for an API key
+router.patch('/api-keys/:keyId', authenticateEither, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const { error, value } = budgetSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (invalidId(keyId)) {
+      return res.status(400).json({ error: 'Invalid API key id' });
+    }
+
+    const { monthly_cost_limit } = value;
+
+    const current = await getBudgetSettings('api_key', req.user.id, keyId);
+    if (!current) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const approval = await requestBudgetApprovalIfRequired(
+      req.user.id, 'api_key', keyId, current, value, `API key ${current.key_name}`
+    );
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const apiKey = await updateBudgetSettings('api_key', req.user.id, keyId, value);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    console.log(`💰 Budget updated for API key ${apiKey.key_name}: $${monthly_cost_limit || 'unlimited'}`);
+
+    res.json({
+      message: 'API key budget limit updated successfully',
+      api_key_id: apiKey.id,
+      key_name: apiKey.key_name,
+      monthly_cost_limit: parseFloat(apiKey.monthly_cost_limit) || null,
+      ...formatPeriod(apiKey),
+      ...formatStages(apiKey)
+    });
+  } catch (error) {
+    console.error('Set API key budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget limit' });
+  }
+});
+
+module.exports = router;
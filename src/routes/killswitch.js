@@ -2,6 +2,28 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const {
+  logKillSwitchEvent,
+  emergencyStopAll,
+  disableEmergencyStop,
+  killCustomer,
+  reviveAgent
+} = require('../services/kill-switch-actions');
+const { requestApprovalIfRequired, approvalPendingBody } = require('../services/approvals');
+const { escalationKeys, formatEscalationSettings, getShadowReport } = require('../services/trigger-escalation');
+const { TRIGGER_TYPES } = require('../services/trigger-evaluators');
+const { RULE_THRESHOLD, ruleSchema } = require('../services/trigger-rules');
+const { BASELINE_METRICS } = require('../services/agent-baselines');
+const { LOOP_THRESHOLD_UNIT, loopDetectionSchema } = require('../services/trigger-loops');
+const {
+  BACKTEST_MAX_DAYS,
+  BACKTEST_MAX_EVALUATIONS,
+  BACKTEST_STATEMENT_TIMEOUT_MS,
+  QUERY_CANCELED,
+  backtestTrigger
+} = require('../services/trigger-backtest');
+const { invalidateRealtimeTriggers } = require('../services/realtime-enforcer');
 
 const router = express.Router();
 
@@ -37,31 +59,162 @@ const emergencyStopSchema = Joi.object({
   confirm: Joi.boolean().valid(true).required() // Safety confirmation
 });
 
+const THRESHOLD_UNITS = ['per_minute', 'per_hour', 'per_day', 'percentage'];
+
+// Trigger types whose threshold has a unit of its own
+const FIXED_THRESHOLD_UNITS = {
+  anomaly: 'stddev',
+  infinite_loop: LOOP_THRESHOLD_UNIT
+};
+
+// Trigger types that measure agents one by one (baselines and request sequences are per agent)
+const AGENT_ONLY_TYPES = ['anomaly', 'infinite_loop'];
+
 const triggerSchema = Joi.object({
   trigger_name: Joi.string().required().max(100),
-  trigger_type: Joi.string().valid(
-    'spend_rate', 'total_daily_spend', 'error_rate', 
-    'infinite_loop', 'requests_per_minute', 'cost_acceleration'
-  ).required(),
-  threshold_value: Joi.number().positive().required(),
-  threshold_unit: Joi.string().valid(
-    'per_minute', 'per_hour', 'per_day', 'percentage'
-  ).required(),
-  target_scope: Joi.string().valid('global', 'customer', 'agent').default('agent'),
+  // Only types the monitor can evaluate, so a trigger never silently stays idle
+  trigger_type: Joi.string().valid(...TRIGGER_TYPES).required(),
+  // A rule trigger has a rule instead of a threshold; an anomaly trigger's threshold is
+  // in standard deviations above the agent's baseline and a loop trigger's in repeats
+  threshold_value: Joi.number().positive().when('trigger_type', {
+    is: 'rule',
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
+  threshold_unit: Joi.when('trigger_type', {
+    switch: [
+      { is: 'rule', then: Joi.forbidden() },
+      ...Object.entries(FIXED_THRESHOLD_UNITS).map(([type, unit]) => ({
+        is: type,
+        then: Joi.string().valid(unit).default(unit)
+      }))
+    ],
+    otherwise: Joi.string().valid(...THRESHOLD_UNITS).required()
+  }),
+  rule: Joi.when('trigger_type', {
+    is: 'rule',
+    then: ruleSchema.required(),
+    otherwise: Joi.forbidden()
+  }),
+  baseline_metric: Joi.when('trigger_type', {
+    is: 'anomaly',
+    then: Joi.string().valid(...Object.keys(BASELINE_METRICS)).default('cost_per_minute'),
+    otherwise: Joi.forbidden()
+  }),
+  loop_detection: Joi.when('trigger_type', {
+    is: 'infinite_loop',
+    then: loopDetectionSchema.default(),
+    otherwise: Joi.forbidden()
+  }),
+  // 'agent' measures each agent, 'customer' each customer across its agents, 'global' the whole tenant
+  target_scope: Joi.when('trigger_type', {
+    is: Joi.valid(...AGENT_ONLY_TYPES),
+    then: Joi.string().valid('agent').default('agent'),
+    otherwise: Joi.string().valid('global', 'customer', 'agent').default('agent')
+  }),
+  // Limit the trigger to one agent or one customer (external ids)
+  target_agent_id: Joi.string().max(255).when('target_scope', {
+    is: 'agent',
+    then: Joi.allow(null).default(null),
+    otherwise: Joi.forbidden()
+  }),
+  target_customer_id: Joi.string().max(255).when('target_scope', {
+    is: 'global',
+    then: Joi.forbidden(),
+    otherwise: Joi.allow(null).default(null)
+  }).when('trigger_type', { is: 'anomaly', then: Joi.forbidden() }),
   is_active: Joi.boolean().default(true),
-  metadata: Joi.object().default({})
+  metadata: Joi.object().default({}),
+  mode: escalationKeys.mode.default('enforce'),
+  escalation_ladder: escalationKeys.escalation_ladder.default(null),
+  escalation_window_minutes: escalationKeys.escalation_window_minutes.default(60),
+  auto_revive: escalationKeys.auto_revive.default(false),
+  revive_cooldown_minutes: escalationKeys.revive_cooldown_minutes.default(30)
 });
 
-// Helper function to log kill switch events
-async function logKillSwitchEvent(eventType, targetType, targetId, userId, reason, triggeredBy = 'manual', metadata = {}) {
-  await db.query(`
-    INSERT INTO kill_switch_events 
-    (event_type, target_type, target_id, user_id, triggered_by, reason, metadata)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
-  `, [eventType, targetType, targetId, userId, triggeredBy, reason, metadata]);
+const updateTriggerSchema = Joi.object({
+  trigger_name: Joi.string().max(100),
+  threshold_value: Joi.number().positive(),
+  threshold_unit: Joi.string().valid(...THRESHOLD_UNITS, ...Object.values(FIXED_THRESHOLD_UNITS)),
+  rule: ruleSchema,
+  baseline_metric: Joi.string().valid(...Object.keys(BASELINE_METRICS)),
+  loop_detection: loopDetectionSchema,
+  is_active: Joi.boolean(),
+  metadata: Joi.object(),
+  ...escalationKeys
+});
+
+// Resolve the external agent and customer ids a trigger is limited to.
+// Returns { agentUuid, customerUuid }, or { error } when one of them does not exist.
+async function resolveTriggerTargets(userId, agentId, customerId) {
+  const targets = { agentUuid: null, customerUuid: null };
+
+  if (agentId) {
+    const agent = await db.query('SELECT id FROM agents WHERE user_id = $1 AND agent_id = $2', [userId, agentId]);
+    if (agent.rows.length === 0) {
+      return { error: 'Agent not found' };
+    }
+    targets.agentUuid = agent.rows[0].id;
+  }
+
+  if (customerId) {
+    const customer = await db.query('SELECT id FROM customers WHERE user_id = $1 AND customer_id = $2', [userId, customerId]);
+    if (customer.rows.length === 0) {
+      return { error: 'Customer not found' };
+    }
+    targets.customerUuid = customer.rows[0].id;
+  }
+
+  return targets;
 }
 
-// 🚨 EMERGENCY STOP ALL - Nuclear Option
+// The first agent of a loop trigger's agent_overrides that does not exist, if any
+async function unknownOverrideAgent(userId, loopDetection) {
+  const agentIds = Object.keys((loopDetection && loopDetection.agent_overrides) || {});
+  if (agentIds.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    'SELECT agent_id FROM agents WHERE user_id = $1 AND agent_id = ANY($2::text[])',
+    [userId, agentIds]
+  );
+  const known = new Set(result.rows.map(row => row.agent_id));
+  return agentIds.find(agentId => !known.has(agentId)) || null;
+}
+
+// A trigger definition as for POST /triggers, and the range to replay it over
+const backtestSchema = triggerSchema.keys({
+  trigger_name: Joi.string().max(100).default('Backtest'),
+  from: Joi.date().iso(), // Defaults to 7 days before `to`
+  to: Joi.date().iso(), // Defaults to now
+  step_minutes: Joi.number().integer().min(1).max(1440) // Defaults to 5, or the smallest step that fits the range
+});
+
+const shadowReportQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(7)
+});
+
+// Middleware to restrict the platform-wide stop to platform operators (after authenticateJWT)
+const requirePlatformOperator = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT is_platform_operator FROM users WHERE id = $1', [req.user.id]);
+
+    if (!result.rows[0]?.is_platform_operator) {
+      return res.status(403).json({
+        error: 'Platform operator privileges required',
+        code: 'PLATFORM_OPERATOR_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Platform operator check error:', error);
+    res.status(500).json({ error: 'Failed to verify operator privileges' });
+  }
+};
+
+// 🚨 EMERGENCY STOP ALL - Nuclear Option (this tenant's agents only)
 router.post('/emergency-stop-all', authenticateEither, async (req, res) => {
   try {
     const { error, value } = emergencyStopSchema.validate(req.body);
@@ -77,41 +230,93 @@ router.post('/emergency-stop-all', authenticateEither, async (req, res) => {
       });
     }
 
+    const approval = await requestApprovalIfRequired(req.user.id, 'emergency_stop_all', {
+      payload: { reason },
+      summary: `Emergency stop of all agents: ${reason}`
+    });
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
     console.log(`🚨 EMERGENCY STOP ALL initiated by user ${req.user.id}: ${reason}`);
 
-    // Set global emergency stop
+    // Set this tenant's emergency stop and kill all of its agents
+    const { agents_killed } = await emergencyStopAll(req.user.id, reason);
+
+    res.json({
+      message: 'EMERGENCY STOP ACTIVATED - All agents have been terminated',
+      scope: 'tenant',
+      agents_killed,
+      stopped_at: new Date().toISOString(),
+      reason: reason
+    });
+
+  } catch (error) {
+    console.error('Emergency stop error:', error);
+    res.status(500).json({ error: 'Failed to execute emergency stop' });
+  }
+});
+
+// Disable this tenant's emergency stop
+router.post('/emergency-stop-disable', authenticateEither, async (req, res) => {
+  try {
+    const approval = await requestApprovalIfRequired(req.user.id, 'emergency_stop_disable', {
+      summary: 'Disable the emergency stop'
+    });
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    console.log(`🔓 Emergency stop disabled by user ${req.user.id}`);
+
+    await disableEmergencyStop(req.user.id);
+
+    res.json({ message: 'Emergency stop has been disabled. Agents can be individually revived.' });
+
+  } catch (error) {
+    console.error('Emergency stop disable error:', error);
+    res.status(500).json({ error: 'Failed to disable emergency stop' });
+  }
+});
+
+// 🚨 PLATFORM EMERGENCY STOP - blocks every tenant's agents while set
+// Agents are refused, not killed, so clearing the stop restores each tenant as it was
+router.post('/platform/emergency-stop', authenticateJWT, requirePlatformOperator, async (req, res) => {
+  try {
+    const { error, value } = emergencyStopSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { reason } = value;
+
+    console.log(`🚨 PLATFORM EMERGENCY STOP initiated by operator ${req.user.id}: ${reason}`);
+
     await db.query(`
       UPDATE global_kill_switch 
       SET is_emergency_stopped = true, stopped_at = NOW(), stopped_by = $1, stop_reason = $2
       WHERE id = 1
     `, [req.user.id, reason]);
 
-    // Kill all agents globally
-    await db.query(`
-      UPDATE agents 
-      SET status = 'killed', killed_at = NOW(), killed_by = $1, kill_reason = $2
-      WHERE status != 'killed'
-    `, [req.user.id, `Emergency stop: ${reason}`]);
-
-    // Log the event
-    await logKillSwitchEvent('emergency_stop_all', 'global', null, req.user.id, reason, 'manual');
+    await logKillSwitchEvent('platform_emergency_stop', 'platform', null, req.user.id, reason, 'manual');
 
     res.json({
-      message: 'EMERGENCY STOP ACTIVATED - All agents have been terminated',
+      message: 'PLATFORM EMERGENCY STOP ACTIVATED - Agents of every tenant are blocked',
+      scope: 'platform',
       stopped_at: new Date().toISOString(),
       reason: reason
     });
 
   } catch (error) {
-    console.error('Emergency stop error:', error);
-    res.status(500).json({ error: 'Failed to execute emergency stop' });
+    console.error('Platform emergency stop error:', error);
+    res.status(500).json({ error: 'Failed to execute platform emergency stop' });
   }
 });
 
-// Disable emergency stop
-router.post('/emergency-stop-disable', authenticateEither, async (req, res) => {
+// Disable the platform emergency stop
+router.post('/platform/emergency-stop-disable', authenticateJWT, requirePlatformOperator, async (req, res) => {
   try {
-    console.log(`🔓 Emergency stop disabled by user ${req.user.id}`);
+    console.log(`🔓 Platform emergency stop disabled by operator ${req.user.id}`);
 
     await db.query(`
       UPDATE global_kill_switch 
@@ -119,13 +324,13 @@ router.post('/emergency-stop-disable', authenticateEither, async (req, res) => {
       WHERE id = 1
     `);
 
-    await logKillSwitchEvent('emergency_stop_disabled', 'global', null, req.user.id, 'Emergency stop disabled', 'manual');
+    await logKillSwitchEvent('platform_emergency_stop_disabled', 'platform', null, req.user.id, 'Platform emergency stop disabled', 'manual');
 
-    res.json({ message: 'Emergency stop has been disabled. Agents can be individually revived.' });
+    res.json({ message: 'Platform emergency stop has been disabled. Tenant stops and killed agents are unchanged.' });
 
   } catch (error) {
-    console.error('Emergency stop disable error:', error);
-    res.status(500).json({ error: 'Failed to disable emergency stop' });
+    console.error('Platform emergency stop disable error:', error);
+    res.status(500).json({ error: 'Failed to disable platform emergency stop' });
   }
 });
 
@@ -140,7 +345,6 @@ router.post('/kill-customer/:customerId', authenticateEither, async (req, res) =
     const { customerId } = req.params;
     const { reason, metadata } = value;
 
-    // Get customer UUID
     const customerResult = await db.query(
       'SELECT id FROM customers WHERE user_id = $1 AND customer_id = $2',
       [req.user.id, customerId]
@@ -150,25 +354,20 @@ router.post('/kill-customer/:customerId', authenticateEither, async (req, res) =
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const customerUuid = customerResult.rows[0].id;
+    const approval = await requestApprovalIfRequired(req.user.id, 'kill_customer', {
+      payload: { customer_id: customerId, reason, metadata },
+      summary: `Kill all agents of customer ${customerId}: ${reason}`
+    });
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
 
     // Kill all agents for this customer
-    const result = await db.query(`
-      UPDATE agents 
-      SET status = 'killed', killed_at = NOW(), killed_by = $1, kill_reason = $2
-      WHERE user_id = $1 AND id IN (
-        SELECT a.id FROM agents a 
-        JOIN customers c ON a.user_id = c.user_id
-        WHERE c.id = $3 AND a.status != 'killed'
-      )
-      RETURNING agent_id
-    `, [req.user.id, reason, customerUuid]);
-
-    await logKillSwitchEvent('kill_customer', 'customer', customerId, req.user.id, reason, 'manual', metadata);
+    const { killed_agents } = await killCustomer(req.user.id, customerId, reason, metadata);
 
     res.json({
-      message: `Killed ${result.rows.length} agents for customer ${customerId}`,
-      killed_agents: result.rows.map(r => r.agent_id),
+      message: `Killed ${killed_agents.length} agents for customer ${customerId}`,
+      killed_agents,
       reason: reason
     });
 
@@ -262,22 +461,35 @@ router.post('/revive-agent/:agentId', authenticateEither, async (req, res) => {
     const { agentId } = req.params;
     const { reason = 'Manual revival' } = req.body;
 
-    const result = await db.query(`
-      UPDATE agents 
-      SET status = 'active', pause_until = NULL, kill_reason = NULL, killed_at = NULL, killed_by = NULL
+    // Agents killed by an automatic trigger have no killed_by
+    const agentResult = await db.query(`
+      SELECT status = 'killed' AND killed_by IS NULL as auto_killed
+      FROM agents
       WHERE user_id = $1 AND agent_id = $2 AND status IN ('killed', 'paused')
-      RETURNING id, agent_name
     `, [req.user.id, agentId]);
 
-    if (result.rows.length === 0) {
+    if (agentResult.rows.length === 0) {
       return res.status(404).json({ error: 'Agent not found or already active' });
     }
 
-    await logKillSwitchEvent('revive_agent', 'agent', agentId, req.user.id, reason, 'manual');
+    const approval = await requestApprovalIfRequired(req.user.id, 'revive_agent', {
+      payload: { agent_id: agentId, reason },
+      summary: `Revive agent ${agentId}: ${reason}`,
+      context: { autoKilled: agentResult.rows[0].auto_killed }
+    });
+    if (approval) {
+      return res.status(202).json(approvalPendingBody(approval));
+    }
+
+    const revived = await reviveAgent(req.user.id, agentId, reason);
+
+    if (!revived) {
+      return res.status(404).json({ error: 'Agent not found or already active' });
+    }
 
     res.json({
       message: `Agent ${agentId} has been revived`,
-      agent_name: result.rows[0].agent_name
+      agent_name: revived.agent_name
     });
 
   } catch (error) {
@@ -289,9 +501,11 @@ router.post('/revive-agent/:agentId', authenticateEither, async (req, res) => {
 // Get kill switch status
 router.get('/status', authenticateEither, async (req, res) => {
   try {
-    // Get global emergency stop status
-    const globalResult = await db.query('SELECT * FROM global_kill_switch WHERE id = 1');
-    const globalStatus = globalResult.rows[0];
+    // Get this tenant's and the platform's emergency stop status
+    const tenantResult = await db.query('SELECT * FROM tenant_kill_switch WHERE user_id = $1', [req.user.id]);
+    const tenantStatus = tenantResult.rows[0] || {};
+    const platformResult = await db.query('SELECT * FROM global_kill_switch WHERE id = 1');
+    const platformStatus = platformResult.rows[0];
 
     // Get agent statuses for this user
     const agentResult = await db.query(`
@@ -317,10 +531,15 @@ router.get('/status', authenticateEither, async (req, res) => {
     `, [req.user.id]);
 
     res.json({
-      global_emergency_stop: {
-        is_active: globalStatus.is_emergency_stopped,
-        stopped_at: globalStatus.stopped_at,
-        reason: globalStatus.stop_reason
+      tenant_emergency_stop: {
+        is_active: tenantStatus.is_emergency_stopped || false,
+        stopped_at: tenantStatus.stopped_at || null,
+        reason: tenantStatus.stop_reason || null
+      },
+      platform_emergency_stop: {
+        is_active: platformStatus.is_emergency_stopped,
+        stopped_at: platformStatus.stopped_at,
+        reason: platformStatus.stop_reason
       },
       agents: agentResult.rows,
       recent_events: eventsResult.rows
@@ -384,16 +603,45 @@ router.post('/triggers', authenticateEither, async (req, res) => {
       threshold_value,
       threshold_unit,
       target_scope,
+      target_agent_id,
+      target_customer_id,
       is_active,
-      metadata
+      metadata,
+      mode,
+      rule,
+      baseline_metric,
+      loop_detection,
+      escalation_ladder,
+      escalation_window_minutes,
+      auto_revive,
+      revive_cooldown_minutes
     } = value;
 
+    const targets = await resolveTriggerTargets(req.user.id, target_agent_id, target_customer_id);
+    if (targets.error) {
+      return res.status(404).json({ error: targets.error });
+    }
+
+    const unknownAgent = await unknownOverrideAgent(req.user.id, loop_detection);
+    if (unknownAgent) {
+      return res.status(404).json({ error: `Agent ${unknownAgent} in agent_overrides not found` });
+    }
+
     const result = await db.query(`
       INSERT INTO kill_switch_triggers 
-      (user_id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, is_active, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      (user_id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, is_active, metadata,
+       escalation_ladder, escalation_window_minutes, auto_revive, revive_cooldown_minutes,
+       target_agent_id, target_customer_id, mode, rule, baseline_metric, loop_detection)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       RETURNING id, created_at
-    `, [req.user.id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, is_active, metadata]);
+    `, [
+      req.user.id, trigger_name, trigger_type, rule ? RULE_THRESHOLD : threshold_value, threshold_unit || null,
+      target_scope, is_active, metadata,
+      escalation_ladder && JSON.stringify(escalation_ladder), escalation_window_minutes, auto_revive, revive_cooldown_minutes,
+      targets.agentUuid, targets.customerUuid, mode, rule || null, baseline_metric || null,
+      loop_detection || null
+    ]);
+    invalidateRealtimeTriggers(req.user.id);
 
     res.status(201).json({
       message: 'Kill switch trigger created successfully',
@@ -411,15 +659,19 @@ router.post('/triggers', authenticateEither, async (req, res) => {
 router.get('/triggers', authenticateEither, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT id, trigger_name, trigger_type, threshold_value, threshold_unit, 
-             target_scope, is_active, metadata, created_at, updated_at
-      FROM kill_switch_triggers 
-      WHERE user_id = $1 
-      ORDER BY created_at DESC
+      SELECT t.id, t.trigger_name, t.trigger_type, t.threshold_value, t.threshold_unit, t.rule, t.baseline_metric, t.loop_detection,
+             t.target_scope, a.agent_id as target_agent_id, c.customer_id as target_customer_id,
+             t.is_active, t.metadata, t.created_at, t.updated_at, t.mode,
+             t.escalation_ladder, t.escalation_window_minutes, t.auto_revive, t.revive_cooldown_minutes
+      FROM kill_switch_triggers t
+      LEFT JOIN agents a ON t.target_agent_id = a.id
+      LEFT JOIN customers c ON t.target_customer_id = c.id
+      WHERE t.user_id = $1 
+      ORDER BY t.created_at DESC
     `, [req.user.id]);
 
     res.json({
-      triggers: result.rows
+      triggers: result.rows.map(trigger => ({ ...trigger, ...formatEscalationSettings(trigger) }))
     });
 
   } catch (error) {
@@ -432,19 +684,62 @@ router.get('/triggers', authenticateEither, async (req, res) => {
 router.put('/triggers/:triggerId', authenticateEither, async (req, res) => {
   try {
     const { triggerId } = req.params;
-    const allowedUpdates = ['trigger_name', 'threshold_value', 'threshold_unit', 'is_active', 'metadata'];
-    const updates = {};
-    
-    for (const field of allowedUpdates) {
-      if (req.body[field] !== undefined) {
-        updates[field] = req.body[field];
-      }
+    const { error, value } = updateTriggerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const updates = { ...value };
+    if (updates.escalation_ladder) {
+      updates.escalation_ladder = JSON.stringify(updates.escalation_ladder);
     }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
+    // Rule triggers take a rule and the others a threshold; baseline metrics and loop
+    // settings only apply to anomaly and loop triggers
+    const hasThreshold = updates.threshold_value !== undefined || updates.threshold_unit !== undefined;
+    if (updates.rule || hasThreshold || updates.baseline_metric || updates.loop_detection) {
+      const existing = await db.query(
+        'SELECT trigger_type FROM kill_switch_triggers WHERE user_id = $1 AND id = $2',
+        [req.user.id, triggerId]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Trigger not found' });
+      }
+
+      const triggerType = existing.rows[0].trigger_type;
+      const isRule = triggerType === 'rule';
+      if (updates.rule && !isRule) {
+        return res.status(400).json({ error: '"rule" can only be set on rule triggers' });
+      }
+      if (hasThreshold && isRule) {
+        return res.status(400).json({ error: 'Rule triggers have no threshold_value or threshold_unit' });
+      }
+      if (updates.baseline_metric && triggerType !== 'anomaly') {
+        return res.status(400).json({ error: '"baseline_metric" can only be set on anomaly triggers' });
+      }
+      if (updates.loop_detection && triggerType !== 'infinite_loop') {
+        return res.status(400).json({ error: '"loop_detection" can only be set on infinite_loop triggers' });
+      }
+
+      const fixedUnit = FIXED_THRESHOLD_UNITS[triggerType];
+      const unitMismatch = fixedUnit
+        ? updates.threshold_unit !== fixedUnit
+        : Object.values(FIXED_THRESHOLD_UNITS).includes(updates.threshold_unit);
+      if (updates.threshold_unit && unitMismatch) {
+        return res.status(400).json({ error: `threshold_unit "${updates.threshold_unit}" does not apply to ${triggerType} triggers` });
+      }
+
+      const unknownAgent = await unknownOverrideAgent(req.user.id, updates.loop_detection);
+      if (unknownAgent) {
+        return res.status(404).json({ error: `Agent ${unknownAgent} in agent_overrides not found` });
+      }
+    }
+
     const setClause = Object.keys(updates).map((key, index) => `${key} = $${index + 2}`).join(', ');
     const values = [req.user.id, ...Object.values(updates), triggerId];
 
@@ -458,10 +753,11 @@ router.put('/triggers/:triggerId', authenticateEither, async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Trigger not found' });
     }
+    invalidateRealtimeTriggers(req.user.id);
 
     res.json({
       message: 'Trigger updated successfully',
-      trigger: result.rows[0]
+      trigger: { ...result.rows[0], ...formatEscalationSettings(result.rows[0]) }
     });
 
   } catch (error) {
@@ -470,6 +766,141 @@ router.put('/triggers/:triggerId', authenticateEither, async (req, res) => {
   }
 });
 
+// Replay a trigger definition over past usage without saving it
+router.post('/triggers/backtest', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = backtestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const rangeMs = to - from;
+
+    if (rangeMs <= 0) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+    if (rangeMs > BACKTEST_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `A backtest covers at most ${BACKTEST_MAX_DAYS} days` });
+    }
+
+    const stepMinutes = value.step_minutes
+      || Math.max(5, Math.ceil(rangeMs / 60000 / (BACKTEST_MAX_EVALUATIONS - 1)));
+    const evaluations = Math.floor(rangeMs / (stepMinutes * 60000)) + 1;
+    if (evaluations > BACKTEST_MAX_EVALUATIONS) {
+      return res.status(400).json({
+        error: `Range and step_minutes need ${evaluations} evaluations, more than the maximum of ${BACKTEST_MAX_EVALUATIONS}; use a larger step_minutes`
+      });
+    }
+
+    const targets = await resolveTriggerTargets(req.user.id, value.target_agent_id, value.target_customer_id);
+    if (targets.error) {
+      return res.status(404).json({ error: targets.error });
+    }
+
+    const unknownAgent = await unknownOverrideAgent(req.user.id, value.loop_detection);
+    if (unknownAgent) {
+      return res.status(404).json({ error: `Agent ${unknownAgent} in agent_overrides not found` });
+    }
+
+    const trigger = {
+      id: null,
+      user_id: req.user.id,
+      trigger_name: value.trigger_name,
+      trigger_type: value.trigger_type,
+      threshold_value: value.rule ? RULE_THRESHOLD : value.threshold_value,
+      threshold_unit: value.threshold_unit || null,
+      rule: value.rule || null,
+      baseline_metric: value.baseline_metric || null,
+      loop_detection: value.loop_detection || null,
+      target_scope: value.target_scope,
+      target_agent_id: targets.agentUuid,
+      target_customer_id: targets.customerUuid,
+      escalation_ladder: value.escalation_ladder,
+      escalation_window_minutes: value.escalation_window_minutes,
+      auto_revive: value.auto_revive,
+      revive_cooldown_minutes: value.revive_cooldown_minutes
+    };
+
+    const result = await backtestTrigger(trigger, { from, to, stepMinutes });
+
+    res.json({
+      trigger: {
+        trigger_name: trigger.trigger_name,
+        trigger_type: trigger.trigger_type,
+        threshold_value: trigger.threshold_value,
+        threshold_unit: trigger.threshold_unit,
+        rule: trigger.rule,
+        target_scope: trigger.target_scope,
+        target_agent_id: value.target_agent_id || null,
+        target_customer_id: value.target_customer_id || null,
+        ...formatEscalationSettings(trigger)
+      },
+      from,
+      to,
+      step_minutes: stepMinutes,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.code === QUERY_CANCELED) {
+      return res.status(422).json({
+        error: `A backtest query ran longer than ${BACKTEST_STATEMENT_TIMEOUT_MS / 1000} seconds; use a shorter range or a larger step_minutes`,
+        code: 'BACKTEST_TIMEOUT'
+      });
+    }
+    console.error('Backtest trigger error:', error);
+    res.status(500).json({ error: 'Failed to backtest kill switch trigger' });
+  }
+});
+
+// Summarize what a trigger in shadow mode would have done
+router.get('/triggers/:triggerId/shadow-report', authenticateEither, async (req, res) => {
+  try {
+    const { triggerId } = req.params;
+    if (invalidId(triggerId)) {
+      return res.status(400).json({ error: 'Invalid trigger id' });
+    }
+
+    const { error, value } = shadowReportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(`
+      SELECT id, trigger_name, trigger_type, threshold_value, threshold_unit, target_scope, mode
+      FROM kill_switch_triggers
+      WHERE user_id = $1 AND id = $2
+    `, [req.user.id, triggerId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    const trigger = result.rows[0];
+    const report = await getShadowReport(trigger, value.days);
+
+    res.json({
+      trigger: {
+        id: trigger.id,
+        trigger_name: trigger.trigger_name,
+        trigger_type: trigger.trigger_type,
+        threshold_value: parseFloat(trigger.threshold_value),
+        threshold_unit: trigger.threshold_unit,
+        target_scope: trigger.target_scope,
+        mode: trigger.mode
+      },
+      days: value.days,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Shadow report error:', error);
+    res.status(500).json({ error: 'Failed to build shadow report' });
+  }
+});
+
 // Delete kill switch trigger
 router.delete('/triggers/:triggerId', authenticateEither, async (req, res) => {
   try {
@@ -484,6 +915,7 @@ router.delete('/triggers/:triggerId', authenticateEither, async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Trigger not found' });
     }
+    invalidateRealtimeTriggers(req.user.id);
 
     res.json({
       message: `Trigger "${result.rows[0].trigger_name}" deleted successfully`
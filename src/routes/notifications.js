@@ -0,0 +1,447 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const {
+  SEVERITIES,
+  CHANNEL_TYPES,
+  CHAT_FORMATS,
+  generateSigningSecret,
+  publishNotification,
+  formatChannel,
+  formatDelivery
+} = require('../services/notifications');
+const { checkNotificationUrl } = require('../services/notification-urls');
+
+const router = express.Router();
+
+// Middleware to allow both API key and JWT authentication
+const authenticateEither = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  if (authHeader.startsWith('Bearer ak_')) {
+    return authenticateApiKey(req, res, next);
+  } else {
+    return authenticateJWT(req, res, next);
+  }
+};
+
+// Validation schemas
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] }).max(2000);
+
+const CHANNEL_CONFIG_SCHEMAS = {
+  webhook: Joi.object({
+    url: urlSchema.required()
+  }),
+  email: Joi.object({
+    to: Joi.array().items(Joi.string().email({ tlds: { allow: false } })).min(1).max(20).unique().required()
+  }),
+  chat: Joi.object({
+    url: urlSchema.required(),
+    format: Joi.string().valid(...CHAT_FORMATS).default('slack')
+  })
+};
+
+const createChannelSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  channel_type: Joi.string().valid(...CHANNEL_TYPES).required(),
+  config: Joi.object().required(),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateChannelSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  config: Joi.object().optional(),
+  is_active: Joi.boolean().optional(),
+  rotate_secret: Joi.boolean().optional()
+}).min(1);
+
+const eventTypeSchema = Joi.string().pattern(/^[a-z_]+$/).max(50);
+
+const createRuleSchema = Joi.object({
+  channel_id: Joi.string().guid().required(),
+  event_types: Joi.array().items(eventTypeSchema).min(1).max(50).unique().optional(), // omitted = every event type
+  min_severity: Joi.string().valid(...SEVERITIES).default('info'),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateRuleSchema = Joi.object({
+  event_types: Joi.array().items(eventTypeSchema).min(1).max(50).unique().allow(null).optional(),
+  min_severity: Joi.string().valid(...SEVERITIES).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'failed').optional(),
+  channel_id: Joi.string().guid().optional(),
+  event_type: eventTypeSchema.optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const testSchema = Joi.object({
+  channel_id: Joi.string().guid().optional(), // omitted = the channels the routing rules pick
+  event_type: eventTypeSchema.default('test'),
+  severity: Joi.string().valid(...SEVERITIES).default('info'),
+  message: Joi.string().max(1000).default('This is a test notification')
+});
+
+// Helper function to validate a channel's config against its type
+function validateChannelConfig(channelType, config) {
+  return CHANNEL_CONFIG_SCHEMAS[channelType].validate(config);
+}
+
+// Helper function to refuse webhook and chat URLs on private or reserved addresses
+async function channelUrlError(config) {
+  return config.url ? checkNotificationUrl(config.url) : null;
+}
+
+// List notification channels
+router.get('/channels', authenticateEither, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM notification_channels WHERE user_id = $1 ORDER BY created_at',
+      [req.user.id]
+    );
+
+    res.json({ channels: result.rows.map(formatChannel) });
+  } catch (error) {
+    console.error('List notification channels error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification channels' });
+  }
+});
+
+// Create a notification channel; a webhook's signing secret is only returned here
+router.post('/channels', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = createChannelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const config = validateChannelConfig(value.channel_type, value.config);
+    if (config.error) {
+      return res.status(400).json({ error: config.error.details[0].message });
+    }
+
+    const urlError = await channelUrlError(config.value);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, code: 'URL_NOT_ALLOWED' });
+    }
+
+    const signingSecret = value.channel_type === 'webhook' ? generateSigningSecret() : null;
+
+    const result = await db.query(`
+      INSERT INTO notification_channels (user_id, name, channel_type, config, signing_secret, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, name) DO NOTHING
+      RETURNING *
+    `, [req.user.id, value.name, value.channel_type, config.value, signingSecret, value.is_active]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `A notification channel named "${value.name}" already exists` });
+    }
+
+    console.log(`🔔 Notification channel created: ${value.channel_type} "${value.name}"`);
+
+    res.status(201).json({
+      message: 'Notification channel created successfully',
+      channel: formatChannel(result.rows[0]),
+      ...(signingSecret && { signing_secret: signingSecret })
+    });
+  } catch (error) {
+    console.error('Create notification channel error:', error);
+    res.status(500).json({ error: 'Failed to create notification channel' });
+  }
+});
+
+// Rename, reconfigure, (de)activate a channel or rotate a webhook's signing secret
+router.patch('/channels/:channelId', authenticateEither, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    if (invalidId(channelId)) {
+      return res.status(400).json({ error: 'Invalid channel id' });
+    }
+
+    const { error, value } = updateChannelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await db.query(
+      'SELECT channel_type FROM notification_channels WHERE id = $1 AND user_id = $2',
+      [channelId, req.user.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+    const channelType = existing.rows[0].channel_type;
+
+    let config = null;
+    if (value.config) {
+      const validated = validateChannelConfig(channelType, value.config);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error.details[0].message });
+      }
+
+      const urlError = await channelUrlError(validated.value);
+      if (urlError) {
+        return res.status(400).json({ error: urlError, code: 'URL_NOT_ALLOWED' });
+      }
+      config = validated.value;
+    }
+
+    if (value.rotate_secret && channelType !== 'webhook') {
+      return res.status(400).json({ error: 'Only webhook channels have a signing secret' });
+    }
+    const signingSecret = value.rotate_secret ? generateSigningSecret() : null;
+
+    const result = await db.query(`
+      UPDATE notification_channels
+      SET name = COALESCE($3, name),
+          config = COALESCE($4, config),
+          is_active = COALESCE($5, is_active),
+          signing_secret = COALESCE($6, signing_secret),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [channelId, req.user.id, value.name || null, config, value.is_active ?? null, signingSecret]);
+
+    res.json({
+      message: 'Notification channel updated successfully',
+      channel: formatChannel(result.rows[0]),
+      ...(signingSecret && { signing_secret: signingSecret })
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A notification channel named "${req.body.name}" already exists` });
+    }
+    console.error('Update notification channel error:', error);
+    res.status(500).json({ error: 'Failed to update notification channel' });
+  }
+});
+
+// Delete a channel with its routing rules and delivery log
+router.delete('/channels/:channelId', authenticateEither, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    if (invalidId(channelId)) {
+      return res.status(400).json({ error: 'Invalid channel id' });
+    }
+
+    const result = await db.query(
+      'DELETE FROM notification_channels WHERE id = $1 AND user_id = $2 RETURNING name',
+      [channelId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    res.json({ message: `Notification channel "${result.rows[0].name}" deleted successfully` });
+  } catch (error) {
+    console.error('Delete notification channel error:', error);
+    res.status(500).json({ error: 'Failed to delete notification channel' });
+  }
+});
+
+// List routing rules
+router.get('/rules', authenticateEither, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.*, c.name as channel_name, c.channel_type
+      FROM notification_rules r
+      JOIN notification_channels c ON r.channel_id = c.id
+      WHERE r.user_id = $1
+      ORDER BY r.created_at
+    `, [req.user.id]);
+
+    res.json({ rules: result.rows });
+  } catch (error) {
+    console.error('List notification rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification rules' });
+  }
+});
+
+// Route event types (all when omitted) from a minimum severity to a channel
+router.post('/rules', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = createRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const channel = await db.query(
+      'SELECT id FROM notification_channels WHERE id = $1 AND user_id = $2',
+      [value.channel_id, req.user.id]
+    );
+    if (channel.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO notification_rules (user_id, channel_id, event_types, min_severity, is_active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [req.user.id, value.channel_id, value.event_types || null, value.min_severity, value.is_active]);
+
+    res.status(201).json({
+      message: 'Notification rule created successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create notification rule error:', error);
+    res.status(500).json({ error: 'Failed to create notification rule' });
+  }
+});
+
+// Change a rule's event types (null for all), minimum severity or active flag
+router.patch('/rules/:ruleId', authenticateEither, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (invalidId(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule id' });
+    }
+
+    const { error, value } = updateRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(`
+      UPDATE notification_rules
+      SET event_types = CASE WHEN $3 THEN $4 ELSE event_types END,
+          min_severity = COALESCE($5, min_severity),
+          is_active = COALESCE($6, is_active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [
+      ruleId,
+      req.user.id,
+      value.event_types !== undefined,
+      value.event_types || null,
+      value.min_severity || null,
+      value.is_active ?? null
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification rule not found' });
+    }
+
+    res.json({
+      message: 'Notification rule updated successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update notification rule error:', error);
+    res.status(500).json({ error: 'Failed to update notification rule' });
+  }
+});
+
+router.delete('/rules/:ruleId', authenticateEither, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (invalidId(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule id' });
+    }
+
+    const result = await db.query(
+      'DELETE FROM notification_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+      [ruleId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification rule not found' });
+    }
+
+    res.json({ message: 'Notification rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification rule error:', error);
+    res.status(500).json({ error: 'Failed to delete notification rule' });
+  }
+});
+
+// Delivery log, newest first
+router.get('/deliveries', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = deliveriesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const params = [req.user.id];
+    const filters = ['user_id = $1'];
+
+    if (value.status) {
+      params.push(value.status);
+      filters.push(`status = $${params.length}`);
+    }
+    if (value.channel_id) {
+      params.push(value.channel_id);
+      filters.push(`channel_id = $${params.length}`);
+    }
+    if (value.event_type) {
+      params.push(value.event_type);
+      filters.push(`event_type = $${params.length}`);
+    }
+    params.push(value.limit);
+
+    const result = await db.query(`
+      SELECT * FROM notification_deliveries
+      WHERE ${filters.join(' AND ')}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    res.json({ deliveries: result.rows.map(formatDelivery) });
+  } catch (error) {
+    console.error('List notification deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+  }
+});
+
+// Send a test notification to one channel, or through the routing rules like a real
+// event, and wait for the first attempt of each delivery
+router.post('/test', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = testSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.channel_id) {
+      const channel = await db.query(
+        'SELECT id FROM notification_channels WHERE id = $1 AND user_id = $2',
+        [value.channel_id, req.user.id]
+      );
+      if (channel.rows.length === 0) {
+        return res.status(404).json({ error: 'Notification channel not found' });
+      }
+    }
+
+    const deliveries = await publishNotification(req.user.id, {
+      event_type: value.event_type,
+      severity: value.severity,
+      title: 'Test notification',
+      message: value.message,
+      data: { test: true }
+    }, { channelId: value.channel_id || null, wait: true });
+
+    res.json({
+      message: deliveries.length > 0
+        ? `Test notification sent to ${deliveries.length} channel(s)`
+        : 'No active channel has a rule matching this event',
+      deliveries: deliveries.map(formatDelivery)
+    });
+  } catch (error) {
+    console.error('Test notification error:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const { listPrices } = require('../services/pricing');
+const { startRepricingJob } = require('../services/repricing');
+
+const router = express.Router();
+
+// Middleware to allow both API key and JWT authentication
+const authenticateEither = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  if (authHeader.startsWith('Bearer ak_')) {
+    return authenticateApiKey(req, res, next);
+  } else {
+    return authenticateJWT(req, res, next);
+  }
+};
+
+// Validation schemas
+const priceSchema = Joi.object({
+  vendor: Joi.string().required().max(100),
+  model: Joi.string().required().max(100),
+  input_price_per_1k: Joi.number().min(0).default(0),
+  output_price_per_1k: Joi.number().min(0).default(0),
+  cached_input_price_per_1k: Joi.number().min(0).allow(null).default(null),
+  image_price: Joi.number().min(0).default(0),
+  audio_price_per_minute: Joi.number().min(0).default(0),
+  effective_from: Joi.date().iso().default(() => new Date())
+});
+
+const listQuerySchema = Joi.object({
+  at: Joi.date().iso().default(() => new Date()),
+  vendor: Joi.string().optional(),
+  include_history: Joi.boolean().default(false)
+});
+
+const repriceSchema = Joi.object({
+  vendor: Joi.string().optional(),
+  model: Joi.string().optional(),
+  start_date: Joi.date().iso().optional(),
+  end_date: Joi.date().iso().optional(),
+  customer_id: Joi.string().optional(),
+  dry_run: Joi.boolean().default(false)
+});
+
+// Helper function to format a catalog row for API responses
+function formatPrice(row) {
+  return {
+    id: row.id,
+    vendor: row.vendor,
+    model: row.model,
+    source: row.source || (row.user_id ? 'tenant' : 'platform'),
+    input_price_per_1k: parseFloat(row.input_price_per_1k),
+    output_price_per_1k: parseFloat(row.output_price_per_1k),
+    cached_input_price_per_1k: row.cached_input_price_per_1k !== null ? parseFloat(row.cached_input_price_per_1k) : null,
+    image_price: parseFloat(row.image_price),
+    audio_price_per_minute: parseFloat(row.audio_price_per_minute),
+    effective_from: row.effective_from,
+    effective_to: row.effective_to,
+    created_at: row.created_at
+  };
+}
+
+// List the price catalog (platform prices plus this tenant's overrides)
+router.get('/', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rows = await listPrices(req.user.id, {
+      at: value.at,
+      vendor: value.vendor,
+      includeHistory: value.include_history
+    });
+
+    res.json({
+      prices: rows.map(formatPrice),
+      as_of: value.include_history ? null : value.at,
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List prices error:', error);
+    res.status(500).json({ error: 'Failed to fetch price catalog' });
+  }
+});
+
+// Start a re-pricing job for historical events
+// Price writes and re-pricing change recorded spend, so agents' API keys cannot use them
+router.post('/reprice', authenticateJWT, async (req, res) => {
+  try {
+    const { error, value } = repriceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { dry_run, ...filters } = value;
+    const job = await startRepricingJob(req.user.id, filters, dry_run);
+
+    res.status(202).json({
+      message: dry_run ? 'Re-pricing dry run started' : 'Re-pricing job started',
+      job_id: job.id,
+      status: job.status,
+      filters: job.filters
+    });
+  } catch (error) {
+    console.error('Start repricing error:', error);
+    res.status(500).json({ error: 'Failed to start re-pricing job' });
+  }
+});
+
+// List re-pricing jobs
+router.get('/reprice', authenticateEither, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, status, dry_run, filters, events_examined, events_adjusted, events_unpriced,
+             total_before, total_after, error, created_at, started_at, completed_at
+      FROM repricing_jobs
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [req.user.id]);
+
+    res.json({ jobs: result.rows });
+  } catch (error) {
+    console.error('List repricing jobs error:', error);
+    res.status(500).json({ error: 'Failed to list re-pricing jobs' });
+  }
+});
+
+// Get a re-pricing job with its before/after diff report
+router.get('/reprice/:jobId', authenticateEither, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (invalidId(jobId)) {
+      return res.status(400).json({ error: 'Invalid re-pricing job id' });
+    }
+
+    const result = await db.query(`
+      SELECT * FROM repricing_jobs WHERE id = $1 AND user_id = $2
+    `, [jobId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Re-pricing job not found' });
+    }
+
+    const job = result.rows[0];
+    const totalBefore = parseFloat(job.total_before);
+    const totalAfter = parseFloat(job.total_after);
+
+    res.json({
+      job_id: job.id,
+      status: job.status,
+      dry_run: job.dry_run,
+      filters: job.filters,
+      events_examined: job.events_examined,
+      events_adjusted: job.events_adjusted,
+      events_unpriced: job.events_unpriced,
+      total_before: totalBefore,
+      total_after: totalAfter,
+      delta: Math.round((totalAfter - totalBefore) * 1000000) / 1000000,
+      report: job.report,
+      error: job.error,
+      created_at: job.created_at,
+      completed_at: job.completed_at
+    });
+  } catch (error) {
+    console.error('Get repricing job error:', error);
+    res.status(500).json({ error: 'Failed to get re-pricing job' });
+  }
+});
+
+// List the per-event adjustments made by a re-pricing job
+router.get('/reprice/:jobId/adjustments', authenticateEither, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { limit = 100, offset = 0 } = req.query;
+    if (invalidId(jobId)) {
+      return res.status(400).json({ error: 'Invalid re-pricing job id' });
+    }
+
+    const result = await db.query(`
+      SELECT adj.usage_event_id, adj.previous_cost_amount, adj.new_cost_amount, adj.delta,
+             adj.previous_price_id, adj.new_price_id, adj.created_at,
+             ue.vendor, ue.model, ue.event_timestamp
+      FROM usage_event_adjustments adj
+      JOIN usage_events ue ON adj.usage_event_id = ue.id
+      WHERE adj.job_id = $1 AND adj.user_id = $2
+      ORDER BY adj.created_at
+      LIMIT $3 OFFSET $4
+    `, [jobId, req.user.id, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      adjustments: result.rows,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('List adjustments error:', error);
+    res.status(500).json({ error: 'Failed to list adjustments' });
+  }
+});
+
+// Get every price version for a single model
+router.get('/:vendor/:model', authenticateEither, async (req, res) => {
+  try {
+    const { vendor, model } = req.params;
+
+    const result = await db.query(`
+      SELECT *
+      FROM model_prices
+      WHERE vendor = $1 AND model = $2
+      AND (user_id IS NULL OR user_id = $3)
+      ORDER BY effective_from DESC, (user_id IS NOT NULL) DESC
+    `, [vendor, model, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found in price catalog' });
+    }
+
+    res.json({
+      vendor,
+      model,
+      versions: result.rows.map(formatPrice)
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Create a new price version (tenant override) effective from a given date
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const { error, value } = priceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(`
+      INSERT INTO model_prices (
+        user_id, created_by, vendor, model,
+        input_price_per_1k, output_price_per_1k, cached_input_price_per_1k,
+        image_price, audio_price_per_minute, effective_from
+      ) VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      req.user.id, value.vendor, value.model,
+      value.input_price_per_1k, value.output_price_per_1k, value.cached_input_price_per_1k,
+      value.image_price, value.audio_price_per_minute, value.effective_from
+    ]);
+
+    console.log(`💲 Price override for ${value.vendor}/${value.model} effective ${new Date(value.effective_from).toISOString()} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      message: 'Price version created successfully',
+      price: formatPrice(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A price version with this effective_from already exists for this model' });
+    }
+    console.error('Create price error:', error);
+    res.status(500).json({ error: 'Failed to create price version' });
+  }
+});
+
+// Delete one of this tenant's price versions (only if no event was priced with it)
+router.delete('/:priceId', authenticateJWT, async (req, res) => {
+  try {
+    const { priceId } = req.params;
+    if (invalidId(priceId)) {
+      return res.status(400).json({ error: 'Invalid price id' });
+    }
+
+    const result = await db.query(`
+      DELETE FROM model_prices
+      WHERE id = $1 AND user_id = $2
+      RETURNING vendor, model, effective_from
+    `, [priceId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Price version not found' });
+    }
+
+    const price = result.rows[0];
+    res.json({
+      message: `Price version for ${price.vendor}/${price.model} deleted successfully`
+    });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({
+        error: 'Price version has already been used to price events. Create a new version instead.'
+      });
+    }
+    console.error('Delete price error:', error);
+    res.status(500).json({ error: 'Failed to delete price version' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateApiKey, authenticateJWT } = require('../middleware/auth');
+const { invalidId } = require('../middleware/validation');
+const {
+  budgetPeriodKeys,
+  periodAssignments,
+  periodParams,
+  periodFromRow,
+  getBudgetWindow
+} = require('../services/budget-periods');
+const { QUOTA_METRICS, getQuotaUsage, formatQuota } = require('../services/usage-quotas');
+
+const router = express.Router();
+
+// Middleware to allow both API key and JWT authentication
+const authenticateEither = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  if (authHeader.startsWith('Bearer ak_')) {
+    return authenticateApiKey(req, res, next);
+  } else {
+    return authenticateJWT(req, res, next);
+  }
+};
+
+// Validation schemas
+const createQuotaSchema = Joi.object({
+  agent_id: Joi.string().optional(),
+  customer_id: Joi.string().optional(),
+  vendor: Joi.string().max(100).optional(),
+  model: Joi.string().max(100).optional(),
+  metric: Joi.string().valid(...Object.keys(QUOTA_METRICS)).required(),
+  limit: Joi.number().positive().required(),
+  ...budgetPeriodKeys,
+  is_active: Joi.boolean().default(true)
+}).or('vendor', 'model');
+
+const updateQuotaSchema = Joi.object({
+  limit: Joi.number().positive().optional(),
+  ...budgetPeriodKeys,
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+  agent_id: Joi.string().optional(),
+  customer_id: Joi.string().optional(),
+  include_inactive: Joi.boolean().default(false)
+});
+
+const QUOTA_SELECT = `
+  SELECT q.*, a.agent_id as agent_external_id, c.customer_id as customer_external_id
+  FROM usage_quotas q
+  LEFT JOIN agents a ON q.agent_id = a.id
+  LEFT JOIN customers c ON q.customer_id = c.id
+`;
+
+// Helper function to format a quota with its usage in the current window
+async function formatQuotaWithUsage(row) {
+  const window = getBudgetWindow(periodFromRow(row));
+  return formatQuota(row, { used: await getQuotaUsage(db, row, window), window });
+}
+
+// List usage quotas with their current utilization
+router.get('/', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const params = [req.user.id];
+    const filters = ['q.user_id = $1'];
+
+    if (!value.include_inactive) {
+      filters.push('q.is_active = TRUE');
+    }
+    if (value.agent_id) {
+      params.push(value.agent_id);
+      filters.push(`a.agent_id = $${params.length}`);
+    }
+    if (value.customer_id) {
+      params.push(value.customer_id);
+      filters.push(`c.customer_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      ${QUOTA_SELECT}
+      WHERE ${filters.join(' AND ')}
+      ORDER BY q.created_at
+    `, params);
+
+    const quotas = [];
+    for (const row of result.rows) {
+      quotas.push(await formatQuotaWithUsage(row));
+    }
+
+    res.json({ quotas });
+  } catch (error) {
+    console.error('List quotas error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotas' });
+  }
+});
+
+// Create a usage quota for an agent, a customer or the whole tenant
+router.post('/', authenticateEither, async (req, res) => {
+  try {
+    const { error, value } = createQuotaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    let agentUuid = null;
+    if (value.agent_id) {
+      const agent = await db.query(
+        'SELECT id FROM agents WHERE agent_id = $1 AND user_id = $2',
+        [value.agent_id, req.user.id]
+      );
+      if (agent.rows.length === 0) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      agentUuid = agent.rows[0].id;
+    }
+
+    let customerUuid = null;
+    if (value.customer_id) {
+      const customer = await db.query(
+        'SELECT id FROM customers WHERE customer_id = $1 AND user_id = $2',
+        [value.customer_id, req.user.id]
+      );
+      if (customer.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      customerUuid = customer.rows[0].id;
+    }
+
+    const result = await db.query(`
+      INSERT INTO usage_quotas (
+        user_id, agent_id, customer_id, vendor, model, metric, quota_limit,
+        budget_period, budget_period_hours, budget_anchor_day, budget_timezone, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      req.user.id,
+      agentUuid,
+      customerUuid,
+      value.vendor || null,
+      value.model || null,
+      value.metric,
+      value.limit,
+      value.budget_period || 'monthly',
+      value.budget_period_hours || null,
+      value.budget_anchor_day || null,
+      value.budget_timezone || 'UTC',
+      value.is_active
+    ]);
+
+    const quota = {
+      ...result.rows[0],
+      agent_external_id: value.agent_id,
+      customer_external_id: value.customer_id
+    };
+
+    console.log(`📏 Quota created: ${quota.metric} <= ${quota.quota_limit} on ${quota.vendor || '*'}/${quota.model || '*'} (${quota.budget_period})`);
+
+    res.status(201).json({
+      message: 'Quota created successfully',
+      quota: await formatQuotaWithUsage(quota)
+    });
+  } catch (error) {
+    console.error('Create quota error:', error);
+    res.status(500).json({ error: 'Failed to create quota' });
+  }
+});
+
+// Change a quota's limit, period or active flag
+router.patch('/:quotaId', authenticateEither, async (req, res) => {
+  try {
+    const { quotaId } = req.params;
+    if (invalidId(quotaId)) {
+      return res.status(400).json({ error: 'Invalid quota id' });
+    }
+
+    const { error, value } = updateQuotaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(`
+      UPDATE usage_quotas
+      SET quota_limit = COALESCE($3, quota_limit),
+          is_active = COALESCE($4, is_active),
+          ${periodAssignments(5)},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [quotaId, req.user.id, value.limit ?? null, value.is_active ?? null, ...periodParams(value)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quota not found' });
+    }
+
+    const quota = await db.query(`${QUOTA_SELECT} WHERE q.id = $1`, [quotaId]);
+
+    res.json({
+      message: 'Quota updated successfully',
+      quota: await formatQuotaWithUsage(quota.rows[0])
+    });
+  } catch (error) {
+    console.error('Update quota error:', error);
+    res.status(500).json({ error: 'Failed to update quota' });
+  }
+});
+
+// Delete a quota
+router.delete('/:quotaId', authenticateEither, async (req, res) => {
+  try {
+    const { quotaId } = req.params;
+    if (invalidId(quotaId)) {
+      return res.status(400).json({ error: 'Invalid quota id' });
+    }
+
+    const result = await db.query(
+      'DELETE FROM usage_quotas WHERE id = $1 AND user_id = $2 RETURNING id',
+      [quotaId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quota not found' });
+    }
+
+    res.json({ message: 'Quota deleted successfully', id: quotaId });
+  } catch (error) {
+    console.error('Delete quota error:', error);
+    res.status(500).json({ error: 'Failed to delete quota' });
+  }
+});
+
+module.exports = router;
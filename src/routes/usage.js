@@ -3,8 +3,31 @@ const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { authenticateApiKey } = require('../middleware/auth');
-const { enforceAgentBudget, checkAgentBudgetAfterCreation } = require('../middleware/agentBudget');
-const { incrementAgentSpend } = require('../config/redis');
+const {
+  enforceAgentBudget,
+  checkAgentBudgetAfterCreation,
+  resolveBudgetChain,
+  checkAndReserveBudget,
+  recordBudgetStages,
+  setBudgetStageHeaders,
+  recordAgentSpend,
+  releaseBudgetReservation
+} = require('../middleware/agentBudget');
+const { applyServerPricing } = require('../middleware/pricing');
+const { validateBody, invalidId } = require('../middleware/validation');
+const { checkUsageQuotas } = require('../services/usage-quotas');
+const { findPrice, computeCost } = require('../services/pricing');
+const {
+  DEFAULT_HOLD_TTL_SECONDS,
+  MAX_HOLD_TTL_SECONDS,
+  insertAuthorization,
+  getAuthorization,
+  completeCapture,
+  reopenAuthorization,
+  releaseAuthorization,
+  formatAuthorization
+} = require('../services/authorizations');
+const { enforceOnIngest } = require('../services/realtime-enforcer');
 
 const router = express.Router();
 
@@ -15,19 +38,38 @@ const usageEventSchema = Joi.object({
   customer_id: Joi.string().required(),
   vendor: Joi.string().required(),
   model: Joi.string().optional(),
-  cost_amount: Joi.number().positive().required(),
+  cost_amount: Joi.number().min(0).required(),
   cost_currency: Joi.string().default('USD'),
   input_tokens: Joi.number().integer().min(0).optional(),
   output_tokens: Joi.number().integer().min(0).optional(),
   total_tokens: Joi.number().integer().min(0).optional(),
+  cached_input_tokens: Joi.number().integer().min(0).optional(),
+  image_count: Joi.number().integer().min(0).optional(),
+  audio_seconds: Joi.number().min(0).optional(),
   metadata: Joi.object().default({}),
-  event_timestamp: Joi.date().iso().default(() => new Date())
+  event_timestamp: Joi.date().iso().default(() => new Date()),
+  idempotency_key: Joi.string().max(255).optional(),
+  authorization_id: Joi.string().guid().optional()
 });
 
+// Holds are captured one event at a time through /record
 const bulkUsageSchema = Joi.object({
-  events: Joi.array().items(usageEventSchema).min(1).max(100).required()
+  events: Joi.array().items(usageEventSchema.fork(['authorization_id'], schema => schema.forbidden())).min(1).max(100).required()
 });
 
+// Either a fixed amount or a model plus maximum token counts to price with the catalog
+const authorizeSchema = Joi.object({
+  agent_id: Joi.string().required(),
+  customer_id: Joi.string().optional(),
+  amount: Joi.number().positive().optional(),
+  vendor: Joi.string().optional(),
+  model: Joi.string().optional(),
+  input_tokens: Joi.number().integer().min(0).default(0),
+  max_output_tokens: Joi.number().integer().min(0).default(0),
+  ttl_seconds: Joi.number().integer().min(1).max(MAX_HOLD_TTL_SECONDS).default(DEFAULT_HOLD_TTL_SECONDS),
+  metadata: Joi.object().default({})
+}).or('amount', 'model').with('model', 'vendor');
+
 // Helper function to ensure customer exists
 async function ensureCustomerExists(userId, customerId, customerName = null) {
   const existing = await db.query(
@@ -64,6 +106,82 @@ async function ensureAgentExists(userId, agentId, agentName = null) {
   return existing.rows[0].id;
 }
 
+// Helper function to find a previously recorded event by its idempotency key
+async function findEventByIdempotencyKey(queryable, userId, idempotencyKey) {
+  const result = await queryable.query(
+    'SELECT id, created_at FROM usage_events WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, idempotencyKey]
+  );
+  
+  return result.rows[0] || null;
+}
+
+// Replay a retried event before budget checks so it is never counted twice
+async function replayIdempotentEvent(req, res, next) {
+  try {
+    const idempotencyKey = req.body.idempotency_key;
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    const existing = await findEventByIdempotencyKey(db, req.user.id, idempotencyKey);
+    if (!existing) {
+      return next();
+    }
+
+    res.status(200).json({
+      message: 'Usage event already recorded',
+      event_id: existing.id,
+      recorded_at: existing.created_at,
+      replayed: true
+    });
+  } catch (error) {
+    console.error('Idempotency lookup error:', error);
+    res.status(500).json({ error: 'Failed to record usage event' });
+  }
+}
+
+// Helper function to insert a priced usage event.
+// Returns no row when the idempotency key was already recorded.
+async function insertUsageEvent(queryable, userId, customerUuid, agentUuid, event, pricing, apiKeyId = null) {
+  const finalTotalTokens = event.total_tokens || (event.input_tokens || 0) + (event.output_tokens || 0);
+  
+  const result = await queryable.query(
+    `INSERT INTO usage_events (
+      user_id, customer_id, agent_id, event_name, vendor, model,
+      cost_amount, cost_currency, input_tokens, output_tokens, total_tokens,
+      cached_input_tokens, image_count, audio_seconds,
+      reported_cost_amount, computed_cost_amount, pricing_status, price_id,
+      metadata, event_timestamp, idempotency_key, authorization_id, api_key_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+    ON CONFLICT (user_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+    RETURNING id, created_at`,
+    [
+      userId, customerUuid, agentUuid, event.event_name, event.vendor, event.model,
+      pricing.cost_amount, event.cost_currency, event.input_tokens, event.output_tokens, finalTotalTokens,
+      event.cached_input_tokens, event.image_count, event.audio_seconds,
+      pricing.reported_cost_amount, pricing.computed_cost_amount, pricing.pricing_status, pricing.price_id,
+      event.metadata, event.event_timestamp, event.idempotency_key, event.authorization_id, apiKeyId
+    ]
+  );
+  
+  return result.rows[0] || null;
+}
+
+// 403 body for an event refused by a usage quota
+function quotaExceededBody(quota) {
+  return {
+    error: `Usage quota exceeded: ${quota.metric} for ${quota.vendor || 'any vendor'}/${quota.model || 'any model'}`,
+    code: 'QUOTA_EXCEEDED',
+    quota
+  };
+}
+
+// Events with metadata.error count as errors, as for error_rate triggers
+function isErrorEvent(event) {
+  return Boolean(event.metadata) && event.metadata.error !== undefined && event.metadata.error !== null;
+}
+
 // Helper function to check if agent is active (not killed or paused)
 // This should be called AFTER the agent has been created
 async function checkAgentStatus(userId, agentUuid) {
@@ -75,27 +193,12 @@ async function checkAgentStatus(userId, agentUuid) {
 }
 
 // Record single usage event
-router.post('/record', authenticateApiKey, enforceAgentBudget, async (req, res) => {
+// The body is validated first, so pricing and the budget reservation never see invalid costs
+router.post('/record', authenticateApiKey, validateBody(usageEventSchema), replayIdempotentEvent, applyServerPricing, enforceAgentBudget, async (req, res) => {
   try {
-    const { error, value } = usageEventSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
-    }
-
-    const {
-      event_name,
-      agent_id,
-      customer_id,
-      vendor,
-      model,
-      cost_amount,
-      cost_currency,
-      input_tokens,
-      output_tokens,
-      total_tokens,
-      metadata,
-      event_timestamp
-    } = value;
+    const value = req.body;
+    const { agent_id, customer_id, cost_amount, idempotency_key } = value;
+    const pricing = req.pricing[0];
     
     // Ensure customer and agent exist FIRST
     const customerUuid = await ensureCustomerExists(req.user.id, customer_id);
@@ -109,6 +212,7 @@ router.post('/record', authenticateApiKey, enforceAgentBudget, async (req, res)
           error: budgetCheck.error,
           code: budgetCheck.code,
           agent_id,
+          ...(budgetCheck.blocked_by && { blocked_by: budgetCheck.blocked_by }),
           ...(budgetCheck.monthly_limit && { monthly_limit: budgetCheck.monthly_limit }),
           ...(budgetCheck.requested_cost && { requested_cost: budgetCheck.requested_cost })
         });
@@ -116,7 +220,8 @@ router.post('/record', authenticateApiKey, enforceAgentBudget, async (req, res)
     }
 
     // 🚨 KILL SWITCH CHECK - Reject if agent is killed/paused
-    const isActive = await checkAgentStatus(req.user.id, agentUuid);
+    // A captured hold was approved before the call was made, so its spend is always recorded
+    const isActive = req.authorization ? true : await checkAgentStatus(req.user.id, agentUuid);
     if (!isActive) {
       return res.status(403).json({ 
         error: 'Agent is currently inactive (killed, paused, or under emergency stop)',
@@ -125,47 +230,102 @@ router.post('/record', authenticateApiKey, enforceAgentBudget, async (req, res)
       });
     }
     
-    // Calculate total_tokens if not provided
-    const finalTotalTokens = total_tokens || (input_tokens || 0) + (output_tokens || 0);
-    
-    // Insert usage event
-    const result = await db.query(
-      `INSERT INTO usage_events (
-        user_id, customer_id, agent_id, event_name, vendor, model,
-        cost_amount, cost_currency, input_tokens, output_tokens, total_tokens,
-        metadata, event_timestamp
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-      RETURNING id, created_at`,
-      [
-        req.user.id, customerUuid, agentUuid, event_name, vendor, model,
-        cost_amount, cost_currency, input_tokens, output_tokens, finalTotalTokens,
-        metadata, event_timestamp
-      ]
-    );
+    // Check vendor / model quotas and insert the event in one transaction: the check locks
+    // the quotas that apply until the insert commits, so concurrent events cannot both fit
+    // in the same remaining quota (a concurrent retry with the same key inserts nothing).
+    // A captured hold's spend counts against the API key that placed it
+    const apiKeyId = req.authorization ? req.authorization.api_key_id : req.apiKey.id;
+    const client = await db.getClient();
+    let inserted;
+
+    try {
+      await client.query('BEGIN');
+
+      const quotaCheck = await checkUsageQuotas(client, req.user.id, { agentUuid, customerUuid }, value, pricing.cost_amount);
+      if (!quotaCheck.allowed) {
+        await client.query('ROLLBACK');
+        const { quota } = quotaCheck;
+        console.log(`🚫 Usage event from agent ${agent_id} blocked by ${quota.metric} quota on ${quota.vendor || '*'}/${quota.model || '*'} (${quota.used} + ${quota.requested} > ${quota.limit})`);
+        return res.status(403).json({ ...quotaExceededBody(quota), agent_id });
+      }
+
+      inserted = await insertUsageEvent(client, req.user.id, customerUuid, agentUuid, value, pricing, apiKeyId);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!inserted) {
+      const existing = await findEventByIdempotencyKey(db, req.user.id, idempotency_key);
+      return res.status(200).json({
+        message: 'Usage event already recorded',
+        event_id: existing.id,
+        recorded_at: existing.created_at,
+        replayed: true
+      });
+    }
 
-    // Update Redis spend cache for fast budget checks
-    await incrementAgentSpend(agent_id, cost_amount);
+    // Commit the budget reservation / update Redis spend cache for fast budget checks
+    await recordAgentSpend(agentUuid, req.budgetReservation, pricing.cost_amount);
+    await recordBudgetStages(req.budgetStageEvents);
+
+    // Check rate triggers now, so a violation stops the agent before its next request
+    const enforcement = await enforceOnIngest(req.user.id, [
+      { agentUuid, customerUuid, costAmount: pricing.cost_amount, isError: isErrorEvent(value) }
+    ]);
     
-    res.status(201).json({
+    const response = {
       message: 'Usage event recorded successfully',
-      event_id: result.rows[0].id,
-      recorded_at: result.rows[0].created_at
-    });
+      event_id: inserted.id,
+      recorded_at: inserted.created_at,
+      cost_amount: pricing.cost_amount,
+      pricing_status: pricing.pricing_status,
+      ...(req.budgetAdvisory && { budget_advisory: req.budgetAdvisory }),
+      ...(enforcement.length > 0 && { realtime_enforcement: enforcement })
+    };
+    
+    // The unused part of a hold is released by committing the actual amount
+    if (req.authorization) {
+      const authorizedAmount = parseFloat(req.authorization.amount);
+      await completeCapture(req.authorization.id, inserted.id, pricing.cost_amount);
+      
+      response.authorization = {
+        authorization_id: req.authorization.id,
+        authorized_amount: authorizedAmount,
+        captured_amount: pricing.cost_amount,
+        released_amount: Math.max(0, Math.round((authorizedAmount - pricing.cost_amount) * 1000000) / 1000000),
+        exceeded_authorization: pricing.cost_amount > authorizedAmount
+      };
+    }
+    
+    res.status(201).json(response);
   } catch (error) {
     console.error('Record usage error:', error);
     res.status(500).json({ error: 'Failed to record usage event' });
+  } finally {
+    // Give back reserved budget (or the claimed hold) if the event was not recorded.
+    // The response is already sent: a failure here must not escape the handler.
+    try {
+      if (req.authorization && !req.budgetReservation.committed) {
+        await reopenAuthorization(req.authorization.id);
+      }
+      await releaseBudgetReservation(req.budgetReservation);
+    } catch (error) {
+      console.error('Record usage cleanup error:', error);
+    }
   }
 });
 
-// Record bulk usage events  
-router.post('/record-bulk', authenticateApiKey, enforceAgentBudget, async (req, res) => {
+// Record bulk usage events
+// Budgets are checked and reserved per event, since a batch can span several agents
+router.post('/record-bulk', authenticateApiKey, validateBody(bulkUsageSchema), applyServerPricing, async (req, res) => {
+  const reservations = [];
+
   try {
-    const { error, value } = bulkUsageSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
-    }
-    
-    const { events } = value;
+    const { events } = req.body;
 
     const client = await db.getClient();
     
@@ -173,22 +333,24 @@ router.post('/record-bulk', authenticateApiKey, enforceAgentBudget, async (req,
       await client.query('BEGIN');
       
       const recordedEvents = [];
+      const newSpend = [];
       
-      for (const event of events) {
-        const {
-          event_name,
-          agent_id,
-          customer_id,
-          vendor,
-          model,
-          cost_amount,
-          cost_currency,
-          input_tokens,
-          output_tokens,
-          total_tokens,
-          metadata,
-          event_timestamp
-        } = event;
+      for (const [index, event] of events.entries()) {
+        const { agent_id, customer_id, idempotency_key } = event;
+        const pricing = req.pricing[index];
+        
+        // Replayed events were already counted, skip the budget check
+        const previous = idempotency_key
+          ? await findEventByIdempotencyKey(client, req.user.id, idempotency_key)
+          : null;
+        if (previous) {
+          recordedEvents.push({
+            event_id: previous.id,
+            recorded_at: previous.created_at,
+            replayed: true
+          });
+          continue;
+        }
         
         // Ensure customer and agent exist
         const customerUuid = await ensureCustomerExists(req.user.id, customer_id);
@@ -200,34 +362,90 @@ router.post('/record-bulk', authenticateApiKey, enforceAgentBudget, async (req,
           throw new Error(`Agent ${agent_id} is currently inactive (killed, paused, or under emergency stop)`);
         }
         
-        const finalTotalTokens = total_tokens || (input_tokens || 0) + (output_tokens || 0);
+        // Vendor / model quotas, counting the batch's earlier events
+        const quotaCheck = await checkUsageQuotas(client, req.user.id, { agentUuid, customerUuid }, event, pricing.cost_amount);
+        if (!quotaCheck.allowed) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ ...quotaExceededBody(quotaCheck.quota), event_index: index, agent_id });
+        }
+        
+        // Budget check and reservation for this event
+        const agentResult = await client.query(`
+          SELECT id, agent_id, agent_name, is_suspended, monthly_cost_limit,
+                 budget_period, budget_period_hours, budget_anchor_day, budget_timezone, budget_stages, budget_rollover_cap
+          FROM agents WHERE id = $1
+        `, [agentUuid]);
+        const agent = agentResult.rows[0];
+        
+        if (agent.is_suspended) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({
+            error: 'Agent is suspended due to budget limits or manual override',
+            code: 'AGENT_SUSPENDED',
+            event_index: index,
+            agent_id
+          });
+        }
+        
+        const chain = await resolveBudgetChain(req.user.id, { agent, customerUuid, apiKeyId: req.apiKey.id });
+        const budgetCheck = await checkAndReserveBudget(chain, pricing.cost_amount);
+        setBudgetStageHeaders(res, budgetCheck);
+        if (!budgetCheck.allowed) {
+          await client.query('ROLLBACK');
+          return res.status(budgetCheck.status).json({ ...budgetCheck.body, agent_id, event_index: index });
+        }
+        reservations.push(budgetCheck.reservation);
         
-        // Insert usage event
-        const result = await client.query(
-          `INSERT INTO usage_events (
-            user_id, customer_id, agent_id, event_name, vendor, model,
-            cost_amount, cost_currency, input_tokens, output_tokens, total_tokens,
-            metadata, event_timestamp
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-          RETURNING id, created_at`,
-          [
-            req.user.id, customerUuid, agentUuid, event_name, vendor, model,
-            cost_amount, cost_currency, input_tokens, output_tokens, finalTotalTokens,
-            metadata, event_timestamp
-          ]
-        );
+        // Insert usage event, skipping keys recorded by a concurrent retry
+        const inserted = await insertUsageEvent(client, req.user.id, customerUuid, agentUuid, event, pricing, req.apiKey.id);
+        
+        if (!inserted) {
+          const existing = await findEventByIdempotencyKey(client, req.user.id, idempotency_key);
+          await releaseBudgetReservation(budgetCheck.reservation);
+          recordedEvents.push({
+            event_id: existing.id,
+            recorded_at: existing.created_at,
+            replayed: true
+          });
+          continue;
+        }
         
         recordedEvents.push({
-          event_id: result.rows[0].id,
-          recorded_at: result.rows[0].created_at
+          event_id: inserted.id,
+          recorded_at: inserted.created_at,
+          cost_amount: pricing.cost_amount,
+          pricing_status: pricing.pricing_status,
+          ...(budgetCheck.advisory && { budget_advisory: budgetCheck.advisory })
+        });
+        newSpend.push({
+          agentUuid,
+          customerUuid,
+          reservation: budgetCheck.reservation,
+          stageEvents: budgetCheck.stageEvents,
+          cost_amount: pricing.cost_amount,
+          isError: isErrorEvent(event)
         });
       }
       
       await client.query('COMMIT');
       
+      // Only newly inserted events count towards the Redis spend cache and fire stages
+      for (const spend of newSpend) {
+        await recordAgentSpend(spend.agentUuid, spend.reservation, spend.cost_amount);
+        await recordBudgetStages(spend.stageEvents);
+      }
+
+      const enforcement = await enforceOnIngest(req.user.id, newSpend.map(spend => ({
+        agentUuid: spend.agentUuid,
+        customerUuid: spend.customerUuid,
+        costAmount: spend.cost_amount,
+        isError: spend.isError
+      })));
+      
       res.status(201).json({
         message: `${events.length} usage events recorded successfully`,
-        events: recordedEvents
+        events: recordedEvents,
+        ...(enforcement.length > 0 && { realtime_enforcement: enforcement })
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -238,6 +456,157 @@ router.post('/record-bulk', authenticateApiKey, enforceAgentBudget, async (req,
   } catch (error) {
     console.error('Bulk record usage error:', error);
     res.status(500).json({ error: 'Failed to record usage events' });
+  } finally {
+    // One failed release must neither skip the others nor escape the handler
+    for (const reservation of reservations) {
+      try {
+        await releaseBudgetReservation(reservation);
+      } catch (error) {
+        console.error('Bulk record usage cleanup error:', error);
+      }
+    }
+  }
+});
+
+// Place a hold on an agent's budget before making an expensive call
+router.post('/authorize', authenticateApiKey, async (req, res) => {
+  try {
+    const { error, value } = authorizeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { agent_id, customer_id, vendor, model, ttl_seconds, metadata } = value;
+    let amount = value.amount;
+
+    // Estimate the maximum cost from the price catalog
+    if (amount === undefined) {
+      const price = await findPrice(vendor, model, new Date(), req.user.id);
+      if (!price) {
+        return res.status(422).json({
+          error: `No catalog price for ${vendor}/${model}; pass amount instead`,
+          code: 'UNPRICED_MODEL'
+        });
+      }
+      amount = computeCost(price, { input_tokens: value.input_tokens, output_tokens: value.max_output_tokens });
+    }
+
+    const customerUuid = customer_id ? await ensureCustomerExists(req.user.id, customer_id) : null;
+    const agentUuid = await ensureAgentExists(req.user.id, agent_id);
+
+    const agentResult = await db.query(`
+      SELECT id, agent_id, agent_name, is_suspended, monthly_cost_limit,
+             budget_period, budget_period_hours, budget_anchor_day, budget_timezone, budget_stages, budget_rollover_cap
+      FROM agents WHERE id = $1
+    `, [agentUuid]);
+    const agent = agentResult.rows[0];
+
+    if (agent.is_suspended) {
+      return res.status(403).json({
+        error: 'Agent is suspended due to budget limits or manual override',
+        code: 'AGENT_SUSPENDED',
+        agent_id
+      });
+    }
+
+    // 🚨 KILL SWITCH CHECK
+    const isActive = await checkAgentStatus(req.user.id, agentUuid);
+    if (!isActive) {
+      return res.status(403).json({
+        error: 'Agent is currently inactive (killed, paused, or under emergency stop)',
+        code: 'AGENT_KILLED',
+        agent_id
+      });
+    }
+
+    // The hold's Redis reservation shares its id and lifetime with the authorization
+    const authorizationId = uuidv4();
+    const chain = await resolveBudgetChain(req.user.id, { agent, customerUuid, apiKeyId: req.apiKey.id });
+    const budgetCheck = await checkAndReserveBudget(chain, amount, {
+      reservationId: authorizationId,
+      ttlMs: ttl_seconds * 1000,
+      hold: true
+    });
+    setBudgetStageHeaders(res, budgetCheck);
+
+    if (!budgetCheck.allowed) {
+      return res.status(budgetCheck.status).json({ ...budgetCheck.body, agent_id });
+    }
+
+    let authorization;
+    try {
+      authorization = await insertAuthorization({
+        id: authorizationId,
+        userId: req.user.id,
+        agentUuid,
+        customerUuid,
+        apiKeyId: req.apiKey.id,
+        amount,
+        ttlSeconds: ttl_seconds,
+        metadata
+      });
+    } catch (insertError) {
+      if (budgetCheck.reservation) {
+        await releaseBudgetReservation({ ...budgetCheck.reservation, hold: false });
+      }
+      throw insertError;
+    }
+
+    console.log(`💳 Authorized $${amount.toFixed(4)} for agent ${agent_id} (expires in ${ttl_seconds}s)`);
+    await recordBudgetStages(budgetCheck.stageEvents);
+
+    res.status(201).json({
+      message: 'Authorization created successfully',
+      ...formatAuthorization({ ...authorization, agent_external_id: agent_id }),
+      ...(budgetCheck.advisory && { budget_advisory: budgetCheck.advisory })
+    });
+  } catch (error) {
+    console.error('Authorize usage error:', error);
+    res.status(500).json({ error: 'Failed to authorize usage' });
+  }
+});
+
+// Get a pre-authorization hold
+router.get('/authorizations/:authorizationId', authenticateApiKey, async (req, res) => {
+  try {
+    const { authorizationId } = req.params;
+    if (invalidId(authorizationId)) {
+      return res.status(400).json({ error: 'Invalid authorization id' });
+    }
+
+    const authorization = await getAuthorization(authorizationId, req.user.id);
+    if (!authorization) {
+      return res.status(404).json({ error: 'Authorization not found', code: 'AUTHORIZATION_NOT_FOUND' });
+    }
+
+    res.json(formatAuthorization(authorization));
+  } catch (error) {
+    console.error('Get authorization error:', error);
+    res.status(500).json({ error: 'Failed to get authorization' });
+  }
+});
+
+// Release a hold that will not be used
+router.post('/authorizations/:authorizationId/release', authenticateApiKey, async (req, res) => {
+  try {
+    const { authorizationId } = req.params;
+    if (invalidId(authorizationId)) {
+      return res.status(400).json({ error: 'Invalid authorization id' });
+    }
+
+    const result = await releaseAuthorization(authorizationId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    res.json({
+      message: 'Authorization released successfully',
+      authorization_id: result.authorization.id,
+      released_amount: parseFloat(result.authorization.amount)
+    });
+  } catch (error) {
+    console.error('Release authorization error:', error);
+    res.status(500).json({ error: 'Failed to release authorization' });
   }
 });
 
@@ -258,6 +627,7 @@ router.get('/events', authenticateApiKey, async (req, res) => {
       SELECT 
         ue.id, ue.event_name, ue.vendor, ue.model,
         ue.cost_amount, ue.cost_currency,
+        ue.reported_cost_amount, ue.computed_cost_amount, ue.pricing_status,
         ue.input_tokens, ue.output_tokens, ue.total_tokens,
         ue.metadata, ue.event_timestamp, ue.created_at,
         c.customer_id, c.customer_name,
@@ -3,11 +3,16 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const KillSwitchMonitor = require('./services/kill-switch-monitor');
+const { STALE_JOB_MS, failStaleRepricingJobs } = require('./services/repricing');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// API processes can leave the kill switch monitor to a separate worker (src/worker.js)
+const runMonitor = process.env.KILL_SWITCH_MONITOR !== 'false';
+let monitor = null;
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -19,7 +24,11 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'AI Cost Tracker API is running' });
+  res.json({
+    status: 'OK',
+    message: 'AI Cost Tracker API is running',
+    kill_switch_monitor: !monitor ? 'disabled' : (monitor.election.isLeader ? 'leader' : 'standby')
+  });
 });
 
 app.use('/api/auth', require('./routes/auth'));
@@ -28,6 +37,11 @@ app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/agents', require('./routes/agents'));
 app.use('/api/killswitch', require('./routes/killswitch'));
+app.use('/api/pricing', require('./routes/pricing'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/quotas', require('./routes/quotas'));
+app.use('/api/approvals', require('./routes/approvals'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -45,5 +59,14 @@ app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV}`);
   
   // Initialize Kill Switch Monitor
-  KillSwitchMonitor.initialize();
+  if (runMonitor) {
+    monitor = KillSwitchMonitor.initialize();
+  }
+
+  // Re-pricing jobs run in the API process; fail the ones a stopped process left behind
+  const sweepRepricingJobs = () => failStaleRepricingJobs().catch(error => {
+    console.error('Error failing stale re-pricing jobs:', error);
+  });
+  sweepRepricingJobs();
+  setInterval(sweepRepricingJobs, STALE_JOB_MS).unref();
 });
\ No newline at end of file
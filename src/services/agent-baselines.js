@@ -0,0 +1,184 @@
+const db = require('../config/database');
+
+/**
+ * Per-agent baselines of cost per minute and requests per minute, learned from
+ * spend_rate_monitoring as exponentially weighted moving averages of mean and variance.
+ * Each new monitoring window (all of an agent's customers summed) is first scored against
+ * the baseline as it stood, in standard deviations above the mean, and then folded in, so
+ * a spike is measured before it raises the baseline.
+ */
+
+// Weight of a new window. Windows arrive every 30 seconds, so the baseline mostly
+// reflects the last couple of hours.
+const BASELINE_ALPHA = 0.005;
+
+// Windows a baseline needs before its scores count (an hour of monitoring)
+const BASELINE_MIN_SAMPLES = 120;
+
+// Lower bound of the standard deviation as a share of the mean, so an agent with a very
+// steady rate does not score huge deviations for small changes
+const BASELINE_MIN_RELATIVE_STDDEV = 0.05;
+
+// How far back a new agent's baseline starts learning, and how long scores are kept
+const BASELINE_BOOTSTRAP = '24 hours';
+const SCORE_RETENTION = '30 days';
+
+// Metrics with their spend_rate_monitoring column and baseline / score column prefix
+const BASELINE_METRICS = {
+  cost_per_minute: 'cost',
+  requests_per_minute: 'requests'
+};
+
+function scoreAgainst(mean, variance, samples, value) {
+  const stddev = Math.max(Math.sqrt(variance), mean * BASELINE_MIN_RELATIVE_STDDEV);
+  if (samples < BASELINE_MIN_SAMPLES || stddev <= 0) {
+    return { stddev, score: null };
+  }
+  return { stddev, score: (value - mean) / stddev };
+}
+
+function foldIn(mean, variance, samples, value) {
+  if (samples === 0) {
+    return { mean: value, variance: 0 };
+  }
+  const diff = value - mean;
+  const increment = BASELINE_ALPHA * diff;
+  return { mean: mean + increment, variance: (1 - BASELINE_ALPHA) * (variance + diff * increment) };
+}
+
+/**
+ * Score and fold in the monitoring windows that arrived since each agent's last update.
+ * Returns the number of windows processed.
+ */
+async function updateAgentBaselines() {
+  const windows = await db.query(`
+    SELECT srm.agent_id, srm.user_id, srm.window_end,
+           SUM(srm.cost_per_minute) as cost_per_minute,
+           SUM(srm.requests_per_minute) as requests_per_minute
+    FROM spend_rate_monitoring srm
+    LEFT JOIN agent_baselines b ON b.agent_id = srm.agent_id
+    WHERE srm.agent_id IS NOT NULL
+    AND srm.window_end > COALESCE(b.last_window_end, NOW() - INTERVAL '${BASELINE_BOOTSTRAP}')
+    GROUP BY srm.agent_id, srm.user_id, srm.window_end
+    ORDER BY srm.agent_id, srm.window_end
+  `);
+
+  if (windows.rows.length === 0) {
+    return 0;
+  }
+
+  const agentIds = [...new Set(windows.rows.map(row => row.agent_id))];
+  const baselines = await db.query('SELECT * FROM agent_baselines WHERE agent_id = ANY($1::uuid[])', [agentIds]);
+  const states = new Map(baselines.rows.map(row => [row.agent_id, {
+    cost_mean: parseFloat(row.cost_mean),
+    cost_variance: parseFloat(row.cost_variance),
+    requests_mean: parseFloat(row.requests_mean),
+    requests_variance: parseFloat(row.requests_variance),
+    samples: row.samples
+  }]));
+
+  for (const window of windows.rows) {
+    const state = states.get(window.agent_id) || {
+      cost_mean: 0, cost_variance: 0, requests_mean: 0, requests_variance: 0, samples: 0
+    };
+    const scored = {};
+
+    for (const [metric, prefix] of Object.entries(BASELINE_METRICS)) {
+      const value = parseFloat(window[metric]) || 0;
+      const mean = state[`${prefix}_mean`];
+      const variance = state[`${prefix}_variance`];
+      const { stddev, score } = scoreAgainst(mean, variance, state.samples, value);
+      scored[prefix] = { value, mean, stddev, score };
+
+      const next = foldIn(mean, variance, state.samples, value);
+      state[`${prefix}_mean`] = next.mean;
+      state[`${prefix}_variance`] = next.variance;
+    }
+    state.samples++;
+    states.set(window.agent_id, state);
+
+    await db.query(`
+      INSERT INTO agent_baseline_scores
+      (agent_id, user_id, window_end, cost_per_minute, cost_mean, cost_stddev, cost_score,
+       requests_per_minute, requests_mean, requests_stddev, requests_score)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      window.agent_id, window.user_id, window.window_end,
+      scored.cost.value, scored.cost.mean, scored.cost.stddev, scored.cost.score,
+      scored.requests.value, scored.requests.mean, scored.requests.stddev, scored.requests.score
+    ]);
+
+    await db.query(`
+      INSERT INTO agent_baselines
+      (agent_id, user_id, cost_mean, cost_variance, requests_mean, requests_variance, samples, last_window_end)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (agent_id) DO UPDATE
+      SET cost_mean = $3, cost_variance = $4, requests_mean = $5, requests_variance = $6,
+          samples = $7, last_window_end = $8, updated_at = CURRENT_TIMESTAMP
+    `, [
+      window.agent_id, window.user_id, state.cost_mean, state.cost_variance,
+      state.requests_mean, state.requests_variance, state.samples, window.window_end
+    ]);
+  }
+
+  await db.query(`DELETE FROM agent_baseline_scores WHERE window_end < NOW() - INTERVAL '${SCORE_RETENTION}'`);
+
+  return windows.rows.length;
+}
+
+/**
+ * An agent's baseline and its latest scores (newest first), or null without a baseline yet
+ */
+async function getAgentBaseline(agentUuid, { limit = 60 } = {}) {
+  const baseline = await db.query('SELECT * FROM agent_baselines WHERE agent_id = $1', [agentUuid]);
+  if (baseline.rows.length === 0) {
+    return null;
+  }
+
+  const scores = await db.query(`
+    SELECT * FROM agent_baseline_scores
+    WHERE agent_id = $1
+    ORDER BY window_end DESC
+    LIMIT $2
+  `, [agentUuid, limit]);
+
+  const row = baseline.rows[0];
+  const metrics = {};
+  for (const [metric, prefix] of Object.entries(BASELINE_METRICS)) {
+    const mean = parseFloat(row[`${prefix}_mean`]);
+    metrics[metric] = {
+      mean,
+      stddev: Math.max(Math.sqrt(parseFloat(row[`${prefix}_variance`])), mean * BASELINE_MIN_RELATIVE_STDDEV)
+    };
+  }
+
+  const number = value => (value === null ? null : parseFloat(value));
+
+  return {
+    learning: row.samples < BASELINE_MIN_SAMPLES,
+    samples: row.samples,
+    min_samples: BASELINE_MIN_SAMPLES,
+    alpha: BASELINE_ALPHA,
+    last_window_end: row.last_window_end,
+    metrics,
+    scores: scores.rows.map(score => {
+      const entry = { window_end: score.window_end };
+      for (const [metric, prefix] of Object.entries(BASELINE_METRICS)) {
+        entry[metric] = {
+          value: number(score[metric]),
+          mean: number(score[`${prefix}_mean`]),
+          stddev: number(score[`${prefix}_stddev`]),
+          score: number(score[`${prefix}_score`])
+        };
+      }
+      return entry;
+    })
+  };
+}
+
+module.exports = {
+  BASELINE_METRICS,
+  BASELINE_MIN_SAMPLES,
+  updateAgentBaselines,
+  getAgentBaseline
+};
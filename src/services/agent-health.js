@@ -0,0 +1,123 @@
+const db = require('../config/database');
+const { logKillSwitchEvent } = require('./kill-switch-actions');
+
+/**
+ * Agent liveness from agent_heartbeats. Usage events (through the update_agent_heartbeat
+ * trigger) and explicit heartbeats keep last_activity current; an active agent with no
+ * activity within its heartbeat_interval_seconds is marked silent (is_alive = false) until
+ * it is heard from again. Usage events also count the run of identical requests
+ * (metadata.request_hash), and a long run reports the agent as stuck.
+ */
+
+// Expected interval for agents without their own heartbeat_interval_seconds
+const DEFAULT_HEARTBEAT_INTERVAL_SECONDS = 600;
+
+// Identical requests in a row from which an agent is reported as stuck
+const STUCK_IDENTICAL_REQUESTS = 20;
+
+/**
+ * Record an explicit heartbeat. intervalSeconds, if given, becomes the agent's expected
+ * interval.
+ */
+async function recordHeartbeat(agentUuid, userId, { status = null, intervalSeconds } = {}) {
+  if (intervalSeconds !== undefined) {
+    await db.query(
+      'UPDATE agents SET heartbeat_interval_seconds = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3',
+      [intervalSeconds, agentUuid, userId]
+    );
+  }
+
+  await db.query(`
+    INSERT INTO agent_heartbeats (agent_id, user_id, last_activity, last_heartbeat, heartbeat_status)
+    VALUES ($1, $2, NOW(), NOW(), $3)
+    ON CONFLICT (agent_id) DO UPDATE
+    SET last_activity = NOW(), last_heartbeat = NOW(), heartbeat_status = $3,
+        is_alive = true, silent_since = NULL
+  `, [agentUuid, userId, status]);
+}
+
+/**
+ * Mark active agents that missed their expected interval as not alive, logging an
+ * agent_silent event for each. Returns the agents marked.
+ */
+async function markSilentAgents() {
+  const result = await db.query(`
+    UPDATE agent_heartbeats h
+    SET is_alive = false, silent_since = NOW()
+    FROM agents a
+    WHERE a.id = h.agent_id
+    AND a.status = 'active'
+    AND h.is_alive = true
+    AND h.last_activity < NOW() - make_interval(secs => COALESCE(a.heartbeat_interval_seconds, $1))
+    RETURNING h.agent_id, h.user_id, h.last_activity, a.agent_id as external_id,
+              COALESCE(a.heartbeat_interval_seconds, $1) as interval_seconds
+  `, [DEFAULT_HEARTBEAT_INTERVAL_SECONDS]);
+
+  for (const agent of result.rows) {
+    await logKillSwitchEvent(
+      'agent_silent',
+      'agent',
+      agent.agent_id,
+      agent.user_id,
+      `No activity since ${new Date(agent.last_activity).toISOString()} (expected every ${agent.interval_seconds}s)`,
+      'auto_liveness',
+      { last_activity: agent.last_activity, interval_seconds: agent.interval_seconds }
+    );
+  }
+
+  return result.rows;
+}
+
+/**
+ * Health of an agent: 'alive', 'stuck' (alive but repeating the same request), 'silent'
+ * or 'unknown' (never heard from)
+ */
+async function getAgentHealth(agentUuid) {
+  const result = await db.query(`
+    SELECT a.status as agent_status,
+           COALESCE(a.heartbeat_interval_seconds, $2) as expected_interval_seconds,
+           h.agent_id as heartbeat_agent_id, h.is_alive, h.last_activity, h.last_heartbeat,
+           h.heartbeat_status, h.silent_since, h.last_request_signature, h.consecutive_identical_requests,
+           EXTRACT(EPOCH FROM (NOW() - h.last_activity)) as seconds_since_activity
+    FROM agents a
+    LEFT JOIN agent_heartbeats h ON h.agent_id = a.id
+    WHERE a.id = $1
+  `, [agentUuid, DEFAULT_HEARTBEAT_INTERVAL_SECONDS]);
+
+  const row = result.rows[0];
+  const identicalRequests = row.consecutive_identical_requests || 0;
+
+  let health = 'unknown';
+  if (row.heartbeat_agent_id) {
+    if (!row.is_alive) {
+      health = 'silent';
+    } else if (identicalRequests >= STUCK_IDENTICAL_REQUESTS) {
+      health = 'stuck';
+    } else {
+      health = 'alive';
+    }
+  }
+
+  return {
+    health,
+    agent_status: row.agent_status,
+    is_alive: row.heartbeat_agent_id ? row.is_alive : null,
+    last_activity: row.last_activity || null,
+    seconds_since_activity: row.seconds_since_activity === null ? null : Math.round(parseFloat(row.seconds_since_activity)),
+    expected_interval_seconds: row.expected_interval_seconds,
+    silent_since: row.silent_since || null,
+    last_heartbeat: row.last_heartbeat || null,
+    heartbeat_status: row.heartbeat_status || null,
+    last_request_signature: row.last_request_signature || null,
+    consecutive_identical_requests: identicalRequests,
+    stuck_threshold: STUCK_IDENTICAL_REQUESTS
+  };
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_INTERVAL_SECONDS,
+  STUCK_IDENTICAL_REQUESTS,
+  recordHeartbeat,
+  markSilentAgents,
+  getAgentHealth
+};
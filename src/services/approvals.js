@@ -0,0 +1,570 @@
+const db = require('../config/database');
+const {
+  logKillSwitchEvent,
+  emergencyStopAll,
+  disableEmergencyStop,
+  killCustomer,
+  reviveAgent
+} = require('./kill-switch-actions');
+const { updateBudgetSettings } = require('./budget-settings');
+const {
+  resolveGrantTarget,
+  grantWindow,
+  applyGrant,
+  getUnexpiredGrantTotal
+} = require('./budget-grants');
+
+// Operations a policy can put behind a second user's approval
+const APPROVAL_ACTIONS = {
+  emergency_stop_all: 'Emergency stop of all agents',
+  emergency_stop_disable: 'Disable the emergency stop',
+  kill_customer: 'Kill all agents of a customer',
+  revive_agent: 'Revive a killed or paused agent',
+  budget_increase: 'Raise a budget limit'
+};
+
+// Changes to an active policy, approved under that policy (not offered as policy actions)
+const POLICY_CHANGE_ACTIONS = {
+  approval_policy_update: 'Change an active approval policy',
+  approval_policy_delete: 'Delete an active approval policy'
+};
+
+// What an approved request runs, as the tenant that requested it
+const EXECUTORS = {
+  emergency_stop_all: (userId, payload) => emergencyStopAll(userId, payload.reason, 'approval'),
+
+  emergency_stop_disable: userId => disableEmergencyStop(userId, 'approval'),
+
+  kill_customer: async (userId, payload) => {
+    const result = await killCustomer(userId, payload.customer_id, payload.reason, payload.metadata, 'approval');
+    if (!result) {
+      throw new Error(`Customer ${payload.customer_id} not found`);
+    }
+    return result;
+  },
+
+  revive_agent: async (userId, payload) => {
+    const result = await reviveAgent(userId, payload.agent_id, payload.reason, 'approval');
+    if (!result) {
+      throw new Error(`Agent ${payload.agent_id} not found or already active`);
+    }
+    return result;
+  },
+
+  budget_increase: async (userId, payload) => {
+    if (payload.grant) {
+      return executeGrant(userId, payload);
+    }
+
+    const row = await updateBudgetSettings(payload.level, userId, payload.target_id, payload.settings);
+    if (!row) {
+      throw new Error(`Budget ${payload.level} ${payload.target_id || ''} not found`.trim());
+    }
+    return {
+      level: payload.level,
+      target_id: payload.target_id,
+      monthly_cost_limit: parseFloat(row.monthly_cost_limit) || null
+    };
+  },
+
+  approval_policy_update: async (userId, payload) => {
+    const policy = await updatePolicy(payload.policy_id, await getOrgId(userId), payload.changes, userId, 'approval');
+    if (!policy) {
+      throw new Error(`Approval policy ${payload.policy_id} not found`);
+    }
+    return formatPolicy(policy);
+  },
+
+  approval_policy_delete: async (userId, payload) => {
+    const policy = await deletePolicy(payload.policy_id, await getOrgId(userId), userId, 'approval');
+    if (!policy) {
+      throw new Error(`Approval policy ${payload.policy_id} not found`);
+    }
+    return { id: policy.id, action: policy.action };
+  }
+};
+
+// Run an approved budget grant, timed from now when it had no start of its own
+async function executeGrant(userId, { level, target_id, grant }) {
+  const target = await resolveGrantTarget(userId, level, target_id);
+  if (!target) {
+    throw new Error(`Budget ${level} ${target_id || ''} not found`.trim());
+  }
+
+  const { startsAt, expiresAt } = grantWindow(grant);
+  if (expiresAt <= new Date()) {
+    throw new Error('The grant expired before it was approved');
+  }
+
+  const { grant: created, agentReactivated } = await applyGrant(userId, level, target, {
+    amount: grant.amount,
+    reason: grant.reason,
+    startsAt,
+    expiresAt,
+    grantedBy: grant.granted_by,
+    grantedByApiKeyId: grant.granted_by_api_key_id,
+    reactivateAgent: grant.reactivate_agent
+  });
+
+  return {
+    level,
+    target_id,
+    grant_id: created.id,
+    amount: parseFloat(created.amount),
+    expires_at: created.expires_at,
+    ...(level === 'agent' && { agent_reactivated: agentReactivated })
+  };
+}
+
+const APPROVAL_SELECT = `
+  SELECT r.*, ru.email as requested_by_email, du.email as decided_by_email
+  FROM approval_requests r
+  LEFT JOIN users ru ON r.requested_by = ru.id
+  LEFT JOIN users du ON r.decided_by = du.id
+`;
+
+/**
+ * Organization of a user: its org_id, or the user itself when it has none
+ */
+async function getOrgId(userId) {
+  const result = await db.query('SELECT COALESCE(org_id, id) as org_id FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.org_id || userId;
+}
+
+/**
+ * Whether raising an effective limit from currentLimit to newLimit (null = unlimited) crosses the policy's threshold
+ */
+function isBudgetIncreaseAbove(currentLimit, newLimit, minBudgetLimit) {
+  if (currentLimit === null) {
+    return false;
+  }
+  if (newLimit !== null && newLimit <= currentLimit) {
+    return false;
+  }
+  return minBudgetLimit === null || newLimit === null || newLimit > minBudgetLimit;
+}
+
+/**
+ * Whether a policy covers this particular call.
+ * context: { autoKilled } for revive_agent, { currentLimit, newLimit } for budget_increase
+ */
+function policyApplies(policy, context) {
+  if (policy.action === 'revive_agent' && policy.auto_killed_only) {
+    return Boolean(context.autoKilled);
+  }
+  if (policy.action === 'budget_increase') {
+    const minBudgetLimit = policy.min_budget_limit === null ? null : parseFloat(policy.min_budget_limit);
+    return isBudgetIncreaseAbove(context.currentLimit, context.newLimit, minBudgetLimit);
+  }
+  return true;
+}
+
+async function getPolicy(policyId, orgId) {
+  const result = await db.query('SELECT * FROM approval_policies WHERE id = $1 AND org_id = $2', [policyId, orgId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Apply { min_budget_limit, auto_killed_only, approval_window_minutes, is_active } to a policy.
+ * Returns the updated row, or null when the organization has no such policy.
+ */
+async function updatePolicy(policyId, orgId, changes, userId, triggeredBy = 'manual') {
+  const result = await db.query(`
+    UPDATE approval_policies
+    SET min_budget_limit = CASE WHEN $3::boolean THEN $4::decimal ELSE min_budget_limit END,
+        auto_killed_only = COALESCE($5, auto_killed_only),
+        approval_window_minutes = COALESCE($6, approval_window_minutes),
+        is_active = COALESCE($7, is_active),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND org_id = $2
+    RETURNING *
+  `, [
+    policyId,
+    orgId,
+    changes.min_budget_limit !== undefined,
+    changes.min_budget_limit ?? null,
+    changes.auto_killed_only ?? null,
+    changes.approval_window_minutes ?? null,
+    changes.is_active ?? null
+  ]);
+
+  const policy = result.rows[0];
+  if (policy) {
+    await logKillSwitchEvent('approval_policy_updated', 'approval_policy', policy.id, userId,
+      `Approval policy for ${policy.action} updated`, triggeredBy, { changes });
+  }
+  return policy || null;
+}
+
+/**
+ * Delete a policy; pending requests it created can still be decided.
+ * Returns the deleted row's id and action, or null when the organization has no such policy.
+ */
+async function deletePolicy(policyId, orgId, userId, triggeredBy = 'manual') {
+  const result = await db.query(
+    'DELETE FROM approval_policies WHERE id = $1 AND org_id = $2 RETURNING id, action',
+    [policyId, orgId]
+  );
+
+  const policy = result.rows[0];
+  if (policy) {
+    await logKillSwitchEvent('approval_policy_deleted', 'approval_policy', policy.id, userId,
+      `Approval no longer required for ${policy.action}`, triggeredBy);
+  }
+  return policy || null;
+}
+
+async function logApprovalEvent(eventType, request, reason, triggeredBy = 'manual', metadata = {}) {
+  await logKillSwitchEvent(eventType, 'approval', request.id, request.user_id, reason, triggeredBy, {
+    action: request.action,
+    requested_by: request.requested_by,
+    ...metadata
+  });
+}
+
+/**
+ * Create a pending request when an active policy of the user's organization covers the call.
+ * Returns the request, or null when the call can go ahead right away.
+ */
+async function requestApprovalIfRequired(userId, action, { payload = {}, summary, context = {} }) {
+  const orgId = await getOrgId(userId);
+  const policyResult = await db.query(
+    'SELECT * FROM approval_policies WHERE org_id = $1 AND action = $2 AND is_active = true',
+    [orgId, action]
+  );
+
+  const policy = policyResult.rows[0];
+  if (!policy || !policyApplies(policy, context)) {
+    return null;
+  }
+
+  return createApprovalRequest(policy, userId, action, { payload, summary });
+}
+
+/**
+ * Create a pending request under a policy, expiring at the end of the policy's window
+ */
+async function createApprovalRequest(policy, userId, action, { payload = {}, summary }) {
+  const result = await db.query(`
+    INSERT INTO approval_requests (org_id, policy_id, user_id, action, payload, summary, requested_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $3, CURRENT_TIMESTAMP + ($7 || ' minutes')::interval)
+    RETURNING *
+  `, [policy.org_id, policy.id, userId, action, payload, summary, policy.approval_window_minutes.toString()]);
+
+  const request = result.rows[0];
+  await logApprovalEvent('approval_requested', request, summary, 'manual', {
+    expires_at: request.expires_at
+  });
+
+  console.log(`✋ Approval required for ${action} requested by user ${userId} (request ${request.id})`);
+  return request;
+}
+
+/**
+ * Gate a change to a policy: while the policy is active, changing or deleting it needs
+ * the same approval as the action it covers. Returns the request, or null when the
+ * policy is inactive and the change can go ahead right away.
+ */
+async function requestPolicyChangeApprovalIfRequired(userId, policy, changes = null) {
+  if (!policy.is_active) {
+    return null;
+  }
+
+  if (changes) {
+    return createApprovalRequest(policy, userId, 'approval_policy_update', {
+      payload: { policy_id: policy.id, changes },
+      summary: `Change the ${policy.action} approval policy`
+    });
+  }
+
+  return createApprovalRequest(policy, userId, 'approval_policy_delete', {
+    payload: { policy_id: policy.id },
+    summary: `Delete the ${policy.action} approval policy`
+  });
+}
+
+// Days in each budget period, to compare limits of different periods over a 30-day month
+function periodDays(row) {
+  switch (row.budget_period) {
+    case 'daily':
+      return 1;
+    case 'weekly':
+      return 7;
+    case 'rolling':
+      return (row.budget_period_hours || 24) / 24;
+    default:
+      return 30;
+  }
+}
+
+/**
+ * Most a budget row lets through in a 30-day month (null = unlimited): its limit
+ * scaled from its period, plus the rollover cap (rolling windows carry nothing over)
+ * and the grants given on top.
+ */
+function effectiveMonthlyLimit(row, grantTotal) {
+  if (row.monthly_cost_limit === null || row.monthly_cost_limit === undefined) {
+    return null;
+  }
+
+  const rolloverCap = row.budget_period !== 'rolling' && row.budget_rollover_cap
+    ? parseFloat(row.budget_rollover_cap)
+    : 0;
+  const perPeriod = parseFloat(row.monthly_cost_limit) + rolloverCap;
+
+  return Math.round((perPeriod * 30 / periodDays(row) + grantTotal) * 100) / 100;
+}
+
+/**
+ * Gate a budget settings change: a request is created when it raises the effective limit
+ * past the policy's threshold, whether by a higher limit, a shorter period (monthly to
+ * daily) or a higher rollover cap. current is the budget row before the change, label names it.
+ */
+async function requestBudgetApprovalIfRequired(userId, level, targetId, current, settings, label) {
+  const newLimit = settings.monthly_cost_limit;
+  const grantTotal = await getUnexpiredGrantTotal(level, current.id);
+  const next = {
+    monthly_cost_limit: newLimit,
+    budget_period: settings.budget_period || current.budget_period,
+    budget_period_hours: settings.budget_period ? settings.budget_period_hours : current.budget_period_hours,
+    budget_rollover_cap: settings.budget_rollover_cap === undefined ? current.budget_rollover_cap : settings.budget_rollover_cap
+  };
+
+  return requestApprovalIfRequired(userId, 'budget_increase', {
+    payload: { level, target_id: targetId, settings },
+    summary: `Raise the ${label} budget to ${newLimit === null ? 'unlimited' : `$${newLimit} (${next.budget_period})`}`,
+    context: {
+      currentLimit: effectiveMonthlyLimit(current, grantTotal),
+      newLimit: effectiveMonthlyLimit(next, grantTotal)
+    }
+  });
+}
+
+/**
+ * Gate a budget grant the same way: a request is created when the grant takes the
+ * effective limit past the policy's threshold. The grant, and reactivate_agent with it,
+ * then only runs once approved. grant holds the validated request body plus granted_by
+ * and granted_by_api_key_id.
+ */
+async function requestGrantApprovalIfRequired(userId, level, targetId, current, grant, label) {
+  const grantTotal = await getUnexpiredGrantTotal(level, current.id);
+
+  return requestApprovalIfRequired(userId, 'budget_increase', {
+    payload: { level, target_id: targetId, grant },
+    summary: `Grant $${grant.amount} to the ${label} budget${grant.reactivate_agent ? ' and reactivate the agent' : ''}`,
+    context: {
+      currentLimit: effectiveMonthlyLimit(current, grantTotal),
+      newLimit: effectiveMonthlyLimit(current, grantTotal + grant.amount)
+    }
+  });
+}
+
+/**
+ * Mark pending requests past their window as expired, for one organization or all of them
+ */
+async function expireApprovalRequests(orgId = null) {
+  const result = await db.query(`
+    UPDATE approval_requests
+    SET status = 'expired', decided_at = CURRENT_TIMESTAMP
+    WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+    AND ($1::uuid IS NULL OR org_id = $1)
+    RETURNING *
+  `, [orgId]);
+
+  for (const request of result.rows) {
+    await logApprovalEvent('approval_expired', request, `Approval window for ${request.action} expired`, 'auto_expiry');
+  }
+
+  return result.rows.length;
+}
+
+async function getApprovalRequest(requestId, orgId) {
+  await expireApprovalRequests(orgId);
+
+  const result = await db.query(`${APPROVAL_SELECT} WHERE r.id = $1 AND r.org_id = $2`, [requestId, orgId]);
+  return result.rows[0] || null;
+}
+
+async function listApprovalRequests(orgId, { status = null } = {}) {
+  await expireApprovalRequests(orgId);
+
+  const params = [orgId];
+  const filters = ['r.org_id = $1'];
+
+  if (status) {
+    params.push(status);
+    filters.push(`r.status = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${APPROVAL_SELECT}
+    WHERE ${filters.join(' AND ')}
+    ORDER BY r.created_at DESC
+    LIMIT 200
+  `, params);
+
+  return result.rows;
+}
+
+/**
+ * Check that a user may decide on a request: it must be pending and someone else's.
+ * Returns { request } or { status, body } describing why not.
+ */
+async function loadDecidableRequest(requestId, userId) {
+  const orgId = await getOrgId(userId);
+  const request = await getApprovalRequest(requestId, orgId);
+
+  if (!request) {
+    return { status: 404, body: { error: 'Approval request not found', code: 'APPROVAL_NOT_FOUND' } };
+  }
+  if (request.status !== 'pending') {
+    return {
+      status: 409,
+      body: { error: `Approval request is ${request.status}`, code: 'APPROVAL_NOT_PENDING' }
+    };
+  }
+  if (request.requested_by === userId) {
+    return {
+      status: 403,
+      body: { error: 'A request must be approved by a different user', code: 'SELF_APPROVAL_NOT_ALLOWED' }
+    };
+  }
+
+  return { request };
+}
+
+/**
+ * Claim a pending request for a decision. Only one decision wins a race, and only before expiry.
+ */
+async function decide(requestId, userId, status, reason) {
+  const result = await db.query(`
+    UPDATE approval_requests
+    SET status = $3, decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_reason = $4
+    WHERE id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+    RETURNING *
+  `, [requestId, userId, status, reason || null]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Approve a request and run its action. Returns { request } or { status, body }.
+ */
+async function approveRequest(requestId, userId, reason) {
+  const check = await loadDecidableRequest(requestId, userId);
+  if (!check.request) {
+    return check;
+  }
+
+  const request = await decide(requestId, userId, 'approved', reason);
+  if (!request) {
+    return { status: 409, body: { error: 'Approval request is no longer pending', code: 'APPROVAL_NOT_PENDING' } };
+  }
+
+  await logApprovalEvent('approval_approved', request, reason || `Approved ${request.action}`, 'manual', {
+    decided_by: userId
+  });
+
+  let outcome;
+  try {
+    outcome = { status: 'approved', result: await EXECUTORS[request.action](request.user_id, request.payload) };
+    console.log(`✅ Approval request ${request.id} approved by user ${userId}: ${request.action} executed`);
+  } catch (error) {
+    outcome = { status: 'failed', result: { error: error.message } };
+    console.error(`Approved ${request.action} (request ${request.id}) failed:`, error.message);
+    await logApprovalEvent('approval_failed', request, error.message, 'manual', { decided_by: userId });
+  }
+
+  await db.query(
+    'UPDATE approval_requests SET status = $2, result = $3 WHERE id = $1',
+    [request.id, outcome.status, outcome.result]
+  );
+
+  return { request: await getApprovalRequest(request.id, request.org_id) };
+}
+
+/**
+ * Reject a request. Returns { request } or { status, body }.
+ */
+async function rejectRequest(requestId, userId, reason) {
+  const check = await loadDecidableRequest(requestId, userId);
+  if (!check.request) {
+    return check;
+  }
+
+  const request = await decide(requestId, userId, 'rejected', reason);
+  if (!request) {
+    return { status: 409, body: { error: 'Approval request is no longer pending', code: 'APPROVAL_NOT_PENDING' } };
+  }
+
+  await logApprovalEvent('approval_rejected', request, reason || `Rejected ${request.action}`, 'manual', {
+    decided_by: userId
+  });
+  console.log(`🚫 Approval request ${request.id} rejected by user ${userId}`);
+
+  return { request: await getApprovalRequest(request.id, request.org_id) };
+}
+
+function formatApprovalRequest(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    status: row.status,
+    summary: row.summary,
+    payload: row.payload,
+    requested_by: row.requested_by_email || row.requested_by,
+    requested_at: row.created_at,
+    expires_at: row.expires_at,
+    decided_by: row.decided_by_email || row.decided_by,
+    decided_at: row.decided_at,
+    decision_reason: row.decision_reason,
+    result: row.result
+  };
+}
+
+/**
+ * 202 body telling the caller its operation waits for approval
+ */
+function approvalPendingBody(request) {
+  return {
+    message: `Approval required: ${request.summary}. Another user of your organization must approve it before ${new Date(request.expires_at).toISOString()}.`,
+    code: 'APPROVAL_REQUIRED',
+    approval_request: formatApprovalRequest(request)
+  };
+}
+
+function formatPolicy(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    description: APPROVAL_ACTIONS[row.action],
+    min_budget_limit: row.min_budget_limit === null ? null : parseFloat(row.min_budget_limit),
+    auto_killed_only: row.auto_killed_only,
+    approval_window_minutes: row.approval_window_minutes,
+    is_active: row.is_active,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+module.exports = {
+  APPROVAL_ACTIONS,
+  POLICY_CHANGE_ACTIONS,
+  getOrgId,
+  isBudgetIncreaseAbove,
+  getPolicy,
+  updatePolicy,
+  deletePolicy,
+  requestApprovalIfRequired,
+  requestPolicyChangeApprovalIfRequired,
+  requestBudgetApprovalIfRequired,
+  requestGrantApprovalIfRequired,
+  expireApprovalRequests,
+  getApprovalRequest,
+  listApprovalRequests,
+  approveRequest,
+  rejectRequest,
+  formatApprovalRequest,
+  approvalPendingBody,
+  formatPolicy
+};
@@ -0,0 +1,224 @@
+const db = require('../config/database');
+const { releaseBudget } = require('../config/redis');
+
+// Hold lifetime when the agent does not ask for one, and the longest allowed
+const DEFAULT_HOLD_TTL_SECONDS = 300;
+const MAX_HOLD_TTL_SECONDS = 3600;
+
+/**
+ * Store a newly reserved hold
+ */
+async function insertAuthorization({ id, userId, agentUuid, customerUuid, apiKeyId, amount, ttlSeconds, metadata }) {
+  const result = await db.query(`
+    INSERT INTO budget_authorizations (id, user_id, agent_id, customer_id, api_key_id, amount, metadata, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + ($8 || ' seconds')::interval)
+    RETURNING *
+  `, [id, userId, agentUuid, customerUuid, apiKeyId, amount, metadata || {}, ttlSeconds.toString()]);
+
+  return result.rows[0];
+}
+
+/**
+ * The budget levels a hold reserved, in the shape used by the Redis budget scripts
+ */
+function authorizationLevels(row) {
+  return [
+    { level: 'tenant', id: row.user_id },
+    row.customer_id && { level: 'customer', id: row.customer_id },
+    row.api_key_id && { level: 'api_key', id: row.api_key_id },
+    { level: 'agent', id: row.agent_id }
+  ].filter(Boolean);
+}
+
+/**
+ * Mark this tenant's holds that ran out as expired.
+ * Their Redis reservations are already purged by the budget scripts.
+ */
+async function expireAuthorizations(userId) {
+  await db.query(`
+    UPDATE budget_authorizations
+    SET status = 'expired'
+    WHERE user_id = $1 AND status = 'open' AND expires_at <= CURRENT_TIMESTAMP
+  `, [userId]);
+}
+
+async function getAuthorization(authorizationId, userId) {
+  await expireAuthorizations(userId);
+
+  const result = await db.query(`
+    SELECT ba.*, a.agent_id as agent_external_id, c.customer_id as customer_external_id
+    FROM budget_authorizations ba
+    JOIN agents a ON ba.agent_id = a.id
+    LEFT JOIN customers c ON ba.customer_id = c.id
+    WHERE ba.id = $1 AND ba.user_id = $2
+  `, [authorizationId, userId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Build the error response for a hold that cannot be captured or released
+ */
+async function explainUnavailableAuthorization(authorizationId, userId, agentId = null, customerId = null) {
+  const authorization = await getAuthorization(authorizationId, userId);
+
+  if (!authorization) {
+    return { status: 404, body: { error: 'Authorization not found', code: 'AUTHORIZATION_NOT_FOUND' } };
+  }
+
+  if (agentId && authorization.agent_external_id !== agentId) {
+    return {
+      status: 409,
+      body: {
+        error: `Authorization belongs to agent ${authorization.agent_external_id}`,
+        code: 'AUTHORIZATION_AGENT_MISMATCH'
+      }
+    };
+  }
+
+  if (customerId && authorization.customer_external_id && authorization.customer_external_id !== customerId) {
+    return {
+      status: 409,
+      body: {
+        error: `Authorization belongs to customer ${authorization.customer_external_id}`,
+        code: 'AUTHORIZATION_CUSTOMER_MISMATCH'
+      }
+    };
+  }
+
+  if (authorization.status === 'expired') {
+    return {
+      status: 409,
+      body: {
+        error: 'Authorization has expired',
+        code: 'AUTHORIZATION_EXPIRED',
+        expired_at: authorization.expires_at
+      }
+    };
+  }
+
+  return {
+    status: 409,
+    body: {
+      error: `Authorization is already ${authorization.status}`,
+      code: 'AUTHORIZATION_NOT_OPEN',
+      authorization_status: authorization.status
+    }
+  };
+}
+
+/**
+ * Claim an open hold for capture by an agent's usage event.
+ * The event must be for the hold's agent and customer, so its spend lands on the levels the hold reserved.
+ * Only one request can claim a hold; returns { authorization } or { error: { status, body } }.
+ */
+async function claimAuthorization(authorizationId, userId, agentId, customerId) {
+  const result = await db.query(`
+    UPDATE budget_authorizations ba
+    SET status = 'captured', captured_at = CURRENT_TIMESTAMP
+    FROM agents a
+    WHERE ba.id = $1 AND ba.user_id = $2
+    AND ba.agent_id = a.id AND a.agent_id = $3
+    AND (ba.customer_id IS NULL OR ba.customer_id = (
+      SELECT id FROM customers WHERE user_id = $2 AND customer_id = $4
+    ))
+    AND ba.status = 'open' AND ba.expires_at > CURRENT_TIMESTAMP
+    RETURNING ba.*
+  `, [authorizationId, userId, agentId, customerId]);
+
+  if (result.rows.length > 0) {
+    return { authorization: result.rows[0] };
+  }
+
+  return { error: await explainUnavailableAuthorization(authorizationId, userId, agentId, customerId) };
+}
+
+/**
+ * Link a claimed hold to the usage event that captured it
+ */
+async function completeCapture(authorizationId, usageEventId, capturedAmount) {
+  await db.query(`
+    UPDATE budget_authorizations
+    SET captured_amount = $2, usage_event_id = $3
+    WHERE id = $1
+  `, [authorizationId, capturedAmount, usageEventId]);
+}
+
+/**
+ * Give a claimed hold back when its usage event could not be recorded
+ */
+async function reopenAuthorization(authorizationId) {
+  await db.query(`
+    UPDATE budget_authorizations
+    SET status = 'open', captured_at = NULL
+    WHERE id = $1 AND status = 'captured' AND usage_event_id IS NULL
+  `, [authorizationId]);
+}
+
+/**
+ * Release an open hold without recording any spend
+ */
+async function releaseAuthorization(authorizationId, userId) {
+  const result = await db.query(`
+    UPDATE budget_authorizations
+    SET status = 'released', released_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2
+    AND status = 'open' AND expires_at > CURRENT_TIMESTAMP
+    RETURNING *
+  `, [authorizationId, userId]);
+
+  if (result.rows.length === 0) {
+    return { error: await explainUnavailableAuthorization(authorizationId, userId) };
+  }
+
+  const authorization = result.rows[0];
+  await releaseBudget(authorizationLevels(authorization), authorization.id);
+
+  console.log(`🔓 Authorization ${authorization.id} released ($${parseFloat(authorization.amount).toFixed(4)})`);
+  return { authorization };
+}
+
+/**
+ * Total of the open holds at a budget level, for budget checks when Redis is unavailable.
+ * column is the budget_authorizations column identifying the level (user_id, customer_id, ...).
+ */
+async function getOpenAuthorizationTotal(column, id) {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(amount), 0) as total
+    FROM budget_authorizations
+    WHERE ${column} = $1 AND status = 'open' AND expires_at > CURRENT_TIMESTAMP
+  `, [id]);
+
+  return parseFloat(result.rows[0].total);
+}
+
+function formatAuthorization(row) {
+  return {
+    authorization_id: row.id,
+    agent_id: row.agent_external_id,
+    customer_id: row.customer_external_id || null,
+    status: row.status,
+    amount: parseFloat(row.amount),
+    captured_amount: row.captured_amount !== null ? parseFloat(row.captured_amount) : null,
+    usage_event_id: row.usage_event_id,
+    metadata: row.metadata,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+    captured_at: row.captured_at,
+    released_at: row.released_at
+  };
+}
+
+module.exports = {
+  DEFAULT_HOLD_TTL_SECONDS,
+  MAX_HOLD_TTL_SECONDS,
+  insertAuthorization,
+  getAuthorization,
+  claimAuthorization,
+  completeCapture,
+  reopenAuthorization,
+  releaseAuthorization,
+  getOpenAuthorizationTotal,
+  authorizationLevels,
+  formatAuthorization
+};
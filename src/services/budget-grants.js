@@ -0,0 +1,258 @@
+const db = require('../config/database');
+const { getCachedBudgetAmount, cacheBudgetAmount, clearCachedBudgetAmounts } = require('../config/redis');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Redis hash caching a budget level's grant totals per window
+function grantCacheName(level, levelId) {
+  return `budget_grants:${level}:${levelId}`;
+}
+
+/**
+ * Find the row a grant targets: the tenant itself, a customer (by customer_id),
+ * an API key (by id) or an agent (by agent_id). Returns { id, label } or null.
+ */
+async function resolveGrantTarget(userId, level, externalId) {
+  let result;
+
+  if (level === 'tenant') {
+    result = await db.query('SELECT id, company_name as label FROM users WHERE id = $1', [userId]);
+  } else if (level === 'customer') {
+    result = await db.query(
+      'SELECT id, customer_id as label FROM customers WHERE customer_id = $1 AND user_id = $2',
+      [externalId, userId]
+    );
+  } else if (level === 'api_key') {
+    result = await db.query(
+      'SELECT id, key_name as label FROM api_keys WHERE id = $1 AND user_id = $2',
+      [externalId, userId]
+    );
+  } else {
+    result = await db.query(
+      'SELECT id, agent_id as label FROM agents WHERE agent_id = $1 AND user_id = $2',
+      [externalId, userId]
+    );
+  }
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a grant, attributing it to the user or API key that made the request
+ */
+async function createGrant({ userId, level, levelId, amount, reason, startsAt, expiresAt, grantedBy, grantedByApiKeyId }) {
+  const result = await db.query(`
+    INSERT INTO budget_grants (
+      user_id, level, level_id, amount, reason, starts_at, expires_at, granted_by, granted_by_api_key_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [userId, level, levelId, amount, reason || null, startsAt, expiresAt, grantedBy, grantedByApiKeyId || null]);
+
+  await clearCachedBudgetAmounts(grantCacheName(level, levelId));
+  return result.rows[0];
+}
+
+/**
+ * When a grant runs: from starts_at (default now) until expires_at or for duration_hours.
+ * A grant waiting for approval is timed from when it is approved.
+ */
+function grantWindow({ starts_at, expires_at, duration_hours }, now = new Date()) {
+  const startsAt = starts_at ? new Date(starts_at) : now;
+  const expiresAt = expires_at ? new Date(expires_at) : new Date(startsAt.getTime() + duration_hours * 60 * 60 * 1000);
+  return { startsAt, expiresAt };
+}
+
+/**
+ * Create a grant for a resolved target ({ id, label }). With reactivateAgent, an agent
+ * suspended by its own limit can run again now that the limit is higher.
+ * Returns { grant, agentReactivated }.
+ */
+async function applyGrant(userId, level, target, { amount, reason, startsAt, expiresAt, grantedBy, grantedByApiKeyId, reactivateAgent }) {
+  const grant = await createGrant({
+    userId,
+    level,
+    levelId: target.id,
+    amount,
+    reason,
+    startsAt,
+    expiresAt,
+    grantedBy,
+    grantedByApiKeyId
+  });
+
+  let agentReactivated = false;
+  if (reactivateAgent && level === 'agent') {
+    const reactivated = await db.query(`
+      UPDATE agents SET is_suspended = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_suspended = TRUE
+      RETURNING id
+    `, [target.id]);
+    agentReactivated = reactivated.rows.length > 0;
+  }
+
+  console.log(`🎁 Budget grant of $${amount} for ${level} ${target.label} until ${expiresAt.toISOString()} by ${grant.granted_by}${agentReactivated ? ' (agent reactivated)' : ''}`);
+  return { grant: { ...grant, level_label: target.label }, agentReactivated };
+}
+
+/**
+ * Revoke a grant that has not expired yet. Returns the grant, or null when there is none to revoke.
+ */
+async function revokeGrant(grantId, userId, revokedBy) {
+  const result = await db.query(`
+    UPDATE budget_grants
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3
+    WHERE id = $1 AND user_id = $2
+    AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING *
+  `, [grantId, userId, revokedBy]);
+
+  const grant = result.rows[0] || null;
+  if (grant) {
+    await clearCachedBudgetAmounts(grantCacheName(grant.level, grant.level_id));
+  }
+  return grant;
+}
+
+/**
+ * Total of the grants topping up a budget level's current window.
+ *
+ * A grant is a one-time top-up of the window it starts in: it counts from starts_at
+ * until it expires or that window ends, whichever comes first, and never in a later
+ * window. In a rolling window it counts while its start is within the window.
+ * Totals are cached in Redis until the next grant in the window starts or expires
+ * (or the window moves on), and dropped when a grant is created or revoked.
+ */
+async function getActiveGrantTotal(level, levelId, window, now = new Date()) {
+  const cacheName = grantCacheName(level, levelId);
+  const field = window.key || `rolling-${window.rollingHours}h-${window.firstBucket}`;
+  const cached = await getCachedBudgetAmount(cacheName, field, now);
+  if (cached !== null) {
+    return cached;
+  }
+
+  const params = [level, levelId, now, window.start];
+  let endFilter = '';
+  if (window.end) {
+    params.push(window.end);
+    endFilter = 'AND starts_at < $5';
+  }
+
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE starts_at <= $3), 0) as total,
+      MIN(CASE WHEN starts_at > $3 THEN starts_at ELSE expires_at END) as next_change
+    FROM budget_grants
+    WHERE level = $1 AND level_id = $2 AND revoked_at IS NULL
+    AND expires_at > $3 AND starts_at >= $4 ${endFilter}
+  `, params);
+
+  const total = parseFloat(result.rows[0].total);
+  const windowChange = window.end || new Date((window.firstBucket + window.rollingHours) * HOUR_MS);
+  const nextChange = result.rows[0].next_change;
+  await cacheBudgetAmount(cacheName, field, total, nextChange && nextChange < windowChange ? nextChange : windowChange);
+
+  return total;
+}
+
+/**
+ * Total of the grants of a budget level that are in effect or scheduled
+ */
+async function getUnexpiredGrantTotal(level, levelId) {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(amount), 0) as total
+    FROM budget_grants
+    WHERE level = $1 AND level_id = $2 AND revoked_at IS NULL
+    AND expires_at > CURRENT_TIMESTAMP
+  `, [level, levelId]);
+
+  return parseFloat(result.rows[0].total);
+}
+
+/**
+ * SET clause for the budget_rollover_cap column, reading a JSON value from $param:
+ * NULL keeps the current cap, JSON null disables rollover
+ */
+function rolloverAssignment(param) {
+  return `budget_rollover_cap = CASE
+      WHEN $${param}::jsonb IS NULL THEN budget_rollover_cap
+      ELSE ($${param}::jsonb #>> '{}')::decimal
+    END`;
+}
+
+function rolloverParam(settings) {
+  if (settings.budget_rollover_cap === undefined) {
+    return null;
+  }
+  return JSON.stringify(settings.budget_rollover_cap);
+}
+
+/**
+ * Grants of a tenant, newest first, with the name of the budget they raise
+ */
+async function listGrants(userId, { level = null, includeInactive = false } = {}) {
+  const params = [userId];
+  const filters = ['g.user_id = $1'];
+
+  if (level) {
+    params.push(level);
+    filters.push(`g.level = $${params.length}`);
+  }
+  if (!includeInactive) {
+    filters.push('g.revoked_at IS NULL AND g.expires_at > CURRENT_TIMESTAMP');
+  }
+
+  const result = await db.query(`
+    SELECT g.*, COALESCE(u.company_name, c.customer_id, k.key_name, a.agent_id) as level_label
+    FROM budget_grants g
+    LEFT JOIN users u ON g.level = 'tenant' AND g.level_id = u.id
+    LEFT JOIN customers c ON g.level = 'customer' AND g.level_id = c.id
+    LEFT JOIN api_keys k ON g.level = 'api_key' AND g.level_id = k.id
+    LEFT JOIN agents a ON g.level = 'agent' AND g.level_id = a.id
+    WHERE ${filters.join(' AND ')}
+    ORDER BY g.created_at DESC
+    LIMIT 500
+  `, params);
+
+  return result.rows;
+}
+
+function grantStatus(row, now = new Date()) {
+  if (row.revoked_at) {
+    return 'revoked';
+  }
+  if (new Date(row.expires_at) <= now) {
+    return 'expired';
+  }
+  return new Date(row.starts_at) > now ? 'scheduled' : 'active';
+}
+
+function formatGrant(row) {
+  return {
+    id: row.id,
+    level: row.level,
+    budget_id: row.level_label,
+    amount: parseFloat(row.amount),
+    reason: row.reason,
+    status: grantStatus(row),
+    starts_at: row.starts_at,
+    expires_at: row.expires_at,
+    granted_by: row.granted_by,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+    revoked_by: row.revoked_by
+  };
+}
+
+module.exports = {
+  resolveGrantTarget,
+  createGrant,
+  grantWindow,
+  applyGrant,
+  revokeGrant,
+  listGrants,
+  getActiveGrantTotal,
+  getUnexpiredGrantTotal,
+  rolloverAssignment,
+  rolloverParam,
+  formatGrant
+};
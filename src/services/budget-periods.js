@@ -0,0 +1,239 @@
+const Joi = require('joi');
+const { budgetStagesSchema } = require('./budget-stages');
+
+// Budget period types. 'custom' is a monthly cycle starting on an anchor day,
+// 'rolling' covers the last budget_period_hours hours.
+const PERIOD_TYPES = ['daily', 'weekly', 'monthly', 'custom', 'rolling'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a string is an IANA timezone name Intl understands
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the period settings of a budget row (users, customers, api_keys or agents)
+ */
+function periodFromRow(row) {
+  return {
+    type: row.budget_period || 'monthly',
+    hours: row.budget_period_hours || 24,
+    anchorDay: row.budget_anchor_day || 1,
+    timezone: row.budget_timezone || 'UTC'
+  };
+}
+
+/**
+ * Wall-clock date parts of an instant in a timezone
+ */
+function localParts(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * The instant at which a wall-clock midnight happens in a timezone, or the day starts when
+ * a DST change skips midnight (the clocks jump from 23:59:59 to 01:00).
+ * Month and day overflow the same way Date.UTC does (e.g. day 0 is the previous month's last day).
+ */
+function zonedMidnight(year, month, day, timezone) {
+  const guess = Date.UTC(year, month - 1, day);
+
+  // The offset may differ at the result when a DST change happens in between
+  const first = guess - timezoneOffset(guess, timezone);
+  const second = guess - timezoneOffset(first, timezone);
+  const candidates = [Math.min(first, second), Math.max(first, second)];
+
+  const midnight = candidates.find(instant => instant + timezoneOffset(instant, timezone) === guess);
+  return new Date(midnight !== undefined ? midnight : candidates[1]);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function timezoneOffset(timestamp, timezone) {
+  const parts = localParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Start of the anchor-day cycle that contains a local date
+ */
+function customCycleStart(local, anchorDay, timezone) {
+  const anchorThisMonth = Math.min(anchorDay, daysInMonth(local.year, local.month));
+
+  if (local.day >= anchorThisMonth) {
+    return zonedMidnight(local.year, local.month, anchorThisMonth, timezone);
+  }
+
+  const previousYear = local.month === 1 ? local.year - 1 : local.year;
+  const previousMonth = local.month === 1 ? 12 : local.month - 1;
+  return zonedMidnight(previousYear, previousMonth, Math.min(anchorDay, daysInMonth(previousYear, previousMonth)), timezone);
+}
+
+/**
+ * Hour bucket an instant falls in (hours since the epoch)
+ */
+function hourBucket(date) {
+  return Math.floor(date.getTime() / HOUR_MS);
+}
+
+/**
+ * Compute the budget window containing `now` for a period.
+ *
+ * Returns { type, start, end, key, rollingHours }. Fixed windows have a `key`
+ * naming their Redis spend hash (monthly UTC windows keep the YYYY-MM key).
+ * Rolling windows are tracked in hourly buckets, so they start at the top of
+ * the hour rollingHours - 1 hours ago and have no end.
+ */
+function getBudgetWindow(period, now = new Date()) {
+  const { type, timezone } = period;
+
+  if (type === 'rolling') {
+    const firstBucket = hourBucket(now) - (period.hours - 1);
+    return {
+      type,
+      start: new Date(firstBucket * HOUR_MS),
+      end: null,
+      key: null,
+      rollingHours: period.hours,
+      firstBucket
+    };
+  }
+
+  const local = localParts(now, timezone);
+  let start;
+  let end;
+
+  if (type === 'daily') {
+    start = zonedMidnight(local.year, local.month, local.day, timezone);
+    end = zonedMidnight(local.year, local.month, local.day + 1, timezone);
+  } else if (type === 'weekly') {
+    // Weeks start on Monday
+    const daysSinceMonday = (local.weekday + 6) % 7;
+    start = zonedMidnight(local.year, local.month, local.day - daysSinceMonday, timezone);
+    end = zonedMidnight(local.year, local.month, local.day - daysSinceMonday + 7, timezone);
+  } else if (type === 'custom') {
+    start = customCycleStart(local, period.anchorDay, timezone);
+    const startLocal = localParts(start, timezone);
+    const nextMonth = startLocal.month === 12 ? 1 : startLocal.month + 1;
+    const nextYear = startLocal.month === 12 ? startLocal.year + 1 : startLocal.year;
+    end = zonedMidnight(nextYear, nextMonth, Math.min(period.anchorDay, daysInMonth(nextYear, nextMonth)), timezone);
+  } else {
+    start = zonedMidnight(local.year, local.month, 1, timezone);
+    end = zonedMidnight(local.year, local.month + 1, 1, timezone);
+  }
+
+  const key = type === 'monthly' && timezone === 'UTC'
+    ? start.toISOString().slice(0, 7) // YYYY-MM
+    : `${type}-${start.toISOString()}`;
+
+  return { type, start, end, key, rollingHours: null };
+}
+
+// Period fields of anything limited per budget window (budgets and usage quotas)
+const budgetPeriodKeys = {
+  budget_period: Joi.string().valid(...PERIOD_TYPES).optional(),
+  budget_period_hours: Joi.number().integer().min(1).max(24 * 90)
+    .when('budget_period', { is: 'rolling', then: Joi.required(), otherwise: Joi.forbidden() }),
+  budget_anchor_day: Joi.number().integer().min(1).max(31)
+    .when('budget_period', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  budget_timezone: Joi.string().custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.message('"budget_timezone" must be a valid IANA timezone')
+  )).optional()
+};
+
+// Body accepted by every endpoint that sets a budget (tenant, customer, API key, agent)
+const budgetSettingsSchema = Joi.object({
+  monthly_cost_limit: Joi.number().positive().precision(2).allow(null).required(),
+  ...budgetPeriodKeys,
+  budget_stages: budgetStagesSchema.allow(null).optional(),
+  budget_rollover_cap: Joi.number().positive().precision(2).allow(null).optional()
+});
+
+/**
+ * SET clause for the period columns of a budget update, reading
+ * budget_period, budget_period_hours, budget_anchor_day and budget_timezone
+ * from 4 consecutive parameters starting at $firstParam.
+ * Columns not given keep their current value; a new period replaces hours and anchor day.
+ */
+function periodAssignments(firstParam) {
+  const [period, hours, anchorDay, timezone] = [0, 1, 2, 3].map(i => `$${firstParam + i}`);
+  return `
+    budget_period = COALESCE(${period}::varchar, budget_period),
+    budget_period_hours = CASE WHEN ${period}::varchar IS NULL THEN budget_period_hours ELSE ${hours}::integer END,
+    budget_anchor_day = CASE WHEN ${period}::varchar IS NULL THEN budget_anchor_day ELSE ${anchorDay}::integer END,
+    budget_timezone = COALESCE(${timezone}::varchar, budget_timezone)`;
+}
+
+function periodParams(settings) {
+  return [
+    settings.budget_period || null,
+    settings.budget_period_hours || null,
+    settings.budget_anchor_day || null,
+    settings.budget_timezone || null
+  ];
+}
+
+/**
+ * Period settings of a budget row for API responses
+ */
+function formatPeriod(row) {
+  return {
+    budget_period: row.budget_period,
+    budget_period_hours: row.budget_period_hours,
+    budget_anchor_day: row.budget_anchor_day,
+    budget_timezone: row.budget_timezone,
+    budget_rollover_cap: row.budget_rollover_cap ? parseFloat(row.budget_rollover_cap) : null
+  };
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  budgetPeriodKeys,
+  budgetSettingsSchema,
+  periodAssignments,
+  periodParams,
+  formatPeriod,
+  isValidTimezone,
+  periodFromRow,
+  getBudgetWindow,
+  hourBucket
+};
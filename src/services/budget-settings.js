@@ -0,0 +1,86 @@
+const db = require('../config/database');
+const { invalidateSpendCache } = require('../middleware/agentBudget');
+const { periodAssignments, periodParams } = require('./budget-periods');
+const { stagesAssignment, stagesParam } = require('./budget-stages');
+const { rolloverAssignment, rolloverParam } = require('./budget-grants');
+
+const BUDGET_COLUMNS = 'budget_period, budget_period_hours, budget_anchor_day, budget_timezone, budget_stages, budget_rollover_cap';
+
+// Budget table per level: how a target is matched (given the parameter numbers of the
+// target and the user) and which columns are returned. The tenant's target is the user itself.
+const BUDGET_TABLES = {
+  tenant: {
+    table: 'users',
+    match: (target, user) => `id = $${target} AND id = $${user}`,
+    columns: `id, company_name, monthly_cost_limit, ${BUDGET_COLUMNS}`,
+    touchesUpdatedAt: true
+  },
+  customer: {
+    table: 'customers',
+    match: (target, user) => `customer_id = $${target} AND user_id = $${user}`,
+    columns: `id, customer_id, customer_name, monthly_cost_limit, ${BUDGET_COLUMNS}`,
+    touchesUpdatedAt: true
+  },
+  api_key: {
+    table: 'api_keys',
+    match: (target, user) => `id = $${target} AND user_id = $${user}`,
+    columns: `id, key_name, monthly_cost_limit, ${BUDGET_COLUMNS}`,
+    touchesUpdatedAt: false
+  },
+  agent: {
+    table: 'agents',
+    match: (target, user) => `agent_id = $${target} AND user_id = $${user}`,
+    columns: `id, agent_id, agent_name, monthly_cost_limit, ${BUDGET_COLUMNS}`,
+    touchesUpdatedAt: true
+  }
+};
+
+/**
+ * Current budget row of a level. targetId is the customer_id, API key id or agent_id
+ * (ignored for the tenant). Returns null when there is no such budget.
+ */
+async function getBudgetSettings(level, userId, targetId) {
+  const { table, match, columns } = BUDGET_TABLES[level];
+  const result = await db.query(
+    `SELECT ${columns} FROM ${table} WHERE ${match(1, 2)}`,
+    [level === 'tenant' ? userId : targetId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Apply a validated budgetSettingsSchema value to a level's budget.
+ * Returns the updated row, or null when there is no such budget.
+ */
+async function updateBudgetSettings(level, userId, targetId, settings) {
+  const { table, match, columns, touchesUpdatedAt } = BUDGET_TABLES[level];
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET monthly_cost_limit = $1, ${periodAssignments(4)}, ${stagesAssignment(8)}, ${rolloverAssignment(9)}${touchesUpdatedAt ? ', updated_at = CURRENT_TIMESTAMP' : ''}
+    WHERE ${match(2, 3)}
+    RETURNING ${columns}
+  `, [
+    settings.monthly_cost_limit,
+    level === 'tenant' ? userId : targetId,
+    userId,
+    ...periodParams(settings),
+    stagesParam(settings),
+    rolloverParam(settings)
+  ]);
+
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  // A changed period can widen the window beyond what is cached
+  await invalidateSpendCache(level, row.id);
+  return row;
+}
+
+module.exports = {
+  BUDGET_COLUMNS,
+  getBudgetSettings,
+  updateBudgetSettings
+};
@@ -0,0 +1,138 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { claimBudgetStage, releaseBudgetStage } = require('../config/redis');
+const { notifyBudgetStage } = require('./notifications');
+
+// Stage actions from the mildest to the most severe
+const STAGE_ACTIONS = ['notify', 'throttle', 'downgrade', 'suspend'];
+
+// Used by budgets that do not configure their own stages (the old 80% warning)
+const DEFAULT_STAGES = [{ percent: 80, action: 'notify' }];
+
+const stageSchema = Joi.object({
+  percent: Joi.number().integer().min(1).max(100).required(),
+  action: Joi.string().valid(...STAGE_ACTIONS).required(),
+  requests_per_minute: Joi.number().integer().min(1)
+    .when('action', { is: 'throttle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  suggested_model: Joi.string().max(100).pattern(/^[\w.:/-]+$/)
+    .when('action', { is: 'downgrade', then: Joi.optional(), otherwise: Joi.forbidden() })
+});
+
+// null resets a budget to the default stages, [] disables them
+const budgetStagesSchema = Joi.array().items(stageSchema).max(10).unique('percent');
+
+/**
+ * Stages of a budget row, sorted by percent
+ */
+function stagesFromRow(row) {
+  const stages = row.budget_stages || DEFAULT_STAGES;
+  return [...stages].sort((a, b) => a.percent - b.percent);
+}
+
+/**
+ * SET clause for the budget_stages column, reading the value from $param:
+ * NULL keeps the current stages, JSON null resets them to the defaults
+ */
+function stagesAssignment(param) {
+  return `budget_stages = CASE
+      WHEN $${param}::jsonb IS NULL THEN budget_stages
+      WHEN $${param}::jsonb = 'null'::jsonb THEN NULL
+      ELSE $${param}::jsonb
+    END`;
+}
+
+function stagesParam(settings) {
+  if (settings.budget_stages === undefined) {
+    return null;
+  }
+  return JSON.stringify(settings.budget_stages);
+}
+
+function formatStages(row) {
+  return {
+    budget_stages: stagesFromRow(row),
+    uses_default_stages: !row.budget_stages
+  };
+}
+
+/**
+ * Name of the window a stage fires once in. Rolling windows never end, so
+ * they are split into consecutive blocks of their own length.
+ */
+function stageWindowKey(window) {
+  if (window.key) {
+    return window.key;
+  }
+
+  const currentBucket = window.firstBucket + window.rollingHours - 1;
+  return `rolling-${window.rollingHours}h-${Math.floor(currentBucket / window.rollingHours)}`;
+}
+
+// Keep a stage's fired flag until its window is over (rolling blocks are their own length)
+function stageTtlSeconds(window) {
+  if (window.rollingHours) {
+    return (window.rollingHours + 1) * 60 * 60;
+  }
+  return Math.max(0, Math.ceil((window.end.getTime() - Date.now()) / 1000)) + 60 * 60;
+}
+
+/**
+ * Persist that a budget level reached a stage in its current window, notifying the
+ * tenant's channels the first time. Called once the event that reached the stage is
+ * recorded, or refused by the stage. A per-window Redis flag skips stages that already
+ * fired without touching the database; without Redis the unique index decides.
+ * Returns true only for the request that fired the stage first.
+ */
+async function recordStageEvent(userId, budgetLevel, stage, spend, agentUuid = null) {
+  const flag = `${budgetLevel.level}:${budgetLevel.id}:${stageWindowKey(budgetLevel.window)}:${stage.percent}`;
+  if (await claimBudgetStage(flag, stageTtlSeconds(budgetLevel.window)) === false) {
+    return false;
+  }
+
+  let result;
+  try {
+    result = await db.query(`
+      INSERT INTO budget_stage_events (
+        user_id, level, level_id, level_label, window_key, window_start,
+        threshold_percent, action, spend, budget_limit, agent_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (level, level_id, window_key, threshold_percent) DO NOTHING
+      RETURNING id
+    `, [
+      userId,
+      budgetLevel.level,
+      budgetLevel.id,
+      budgetLevel.label,
+      stageWindowKey(budgetLevel.window),
+      budgetLevel.window.start,
+      stage.percent,
+      stage.action,
+      spend,
+      budgetLevel.limit,
+      agentUuid
+    ]);
+  } catch (error) {
+    await releaseBudgetStage(flag);
+    throw error;
+  }
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  console.log(`📣 ${budgetLevel.level} ${budgetLevel.label} reached ${stage.percent}% of its ${budgetLevel.period.type} budget: ${stage.action} ($${spend.toFixed(4)}/$${budgetLevel.limit})`);
+  await notifyBudgetStage(userId, budgetLevel, stage, spend);
+  return true;
+}
+
+module.exports = {
+  STAGE_ACTIONS,
+  DEFAULT_STAGES,
+  budgetStagesSchema,
+  stagesFromRow,
+  stagesAssignment,
+  stagesParam,
+  formatStages,
+  stageWindowKey,
+  recordStageEvent
+};
@@ -0,0 +1,125 @@
+const db = require('../config/database');
+const { notifyKillSwitchEvent } = require('./notifications');
+
+/**
+ * Kill switch operations shared by the API routes and approved approval requests.
+ * triggeredBy is 'manual' for direct calls and 'approval' when a second user approved the call.
+ */
+
+/**
+ * Subquery for the agents of a customer: the agents that recorded usage for it.
+ * customerParam is the placeholder holding customers.id.
+ */
+function customerAgentIdsSql(customerParam) {
+  return `SELECT DISTINCT agent_id FROM usage_events WHERE customer_id = ${customerParam} AND agent_id IS NOT NULL`;
+}
+
+/**
+ * Log a kill switch event and publish it to the tenant's notification channels
+ */
+async function logKillSwitchEvent(eventType, targetType, targetId, userId, reason, triggeredBy = 'manual', metadata = {}) {
+  await db.query(`
+    INSERT INTO kill_switch_events
+    (event_type, target_type, target_id, user_id, triggered_by, reason, metadata)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [eventType, targetType, targetId, userId, triggeredBy, reason, metadata]);
+
+  await notifyKillSwitchEvent(eventType, targetType, targetId, userId, reason, triggeredBy, metadata);
+}
+
+/**
+ * Set the tenant's emergency stop and kill all of its agents
+ */
+async function emergencyStopAll(userId, reason, triggeredBy = 'manual', metadata = {}) {
+  await db.query(`
+    INSERT INTO tenant_kill_switch (user_id, is_emergency_stopped, stopped_at, stopped_by, stop_reason)
+    VALUES ($1, true, NOW(), $1, $2)
+    ON CONFLICT (user_id) DO UPDATE
+    SET is_emergency_stopped = true, stopped_at = NOW(), stopped_by = $1, stop_reason = $2,
+        updated_at = CURRENT_TIMESTAMP
+  `, [userId, reason]);
+
+  const killed = await db.query(`
+    UPDATE agents
+    SET status = 'killed', killed_at = NOW(), killed_by = $1, kill_reason = $2
+    WHERE user_id = $1 AND status != 'killed'
+    RETURNING id
+  `, [userId, `Emergency stop: ${reason}`]);
+
+  await logKillSwitchEvent('emergency_stop_all', 'tenant', userId, userId, reason, triggeredBy, {
+    ...metadata,
+    agents_killed: killed.rows.length
+  });
+
+  return { agents_killed: killed.rows.length };
+}
+
+/**
+ * Clear the tenant's emergency stop. Killed agents stay killed until revived.
+ */
+async function disableEmergencyStop(userId, triggeredBy = 'manual') {
+  await db.query(`
+    UPDATE tenant_kill_switch
+    SET is_emergency_stopped = false, stopped_at = NULL, stopped_by = NULL, stop_reason = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1
+  `, [userId]);
+
+  await logKillSwitchEvent('emergency_stop_disabled', 'tenant', userId, userId, 'Emergency stop disabled', triggeredBy);
+
+  return { emergency_stop: false };
+}
+
+/**
+ * Kill every agent of a customer. Returns null when the customer does not exist.
+ */
+async function killCustomer(userId, customerId, reason, metadata = {}, triggeredBy = 'manual') {
+  const customerResult = await db.query(
+    'SELECT id FROM customers WHERE user_id = $1 AND customer_id = $2',
+    [userId, customerId]
+  );
+
+  if (customerResult.rows.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(`
+    UPDATE agents
+    SET status = 'killed', killed_at = NOW(), killed_by = $1, kill_reason = $2
+    WHERE user_id = $1 AND status != 'killed' AND id IN (${customerAgentIdsSql('$3')})
+    RETURNING agent_id
+  `, [userId, reason, customerResult.rows[0].id]);
+
+  await logKillSwitchEvent('kill_customer', 'customer', customerId, userId, reason, triggeredBy, metadata);
+
+  return { killed_agents: result.rows.map(r => r.agent_id) };
+}
+
+/**
+ * Revive a killed or paused agent. Returns null when there is no such agent to revive.
+ */
+async function reviveAgent(userId, agentId, reason = 'Manual revival', triggeredBy = 'manual') {
+  const result = await db.query(`
+    UPDATE agents
+    SET status = 'active', pause_until = NULL, kill_reason = NULL, killed_at = NULL, killed_by = NULL
+    WHERE user_id = $1 AND agent_id = $2 AND status IN ('killed', 'paused')
+    RETURNING id, agent_name
+  `, [userId, agentId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await logKillSwitchEvent('revive_agent', 'agent', agentId, userId, reason, triggeredBy);
+
+  return { agent_id: agentId, agent_name: result.rows[0].agent_name };
+}
+
+module.exports = {
+  customerAgentIdsSql,
+  logKillSwitchEvent,
+  emergencyStopAll,
+  disableEmergencyStop,
+  killCustomer,
+  reviveAgent
+};
@@ -1,12 +1,39 @@
 const db = require('../config/database');
+const { expireApprovalRequests } = require('./approvals');
+const { logKillSwitchEvent } = require('./kill-switch-actions');
+const { updateAgentBaselines } = require('./agent-baselines');
+const { markSilentAgents } = require('./agent-health');
+const { retryPendingDeliveries } = require('./notifications');
+const {
+  isShadow,
+  isNotifyOnly,
+  wasAlertedRecently,
+  nextEscalationStep,
+  recordEscalation,
+  shadowStopMinutes,
+  isShadowStopped,
+  findRevivableKills,
+  markRevived
+} = require('./trigger-escalation');
+const { getTriggerEvaluator, violationText } = require('./trigger-evaluators');
+const { TRIGGER_SCOPES, EVENT_TARGET_TYPES, scopeOf, stopTarget } = require('./trigger-scopes');
+const LeaderElection = require('./leader-election');
 
 class KillSwitchMonitor {
   constructor() {
     this.monitoringInterval = null;
     this.isRunning = false;
+    this.isChecking = false;
     this.checkIntervalMs = 30000; // Check every 30 seconds
   }
 
+  // Whether this process may still stop targets. A monitor run under an election stops
+  // acting as soon as it loses leadership, even in the middle of a round; one created
+  // without an election (the real-time enforcer) always acts.
+  isLeading() {
+    return !this.election || this.election.isLeader;
+  }
+
   start() {
     if (this.isRunning) {
       console.log('Kill switch monitor is already running');
@@ -37,206 +64,66 @@ class KillSwitchMonitor {
   }
 
   async performMonitoringChecks() {
+    // A slow round must not overlap the next one, or both would escalate the same violations
+    if (this.isChecking) {
+      console.log('⏳ Previous kill switch monitoring round still running, skipping this one');
+      return;
+    }
+
+    this.isChecking = true;
     try {
       await Promise.all([
-        this.checkSpendRates(),
-        this.checkInfiniteLoops(),
-        this.checkErrorRates(),
-        this.updateSpendRateMonitoring()
+        this.checkTriggers(),
+        // Baselines learn from the windows the spend rate update writes
+        this.updateSpendRateMonitoring().then(() => this.updateAgentBaselines()),
+        this.checkAgentLiveness(),
+        this.expireApprovalRequests(),
+        this.checkAutoRevivals(),
+        this.retryNotificationDeliveries()
       ]);
     } catch (error) {
       console.error('Kill switch monitoring error:', error);
+    } finally {
+      this.isChecking = false;
     }
   }
 
-  async checkSpendRates() {
+  async checkTriggers() {
     try {
-      // Get all active spend rate triggers
+      // Get all active triggers
       const triggers = await db.query(`
         SELECT t.*, u.email 
         FROM kill_switch_triggers t
         JOIN users u ON t.user_id = u.id
-        WHERE t.is_active = true 
-        AND t.trigger_type IN ('spend_rate', 'total_daily_spend')
+        WHERE t.is_active = true
       `);
 
       for (const trigger of triggers.rows) {
-        await this.checkSpendRateTrigger(trigger);
-      }
-    } catch (error) {
-      console.error('Error checking spend rates:', error);
-    }
-  }
-
-  async checkSpendRateTrigger(trigger) {
-    try {
-      let timeWindow, query;
-      
-      if (trigger.trigger_type === 'spend_rate') {
-        // Calculate time window based on threshold_unit
-        switch (trigger.threshold_unit) {
-          case 'per_minute':
-            timeWindow = "NOW() - INTERVAL '1 minute'";
-            break;
-          case 'per_hour':
-            timeWindow = "NOW() - INTERVAL '1 hour'";
-            break;
-          default:
-            timeWindow = "NOW() - INTERVAL '1 minute'";
-        }
-
-        query = `
-          SELECT 
-            a.id as agent_uuid,
-            a.agent_id,
-            a.agent_name,
-            c.customer_id,
-            SUM(ue.cost_amount) as total_cost,
-            COUNT(*) as event_count
-          FROM usage_events ue
-          JOIN agents a ON ue.agent_id = a.id
-          JOIN customers c ON ue.customer_id = c.id
-          WHERE ue.user_id = $1 
-          AND ue.created_at >= ${timeWindow}
-          AND a.status = 'active'
-          GROUP BY a.id, a.agent_id, a.agent_name, c.customer_id
-          HAVING SUM(ue.cost_amount) > $2
-        `;
-      } else if (trigger.trigger_type === 'total_daily_spend') {
-        query = `
-          SELECT 
-            a.id as agent_uuid,
-            a.agent_id,
-            a.agent_name,
-            c.customer_id,
-            SUM(ue.cost_amount) as total_cost,
-            COUNT(*) as event_count
-          FROM usage_events ue
-          JOIN agents a ON ue.agent_id = a.id
-          JOIN customers c ON ue.customer_id = c.id
-          WHERE ue.user_id = $1 
-          AND ue.created_at >= CURRENT_DATE
-          AND a.status = 'active'
-          GROUP BY a.id, a.agent_id, a.agent_name, c.customer_id
-          HAVING SUM(ue.cost_amount) > $2
-        `;
-      }
-
-      const violations = await db.query(query, [trigger.user_id, trigger.threshold_value]);
-
-      for (const violation of violations.rows) {
-        await this.triggerAutoKill(trigger, violation);
+        await this.checkTrigger(trigger);
       }
     } catch (error) {
-      console.error(`Error checking spend rate trigger ${trigger.id}:`, error);
+      console.error('Error checking triggers:', error);
     }
   }
 
-  async checkInfiniteLoops() {
-    try {
-      // Find agents with excessive identical requests
-      const loopDetectionQuery = `
-        WITH request_patterns AS (
-          SELECT 
-            ue.agent_id,
-            a.agent_id as agent_external_id,
-            ue.event_name,
-            ue.model,
-            ue.metadata->>'request_hash' as request_signature,
-            COUNT(*) as identical_requests,
-            MAX(ue.created_at) as latest_request
-          FROM usage_events ue
-          JOIN agents a ON ue.agent_id = a.id
-          WHERE ue.created_at >= NOW() - INTERVAL '10 minutes'
-          AND a.status = 'active'
-          AND ue.metadata->>'request_hash' IS NOT NULL
-          GROUP BY ue.agent_id, a.agent_id, ue.event_name, ue.model, ue.metadata->>'request_hash'
-          HAVING COUNT(*) >= 50 -- 50+ identical requests in 10 minutes
-        )
-        SELECT 
-          rp.*,
-          a.user_id,
-          u.email
-        FROM request_patterns rp
-        JOIN agents a ON rp.agent_id = a.id
-        JOIN users u ON a.user_id = u.id
-      `;
-
-      const loops = await db.query(loopDetectionQuery);
-
-      for (const loop of loops.rows) {
-        await this.triggerAutoKill({
-          user_id: loop.user_id,
-          trigger_type: 'infinite_loop',
-          trigger_name: 'Auto Loop Detection',
-          threshold_value: loop.identical_requests
-        }, {
-          agent_id: loop.agent_external_id,
-          agent_uuid: loop.agent_id,
-          total_cost: 0,
-          event_count: loop.identical_requests,
-          loop_signature: loop.request_signature
-        });
-      }
-    } catch (error) {
-      console.error('Error checking infinite loops:', error);
+  async checkTrigger(trigger, now = new Date()) {
+    // Rows of a type that was never evaluated (created before types were checked)
+    const evaluator = getTriggerEvaluator(trigger.trigger_type);
+    if (!evaluator) {
+      return;
     }
-  }
 
-  async checkErrorRates() {
     try {
-      const errorRateQuery = `
-        WITH agent_stats AS (
-          SELECT 
-            a.id as agent_uuid,
-            a.agent_id,
-            a.user_id,
-            COUNT(*) as total_requests,
-            SUM(CASE WHEN ue.metadata->>'error' IS NOT NULL THEN 1 ELSE 0 END) as error_count,
-            CASE 
-              WHEN COUNT(*) > 0 THEN 
-                (SUM(CASE WHEN ue.metadata->>'error' IS NOT NULL THEN 1 ELSE 0 END) * 100.0 / COUNT(*))
-              ELSE 0 
-            END as error_rate
-          FROM usage_events ue
-          JOIN agents a ON ue.agent_id = a.id
-          WHERE ue.created_at >= NOW() - INTERVAL '15 minutes'
-          AND a.status = 'active'
-          GROUP BY a.id, a.agent_id, a.user_id
-          HAVING COUNT(*) >= 10 -- At least 10 requests to calculate error rate
-        ),
-        high_error_agents AS (
-          SELECT ast.*, t.threshold_value, t.id as trigger_id
-          FROM agent_stats ast
-          JOIN kill_switch_triggers t ON t.user_id = ast.user_id
-          WHERE t.trigger_type = 'error_rate' 
-          AND t.is_active = true
-          AND ast.error_rate > t.threshold_value
-        )
-        SELECT hea.*, u.email
-        FROM high_error_agents hea
-        JOIN users u ON hea.user_id = u.id
-      `;
+      const violations = await evaluator.findViolations(trigger, now);
 
-      const highErrorAgents = await db.query(errorRateQuery);
-
-      for (const agent of highErrorAgents.rows) {
-        await this.triggerAutoKill({
-          user_id: agent.user_id,
-          trigger_type: 'error_rate',
-          trigger_name: 'Auto Error Rate Detection',
-          threshold_value: agent.threshold_value
-        }, {
-          agent_id: agent.agent_id,
-          agent_uuid: agent.agent_uuid,
-          total_cost: 0,
-          event_count: agent.total_requests,
-          error_rate: agent.error_rate,
-          error_count: agent.error_count
-        });
+      for (const violation of violations) {
+        if (!this.isLeading()) {
+          return;
+        }
+        await this.escalateViolation(trigger, violation);
       }
     } catch (error) {
-      console.error('Error checking error rates:', error);
+      console.error(`Error checking trigger ${trigger.id} (${trigger.trigger_type}):`, error);
     }
   }
 
@@ -284,63 +171,264 @@ class KillSwitchMonitor {
     }
   }
 
-  async triggerAutoKill(trigger, violation) {
+  async updateAgentBaselines() {
+    try {
+      const windows = await updateAgentBaselines();
+      if (windows > 0) {
+        console.log(`📈 Updated agent baselines with ${windows} monitoring window(s)`);
+      }
+    } catch (error) {
+      console.error('Error updating agent baselines:', error);
+    }
+  }
+
+  async checkAgentLiveness() {
+    try {
+      const silent = await markSilentAgents();
+      for (const agent of silent) {
+        console.log(`🔇 Agent ${agent.external_id} went silent (no activity in ${agent.interval_seconds}s)`);
+      }
+    } catch (error) {
+      console.error('Error checking agent liveness:', error);
+    }
+  }
+
+  async expireApprovalRequests() {
+    try {
+      // Records the expiry of requests nobody looked at before their window closed
+      const expired = await expireApprovalRequests();
+      if (expired > 0) {
+        console.log(`⌛ ${expired} approval request(s) expired without a decision`);
+      }
+    } catch (error) {
+      console.error('Error expiring approval requests:', error);
+    }
+  }
+
+  async retryNotificationDeliveries() {
     try {
-      const reason = `Auto-kill triggered: ${trigger.trigger_name} (${trigger.trigger_type}) exceeded threshold of ${trigger.threshold_value}`;
-      
-      console.log(`🚨 AUTO KILL TRIGGERED: Agent ${violation.agent_id} - ${reason}`);
-
-      // Kill the agent
-      await db.query(`
-        UPDATE agents 
-        SET status = 'killed', killed_at = NOW(), kill_reason = $1
-        WHERE id = $2 AND status = 'active'
-      `, [reason, violation.agent_uuid]);
-
-      // Log the kill switch event
-      await db.query(`
-        INSERT INTO kill_switch_events 
-        (event_type, target_type, target_id, user_id, triggered_by, reason, metadata)
-        VALUES ('kill_agent', 'agent', $1, $2, $3, $4, $5)
-      `, [
-        violation.agent_id,
+      const retried = await retryPendingDeliveries();
+      if (retried > 0) {
+        console.log(`📨 Retried ${retried} notification deliveries`);
+      }
+    } catch (error) {
+      console.error('Error retrying notification deliveries:', error);
+    }
+  }
+
+  // Take the trigger's next ladder step against the violation's target: pause or kill
+  // the agent, the customer's agents or the whole tenant. Returns the step taken, if any.
+  // Leadership is checked again right before the target is stopped, since the lookups
+  // before it can outlast the lock's connection.
+  async escalateViolation(trigger, violation) {
+    if (!this.isLeading()) {
+      return;
+    }
+    if (isShadow(trigger)) {
+      return this.recordShadowStep(trigger, violation);
+    }
+    if (isNotifyOnly(trigger)) {
+      return this.alertViolation(trigger, violation);
+    }
+
+    try {
+      const scope = scopeOf(trigger);
+      const { label, events } = TRIGGER_SCOPES[scope];
+      const step = await nextEscalationStep(trigger, violation);
+      const progress = step.steps > 1 ? ` [step ${step.step}/${step.steps}]` : '';
+      const reason = `Auto-${step.action} triggered: ${trigger.trigger_name} (${trigger.trigger_type}) ${violationText(trigger)}${progress}`;
+      const metadata = {
+        trigger_id: trigger.id,
+        violation_data: violation,
+        escalation_step: step.step,
+        escalation_steps: step.steps,
+        auto_killed: step.action === 'kill'
+      };
+
+      if (!this.isLeading()) {
+        console.log(`👋 Lost kill switch monitor leadership, not escalating trigger ${trigger.id}`);
+        return;
+      }
+
+      const stopped = await stopTarget(trigger, violation, step, reason, metadata);
+
+      // Another check already stopped the target during this round
+      if (!stopped) {
+        return;
+      }
+
+      await recordEscalation(trigger, violation, step, stopped);
+
+      console.log(`🚨 AUTO ${step.action.toUpperCase()} TRIGGERED: ${label} ${violation.target_id} - ${reason}`);
+
+      // A tenant kill is the emergency stop, which logs its own event
+      if (scope !== 'global' || step.action !== 'kill') {
+        await logKillSwitchEvent(
+          events[step.action],
+          EVENT_TARGET_TYPES[scope],
+          violation.target_id,
+          trigger.user_id,
+          reason,
+          `auto_${trigger.trigger_type}`,
+          {
+            ...metadata,
+            ...(scope !== 'agent' && { agents_stopped: stopped.agentUuids.length }),
+            ...(stopped.pauseUntil && { duration_minutes: step.duration_minutes, pause_until: stopped.pauseUntil })
+          }
+        );
+      }
+
+      return step;
+    } catch (error) {
+      console.error('Error escalating trigger violation:', error);
+    }
+  }
+
+  // Record the step a shadow trigger would have taken, leaving the target untouched.
+  // Violations while that step would still hold the target stopped are not counted.
+  async recordShadowStep(trigger, violation) {
+    try {
+      if (await isShadowStopped(trigger, violation)) {
+        return;
+      }
+
+      const scope = scopeOf(trigger);
+      const { label, events } = TRIGGER_SCOPES[scope];
+      const step = await nextEscalationStep(trigger, violation);
+      const stopUntil = new Date(Date.now() + shadowStopMinutes(trigger, step) * 60000);
+
+      await recordEscalation(trigger, violation, step, { pauseUntil: stopUntil });
+
+      const reason = `Shadow: would have ${step.action === 'pause' ? 'paused' : 'killed'} ${label.toLowerCase()} ${violation.target_id} - ${trigger.trigger_name} (${trigger.trigger_type}) ${violationText(trigger)} (value ${violation.value})`;
+      console.log(`👻 SHADOW ${step.action.toUpperCase()}: ${label} ${violation.target_id} - ${reason}`);
+
+      await logKillSwitchEvent(
+        `shadow_${events[step.action]}`,
+        EVENT_TARGET_TYPES[scope],
+        violation.target_id,
         trigger.user_id,
+        reason,
         `auto_${trigger.trigger_type}`,
+        {
+          trigger_id: trigger.id,
+          violation_data: violation,
+          value: parseFloat(violation.value),
+          threshold_value: parseFloat(trigger.threshold_value),
+          escalation_step: step.step,
+          escalation_steps: step.steps,
+          would_stop_until: stopUntil
+        }
+      );
+    } catch (error) {
+      console.error('Error recording shadow trigger step:', error);
+    }
+  }
+
+  // Log an alert for the violation of a notify-only trigger, at most once per target
+  // within the trigger's escalation window, without touching the target
+  async alertViolation(trigger, violation) {
+    try {
+      if (await wasAlertedRecently(trigger, violation)) {
+        return;
+      }
+
+      const scope = scopeOf(trigger);
+      const { label, events } = TRIGGER_SCOPES[scope];
+      const reason = `Alert: ${trigger.trigger_name} (${trigger.trigger_type}) ${violationText(trigger)} for ${label.toLowerCase()} ${violation.target_id} (value ${violation.value})`;
+      console.log(`🔔 TRIGGER ALERT: ${label} ${violation.target_id} - ${reason}`);
+
+      await logKillSwitchEvent(
+        events.alert,
+        EVENT_TARGET_TYPES[scope],
+        violation.target_id,
+        trigger.user_id,
         reason,
+        `auto_${trigger.trigger_type}`,
         {
           trigger_id: trigger.id,
           violation_data: violation,
-          auto_killed: true
+          value: parseFloat(violation.value),
+          threshold_value: parseFloat(violation.threshold_value ?? trigger.threshold_value)
         }
-      ]);
+      );
+    } catch (error) {
+      console.error('Error alerting trigger violation:', error);
+    }
+  }
 
-      // Here you could add alerting (email, Slack, etc.)
-      console.log(`📧 Alert sent for auto-killed agent: ${violation.agent_id}`);
+  // Revive the agents killed by triggers with auto_revive once the cooldown has passed
+  // and the trigger's metric for the agent or customer is back under the threshold
+  async checkAutoRevivals() {
+    try {
+      const kills = await findRevivableKills();
 
+      for (const kill of kills) {
+        const evaluator = getTriggerEvaluator(kill.trigger_type);
+        const value = evaluator ? await evaluator.measure(kill, kill.target_uuid, new Date()) : null;
+        const threshold = parseFloat(kill.violation_threshold ?? kill.threshold_value);
+
+        // Metric unknown or still too high: try again next round
+        if (value === null || value > threshold) {
+          continue;
+        }
+
+        const result = await db.query(`
+          UPDATE agents 
+          SET status = 'active', kill_reason = NULL, killed_at = NULL
+          WHERE id = ANY($1::uuid[]) AND status = 'killed' AND killed_by IS NULL
+          AND killed_at = (SELECT created_at FROM trigger_escalations WHERE id = $2)
+          RETURNING agent_id
+        `, [kill.agent_ids, kill.escalation_id]);
+
+        await markRevived(kill.escalation_id);
+
+        if (result.rows.length === 0) {
+          continue;
+        }
+
+        const scope = scopeOf(kill);
+        const { label, events } = TRIGGER_SCOPES[scope];
+        const reason = `Auto-revived: ${kill.trigger_name} (${kill.trigger_type}) back to ${value} after ${kill.revive_cooldown_minutes} minute cooldown`;
+        console.log(`♻️ AUTO REVIVE: ${label} ${kill.target_id} - ${reason}`);
+
+        await logKillSwitchEvent(events.revive, EVENT_TARGET_TYPES[scope], kill.target_id, kill.user_id, reason, 'auto_revive', {
+          trigger_id: kill.id,
+          metric_value: value,
+          threshold_value: threshold,
+          killed_at: kill.killed_at,
+          ...(scope !== 'agent' && { revived_agents: result.rows.map(row => row.agent_id) })
+        });
+      }
     } catch (error) {
-      console.error('Error triggering auto kill:', error);
+      console.error('Error checking auto revivals:', error);
     }
   }
 
-  // Method to be called when the server starts
+  // Method to be called when the server or worker starts. The monitor only runs in the
+  // process holding the kill switch monitor leadership, so replicas never evaluate twice.
   static initialize() {
     const monitor = new KillSwitchMonitor();
-    monitor.start();
-    
-    // Graceful shutdown
-    process.on('SIGINT', () => {
-      console.log('Shutting down kill switch monitor...');
-      monitor.stop();
-      process.exit(0);
+    const election = new LeaderElection('kill-switch-monitor', {
+      onElected: () => monitor.start(),
+      onDemoted: () => monitor.stop()
     });
+    monitor.election = election;
+
+    console.log('🗳️ Kill switch monitor waiting for leadership...');
+    election.start();
 
-    process.on('SIGTERM', () => {
+    // Graceful shutdown: release leadership so a standby takes over right away, then exit
+    // (a signal handler replaces Node's default of exiting on the signal)
+    const shutdown = async () => {
       console.log('Shutting down kill switch monitor...');
-      monitor.stop();
-    });
+      await election.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
 
     return monitor;
   }
 }
 
-module.exports = KillSwitchMonitor;
\ No newline at end of file
+module.exports = KillSwitchMonitor;
@@ -0,0 +1,126 @@
+const db = require('../config/database');
+
+/**
+ * Leader election over a Postgres session-level advisory lock, so that work like the kill
+ * switch monitor runs in one process however many replicas are up. The leader holds the
+ * lock on a dedicated connection and checks that connection every renewIntervalMs;
+ * Postgres releases the lock when the session ends, so when the leader dies or loses its
+ * connection another process acquires it on its next attempt.
+ */
+class LeaderElection {
+  constructor(name, { onElected, onDemoted, retryIntervalMs = 15000, renewIntervalMs = 10000 } = {}) {
+    this.name = name;
+    this.onElected = onElected || (() => {});
+    this.onDemoted = onDemoted || (() => {});
+    this.retryIntervalMs = retryIntervalMs;
+    this.renewIntervalMs = renewIntervalMs;
+    this.client = null;
+    this.isLeader = false;
+    this.timer = null;
+    this.stopped = true;
+    this.onClientError = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.tick();
+  }
+
+  schedule(delayMs) {
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this.tick(), delayMs);
+    }
+  }
+
+  async tick() {
+    this.timer = null;
+    if (this.isLeader) {
+      await this.renew();
+    } else {
+      await this.acquire();
+    }
+    this.schedule(this.isLeader ? this.renewIntervalMs : this.retryIntervalMs);
+  }
+
+  async acquire() {
+    let client;
+    try {
+      client = await db.getClient();
+      const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) as acquired', [this.name]);
+
+      if (!result.rows[0].acquired) {
+        client.release();
+        return;
+      }
+
+      // An idle connection can fail between checks; give up leadership right away then
+      this.onClientError = error => this.demote(error);
+      client.on('error', this.onClientError);
+      this.client = client;
+      this.isLeader = true;
+      console.log(`👑 Acquired ${this.name} leadership`);
+      this.onElected();
+
+      // Stopped while acquiring
+      if (this.stopped) {
+        await this.stop();
+      }
+    } catch (error) {
+      if (client && !this.isLeader) {
+        client.release(error);
+      }
+      console.error(`Error acquiring ${this.name} leadership:`, error);
+    }
+  }
+
+  async renew() {
+    try {
+      await this.client.query('SELECT 1');
+    } catch (error) {
+      this.demote(error);
+    }
+  }
+
+  // Step down after losing the lock's connection: its session, and with it the lock, is gone
+  demote(error) {
+    if (!this.isLeader) {
+      return;
+    }
+    console.error(`Lost ${this.name} leadership:`, error.message);
+
+    const client = this.client;
+    this.client = null;
+    this.isLeader = false;
+    client.removeListener('error', this.onClientError);
+    this.onDemoted();
+    client.release(error);
+  }
+
+  // Stop campaigning and release leadership, if held
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.isLeader) {
+      return;
+    }
+
+    const client = this.client;
+    this.client = null;
+    this.isLeader = false;
+    client.removeListener('error', this.onClientError);
+    this.onDemoted();
+
+    try {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [this.name]);
+      client.release();
+    } catch (error) {
+      client.release(error);
+    }
+    console.log(`👋 Released ${this.name} leadership`);
+  }
+}
+
+module.exports = LeaderElection;
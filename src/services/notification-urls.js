@@ -0,0 +1,122 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guard for webhook and chat channel URLs, so a tenant cannot point a channel at the
+ * server's own network (metadata endpoints, databases, internal services). A URL is
+ * refused when its host is, or resolves to, a loopback, private, link-local, shared or
+ * otherwise reserved address. It is checked when a channel is saved, and every send
+ * checks the addresses it actually connects to, so a DNS change cannot slip past.
+ * Hosts listed in NOTIFICATION_ALLOWED_HOSTS (comma-separated, e.g. a local test sink)
+ * skip the check.
+ */
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],       // "this" network, unspecified
+  ['10.0.0.0', 8, 'ipv4'],      // private
+  ['100.64.0.0', 10, 'ipv4'],   // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],     // loopback
+  ['169.254.0.0', 16, 'ipv4'],  // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],   // private
+  ['192.0.0.0', 24, 'ipv4'],    // protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],  // private
+  ['198.18.0.0', 15, 'ipv4'],   // benchmarking
+  ['224.0.0.0', 4, 'ipv4'],     // multicast
+  ['240.0.0.0', 4, 'ipv4'],     // reserved, broadcast
+  ['::', 128, 'ipv6'],          // unspecified
+  ['::1', 128, 'ipv6'],         // loopback
+  ['64:ff9b::', 96, 'ipv6'],    // NAT64, embeds an IPv4 address
+  ['64:ff9b:1::', 48, 'ipv6'],  // local-use NAT64
+  ['2001::', 32, 'ipv6'],       // Teredo, embeds an IPv4 address
+  ['2002::', 16, 'ipv6'],       // 6to4, embeds an IPv4 address
+  ['fc00::', 7, 'ipv6'],        // unique local
+  ['fe80::', 10, 'ipv6'],       // link-local
+  ['ff00::', 8, 'ipv6']         // multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 subnets
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_SUBNETS) {
+  blockedAddresses.addSubnet(network, prefix, type);
+}
+
+function allowedHosts() {
+  return (process.env.NOTIFICATION_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isAllowedHost(hostname) {
+  return allowedHosts().includes(hostname.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return blockedAddresses.check(address, type);
+}
+
+// Host of a URL, without the brackets of an IPv6 literal
+function urlHostname(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Why a channel URL cannot be used, or null when it can
+ */
+async function checkNotificationUrl(url) {
+  const hostname = urlHostname(url);
+  if (isAllowedHost(hostname)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Host ${hostname} cannot be resolved`;
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return `Host ${hostname} is a private or reserved address`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup for http(s).request that refuses private and reserved addresses, so the
+ * check covers the address the request connects to
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`Host ${hostname} is a private or reserved address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Throw when a URL's host is a private or reserved IP address. Hostnames are checked by
+ * guardedLookup as the request connects; IP addresses are never looked up.
+ */
+function assertPublicIpHost(url) {
+  const hostname = urlHostname(url);
+  if (net.isIP(hostname) && !isAllowedHost(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Host ${hostname} is a private or reserved address`);
+  }
+}
+
+module.exports = {
+  checkNotificationUrl,
+  guardedLookup,
+  assertPublicIpHost
+};
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const nodemailer = require('nodemailer');
+const db = require('../config/database');
+const { guardedLookup, assertPublicIpHost } = require('./notification-urls');
+
+/**
+ * Alert notifications. Kill switch events and budget stage crossings are published to the
+ * tenant's active channels with a routing rule matching the event type and severity.
+ * Each channel gets a delivery in notification_deliveries, attempted right away; failed
+ * deliveries are retried with backoff by the kill switch monitor until they go through or
+ * run out of attempts.
+ *   webhook - the notification as JSON, signed with the channel's secret (X-Signature)
+ *   email   - plain text email through the SMTP server set by the SMTP_* variables
+ *   chat    - a message for Slack, Discord or Microsoft Teams incoming webhooks
+ */
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNEL_TYPES = ['webhook', 'email', 'chat'];
+const CHAT_FORMATS = ['slack', 'discord', 'teams'];
+
+// Severity of kill switch event types; the others are 'info'
+const EVENT_SEVERITIES = {
+  kill_agent: 'critical',
+  kill_customer: 'critical',
+  emergency_stop_all: 'critical',
+  platform_emergency_stop: 'critical',
+  pause_agent: 'warning',
+  pause_customer: 'warning',
+  pause_tenant: 'warning',
+  alert_agent: 'warning',
+  alert_customer: 'warning',
+  alert_tenant: 'warning',
+  agent_silent: 'warning'
+};
+
+// Severity of a budget stage crossing, by the stage's action
+const STAGE_SEVERITIES = {
+  notify: 'warning',
+  throttle: 'warning',
+  downgrade: 'warning',
+  suspend: 'critical'
+};
+
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Delay after failed attempt n: 30s, 2m, 8m, then 32m
+const RETRY_BASE_SECONDS = 30;
+
+// How long an attempt in progress keeps its delivery from being retried
+const DELIVERY_LEASE_SECONDS = 120;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+let mailTransport = null;
+
+function retryDelaySeconds(attempts) {
+  return RETRY_BASE_SECONDS * 4 ** (attempts - 1);
+}
+
+function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature of a webhook body: hex HMAC-SHA256 of '<timestamp>.<body>' keyed with the
+ * channel's signing secret
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a JSON body to a channel URL and return the HTTP status. Only private and reserved
+ * addresses are refused (see notification-urls), redirects are not followed, and the
+ * response body is dropped: the tenant only learns the status.
+ */
+async function postJson(url, body, headers = {}) {
+  assertPublicIpHost(url);
+  const transport = url.startsWith('https:') ? https : http;
+
+  const status = await new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      lookup: guardedLookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  if (status < 200 || status >= 300) {
+    const error = new Error(`HTTP ${status}`);
+    error.responseStatus = status;
+    throw error;
+  }
+  return status;
+}
+
+function getMailTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP is not configured (SMTP_HOST)');
+  }
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return mailTransport;
+}
+
+const CHAT_BODIES = {
+  slack: (notification, icon) => ({ text: `${icon} *${notification.title}*\n${notification.message}` }),
+  discord: (notification, icon) => ({ content: `${icon} **${notification.title}**\n${notification.message}` }),
+  teams: (notification, icon) => ({ text: `${icon} **${notification.title}**\n\n${notification.message}` })
+};
+
+// Senders take the channel and the delivery, and return the HTTP status (null for email)
+const SENDERS = {
+  webhook: async (channel, delivery) => {
+    const body = JSON.stringify(delivery.notification);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    return postJson(channel.config.url, body, {
+      'X-Notification-Id': delivery.notification.id,
+      'X-Delivery-Id': delivery.id,
+      'X-Event-Type': delivery.event_type,
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature': `sha256=${signPayload(channel.signing_secret, timestamp, body)}`
+    });
+  },
+
+  email: async (channel, delivery) => {
+    const { notification } = delivery;
+    await getMailTransport().sendMail({
+      from: process.env.SMTP_FROM || 'alerts@localhost',
+      to: channel.config.to,
+      subject: `[${notification.severity.toUpperCase()}] ${notification.title}`,
+      text: [
+        notification.message,
+        '',
+        `Event: ${notification.event_type}`,
+        `Severity: ${notification.severity}`,
+        `Time: ${notification.created_at}`,
+        '',
+        JSON.stringify(notification.data, null, 2)
+      ].join('\n')
+    });
+    return null;
+  },
+
+  chat: async (channel, delivery) => {
+    const format = CHAT_BODIES[channel.config.format] || CHAT_BODIES.slack;
+    const body = format(delivery.notification, SEVERITY_ICONS[delivery.severity]);
+    return postJson(channel.config.url, JSON.stringify(body));
+  }
+};
+
+/**
+ * Send a delivery to its channel once and record the outcome: delivered, pending with the
+ * next attempt scheduled, or failed after MAX_DELIVERY_ATTEMPTS. Returns the updated row.
+ */
+async function attemptDelivery(delivery, channel) {
+  const attempts = delivery.attempts + 1;
+  let status = 'delivered';
+  let responseStatus = null;
+  let lastError = null;
+
+  try {
+    responseStatus = await SENDERS[channel.channel_type](channel, delivery);
+    console.log(`📨 ${delivery.event_type} notification delivered to ${channel.channel_type} channel "${channel.name}"`);
+  } catch (error) {
+    status = attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending';
+    responseStatus = error.responseStatus || null;
+    lastError = error.message;
+    console.error(`Notification delivery to "${channel.name}" failed (attempt ${attempts}/${MAX_DELIVERY_ATTEMPTS}):`, error.message);
+  }
+
+  const result = await db.query(`
+    UPDATE notification_deliveries
+    SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+        next_attempt_at = NOW() + make_interval(secs => $6),
+        delivered_at = CASE WHEN $7 THEN NOW() END
+    WHERE id = $1
+    RETURNING *
+  `, [
+    delivery.id, status, attempts, responseStatus, lastError,
+    status === 'pending' ? retryDelaySeconds(attempts) : null,
+    status === 'delivered'
+  ]);
+
+  return result.rows[0];
+}
+
+async function createDeliveries(userId, channels, notification) {
+  const deliveries = [];
+  for (const channel of channels) {
+    // Held for the first attempt, which runs right away
+    const result = await db.query(`
+      INSERT INTO notification_deliveries (user_id, channel_id, event_type, severity, notification, next_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+      RETURNING *
+    `, [userId, channel.id, notification.event_type, notification.severity, notification, DELIVERY_LEASE_SECONDS]);
+    deliveries.push(result.rows[0]);
+  }
+  return deliveries;
+}
+
+/**
+ * Publish an event ({ event_type, severity, title, message, data }) to the tenant's
+ * channels whose rules match it, or only to channelId when given. Deliveries are sent in
+ * the background unless wait is set, in which case the attempted deliveries are returned.
+ */
+async function publishNotification(userId, event, { channelId = null, wait = false } = {}) {
+  const notification = {
+    id: uuidv4(),
+    event_type: event.event_type,
+    severity: event.severity,
+    title: event.title,
+    message: event.message,
+    data: event.data || {},
+    created_at: new Date().toISOString()
+  };
+
+  const channels = channelId
+    ? await db.query('SELECT * FROM notification_channels WHERE user_id = $1 AND id = $2', [userId, channelId])
+    : await db.query(`
+      SELECT c.* FROM notification_channels c
+      WHERE c.user_id = $1 AND c.is_active = true
+      AND EXISTS (
+        SELECT 1 FROM notification_rules r
+        WHERE r.channel_id = c.id AND r.is_active = true
+        AND (r.event_types IS NULL OR $2 = ANY(r.event_types))
+        AND array_position($4::text[], r.min_severity::text) <= array_position($4::text[], $3::text)
+      )
+    `, [userId, notification.event_type, notification.severity, SEVERITIES]);
+
+  const deliveries = await createDeliveries(userId, channels.rows, notification);
+  const sending = deliveries.map((delivery, i) => attemptDelivery(delivery, channels.rows[i]));
+
+  if (wait) {
+    return Promise.all(sending);
+  }
+  Promise.all(sending).catch(error => console.error('Notification delivery error:', error));
+  return deliveries;
+}
+
+function eventLabel(eventType) {
+  const words = eventType.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Publish a kill switch event as logged to kill_switch_events. Never throws: notifications
+ * must not get in the way of the kill switch.
+ */
+async function notifyKillSwitchEvent(eventType, targetType, targetId, userId, reason, triggeredBy, metadata = {}) {
+  try {
+    const target = ['agent', 'customer'].includes(targetType) ? `${targetType} ${targetId}` : targetType;
+    await publishNotification(userId, {
+      event_type: eventType,
+      severity: EVENT_SEVERITIES[eventType] || 'info',
+      title: `${eventLabel(eventType)}: ${target}`,
+      message: reason,
+      data: { target_type: targetType, target_id: targetId, triggered_by: triggeredBy, metadata }
+    });
+  } catch (error) {
+    console.error('Kill switch notification error:', error);
+  }
+}
+
+/**
+ * Publish a budget level reaching one of its stages. Never throws.
+ */
+async function notifyBudgetStage(userId, budgetLevel, stage, spend) {
+  try {
+    await publishNotification(userId, {
+      event_type: 'budget_stage',
+      severity: STAGE_SEVERITIES[stage.action] || 'warning',
+      title: `Budget stage reached: ${budgetLevel.level} ${budgetLevel.label} at ${stage.percent}%`,
+      message: `${budgetLevel.level} ${budgetLevel.label} reached ${stage.percent}% of its ${budgetLevel.period.type} budget ($${spend.toFixed(4)}/$${budgetLevel.limit}): ${stage.action}`,
+      data: {
+        level: budgetLevel.level,
+        level_id: budgetLevel.id,
+        label: budgetLevel.label,
+        threshold_percent: stage.percent,
+        action: stage.action,
+        spend,
+        budget_limit: budgetLevel.limit,
+        period: budgetLevel.period.type,
+        window_start: budgetLevel.window.start
+      }
+    });
+  } catch (error) {
+    console.error('Budget stage notification error:', error);
+  }
+}
+
+/**
+ * Attempt the pending deliveries that are due, claiming them so that concurrent runs skip
+ * them. Deliveries to channels deactivated since are failed. Returns how many were attempted.
+ */
+async function retryPendingDeliveries(limit = 50) {
+  const claimed = await db.query(`
+    UPDATE notification_deliveries
+    SET next_attempt_at = NOW() + make_interval(secs => $1)
+    WHERE id IN (
+      SELECT id FROM notification_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [DELIVERY_LEASE_SECONDS, limit]);
+
+  if (claimed.rows.length === 0) {
+    return 0;
+  }
+
+  const channels = await db.query(
+    'SELECT * FROM notification_channels WHERE id = ANY($1::uuid[])',
+    [[...new Set(claimed.rows.map(delivery => delivery.channel_id))]]
+  );
+  const channelsById = new Map(channels.rows.map(channel => [channel.id, channel]));
+
+  let attempted = 0;
+  for (const delivery of claimed.rows) {
+    const channel = channelsById.get(delivery.channel_id);
+    if (!channel.is_active) {
+      await db.query(`
+        UPDATE notification_deliveries
+        SET status = 'failed', next_attempt_at = NULL, last_error = 'Channel was deactivated'
+        WHERE id = $1
+      `, [delivery.id]);
+      continue;
+    }
+
+    await attemptDelivery(delivery, channel);
+    attempted++;
+  }
+
+  return attempted;
+}
+
+/**
+ * A channel as returned by the API, without its signing secret
+ */
+function formatChannel(row) {
+  const { signing_secret: signingSecret, ...channel } = row;
+  return { ...channel, has_signing_secret: Boolean(signingSecret) };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    channel_id: row.channel_id,
+    event_type: row.event_type,
+    severity: row.severity,
+    status: row.status,
+    attempts: row.attempts,
+    max_attempts: MAX_DELIVERY_ATTEMPTS,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    response_status: row.response_status,
+    last_error: row.last_error,
+    delivered_at: row.delivered_at,
+    created_at: row.created_at,
+    notification: row.notification
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  CHANNEL_TYPES,
+  CHAT_FORMATS,
+  MAX_DELIVERY_ATTEMPTS,
+  generateSigningSecret,
+  signPayload,
+  publishNotification,
+  notifyKillSwitchEvent,
+  notifyBudgetStage,
+  retryPendingDeliveries,
+  formatChannel,
+  formatDelivery
+};
@@ -0,0 +1,178 @@
+const db = require('../config/database');
+
+// Allowed difference between reported and computed cost before an event is a mismatch
+const TOLERANCE_PERCENT = parseFloat(process.env.PRICING_TOLERANCE_PERCENT || '1');
+const TOLERANCE_ABSOLUTE = parseFloat(process.env.PRICING_TOLERANCE_ABSOLUTE || '0.000001');
+
+// 'flag' stores mismatched events at the computed cost, 'reject' refuses them
+const MISMATCH_ACTION = process.env.PRICING_MISMATCH_ACTION === 'reject' ? 'reject' : 'flag';
+
+// How long before its receipt an event's event_timestamp still picks the price version.
+// Older timestamps are priced as of this bound, so events cannot be backdated into a
+// cheaper version; timestamps after receipt are priced at receipt.
+const MAX_BACKDATE_MS = parseFloat(process.env.PRICING_MAX_BACKDATE_HOURS || '24') * 3600000;
+
+function roundCost(amount) {
+  return Math.round(amount * 1000000) / 1000000; // Round to 6 decimal places
+}
+
+/**
+ * Find the catalog price in effect for a model at a point in time.
+ * A tenant's own override wins over the platform price.
+ */
+async function findPrice(vendor, model, at = new Date(), userId = null) {
+  if (!vendor || !model) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT *
+    FROM model_prices
+    WHERE vendor = $1 AND model = $2
+    AND (user_id IS NULL OR user_id = $4)
+    AND effective_from <= $3
+    AND (effective_to IS NULL OR effective_to > $3)
+    ORDER BY (user_id IS NOT NULL) DESC, effective_from DESC
+    LIMIT 1
+  `, [vendor, model, at, userId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Point in time an event is priced at: its event_timestamp, clamped to between
+ * MAX_BACKDATE_MS before the event was received and its receipt
+ */
+function pricingTime(eventTimestamp, receivedAt = new Date()) {
+  const received = new Date(receivedAt).getTime();
+  const at = new Date(eventTimestamp || received).getTime();
+  if (Number.isNaN(at)) {
+    return new Date(received);
+  }
+  return new Date(Math.min(received, Math.max(received - MAX_BACKDATE_MS, at)));
+}
+
+/**
+ * List the price catalog visible to a tenant.
+ * By default only the version in effect at `at` is returned per model.
+ */
+async function listPrices(userId, { at = new Date(), vendor = null, includeHistory = false } = {}) {
+  const params = [userId];
+  let filter = '';
+
+  if (vendor) {
+    params.push(vendor);
+    filter = `AND vendor = $${params.length}`;
+  }
+
+  if (includeHistory) {
+    const result = await db.query(`
+      SELECT *, CASE WHEN user_id IS NULL THEN 'platform' ELSE 'tenant' END as source
+      FROM model_prices
+      WHERE (user_id IS NULL OR user_id = $1) ${filter}
+      ORDER BY vendor, model, effective_from DESC
+    `, params);
+    return result.rows;
+  }
+
+  params.push(at);
+  const result = await db.query(`
+    SELECT DISTINCT ON (vendor, model)
+      *, CASE WHEN user_id IS NULL THEN 'platform' ELSE 'tenant' END as source
+    FROM model_prices
+    WHERE (user_id IS NULL OR user_id = $1) ${filter}
+    AND effective_from <= $${params.length}
+    AND (effective_to IS NULL OR effective_to > $${params.length})
+    ORDER BY vendor, model, (user_id IS NOT NULL) DESC, effective_from DESC
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Whether an event carries any quantity the catalog can price
+ */
+function hasBillableUsage(usage) {
+  return ['input_tokens', 'output_tokens', 'cached_input_tokens', 'image_count', 'audio_seconds']
+    .some(field => usage[field] !== undefined && usage[field] !== null);
+}
+
+/**
+ * Compute the cost of a usage event from a catalog price.
+ * input_tokens includes cached tokens, which are billed at the cached rate when one is set.
+ */
+function computeCost(price, usage) {
+  const inputTokens = usage.input_tokens || 0;
+  const cachedTokens = Math.min(usage.cached_input_tokens || 0, inputTokens);
+  const cachedPrice = price.cached_input_price_per_1k !== null && price.cached_input_price_per_1k !== undefined
+    ? parseFloat(price.cached_input_price_per_1k)
+    : parseFloat(price.input_price_per_1k);
+
+  const inputCost = ((inputTokens - cachedTokens) / 1000) * parseFloat(price.input_price_per_1k);
+  const cachedCost = (cachedTokens / 1000) * cachedPrice;
+  const outputCost = ((usage.output_tokens || 0) / 1000) * parseFloat(price.output_price_per_1k);
+  const imageCost = (usage.image_count || 0) * parseFloat(price.image_price);
+  const audioCost = ((usage.audio_seconds || 0) / 60) * parseFloat(price.audio_price_per_minute);
+
+  return roundCost(inputCost + cachedCost + outputCost + imageCost + audioCost);
+}
+
+/**
+ * Whether a reported cost is close enough to the computed one
+ */
+function isWithinTolerance(reportedCost, computedCost) {
+  const allowed = Math.max(TOLERANCE_ABSOLUTE, computedCost * (TOLERANCE_PERCENT / 100));
+  return Math.abs(reportedCost - computedCost) <= allowed;
+}
+
+/**
+ * Price a usage event against the catalog.
+ *
+ * Uses the version in effect at the event's event_timestamp, bounded by pricingTime to
+ * PRICING_MAX_BACKDATE_HOURS before its receipt. Returns the authoritative cost_amount
+ * together with both the reported and computed values. Events for unknown models are
+ * 'unpriced' and keep the reported cost; events for a catalog model without any usage
+ * quantities are 'missing_usage', which is refused.
+ */
+async function priceUsageEvent(event, userId = null) {
+  const reportedCost = parseFloat(event.cost_amount || 0);
+  const unpriced = {
+    cost_amount: reportedCost,
+    reported_cost_amount: reportedCost,
+    computed_cost_amount: null,
+    pricing_status: 'unpriced',
+    price_id: null
+  };
+
+  const price = await findPrice(event.vendor, event.model, pricingTime(event.event_timestamp), userId);
+  if (!price) {
+    return unpriced;
+  }
+
+  // Without quantities the catalog cannot check the reported cost
+  if (!hasBillableUsage(event)) {
+    return { ...unpriced, pricing_status: 'missing_usage', price_id: price.id };
+  }
+
+  const computedCost = computeCost(price, event);
+  const matches = isWithinTolerance(reportedCost, computedCost);
+
+  return {
+    cost_amount: computedCost,
+    reported_cost_amount: reportedCost,
+    computed_cost_amount: computedCost,
+    pricing_status: matches ? 'verified' : 'mismatch',
+    price_id: price.id
+  };
+}
+
+module.exports = {
+  MISMATCH_ACTION,
+  MAX_BACKDATE_MS,
+  findPrice,
+  pricingTime,
+  listPrices,
+  hasBillableUsage,
+  computeCost,
+  isWithinTolerance,
+  priceUsageEvent
+};
@@ -0,0 +1,157 @@
+const db = require('../config/database');
+const { recordUsageWindows } = require('../config/redis');
+const { ERROR_RATE_MIN_REQUESTS } = require('./trigger-evaluators');
+const { describeViolations } = require('./trigger-scopes');
+const KillSwitchMonitor = require('./kill-switch-monitor');
+
+/**
+ * Real-time trigger enforcement on ingest. Every recorded event is added to sliding
+ * windows in Redis (cost, requests and errors per agent, customer and tenant), and the
+ * tenant's rate triggers are checked against them before the response is sent, so a
+ * violation stops the target before its next request. Only enforced spend_rate,
+ * requests_per_minute and error_rate triggers are checked here, and not those measured
+ * per day or limited to one customer's usage of each agent; the polling monitor evaluates
+ * every trigger as before and catches whatever this path misses (Redis unavailable,
+ * events recorded elsewhere).
+ */
+
+// How long a tenant's triggers are cached in each process
+const TRIGGER_CACHE_MS = 15000;
+
+// For each trigger type, how a trigger's value is read from a target's windows, or null
+// when the trigger is left to the polling monitor
+const REALTIME_METRICS = {
+  spend_rate: trigger => (windowFor(trigger) ? windows => windows[windowFor(trigger)].cost : null),
+  requests_per_minute: trigger => (windowFor(trigger) ? windows => windows[windowFor(trigger)].requests : null),
+  error_rate: () => windows => (windows.quarter.requests >= ERROR_RATE_MIN_REQUESTS
+    ? windows.quarter.errors * 100 / windows.quarter.requests
+    : 0)
+};
+
+// Event field naming the target of each scope
+const SCOPE_TARGETS = {
+  agent: 'agentUuid',
+  customer: 'customerUuid',
+  global: 'userId'
+};
+
+const triggerCache = new Map(); // user_id -> { loadedAt, triggers }
+let escalator = null;
+
+// Per-day rates are left to the polling monitor
+function windowFor(trigger) {
+  if (trigger.threshold_unit === 'per_day') {
+    return null;
+  }
+  return trigger.threshold_unit === 'per_hour' ? 'hour' : 'minute';
+}
+
+function isEnabled() {
+  return process.env.REALTIME_ENFORCEMENT !== 'false';
+}
+
+/**
+ * The tenant's active, enforced triggers this path can check, each with its value(windows)
+ */
+async function getRealtimeTriggers(userId) {
+  const cached = triggerCache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < TRIGGER_CACHE_MS) {
+    return cached.triggers;
+  }
+
+  const result = await db.query(`
+    SELECT * FROM kill_switch_triggers
+    WHERE user_id = $1 AND is_active = true AND mode = 'enforce'
+    AND trigger_type = ANY($2::text[])
+  `, [userId, Object.keys(REALTIME_METRICS)]);
+
+  const triggers = result.rows
+    .filter(trigger => !(trigger.target_scope === 'agent' && trigger.target_customer_id))
+    .map(trigger => ({ trigger, value: REALTIME_METRICS[trigger.trigger_type](trigger) }))
+    .filter(({ value }) => value);
+
+  triggerCache.set(userId, { loadedAt: Date.now(), triggers });
+  return triggers;
+}
+
+// Forget a tenant's cached triggers after they change (other processes catch up within
+// TRIGGER_CACHE_MS)
+function invalidateRealtimeTriggers(userId) {
+  triggerCache.delete(userId);
+}
+
+/**
+ * Add newly recorded events ([{ agentUuid, customerUuid, costAmount, isError }]) to the
+ * usage windows, then check the tenant's triggers against each target's latest windows.
+ * Returns the steps taken, [{ trigger_id, trigger_name, action, target_type, target_id }].
+ * Never throws: a failure leaves enforcement to the polling monitor.
+ */
+async function enforceOnIngest(userId, events) {
+  if (!isEnabled() || events.length === 0) {
+    return [];
+  }
+
+  try {
+    const triggers = await getRealtimeTriggers(userId);
+    const latest = new Map(); // '<scope>:<uuid>' -> windows
+
+    for (const event of events) {
+      const ids = { ...event, userId };
+      const targets = Object.entries(SCOPE_TARGETS)
+        .filter(([, field]) => ids[field])
+        .map(([scope, field]) => ({ level: scope, id: ids[field] }));
+
+      const windows = await recordUsageWindows(targets, event.costAmount, event.isError);
+      if (!windows) {
+        return [];
+      }
+      targets.forEach((target, i) => latest.set(`${target.level}:${target.id}`, windows[i]));
+    }
+
+    const steps = [];
+    for (const { trigger, value } of triggers) {
+      const scope = trigger.target_scope;
+      const measurements = [];
+
+      for (const [key, windows] of latest) {
+        const [level, targetUuid] = key.split(':');
+        if (level !== scope || (scope === 'agent' && trigger.target_agent_id && trigger.target_agent_id !== targetUuid)) {
+          continue;
+        }
+        if (scope === 'customer' && trigger.target_customer_id && trigger.target_customer_id !== targetUuid) {
+          continue;
+        }
+
+        const measured = value(windows);
+        if (measured > parseFloat(trigger.threshold_value)) {
+          measurements.push({ target_uuid: targetUuid, value: measured, realtime: true });
+        }
+      }
+
+      for (const violation of await describeViolations(trigger, measurements)) {
+        escalator = escalator || new KillSwitchMonitor();
+        const step = await escalator.escalateViolation(trigger, violation);
+        if (step) {
+          steps.push({
+            trigger_id: trigger.id,
+            trigger_name: trigger.trigger_name,
+            action: step.action,
+            target_type: scope,
+            target_id: violation.target_id
+          });
+        }
+      }
+    }
+
+    return steps;
+  } catch (error) {
+    console.error('Real-time enforcement error:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  TRIGGER_CACHE_MS,
+  enforceOnIngest,
+  invalidateRealtimeTriggers
+};
@@ -0,0 +1,279 @@
+const db = require('../config/database');
+const { invalidateSpendCache } = require('../middleware/agentBudget');
+const { findPrice, pricingTime, hasBillableUsage, computeCost, isWithinTolerance } = require('./pricing');
+
+const BATCH_SIZE = 500;
+
+// Jobs run in the process that started them and refresh heartbeat_at after every batch;
+// a pending or running job without a heartbeat for this long died with its process
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+/**
+ * Build the WHERE clause selecting the events a job re-prices
+ */
+function buildEventFilter(userId, filters) {
+  const conditions = ['ue.user_id = $1'];
+  const params = [userId];
+
+  if (filters.vendor) {
+    params.push(filters.vendor);
+    conditions.push(`ue.vendor = $${params.length}`);
+  }
+
+  if (filters.model) {
+    params.push(filters.model);
+    conditions.push(`ue.model = $${params.length}`);
+  }
+
+  if (filters.start_date) {
+    params.push(filters.start_date);
+    conditions.push(`ue.event_timestamp >= $${params.length}`);
+  }
+
+  if (filters.end_date) {
+    params.push(filters.end_date);
+    conditions.push(`ue.event_timestamp <= $${params.length}`);
+  }
+
+  if (filters.customer_id) {
+    params.push(filters.customer_id);
+    conditions.push(`c.customer_id = $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Create a re-pricing job and run it in the background
+ */
+async function startRepricingJob(userId, filters, dryRun = false) {
+  const result = await db.query(`
+    INSERT INTO repricing_jobs (user_id, filters, dry_run)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [userId, filters, dryRun]);
+
+  const job = result.rows[0];
+
+  setImmediate(() => {
+    runRepricingJob(job).catch(error => {
+      console.error(`Re-pricing job ${job.id} failed:`, error);
+    });
+  });
+
+  return job;
+}
+
+/**
+ * Re-price every event matching the job's filters against the current catalog.
+ * Events without usage quantities, or of models the catalog does not know, are counted
+ * as unpriced and left unchanged.
+ *
+ * Changed events get their cost_amount updated together with an adjustment
+ * row, in one transaction per event. Dry runs only produce the report.
+ */
+async function runRepricingJob(job) {
+  await db.query(`
+    UPDATE repricing_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW() WHERE id = $1
+  `, [job.id]);
+
+  const report = {};
+  const affectedLevels = new Map(); // budget levels whose cached spend must be rebuilt
+  const totals = { examined: 0, adjusted: 0, unpriced: 0, before: 0, after: 0 };
+
+  try {
+    const { where, params } = buildEventFilter(job.user_id, job.filters || {});
+    let lastId = null;
+
+    while (true) {
+      const batchParams = [...params];
+      let cursor = '';
+      if (lastId) {
+        batchParams.push(lastId);
+        cursor = `AND ue.id > $${batchParams.length}`;
+      }
+
+      const batch = await db.query(`
+        SELECT ue.*
+        FROM usage_events ue
+        JOIN customers c ON ue.customer_id = c.id
+        WHERE ${where} ${cursor}
+        ORDER BY ue.id
+        LIMIT ${BATCH_SIZE}
+      `, batchParams);
+
+      if (batch.rows.length === 0) break;
+      lastId = batch.rows[batch.rows.length - 1].id;
+      await db.query('UPDATE repricing_jobs SET heartbeat_at = NOW() WHERE id = $1', [job.id]);
+
+      for (const event of batch.rows) {
+        const previousCost = parseFloat(event.cost_amount);
+        const reportKey = `${event.vendor}/${event.model || 'unknown'}`;
+        const entry = report[reportKey] || (report[reportKey] = {
+          vendor: event.vendor,
+          model: event.model,
+          events: 0,
+          adjusted: 0,
+          total_before: 0,
+          total_after: 0
+        });
+
+        totals.examined++;
+        entry.events++;
+
+        // Priced like at ingest: the version in effect at event_timestamp, bounded by its
+        // receipt. Events without usage quantities cannot be priced and keep their cost.
+        const price = hasBillableUsage(event)
+          ? await findPrice(event.vendor, event.model, pricingTime(event.event_timestamp, event.created_at), job.user_id)
+          : null;
+        const newCost = price ? computeCost(price, event) : previousCost;
+
+        if (!price) {
+          totals.unpriced++;
+        }
+
+        totals.before += previousCost;
+        totals.after += newCost;
+        entry.total_before += previousCost;
+        entry.total_after += newCost;
+
+        if (!price || Math.abs(newCost - previousCost) < 0.000001) {
+          continue;
+        }
+
+        totals.adjusted++;
+        entry.adjusted++;
+
+        if (job.dry_run) {
+          continue;
+        }
+
+        await applyAdjustment(job, event, price, previousCost, newCost);
+        for (const [level, id] of [
+          ['tenant', event.user_id],
+          ['customer', event.customer_id],
+          ['api_key', event.api_key_id],
+          ['agent', event.agent_id]
+        ]) {
+          if (id) {
+            affectedLevels.set(`${level}:${id}`, { level, id });
+          }
+        }
+      }
+    }
+
+    if (!job.dry_run && affectedLevels.size > 0) {
+      await rebuildSpendCache(affectedLevels);
+      await refreshMonthlySpendView();
+    }
+
+    for (const entry of Object.values(report)) {
+      entry.total_before = roundTotal(entry.total_before);
+      entry.total_after = roundTotal(entry.total_after);
+      entry.delta = roundTotal(entry.total_after - entry.total_before);
+    }
+
+    await db.query(`
+      UPDATE repricing_jobs
+      SET status = 'completed', completed_at = NOW(),
+          events_examined = $2, events_adjusted = $3, events_unpriced = $4,
+          total_before = $5, total_after = $6, report = $7
+      WHERE id = $1
+    `, [
+      job.id, totals.examined, totals.adjusted, totals.unpriced,
+      roundTotal(totals.before), roundTotal(totals.after), { by_model: Object.values(report) }
+    ]);
+
+    console.log(`💲 Re-pricing job ${job.id} completed: ${totals.adjusted}/${totals.examined} events adjusted ($${totals.before.toFixed(4)} → $${totals.after.toFixed(4)})`);
+  } catch (error) {
+    await db.query(`
+      UPDATE repricing_jobs
+      SET status = 'failed', completed_at = NOW(), error = $2,
+          events_examined = $3, events_adjusted = $4
+      WHERE id = $1
+    `, [job.id, error.message, totals.examined, totals.adjusted]);
+    throw error;
+  }
+}
+
+/**
+ * Mark the pending and running jobs whose process exited or restarted as failed,
+ * so they do not report 'running' forever. Returns the number of jobs failed.
+ */
+async function failStaleRepricingJobs() {
+  const result = await db.query(`
+    UPDATE repricing_jobs
+    SET status = 'failed', completed_at = NOW(),
+        error = 'Job stopped before completing (its server process exited or restarted)'
+    WHERE status IN ('pending', 'running')
+    AND COALESCE(heartbeat_at, created_at) < NOW() - make_interval(secs => $1)
+    RETURNING id
+  `, [STALE_JOB_MS / 1000]);
+
+  if (result.rows.length > 0) {
+    console.log(`🧹 Marked ${result.rows.length} stale re-pricing job(s) failed`);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Update an event's cost and record the adjustment atomically
+ */
+async function applyAdjustment(job, event, price, previousCost, newCost) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const reportedCost = event.reported_cost_amount !== null ? parseFloat(event.reported_cost_amount) : previousCost;
+
+    await client.query(`
+      UPDATE usage_events
+      SET cost_amount = $2, computed_cost_amount = $2, price_id = $3, pricing_status = $4
+      WHERE id = $1
+    `, [event.id, newCost, price.id, isWithinTolerance(reportedCost, newCost) ? 'verified' : 'mismatch']);
+
+    await client.query(`
+      INSERT INTO usage_event_adjustments (
+        job_id, user_id, usage_event_id, previous_cost_amount, new_cost_amount, delta,
+        previous_price_id, new_price_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [job.id, job.user_id, event.id, previousCost, newCost, roundTotal(newCost - previousCost), event.price_id, price.id]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop the cached spend of every affected budget level for its current window,
+ * so the next budget check rebuilds it from the re-priced events
+ */
+async function rebuildSpendCache(affectedLevels) {
+  for (const { level, id } of affectedLevels.values()) {
+    await invalidateSpendCache(level, id);
+  }
+}
+
+async function refreshMonthlySpendView() {
+  try {
+    await db.query('SELECT refresh_agent_monthly_spend()');
+  } catch (error) {
+    console.error('Error refreshing agent_monthly_spend:', error);
+  }
+}
+
+function roundTotal(amount) {
+  return Math.round(amount * 1000000) / 1000000;
+}
+
+module.exports = {
+  STALE_JOB_MS,
+  startRepricingJob,
+  runRepricingJob,
+  failStaleRepricingJobs
+};
@@ -0,0 +1,156 @@
+const db = require('../config/database');
+const { getTriggerEvaluator } = require('./trigger-evaluators');
+const { ladderFromRow } = require('./trigger-escalation');
+const { TRIGGER_SCOPES, scopeOf, targetFilterSql, targetFilterParams } = require('./trigger-scopes');
+
+/**
+ * Replay a trigger definition over past usage. The trigger is evaluated every step_minutes
+ * from `from` to `to` with the live monitor's evaluators, and its escalation ladder is
+ * played out in memory: a simulated pause or kill keeps the target from firing again until
+ * it ends, and with auto_revive a kill ends once the metric is back under the threshold
+ * after the cooldown. Nothing is written: the replay runs in a read-only transaction of
+ * its own, where each query is cancelled after BACKTEST_STATEMENT_TIMEOUT_MS.
+ */
+
+const BACKTEST_MAX_DAYS = 30;
+const BACKTEST_MAX_EVALUATIONS = 1000;
+const BACKTEST_STATEMENT_TIMEOUT_MS = 5000;
+
+// Postgres error code of a query cancelled by statement_timeout
+const QUERY_CANCELED = '57014';
+
+// Spend of a target between two times, measured the way the trigger measures it
+async function spendBetween(client, trigger, targetUuid, start, end) {
+  const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+  const result = await client.query(`
+    SELECT COALESCE(SUM(ue.cost_amount), 0) as spend
+    FROM usage_events ue
+    WHERE ue.${column} = $1 AND ue.created_at >= $2 AND ue.created_at < $3
+    AND ${targetFilterSql('ue', 4)}
+  `, [targetUuid, start, end, ...targetFilterParams(trigger)]);
+
+  return parseFloat(result.rows[0].spend) || 0;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 1000000) / 1000000;
+}
+
+/**
+ * Returns { evaluations, summary, timeline }. Each timeline entry is a simulated pause,
+ * kill or revival with the metric value, how long the step would have held and the spend
+ * the target recorded in that time (the spend it would have prevented).
+ * A query running past the statement timeout rejects with error.code QUERY_CANCELED.
+ */
+async function backtestTrigger(trigger, range) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${BACKTEST_STATEMENT_TIMEOUT_MS}`);
+    const result = await replayTrigger(client, trigger, range);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function replayTrigger(client, trigger, { from, to, stepMinutes }) {
+  const evaluator = getTriggerEvaluator(trigger.trigger_type);
+  const scope = scopeOf(trigger);
+  const ladder = ladderFromRow(trigger);
+  const threshold = parseFloat(trigger.threshold_value);
+  const escalationWindowMs = (trigger.escalation_window_minutes || 60) * 60000;
+  const cooldownMs = (trigger.revive_cooldown_minutes || 30) * 60000;
+  const canRevive = Boolean(trigger.auto_revive) && scope !== 'global';
+
+  const stops = new Map(); // target_uuid -> the step holding it stopped
+  const history = new Map(); // target_uuid -> times of earlier steps
+  const timeline = [];
+  let evaluations = 0;
+
+  for (let time = from.getTime(); time <= to.getTime(); time += stepMinutes * 60000) {
+    const now = new Date(time);
+    evaluations++;
+
+    for (const [targetUuid, stop] of stops) {
+      if (stop.stopped_until && stop.stopped_until <= now) {
+        stops.delete(targetUuid);
+      } else if (!stop.stopped_until && canRevive && now - stop.at >= cooldownMs) {
+        const value = await evaluator.measure(trigger, targetUuid, now, client);
+        if (value <= (stop.threshold_value ?? threshold)) {
+          stop.stopped_until = now;
+          stops.delete(targetUuid);
+          timeline.push({ ...stop, at: now, action: 'revive', step: null, value, stopped_until: null });
+        }
+      }
+    }
+
+    const violations = await evaluator.findViolations(trigger, now, { activeOnly: false, queryable: client });
+
+    for (const violation of violations) {
+      if (stops.has(violation.target_uuid)) {
+        continue;
+      }
+
+      const previous = (history.get(violation.target_uuid) || []).filter(at => now - at <= escalationWindowMs);
+      const index = Math.min(previous.length, ladder.length - 1);
+      const step = ladder[index];
+      history.set(violation.target_uuid, [...previous, now]);
+
+      const entry = {
+        at: now,
+        target_type: scope,
+        target_uuid: violation.target_uuid,
+        target_id: violation.target_id,
+        target_name: violation.target_name,
+        action: step.action,
+        step: index + 1,
+        steps: ladder.length,
+        value: parseFloat(violation.value),
+        ...(violation.threshold_value !== undefined && { threshold_value: violation.threshold_value }),
+        // null for a kill: stopped until revived or the end of the range
+        stopped_until: step.action === 'pause' ? new Date(time + step.duration_minutes * 60000) : null
+      };
+      timeline.push(entry);
+      stops.set(violation.target_uuid, entry);
+    }
+  }
+
+  const summary = { firings: 0, pauses: 0, kills: 0, revivals: 0, targets_affected: 0, spend_prevented: 0 };
+  const targets = new Set();
+
+  for (const entry of timeline) {
+    if (entry.action === 'revive') {
+      summary.revivals++;
+    } else {
+      const end = entry.stopped_until && entry.stopped_until < to ? entry.stopped_until : to;
+      entry.spend_prevented = roundMoney(await spendBetween(client, trigger, entry.target_uuid, entry.at, end));
+
+      summary.firings++;
+      summary[entry.action === 'pause' ? 'pauses' : 'kills']++;
+      summary.spend_prevented += entry.spend_prevented;
+      targets.add(entry.target_uuid);
+    }
+  }
+  summary.targets_affected = targets.size;
+  summary.spend_prevented = roundMoney(summary.spend_prevented);
+
+  return {
+    evaluations,
+    summary,
+    timeline: timeline.map(({ target_uuid, ...entry }) => entry)
+  };
+}
+
+module.exports = {
+  BACKTEST_MAX_DAYS,
+  BACKTEST_MAX_EVALUATIONS,
+  BACKTEST_STATEMENT_TIMEOUT_MS,
+  QUERY_CANCELED,
+  backtestTrigger
+};
@@ -0,0 +1,290 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { TRIGGER_SCOPES, EVENT_TARGET_TYPES, scopeOf } = require('./trigger-scopes');
+
+const ESCALATION_ACTIONS = ['pause', 'kill'];
+
+// Without a ladder a trigger kills on its first violation
+const DEFAULT_LADDER = [{ action: 'kill' }];
+
+const escalationLadderSchema = Joi.array().items(Joi.object({
+  action: Joi.string().valid(...ESCALATION_ACTIONS).required(),
+  duration_minutes: Joi.when('action', {
+    is: 'pause',
+    then: Joi.number().integer().min(1).max(10080).required(), // Max 1 week
+    otherwise: Joi.forbidden()
+  })
+})).min(1).max(10);
+
+// 'shadow' evaluates a trigger without stopping anything and reports what it would have
+// done; 'notify' only raises an alert for each target in violation
+const TRIGGER_MODES = ['enforce', 'shadow', 'notify'];
+
+// Trigger fields controlling the response to violations, spread into the trigger schemas
+const escalationKeys = {
+  mode: Joi.string().valid(...TRIGGER_MODES),
+  escalation_ladder: escalationLadderSchema.allow(null),
+  escalation_window_minutes: Joi.number().integer().min(1).max(10080),
+  auto_revive: Joi.boolean(),
+  revive_cooldown_minutes: Joi.number().integer().min(1).max(10080)
+};
+
+function ladderFromRow(trigger) {
+  return trigger.escalation_ladder || DEFAULT_LADDER;
+}
+
+// Shadow triggers only record the steps they would have taken
+function isShadow(trigger) {
+  return trigger.mode === 'shadow';
+}
+
+function isNotifyOnly(trigger) {
+  return trigger.mode === 'notify';
+}
+
+/**
+ * Whether a notify-only trigger already alerted about the violation's target within its
+ * escalation window, so the target is not alerted about every monitoring round
+ */
+async function wasAlertedRecently(trigger, violation) {
+  const scope = scopeOf(trigger);
+  const result = await db.query(`
+    SELECT 1 FROM kill_switch_events
+    WHERE event_type = $1 AND target_type = $2 AND target_id = $3 AND user_id = $4
+    AND metadata->>'trigger_id' = $5
+    AND created_at >= NOW() - ($6 || ' minutes')::interval
+    LIMIT 1
+  `, [
+    TRIGGER_SCOPES[scope].events.alert,
+    EVENT_TARGET_TYPES[scope],
+    violation.target_id,
+    trigger.user_id,
+    trigger.id,
+    (trigger.escalation_window_minutes || 60).toString()
+  ]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * The ladder step for a new violation: one step further for each earlier step this
+ * trigger took against the violation's target within the escalation window, staying on
+ * the last step. Shadow and enforced steps climb separate ladders.
+ * Returns { step, steps, action, duration_minutes }.
+ */
+async function nextEscalationStep(trigger, violation) {
+  const ladder = ladderFromRow(trigger);
+  const windowMinutes = trigger.escalation_window_minutes || 60;
+  const scope = scopeOf(trigger);
+
+  const result = await db.query(`
+    SELECT COUNT(*) as previous_steps
+    FROM trigger_escalations
+    WHERE ${TRIGGER_SCOPES[scope].column} = $1 AND target_type = $5
+    AND trigger_type = $2 AND trigger_id IS NOT DISTINCT FROM $3
+    AND created_at >= NOW() - ($4 || ' minutes')::interval
+    AND shadow = $6
+  `, [violation.target_uuid, trigger.trigger_type, trigger.id || null, windowMinutes.toString(), scope, isShadow(trigger)]);
+
+  const index = Math.min(parseInt(result.rows[0].previous_steps), ladder.length - 1);
+  return { step: index + 1, steps: ladder.length, ...ladder[index] };
+}
+
+/**
+ * Record a step taken against a target and the agents it stopped. A kill is stamped
+ * with the agents' killed_at so a later revival can tell whether the kill is still the
+ * one this step made.
+ */
+async function recordEscalation(trigger, violation, step, { pauseUntil = null, agentUuids = [] } = {}) {
+  const scope = scopeOf(trigger);
+
+  await db.query(`
+    INSERT INTO trigger_escalations
+    (trigger_id, trigger_type, user_id, target_type, agent_id, customer_id, agent_ids,
+     step, action, pause_until, violation, shadow, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7::uuid[], $8, $9, $10, $11, $12,
+      CASE WHEN $9 = 'kill' AND cardinality($7::uuid[]) > 0
+        THEN (SELECT MAX(killed_at) FROM agents WHERE id = ANY($7::uuid[]))
+        ELSE NOW() END)
+  `, [
+    trigger.id || null,
+    trigger.trigger_type,
+    trigger.user_id,
+    scope,
+    scope === 'agent' ? violation.target_uuid : null,
+    scope === 'customer' ? violation.target_uuid : null,
+    agentUuids,
+    step.step,
+    step.action,
+    pauseUntil,
+    violation,
+    isShadow(trigger)
+  ]);
+}
+
+/**
+ * How long a shadow step would have stopped its target: a pause for its duration, a kill
+ * until an automatic revival could undo it, or else for the escalation window
+ */
+function shadowStopMinutes(trigger, step) {
+  if (step.action === 'pause') {
+    return step.duration_minutes;
+  }
+  return trigger.auto_revive ? trigger.revive_cooldown_minutes : (trigger.escalation_window_minutes || 60);
+}
+
+/**
+ * Whether an earlier shadow step of the trigger would still be holding the violation's
+ * target stopped, so the violation would not have happened
+ */
+async function isShadowStopped(trigger, violation) {
+  const scope = scopeOf(trigger);
+  const result = await db.query(`
+    SELECT 1 FROM trigger_escalations
+    WHERE shadow = true AND trigger_id = $1 AND target_type = $2
+    AND ${TRIGGER_SCOPES[scope].column} = $3 AND pause_until > NOW()
+    LIMIT 1
+  `, [trigger.id, scope, violation.target_uuid]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * What a trigger would have done over the last `days` days: its shadow steps by action,
+ * by target and by day, and the latest ones
+ */
+async function getShadowReport(trigger, days) {
+  const params = [trigger.id, days.toString()];
+  const since = `NOW() - ($2 || ' days')::interval`;
+
+  const [totals, targets, daily, recent] = await Promise.all([
+    db.query(`
+      SELECT action, COUNT(*) as firings
+      FROM trigger_escalations
+      WHERE shadow = true AND trigger_id = $1 AND created_at >= ${since}
+      GROUP BY action
+    `, params),
+    db.query(`
+      SELECT target_type, violation->>'target_id' as target_id, MAX(violation->>'target_name') as target_name,
+             COUNT(*) as firings,
+             COUNT(*) FILTER (WHERE action = 'pause') as pauses,
+             COUNT(*) FILTER (WHERE action = 'kill') as kills,
+             MAX((violation->>'value')::numeric) as max_value,
+             MIN(created_at) as first_at, MAX(created_at) as last_at
+      FROM trigger_escalations
+      WHERE shadow = true AND trigger_id = $1 AND created_at >= ${since}
+      GROUP BY target_type, violation->>'target_id'
+      ORDER BY firings DESC
+      LIMIT 100
+    `, params),
+    db.query(`
+      SELECT DATE(created_at) as date, COUNT(*) as firings
+      FROM trigger_escalations
+      WHERE shadow = true AND trigger_id = $1 AND created_at >= ${since}
+      GROUP BY DATE(created_at)
+      ORDER BY date
+    `, params),
+    db.query(`
+      SELECT created_at, target_type, violation->>'target_id' as target_id, action, step,
+             (violation->>'value')::numeric as value, pause_until
+      FROM trigger_escalations
+      WHERE shadow = true AND trigger_id = $1 AND created_at >= ${since}
+      ORDER BY created_at DESC
+      LIMIT 20
+    `, params)
+  ]);
+
+  const byAction = { pause: 0, kill: 0 };
+  for (const row of totals.rows) {
+    byAction[row.action] = parseInt(row.firings);
+  }
+
+  return {
+    would_have_fired: byAction.pause + byAction.kill,
+    would_have_paused: byAction.pause,
+    would_have_killed: byAction.kill,
+    targets: targets.rows.map(row => ({
+      target_type: row.target_type,
+      target_id: row.target_id,
+      target_name: row.target_name,
+      firings: parseInt(row.firings),
+      pauses: parseInt(row.pauses),
+      kills: parseInt(row.kills),
+      max_value: parseFloat(row.max_value),
+      first_at: row.first_at,
+      last_at: row.last_at
+    })),
+    daily: daily.rows.map(row => ({ date: row.date, firings: parseInt(row.firings) })),
+    recent: recent.rows.map(row => ({
+      at: row.created_at,
+      target_type: row.target_type,
+      target_id: row.target_id,
+      action: row.action,
+      step: row.step,
+      value: parseFloat(row.value),
+      would_stop_until: row.pause_until
+    }))
+  };
+}
+
+/**
+ * Agent and customer kills by triggers with auto_revive whose cooldown has passed and
+ * that nobody fully undid or replaced since (some killed agent's killed_at still matches
+ * the escalation). A tenant emergency stop is only ever lifted by hand. violation_threshold
+ * is the threshold the violation carried for its target, if any.
+ */
+async function findRevivableKills() {
+  const result = await db.query(`
+    SELECT e.id as escalation_id, e.target_type, e.agent_ids, e.created_at as killed_at,
+           COALESCE(e.agent_id, e.customer_id) as target_uuid,
+           COALESCE(e.violation->>'target_id', e.violation->>'agent_id') as target_id,
+           (e.violation->>'threshold_value')::numeric as violation_threshold,
+           t.*
+    FROM trigger_escalations e
+    JOIN kill_switch_triggers t ON e.trigger_id = t.id
+    WHERE e.action = 'kill' AND e.revived_at IS NULL AND e.shadow = false
+    AND e.target_type IN ('agent', 'customer')
+    AND t.auto_revive = true
+    AND e.created_at <= NOW() - (t.revive_cooldown_minutes || ' minutes')::interval
+    AND EXISTS (
+      SELECT 1 FROM agents a
+      WHERE a.id = ANY(e.agent_ids)
+      AND a.status = 'killed' AND a.killed_by IS NULL AND a.killed_at = e.created_at
+    )
+  `);
+
+  return result.rows;
+}
+
+async function markRevived(escalationId) {
+  await db.query('UPDATE trigger_escalations SET revived_at = NOW() WHERE id = $1', [escalationId]);
+}
+
+function formatEscalationSettings(trigger) {
+  return {
+    mode: trigger.mode,
+    escalation_ladder: ladderFromRow(trigger),
+    escalation_window_minutes: trigger.escalation_window_minutes,
+    auto_revive: trigger.auto_revive,
+    revive_cooldown_minutes: trigger.revive_cooldown_minutes
+  };
+}
+
+module.exports = {
+  ESCALATION_ACTIONS,
+  DEFAULT_LADDER,
+  TRIGGER_MODES,
+  escalationKeys,
+  ladderFromRow,
+  isShadow,
+  isNotifyOnly,
+  wasAlertedRecently,
+  nextEscalationStep,
+  recordEscalation,
+  shadowStopMinutes,
+  isShadowStopped,
+  getShadowReport,
+  findRevivableKills,
+  markRevived,
+  formatEscalationSettings
+};
@@ -0,0 +1,409 @@
+const db = require('../config/database');
+const {
+  TRIGGER_SCOPES,
+  scopeOf,
+  targetFilterSql,
+  targetFilterParams,
+  describeViolations
+} = require('./trigger-scopes');
+const { compileRule } = require('./trigger-rules');
+const { BASELINE_METRICS } = require('./agent-baselines');
+const { LOOP_MAX_EVENTS, loopSettingsFor, maxLoopWindowMinutes, detectLoop } = require('./trigger-loops');
+
+/**
+ * Evaluators for kill switch trigger types. Each evaluator has
+ *   findViolations(trigger, now, options) - targets of the trigger's tenant and scope
+ *                                  (agents, customers or the tenant itself) whose metric is
+ *                                  over threshold_value at `now`, as violation objects;
+ *                                  options are passed on to describeViolations
+ *                                  A violation may carry its own threshold_value, which
+ *                                  then replaces the trigger's for that target
+ *   measure(trigger, targetUuid, now, queryable) - the metric for one target whatever its
+ *                                       status, used to decide automatic revival
+ * Both run their queries on queryable (options.queryable for findViolations): the pool,
+ * unless a backtest passes its own client. Only types listed here can be used for triggers.
+ */
+
+// Length of the window a per-unit threshold is measured over
+const UNIT_INTERVALS = {
+  per_minute: '1 minute',
+  per_hour: '1 hour',
+  per_day: '1 day'
+};
+
+// Error rates need a minimum sample over their window
+const ERROR_RATE_INTERVAL = '15 minutes';
+const ERROR_RATE_MIN_REQUESTS = 10;
+
+// Cost acceleration compares the three latest spend_rate_monitoring windows, if recent enough
+const ACCELERATION_LOOKBACK = '30 minutes';
+
+// Anomaly triggers look at the latest baseline score, scored every 30 seconds
+const ANOMALY_LOOKBACK = '2 minutes';
+
+function unitInterval(trigger) {
+  return UNIT_INTERVALS[trigger.threshold_unit] || UNIT_INTERVALS.per_minute;
+}
+
+/**
+ * Evaluator over a per-target aggregate of usage_events in a window ending at now ($2).
+ * valueSql is an aggregate over ue, since(trigger) the SQL start of the window and
+ * having a minimum sample below which the value counts as 0.
+ */
+function usageAggregateEvaluator({ valueSql, since, having = 'TRUE' }) {
+  return {
+    async findViolations(trigger, now, options = {}) {
+      const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+      const result = await (options.queryable || db).query(`
+        SELECT
+          ue.${column} as target_uuid,
+          SUM(ue.cost_amount) as total_cost,
+          COUNT(*) as event_count,
+          ${valueSql} as value
+        FROM usage_events ue
+        WHERE ue.user_id = $1 AND ue.${column} IS NOT NULL
+        AND ue.created_at >= ${since(trigger)} AND ue.created_at <= $2
+        AND ${targetFilterSql('ue', 4)}
+        GROUP BY ue.${column}
+        HAVING ${having} AND ${valueSql} > $3::numeric
+      `, [trigger.user_id, now, trigger.threshold_value, ...targetFilterParams(trigger)]);
+
+      return describeViolations(trigger, result.rows, options);
+    },
+
+    async measure(trigger, targetUuid, now, queryable = db) {
+      const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+      const result = await queryable.query(`
+        SELECT CASE WHEN ${having} THEN ${valueSql} ELSE 0 END as value
+        FROM usage_events ue
+        WHERE ue.${column} = $1 AND ue.created_at >= ${since(trigger)} AND ue.created_at <= $2
+        AND ${targetFilterSql('ue', 3)}
+      `, [targetUuid, now, ...targetFilterParams(trigger)]);
+
+      return parseFloat(result.rows[0].value) || 0;
+    }
+  };
+}
+
+/**
+ * Second derivative of spend: how fast cost_per_minute itself is rising, in dollars per
+ * minute per minute, from three consecutive monitoring windows (newest first).
+ */
+function costAcceleration(windows) {
+  const [latest, middle, oldest] = windows;
+  const minutes = (a, b) => (new Date(a.window_end) - new Date(b.window_end)) / 60000;
+
+  const earlierSpan = minutes(middle, oldest);
+  const laterSpan = minutes(latest, middle);
+  if (earlierSpan <= 0 || laterSpan <= 0) {
+    return 0;
+  }
+
+  const earlierSlope = (parseFloat(middle.cost_per_minute) - parseFloat(oldest.cost_per_minute)) / earlierSpan;
+  const laterSlope = (parseFloat(latest.cost_per_minute) - parseFloat(middle.cost_per_minute)) / laterSpan;
+  return (laterSlope - earlierSlope) / ((earlierSpan + laterSpan) / 2);
+}
+
+/**
+ * The three latest monitoring windows per target of the trigger's scope (the rows of a
+ * window are summed). filterSql selects the rows with $1, and $3 and $4 hold the
+ * trigger's target filter.
+ */
+async function latestMonitoringWindows(queryable, trigger, filterSql, params) {
+  const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+  const result = await queryable.query(`
+    WITH windows AS (
+      SELECT srm.${column} as target_uuid, srm.window_end, SUM(srm.cost_per_minute) as cost_per_minute
+      FROM spend_rate_monitoring srm
+      WHERE ${filterSql} AND srm.${column} IS NOT NULL
+      AND ${targetFilterSql('srm', 3)}
+      AND srm.window_end > $2::timestamp - INTERVAL '${ACCELERATION_LOOKBACK}' AND srm.window_end <= $2
+      GROUP BY srm.${column}, srm.window_end
+    ),
+    ranked AS (
+      SELECT windows.*, ROW_NUMBER() OVER (PARTITION BY target_uuid ORDER BY window_end DESC) as position
+      FROM windows
+    )
+    SELECT * FROM ranked
+    WHERE position <= 3
+    ORDER BY target_uuid, position
+  `, [...params, ...targetFilterParams(trigger)]);
+
+  const byTarget = new Map();
+  for (const row of result.rows) {
+    if (!byTarget.has(row.target_uuid)) {
+      byTarget.set(row.target_uuid, []);
+    }
+    byTarget.get(row.target_uuid).push(row);
+  }
+  return byTarget;
+}
+
+/**
+ * Per-window aggregates of a rule trigger for each target, as arrays indexed by window
+ * (0 = newest). filterSql selects the events with $1. Returns { compiled, byTarget }.
+ */
+async function ruleWindows(queryable, trigger, filterSql, filterValue, now) {
+  const { rule } = trigger;
+  const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+  const windowMs = rule.window_minutes * 60000;
+  const params = [
+    filterValue,
+    now,
+    windowMs / 1000,
+    new Date(now.getTime() - windowMs * rule.for_windows),
+    ...targetFilterParams(trigger)
+  ];
+  const compiled = compileRule(rule, params);
+
+  const result = await queryable.query(`
+    SELECT
+      ue.${column} as target_uuid,
+      FLOOR(EXTRACT(EPOCH FROM ($2::timestamp - ue.created_at)) / $3)::int as window_index,
+      ${compiled.selectSql}
+    FROM usage_events ue
+    WHERE ${filterSql} AND ue.${column} IS NOT NULL
+    AND ue.created_at > $4 AND ue.created_at <= $2
+    AND ${targetFilterSql('ue', 5)}
+    AND ${compiled.whereSql}
+    GROUP BY 1, 2
+  `, params);
+
+  const byTarget = new Map();
+  for (const row of result.rows) {
+    if (!byTarget.has(row.target_uuid)) {
+      byTarget.set(row.target_uuid, []);
+    }
+    byTarget.get(row.target_uuid)[row.window_index] = row;
+  }
+  return { compiled, byTarget };
+}
+
+/**
+ * The latest baseline score per agent on an anomaly trigger's metric, from windows that
+ * ended shortly before now ($2). filterSql selects the scores with $1.
+ */
+async function latestBaselineScores(queryable, trigger, filterSql, params) {
+  const metric = BASELINE_METRICS[trigger.baseline_metric] ? trigger.baseline_metric : 'cost_per_minute';
+  const prefix = BASELINE_METRICS[metric];
+
+  const result = await queryable.query(`
+    SELECT DISTINCT ON (s.agent_id)
+      s.agent_id as target_uuid,
+      s.window_end,
+      s.${prefix}_score as value,
+      s.${metric} as observed,
+      s.${prefix}_mean as baseline_mean,
+      s.${prefix}_stddev as baseline_stddev
+    FROM agent_baseline_scores s
+    WHERE ${filterSql}
+    AND s.window_end > $2::timestamp - INTERVAL '${ANOMALY_LOOKBACK}' AND s.window_end <= $2
+    AND ($3::uuid IS NULL OR s.agent_id = $3)
+    ORDER BY s.agent_id, s.window_end DESC
+  `, [...params, trigger.target_agent_id || null]);
+
+  return result.rows.filter(row => row.value !== null);
+}
+
+/**
+ * The strongest loop per agent in the events up to now ($2), each agent checked over its
+ * own window. filterSql selects the events with $1. Returns loop measurements with the
+ * agent's threshold_value as { target_uuid, value, threshold_value, pattern, ... }.
+ */
+async function agentLoops(queryable, trigger, filterSql, filterValue, now) {
+  const since = new Date(now.getTime() - maxLoopWindowMinutes(trigger) * 60000);
+  const result = await queryable.query(`
+    SELECT * FROM (
+      SELECT
+        ue.agent_id as target_uuid,
+        a.agent_id as external_id,
+        ue.created_at,
+        ue.metadata->>'request_hash' as request_hash,
+        ue.metadata->'tool_calls' as tool_calls,
+        ROW_NUMBER() OVER (PARTITION BY ue.agent_id ORDER BY ue.created_at DESC) as position
+      FROM usage_events ue
+      JOIN agents a ON a.id = ue.agent_id
+      WHERE ${filterSql}
+      AND ue.created_at > $3 AND ue.created_at <= $2
+      AND ${targetFilterSql('ue', 4)}
+      AND (ue.metadata ? 'request_hash' OR ue.metadata ? 'tool_calls')
+    ) recent
+    WHERE position <= ${LOOP_MAX_EVENTS}
+    ORDER BY target_uuid, created_at
+  `, [filterValue, now, since, ...targetFilterParams(trigger)]);
+
+  const byAgent = new Map();
+  for (const row of result.rows) {
+    if (!byAgent.has(row.target_uuid)) {
+      byAgent.set(row.target_uuid, []);
+    }
+    byAgent.get(row.target_uuid).push(row);
+  }
+
+  const loops = [];
+  for (const [agentUuid, events] of byAgent) {
+    const settings = loopSettingsFor(trigger, events[0].external_id);
+    if (!settings.enabled) {
+      continue;
+    }
+
+    const windowStart = now.getTime() - settings.window_minutes * 60000;
+    const inWindow = events.filter(event => new Date(event.created_at).getTime() > windowStart);
+    const loop = detectLoop(inWindow, settings);
+
+    loops.push({
+      target_uuid: agentUuid,
+      value: loop.repeats,
+      threshold_value: settings.threshold_value,
+      pattern: loop.pattern,
+      loop: loop.sequence,
+      event_count: inWindow.length,
+      window_minutes: settings.window_minutes
+    });
+  }
+  return loops;
+}
+
+const TRIGGER_EVALUATORS = {
+  // Spend over the threshold unit (last minute by default)
+  spend_rate: usageAggregateEvaluator({
+    valueSql: 'SUM(ue.cost_amount)',
+    since: trigger => `$2::timestamp - INTERVAL '${unitInterval(trigger)}'`
+  }),
+
+  // Spend since midnight
+  total_daily_spend: usageAggregateEvaluator({
+    valueSql: 'SUM(ue.cost_amount)',
+    since: () => 'date_trunc(\'day\', $2::timestamp)'
+  }),
+
+  // Percentage of events with metadata.error
+  error_rate: usageAggregateEvaluator({
+    valueSql: `SUM(CASE WHEN ue.metadata->>'error' IS NOT NULL THEN 1 ELSE 0 END) * 100.0 / COUNT(*)`,
+    since: () => `$2::timestamp - INTERVAL '${ERROR_RATE_INTERVAL}'`,
+    having: `COUNT(*) >= ${ERROR_RATE_MIN_REQUESTS}`
+  }),
+
+  // Number of events over the threshold unit (last minute by default)
+  requests_per_minute: usageAggregateEvaluator({
+    valueSql: 'COUNT(*)',
+    since: trigger => `$2::timestamp - INTERVAL '${unitInterval(trigger)}'`
+  }),
+
+  cost_acceleration: {
+    async findViolations(trigger, now, options = {}) {
+      const byTarget = await latestMonitoringWindows(options.queryable || db, trigger, 'srm.user_id = $1', [trigger.user_id, now]);
+      const measurements = [];
+
+      for (const [targetUuid, windows] of byTarget) {
+        if (windows.length < 3) {
+          continue;
+        }
+
+        const value = costAcceleration(windows);
+        if (value > parseFloat(trigger.threshold_value)) {
+          measurements.push({
+            target_uuid: targetUuid,
+            value,
+            cost_per_minute: windows.map(w => parseFloat(w.cost_per_minute))
+          });
+        }
+      }
+
+      return describeViolations(trigger, measurements, options);
+    },
+
+    async measure(trigger, targetUuid, now, queryable = db) {
+      const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+      const byTarget = await latestMonitoringWindows(queryable, trigger, `srm.${column} = $1`, [targetUuid, now]);
+      const windows = byTarget.get(targetUuid) || [];
+      return windows.length < 3 ? 0 : costAcceleration(windows);
+    }
+  },
+
+  // Standard deviations of cost or request rate above the agent's own baseline (see
+  // agent-baselines). Agents only: baselines are learned per agent.
+  anomaly: {
+    async findViolations(trigger, now, options = {}) {
+      const scores = await latestBaselineScores(options.queryable || db, trigger, 's.user_id = $1', [trigger.user_id, now]);
+      const measurements = scores
+        .filter(score => parseFloat(score.value) > parseFloat(trigger.threshold_value))
+        .map(score => ({
+          ...score,
+          metric: trigger.baseline_metric || 'cost_per_minute',
+          value: parseFloat(score.value)
+        }));
+
+      return describeViolations(trigger, measurements, options);
+    },
+
+    async measure(trigger, agentUuid, now, queryable = db) {
+      const [score] = await latestBaselineScores(queryable, trigger, 's.agent_id = $1', [agentUuid, now]);
+      return score ? parseFloat(score.value) : 0;
+    }
+  },
+
+  // Repeats of the strongest request or tool-call loop of each agent (see trigger-loops).
+  // Agents only; a violation carries the agent's own threshold_value when it has an override.
+  infinite_loop: {
+    async findViolations(trigger, now, options = {}) {
+      const loops = await agentLoops(options.queryable || db, trigger, 'ue.user_id = $1', trigger.user_id, now);
+      return describeViolations(trigger, loops.filter(loop => loop.value > loop.threshold_value), options);
+    },
+
+    async measure(trigger, agentUuid, now, queryable = db) {
+      const [loop] = await agentLoops(queryable, trigger, 'ue.agent_id = $1', agentUuid, now);
+      return loop ? loop.value : 0;
+    }
+  },
+
+  // A rule over several metrics (see trigger-rules): 1 while it holds, else 0
+  rule: {
+    async findViolations(trigger, now, options = {}) {
+      const { compiled, byTarget } = await ruleWindows(options.queryable || db, trigger, 'ue.user_id = $1', trigger.user_id, now);
+      const measurements = [];
+
+      for (const [targetUuid, windows] of byTarget) {
+        if (compiled.holds(windows)) {
+          measurements.push({ target_uuid: targetUuid, value: 1, metrics: compiled.metrics(windows) });
+        }
+      }
+
+      return describeViolations(trigger, measurements, options);
+    },
+
+    async measure(trigger, targetUuid, now, queryable = db) {
+      const { column } = TRIGGER_SCOPES[scopeOf(trigger)];
+      const { compiled, byTarget } = await ruleWindows(queryable, trigger, `ue.${column} = $1`, targetUuid, now);
+      return compiled.holds(byTarget.get(targetUuid) || []) ? 1 : 0;
+    }
+  }
+};
+
+const TRIGGER_TYPES = Object.keys(TRIGGER_EVALUATORS);
+
+function getTriggerEvaluator(triggerType) {
+  return TRIGGER_EVALUATORS[triggerType] || null;
+}
+
+// How a violation of the trigger reads in event reasons
+function violationText(trigger) {
+  if (trigger.trigger_type === 'rule') {
+    return 'matched its rule';
+  }
+  if (trigger.trigger_type === 'infinite_loop') {
+    return 'detected a request loop';
+  }
+  if (trigger.trigger_type === 'anomaly') {
+    return `ran over ${trigger.threshold_value} standard deviations above its baseline`;
+  }
+  return `exceeded threshold of ${trigger.threshold_value}`;
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  ERROR_RATE_MIN_REQUESTS,
+  getTriggerEvaluator,
+  violationText,
+  costAcceleration
+};
@@ -0,0 +1,153 @@
+const Joi = require('joi');
+
+/**
+ * Loop detection for infinite_loop triggers. An agent's recent events are read as two
+ * sequences: request hashes (metadata.request_hash) and tool calls (metadata.tool_calls,
+ * a list of tool names or of objects with a name). Three patterns are looked for:
+ *   identical  - the same request hash over and over, counted across the window
+ *   cycle      - a run of requests cycling through 2 to max_cycle_length hashes (A, B, A, B, ...)
+ *   tool_chain - a run of tool calls repeating a chain of 1 to max_cycle_length tools
+ * The value of an agent is the highest repeat count of any enabled pattern, compared with
+ * the trigger's threshold_value (or the agent's override).
+ */
+
+const LOOP_PATTERNS = ['identical', 'cycle', 'tool_chain'];
+
+// Unit of an infinite_loop trigger's threshold_value
+const LOOP_THRESHOLD_UNIT = 'repeats';
+
+// Events read per agent, newest first, however long the window
+const LOOP_MAX_EVENTS = 2000;
+
+// Trigger every tenant starts with, doing what the monitor's built-in check used to do:
+// kill agents sending 50 identical requests within 10 minutes (it fires above 49)
+const DEFAULT_LOOP_TRIGGER = {
+  trigger_name: 'Auto Loop Detection',
+  threshold_value: 49,
+  loop_detection: { window_minutes: 10, patterns: ['identical'], max_cycle_length: 4, agent_overrides: {} }
+};
+
+const loopOverrideSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  window_minutes: Joi.number().integer().min(1).max(1440),
+  threshold_value: Joi.number().integer().min(1)
+});
+
+const loopDetectionSchema = Joi.object({
+  window_minutes: Joi.number().integer().min(1).max(1440).default(10),
+  patterns: Joi.array().items(Joi.string().valid(...LOOP_PATTERNS)).min(1).unique().default(LOOP_PATTERNS),
+  max_cycle_length: Joi.number().integer().min(2).max(10).default(4),
+  // Keyed by the agents' external agent_id
+  agent_overrides: Joi.object().pattern(Joi.string().max(255), loopOverrideSchema).max(100).default({})
+});
+
+/**
+ * Window, threshold and whether detection applies for one agent, given its external id
+ */
+function loopSettingsFor(trigger, externalAgentId) {
+  const settings = loopDetectionSchema.validate(trigger.loop_detection || {}).value;
+  const override = settings.agent_overrides[externalAgentId] || {};
+
+  return {
+    ...settings,
+    enabled: override.enabled !== false,
+    window_minutes: override.window_minutes || settings.window_minutes,
+    threshold_value: override.threshold_value || parseFloat(trigger.threshold_value)
+  };
+}
+
+// Longest window any agent of the trigger is checked over
+function maxLoopWindowMinutes(trigger) {
+  const settings = loopDetectionSchema.validate(trigger.loop_detection || {}).value;
+  return Math.max(
+    settings.window_minutes,
+    ...Object.values(settings.agent_overrides).map(override => override.window_minutes || 0)
+  );
+}
+
+function toolNames(toolCalls) {
+  if (!Array.isArray(toolCalls)) {
+    return [];
+  }
+  return toolCalls
+    .map(call => (typeof call === 'string' ? call : call && (call.name || (call.function && call.function.name))))
+    .filter(name => typeof name === 'string' && name.length > 0);
+}
+
+/**
+ * The most repeated cycle in a sequence: the longest run in which every item equals the
+ * one `length` places earlier, for cycle lengths minLength..maxLength. Cycles of a single
+ * repeated item only count when minLength is 1. Returns { sequence, repeats } or null.
+ */
+function longestCycle(items, minLength, maxLength) {
+  let best = null;
+
+  for (let length = minLength; length <= maxLength; length++) {
+    let runStart = 0;
+
+    for (let i = length; i <= items.length; i++) {
+      if (i < items.length && items[i] === items[i - length]) {
+        continue;
+      }
+
+      // items[runStart, i) repeats with this cycle length
+      const repeats = Math.floor((i - runStart) / length);
+      const sequence = items.slice(runStart, runStart + length);
+      const isCycle = length === 1 || new Set(sequence).size > 1;
+
+      if (repeats >= 2 && isCycle && (!best || repeats > best.repeats)) {
+        best = { sequence, repeats };
+      }
+      runStart = i - length + 1;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * The strongest loop in an agent's events (oldest first, each { request_hash, tool_calls }).
+ * Returns { pattern, sequence, repeats }, with repeats 0 when there is none.
+ */
+function detectLoop(events, settings) {
+  const found = [];
+  const hashes = events.map(event => event.request_hash).filter(Boolean);
+
+  if (settings.patterns.includes('identical') && hashes.length > 0) {
+    const counts = new Map();
+    for (const hash of hashes) {
+      counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+    const [hash, repeats] = [...counts.entries()].reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+    found.push({ pattern: 'identical', sequence: [hash], repeats });
+  }
+
+  if (settings.patterns.includes('cycle')) {
+    const cycle = longestCycle(hashes, 2, settings.max_cycle_length);
+    if (cycle) {
+      found.push({ pattern: 'cycle', ...cycle });
+    }
+  }
+
+  if (settings.patterns.includes('tool_chain')) {
+    const chain = longestCycle(events.flatMap(event => toolNames(event.tool_calls)), 1, settings.max_cycle_length);
+    if (chain) {
+      found.push({ pattern: 'tool_chain', ...chain });
+    }
+  }
+
+  // On a tie the later, more specific pattern explains the loop better (a cycle over
+  // the count of one of its hashes)
+  return found.reduce((top, loop) => (loop.repeats >= top.repeats ? loop : top), { pattern: null, sequence: [], repeats: 0 });
+}
+
+module.exports = {
+  LOOP_PATTERNS,
+  LOOP_THRESHOLD_UNIT,
+  LOOP_MAX_EVENTS,
+  DEFAULT_LOOP_TRIGGER,
+  loopDetectionSchema,
+  loopSettingsFor,
+  maxLoopWindowMinutes,
+  detectLoop
+};
@@ -0,0 +1,230 @@
+const Joi = require('joi');
+
+/**
+ * Rule triggers: a condition over usage metrics as a JSON AST, for incidents one metric and
+ * one threshold cannot describe. For example
+ *   {
+ *     "condition": {"all": [
+ *       {"metric": "error_rate", "op": ">", "value": 30},
+ *       {"metric": "requests_per_minute", "op": ">", "value": 100}
+ *     ]},
+ *     "where": {"not": {"field": "event_name", "op": "like", "value": "health_%"}},
+ *     "window_minutes": 5,
+ *     "for_windows": 3
+ *   }
+ * holds for a target when the condition is true in each of its last for_windows windows of
+ * window_minutes. Conditions combine with all / any / not; a comparison can narrow the
+ * events it measures with its own where. Fields and metrics come from fixed lists and
+ * every value is a bound parameter, so a rule never reaches the SQL as text.
+ */
+
+// Aggregates the metrics are computed from, over the events of one window that pass filterSql
+const RULE_AGGREGATES = {
+  cost: filterSql => `COALESCE(SUM(ue.cost_amount) FILTER (WHERE ${filterSql}), 0)`,
+  count: filterSql => `COUNT(*) FILTER (WHERE ${filterSql})`,
+  errors: filterSql => `COUNT(*) FILTER (WHERE ue.metadata->>'error' IS NOT NULL AND ${filterSql})`,
+  tokens: filterSql => `COALESCE(SUM(ue.total_tokens) FILTER (WHERE ${filterSql}), 0)`
+};
+
+// Metric functions: value(aggregates, windowMinutes)
+const RULE_METRICS = {
+  spend: a => a.cost,
+  spend_per_minute: (a, minutes) => a.cost / minutes,
+  requests: a => a.count,
+  requests_per_minute: (a, minutes) => a.count / minutes,
+  errors: a => a.errors,
+  error_rate: a => (a.count > 0 ? a.errors * 100 / a.count : 0),
+  tokens: a => a.tokens,
+  avg_cost: a => (a.count > 0 ? a.cost / a.count : 0)
+};
+
+const RULE_COMPARISONS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Event columns a filter can test, or metadata.<key>
+const RULE_FIELDS = ['vendor', 'model', 'event_name'];
+const RULE_FIELD_PATTERN = /^(vendor|model|event_name|metadata\.[A-Za-z0-9_]{1,64})$/;
+const RULE_FILTER_OPS = ['eq', 'neq', 'like', 'not_like', 'in', 'exists'];
+
+const RULE_MAX_NODES = 50;
+const RULE_MAX_DEPTH = 6;
+
+// A rule holds with value 1 and is stored with threshold_value 0, so the monitor's
+// "value over threshold" and "back under threshold" checks apply to rules unchanged
+const RULE_THRESHOLD = 0;
+
+const filterSchema = Joi.alternatives().try(
+  Joi.object({ all: Joi.array().items(Joi.link('#ruleFilter')).min(1).required() }),
+  Joi.object({ any: Joi.array().items(Joi.link('#ruleFilter')).min(1).required() }),
+  Joi.object({ not: Joi.link('#ruleFilter').required() }),
+  Joi.object({
+    field: Joi.string().pattern(RULE_FIELD_PATTERN).required(),
+    op: Joi.string().valid(...RULE_FILTER_OPS).required(),
+    value: Joi.when('op', {
+      switch: [
+        { is: 'in', then: Joi.array().items(Joi.string().max(255)).min(1).max(100).required() },
+        { is: 'exists', then: Joi.forbidden() }
+      ],
+      otherwise: Joi.string().max(255).required()
+    })
+  })
+).id('ruleFilter');
+
+const conditionSchema = Joi.alternatives().try(
+  Joi.object({ all: Joi.array().items(Joi.link('#ruleCondition')).min(1).required() }),
+  Joi.object({ any: Joi.array().items(Joi.link('#ruleCondition')).min(1).required() }),
+  Joi.object({ not: Joi.link('#ruleCondition').required() }),
+  Joi.object({
+    metric: Joi.string().valid(...Object.keys(RULE_METRICS)).required(),
+    op: Joi.string().valid(...Object.keys(RULE_COMPARISONS)).required(),
+    value: Joi.number().required(),
+    where: filterSchema
+  })
+).id('ruleCondition');
+
+// Count the nodes of a condition or filter tree and its depth
+function measureTree(node, depth = 1) {
+  const children = node.all || node.any || (node.not ? [node.not] : []);
+  const own = node.where ? measureTree(node.where, depth + 1) : { nodes: 0, depth };
+
+  return children.reduce((total, child) => {
+    const sub = measureTree(child, depth + 1);
+    return { nodes: total.nodes + sub.nodes, depth: Math.max(total.depth, sub.depth) };
+  }, { nodes: 1 + own.nodes, depth: Math.max(depth, own.depth) });
+}
+
+const ruleSchema = Joi.object({
+  condition: conditionSchema.required(),
+  where: filterSchema,
+  window_minutes: Joi.number().integer().min(1).max(1440).default(5),
+  for_windows: Joi.number().integer().min(1).max(48).default(1)
+}).custom((rule, helpers) => {
+  const trees = [rule.condition, rule.where].filter(Boolean).map(tree => measureTree(tree));
+  const nodes = trees.reduce((sum, tree) => sum + tree.nodes, 0);
+  const depth = Math.max(...trees.map(tree => tree.depth));
+
+  if (nodes > RULE_MAX_NODES || depth > RULE_MAX_DEPTH) {
+    return helpers.message(`rule may have at most ${RULE_MAX_NODES} nodes nested ${RULE_MAX_DEPTH} deep`);
+  }
+  return rule;
+});
+
+/**
+ * Compile a filter to SQL over ue, pushing its values onto params
+ */
+function compileFilter(filter, params) {
+  if (filter.all || filter.any) {
+    const parts = (filter.all || filter.any).map(child => compileFilter(child, params));
+    return `(${parts.join(filter.all ? ' AND ' : ' OR ')})`;
+  }
+  if (filter.not) {
+    return `NOT ${compileFilter(filter.not, params)}`;
+  }
+
+  let column;
+  if (RULE_FIELDS.includes(filter.field)) {
+    column = `ue.${filter.field}`;
+  } else {
+    params.push(filter.field.slice('metadata.'.length));
+    column = `ue.metadata->>$${params.length}`;
+  }
+
+  if (filter.op === 'exists') {
+    return `(${column} IS NOT NULL)`;
+  }
+
+  params.push(filter.value);
+  const param = `$${params.length}`;
+
+  switch (filter.op) {
+    case 'eq': return `(${column} = ${param})`;
+    case 'neq': return `(${column} IS DISTINCT FROM ${param})`;
+    case 'like': return `(${column} LIKE ${param})`;
+    case 'not_like': return `(${column} IS NULL OR ${column} NOT LIKE ${param})`;
+    case 'in': return `(${column} = ANY(${param}::text[]))`;
+    default: throw new Error(`Unknown rule filter op ${filter.op}`);
+  }
+}
+
+/**
+ * Compile a rule, pushing its values onto params after the query's own. Returns
+ *   whereSql        - the rule's event filter
+ *   selectSql       - aggregate columns of every comparison (c<i>_<aggregate>)
+ *   comparisons     - the comparison nodes, in column order
+ *   holds(windows)  - whether the condition is true in each of the for_windows windows,
+ *                     given their aggregate rows newest first (a missing row is a window
+ *                     without events)
+ *   metrics(windows) - each comparison's metric per window, for violation details
+ */
+function compileRule(rule, params) {
+  const comparisons = [];
+  const columns = [];
+
+  const collect = condition => {
+    if (condition.all || condition.any) {
+      (condition.all || condition.any).forEach(collect);
+    } else if (condition.not) {
+      collect(condition.not);
+    } else {
+      const index = comparisons.length;
+      const filterSql = condition.where ? compileFilter(condition.where, params) : 'TRUE';
+      comparisons.push(condition);
+
+      for (const [name, aggregate] of Object.entries(RULE_AGGREGATES)) {
+        columns.push(`${aggregate(filterSql)} as c${index}_${name}`);
+      }
+    }
+  };
+  collect(rule.condition);
+
+  const whereSql = rule.where ? compileFilter(rule.where, params) : 'TRUE';
+
+  const metricValue = (comparison, index, row) => {
+    const aggregates = {};
+    for (const name of Object.keys(RULE_AGGREGATES)) {
+      aggregates[name] = row ? parseFloat(row[`c${index}_${name}`]) || 0 : 0;
+    }
+    return RULE_METRICS[comparison.metric](aggregates, rule.window_minutes);
+  };
+
+  const evaluate = (condition, row) => {
+    if (condition.all) {
+      return condition.all.every(child => evaluate(child, row));
+    }
+    if (condition.any) {
+      return condition.any.some(child => evaluate(child, row));
+    }
+    if (condition.not) {
+      return !evaluate(condition.not, row);
+    }
+    const index = comparisons.indexOf(condition);
+    return RULE_COMPARISONS[condition.op](metricValue(condition, index, row), condition.value);
+  };
+
+  return {
+    whereSql,
+    selectSql: columns.join(', '),
+    comparisons,
+    holds: windows => Array.from({ length: rule.for_windows }, (_, i) => windows[i]).every(row => evaluate(rule.condition, row)),
+    metrics: windows => comparisons.map((comparison, index) => ({
+      metric: comparison.metric,
+      op: comparison.op,
+      value: comparison.value,
+      actual: Array.from({ length: rule.for_windows }, (_, i) => metricValue(comparison, index, windows[i]))
+    }))
+  };
+}
+
+module.exports = {
+  RULE_METRICS,
+  RULE_FILTER_OPS,
+  RULE_THRESHOLD,
+  ruleSchema,
+  compileRule
+};
@@ -0,0 +1,160 @@
+const db = require('../config/database');
+const { customerAgentIdsSql, emergencyStopAll } = require('./kill-switch-actions');
+
+/**
+ * What a kill switch trigger measures and stops, by target_scope:
+ *   agent    - each agent on its own; a step pauses or kills that agent
+ *   customer - each customer across all of its agents; a step pauses or kills those agents together
+ *   global   - the whole tenant; a pause step pauses all of its agents, a kill sets its emergency stop
+ * column names the target in usage_events, spend_rate_monitoring and trigger_escalations.
+ * In the SQL below $1 is the target (agents.id, customers.id or users.id) and $2 the tenant.
+ */
+const TRIGGER_SCOPES = {
+  agent: {
+    label: 'Agent',
+    column: 'agent_id',
+    // Targets with their external id and name, and the condition for a target a step can still act on
+    targetsSql: `
+      SELECT id, agent_id as external_id, agent_name as name
+      FROM agents
+      WHERE id = ANY($1::uuid[]) AND user_id = $2
+    `,
+    activeSql: `status = 'active'`,
+    agentsSql: 'id = $1 AND user_id = $2',
+    events: { pause: 'pause_agent', kill: 'kill_agent', revive: 'revive_agent', alert: 'alert_agent' }
+  },
+
+  customer: {
+    label: 'Customer',
+    column: 'customer_id',
+    targetsSql: `
+      SELECT c.id, c.customer_id as external_id, c.customer_name as name
+      FROM customers c
+      WHERE c.id = ANY($1::uuid[]) AND c.user_id = $2
+    `,
+    activeSql: `EXISTS (
+      SELECT 1 FROM agents a
+      WHERE a.status = 'active' AND a.id IN (${customerAgentIdsSql('c.id')})
+    )`,
+    agentsSql: `user_id = $2 AND id IN (${customerAgentIdsSql('$1')})`,
+    events: { pause: 'pause_customer', kill: 'kill_customer', revive: 'revive_customer', alert: 'alert_customer' }
+  },
+
+  global: {
+    label: 'Tenant',
+    column: 'user_id',
+    targetsSql: `
+      SELECT u.id, u.id::text as external_id, u.email as name
+      FROM users u
+      WHERE u.id = ANY($1::uuid[]) AND u.id = $2
+    `,
+    activeSql: `NOT EXISTS (
+      SELECT 1 FROM tenant_kill_switch tks WHERE tks.user_id = u.id AND tks.is_emergency_stopped = true
+    )`,
+    agentsSql: 'user_id = $1 AND user_id = $2',
+    events: { pause: 'pause_tenant', kill: 'emergency_stop_all', alert: 'alert_tenant' }
+  }
+};
+
+// Event target_type of each scope
+const EVENT_TARGET_TYPES = {
+  agent: 'agent',
+  customer: 'customer',
+  global: 'tenant'
+};
+
+function scopeOf(trigger) {
+  return TRIGGER_SCOPES[trigger.target_scope] ? trigger.target_scope : 'agent';
+}
+
+/**
+ * SQL restricting rows of a table alias to the trigger's target_agent_id and
+ * target_customer_id, with those two values at placeholders firstParam and firstParam + 1
+ */
+function targetFilterSql(alias, firstParam) {
+  return `($${firstParam}::uuid IS NULL OR ${alias}.agent_id = $${firstParam})
+    AND ($${firstParam + 1}::uuid IS NULL OR ${alias}.customer_id = $${firstParam + 1})`;
+}
+
+function targetFilterParams(trigger) {
+  return [trigger.target_agent_id || null, trigger.target_customer_id || null];
+}
+
+/**
+ * Turn per-target measurements ({ target_uuid, value, ... }) into violations, dropping
+ * targets that are already stopped unless activeOnly is false (a backtest keeps its own
+ * record of what is stopped). Each violation gets scope, target_id and target_name.
+ * queryable runs the lookup (the pool by default).
+ */
+async function describeViolations(trigger, rows, { activeOnly = true, queryable = db } = {}) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const scope = scopeOf(trigger);
+  const { targetsSql, activeSql } = TRIGGER_SCOPES[scope];
+  const result = await queryable.query(
+    activeOnly ? `${targetsSql} AND ${activeSql}` : targetsSql,
+    [rows.map(row => row.target_uuid), trigger.user_id]
+  );
+  const targets = new Map(result.rows.map(row => [row.id, row]));
+
+  return rows
+    .filter(row => targets.has(row.target_uuid))
+    .map(row => ({
+      scope,
+      ...row,
+      target_id: targets.get(row.target_uuid).external_id,
+      target_name: targets.get(row.target_uuid).name
+    }));
+}
+
+/**
+ * Pause or kill the violation's target. Returns { agentUuids, pauseUntil }, or null when
+ * the target had nothing left to stop.
+ */
+async function stopTarget(trigger, violation, step, reason, metadata) {
+  const scope = scopeOf(trigger);
+  const { agentsSql } = TRIGGER_SCOPES[scope];
+
+  if (step.action === 'kill' && scope === 'global') {
+    await emergencyStopAll(trigger.user_id, reason, `auto_${trigger.trigger_type}`, metadata);
+    return { agentUuids: [], pauseUntil: null };
+  }
+
+  let result;
+  if (step.action === 'pause') {
+    result = await db.query(`
+      UPDATE agents
+      SET status = 'paused', pause_until = NOW() + ($3 || ' minutes')::interval, kill_reason = $4
+      WHERE ${agentsSql} AND status = 'active'
+      RETURNING id, pause_until
+    `, [violation.target_uuid, trigger.user_id, step.duration_minutes.toString(), reason]);
+  } else {
+    result = await db.query(`
+      UPDATE agents
+      SET status = 'killed', killed_at = NOW(), kill_reason = $3
+      WHERE ${agentsSql} AND status = 'active'
+      RETURNING id
+    `, [violation.target_uuid, trigger.user_id, reason]);
+  }
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    agentUuids: result.rows.map(row => row.id),
+    pauseUntil: result.rows[0].pause_until || null
+  };
+}
+
+module.exports = {
+  TRIGGER_SCOPES,
+  EVENT_TARGET_TYPES,
+  scopeOf,
+  targetFilterSql,
+  targetFilterParams,
+  describeViolations,
+  stopTarget
+};
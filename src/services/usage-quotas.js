@@ -0,0 +1,169 @@
+const db = require('../config/database');
+const { periodFromRow, getBudgetWindow } = require('./budget-periods');
+
+// What a quota limits, and how usage of it is summed from usage_events
+const QUOTA_METRICS = {
+  cost: 'COALESCE(SUM(cost_amount), 0)',
+  input_tokens: 'COALESCE(SUM(input_tokens), 0)',
+  output_tokens: 'COALESCE(SUM(output_tokens), 0)',
+  requests: 'COUNT(*)'
+};
+
+/**
+ * Active quotas that apply to an event's agent, customer, vendor and model.
+ * Agents and customers that do not exist yet only match unscoped quotas.
+ * The rows stay locked until the caller's transaction ends, so events checked
+ * concurrently against the same quota take turns.
+ */
+async function findApplicableQuotas(queryable, userId, { agentUuid = null, customerUuid = null, vendor, model = null }) {
+  const result = await queryable.query(`
+    SELECT q.*, a.agent_id as agent_external_id, c.customer_id as customer_external_id
+    FROM usage_quotas q
+    LEFT JOIN agents a ON q.agent_id = a.id
+    LEFT JOIN customers c ON q.customer_id = c.id
+    WHERE q.user_id = $1 AND q.is_active = TRUE
+    AND (q.agent_id IS NULL OR q.agent_id = $2)
+    AND (q.customer_id IS NULL OR q.customer_id = $3)
+    AND (q.vendor IS NULL OR q.vendor = $4)
+    AND (q.model IS NULL OR q.model = $5)
+    ORDER BY q.created_at
+    FOR UPDATE OF q
+  `, [userId, agentUuid, customerUuid, vendor, model]);
+
+  return result.rows;
+}
+
+/**
+ * Usage counted against a quota in a budget window.
+ * Events count from when they were received: a client-supplied event_timestamp
+ * cannot move usage out of the window.
+ * queryable is the pool or a transaction client (so a batch sees its own events).
+ */
+async function getQuotaUsage(queryable, quota, window) {
+  const params = [quota.user_id, window.start];
+  const filters = ['user_id = $1', 'created_at >= $2'];
+  const addFilter = (column, value) => {
+    params.push(value);
+    filters.push(`${column} = $${params.length}`);
+  };
+
+  if (window.end) {
+    params.push(window.end);
+    filters.push(`created_at < $${params.length}`);
+  }
+  for (const column of ['agent_id', 'customer_id', 'vendor', 'model']) {
+    if (quota[column]) {
+      addFilter(column, quota[column]);
+    }
+  }
+
+  const result = await queryable.query(`
+    SELECT ${QUOTA_METRICS[quota.metric]} as used
+    FROM usage_events
+    WHERE ${filters.join(' AND ')}
+  `, params);
+
+  return parseFloat(result.rows[0].used);
+}
+
+/**
+ * How much of a quota's metric a single event uses
+ */
+function eventUsage(metric, event, costAmount) {
+  switch (metric) {
+    case 'cost':
+      return costAmount;
+    case 'input_tokens':
+      return event.input_tokens || 0;
+    case 'output_tokens':
+      return event.output_tokens || 0;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Check an event against every quota that applies to it.
+ * Call it in the transaction that inserts the event, which holds the quota locks.
+ * Returns { allowed: true } or { allowed: false, quota } with the first quota it would exceed.
+ */
+async function checkUsageQuotas(queryable, userId, scope, event, costAmount) {
+  const quotas = await findApplicableQuotas(queryable, userId, { ...scope, vendor: event.vendor, model: event.model });
+
+  for (const quota of quotas) {
+    const window = getBudgetWindow(periodFromRow(quota));
+    const used = await getQuotaUsage(queryable, quota, window);
+    const requested = eventUsage(quota.metric, event, costAmount);
+
+    if (used + requested > parseFloat(quota.quota_limit)) {
+      return {
+        allowed: false,
+        quota: { ...formatQuota(quota, { used, window }), requested }
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Quotas with their utilization for an agent (and optionally one of its customers)
+ */
+async function getQuotaUtilization(userId, { agentUuid, customerUuid = null }) {
+  const result = await db.query(`
+    SELECT q.*, a.agent_id as agent_external_id, c.customer_id as customer_external_id
+    FROM usage_quotas q
+    LEFT JOIN agents a ON q.agent_id = a.id
+    LEFT JOIN customers c ON q.customer_id = c.id
+    WHERE q.user_id = $1 AND q.is_active = TRUE
+    AND (q.agent_id IS NULL OR q.agent_id = $2)
+    AND (q.customer_id IS NULL OR q.customer_id = $3)
+    ORDER BY q.created_at
+  `, [userId, agentUuid, customerUuid]);
+
+  const quotas = [];
+  for (const quota of result.rows) {
+    const window = getBudgetWindow(periodFromRow(quota));
+    quotas.push(formatQuota(quota, { used: await getQuotaUsage(db, quota, window), window }));
+  }
+
+  return quotas;
+}
+
+/**
+ * Format a quota row for API responses, with its usage when known
+ */
+function formatQuota(row, { used = null, window = null } = {}) {
+  const limit = parseFloat(row.quota_limit);
+
+  return {
+    id: row.id,
+    agent_id: row.agent_external_id || null,
+    customer_id: row.customer_external_id || null,
+    vendor: row.vendor,
+    model: row.model,
+    metric: row.metric,
+    limit,
+    budget_period: row.budget_period,
+    budget_period_hours: row.budget_period_hours,
+    budget_anchor_day: row.budget_anchor_day,
+    budget_timezone: row.budget_timezone,
+    is_active: row.is_active,
+    ...(used !== null && {
+      used,
+      remaining: Math.max(0, limit - used),
+      utilization_percent: (used / limit) * 100,
+      window_start: window.start,
+      window_end: window.end
+    })
+  };
+}
+
+module.exports = {
+  QUOTA_METRICS,
+  findApplicableQuotas,
+  getQuotaUsage,
+  checkUsageQuotas,
+  getQuotaUtilization,
+  formatQuota
+};
@@ -0,0 +1,9 @@
+require('dotenv').config();
+const KillSwitchMonitor = require('./services/kill-switch-monitor');
+
+// Runs the kill switch monitor outside the API. Start as many workers as needed for
+// failover: one holds the leadership and monitors, the others stand by.
+console.log('⚙️ Kill switch worker starting');
+console.log(`Environment: ${process.env.NODE_ENV}`);
+
+KillSwitchMonitor.initialize();
@@ -271,10 +271,10 @@ class ComprehensiveTester {
       }
     }
 
-    // Test 3.3: Check global status
+    // Test 3.3: Check tenant status
     const statusResult = this.curl('GET', '/killswitch/status');
-    if (statusResult.success && statusResult.data.global_emergency_stop.is_active) {
-      this.logSuccess("Global emergency stop status correctly shown");
+    if (statusResult.success && statusResult.data.tenant_emergency_stop.is_active) {
+      this.logSuccess("Tenant emergency stop status correctly shown");
     } else {
       this.logError(`Emergency stop status incorrect: ${JSON.stringify(statusResult.data)}`);
     }
@@ -459,10 +459,10 @@ class ComprehensiveTester {
     if (statusResult.success) {
       const status = statusResult.data;
       
-      if (status.global_emergency_stop !== undefined) {
-        this.logSuccess("Global emergency stop status available");
+      if (status.tenant_emergency_stop !== undefined && status.platform_emergency_stop !== undefined) {
+        this.logSuccess("Tenant and platform emergency stop status available");
       } else {
-        this.logError("Global emergency stop status missing");
+        this.logError("Emergency stop status missing");
       }
 
       if (Array.isArray(status.agents)) {
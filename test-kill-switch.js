@@ -187,9 +187,13 @@ async function runKillSwitchTests() {
     const statusResponse = await api.get('/killswitch/status');
     const status = statusResponse.data;
 
-    console.log('🌐 Global Emergency Stop:', status.global_emergency_stop.is_active ? 'ACTIVE' : 'INACTIVE');
-    if (status.global_emergency_stop.is_active) {
-      console.log(`📝 Reason: ${status.global_emergency_stop.reason}`);
+    console.log('🏢 Tenant Emergency Stop:', status.tenant_emergency_stop.is_active ? 'ACTIVE' : 'INACTIVE');
+    if (status.tenant_emergency_stop.is_active) {
+      console.log(`📝 Reason: ${status.tenant_emergency_stop.reason}`);
+    }
+    console.log('🌐 Platform Emergency Stop:', status.platform_emergency_stop.is_active ? 'ACTIVE' : 'INACTIVE');
+    if (status.platform_emergency_stop.is_active) {
+      console.log(`📝 Reason: ${status.platform_emergency_stop.reason}`);
     }
 
     console.log(`\n🤖 Agent Status Summary:`);
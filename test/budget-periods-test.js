@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Budget window test
+// Checks getBudgetWindow across DST changes (including one that skips midnight and one
+// moving the clocks by 30 minutes) and custom periods anchored on the 31st, which start on
+// the last day of shorter months. Needs no server or database.
+
+const { getBudgetWindow } = require('../src/services/budget-periods');
+
+let failures = 0;
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+function windowAt(type, timezone, now, settings = {}) {
+  return getBudgetWindow({ type, timezone, hours: 24, anchorDay: 1, ...settings }, new Date(now));
+}
+
+function checkWindow(window, start, end, message) {
+  const actual = { start: window.start.toISOString(), end: window.end && window.end.toISOString() };
+  check(actual.start === start && actual.end === end, message, actual);
+}
+
+// Days on which each timezone changes its clocks in 2026
+const DST_CHANGES = {
+  'America/New_York': ['2026-03-08', '2026-11-01'],
+  'Europe/London': ['2026-03-29', '2026-10-25'],
+  'America/Santiago': ['2026-04-05', '2026-09-06'], // September skips midnight
+  'Australia/Lord_Howe': ['2026-04-05', '2026-10-04'] // 30-minute shift
+};
+
+const PERIODS = [
+  { type: 'daily' },
+  { type: 'weekly' },
+  { type: 'monthly' },
+  { type: 'custom', anchorDay: 31 }
+];
+
+function runBudgetPeriodsTest() {
+  console.log('🧪 BUDGET PERIODS TEST\n');
+
+  // Days of 23 and 25 hours
+  checkWindow(windowAt('daily', 'America/New_York', '2026-03-08T12:00:00Z'),
+    '2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z', 'Daily window on the spring-forward day lasts 23 hours');
+  checkWindow(windowAt('daily', 'America/New_York', '2026-11-01T12:00:00Z'),
+    '2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z', 'Daily window on the fall-back day lasts 25 hours');
+  checkWindow(windowAt('weekly', 'America/New_York', '2026-03-08T12:00:00Z'),
+    '2026-03-02T05:00:00.000Z', '2026-03-09T04:00:00.000Z', 'Weekly window runs Monday to Monday across the change');
+  checkWindow(windowAt('monthly', 'Europe/London', '2026-03-15T12:00:00Z'),
+    '2026-03-01T00:00:00.000Z', '2026-03-31T23:00:00.000Z', 'Monthly window ends at local midnight in summer time');
+
+  // Santiago jumps from 23:59:59 to 01:00 on 2026-09-06
+  checkWindow(windowAt('daily', 'America/Santiago', '2026-09-06T03:30:00Z'),
+    '2026-09-05T04:00:00.000Z', '2026-09-06T04:00:00.000Z', 'The last hour before a skipped midnight belongs to the previous day');
+  checkWindow(windowAt('daily', 'America/Santiago', '2026-09-06T12:00:00Z'),
+    '2026-09-06T04:00:00.000Z', '2026-09-07T03:00:00.000Z', 'A day without midnight starts when the clocks jump');
+
+  // Anchor day 31
+  checkWindow(windowAt('custom', 'UTC', '2026-02-15T12:00:00Z', { anchorDay: 31 }),
+    '2026-01-31T00:00:00.000Z', '2026-02-28T00:00:00.000Z', 'Anchor 31 cycle from January ends on the last day of February');
+  checkWindow(windowAt('custom', 'UTC', '2026-03-30T12:00:00Z', { anchorDay: 31 }),
+    '2026-02-28T00:00:00.000Z', '2026-03-31T00:00:00.000Z', 'Anchor 31 cycle from February runs to March 31');
+  checkWindow(windowAt('custom', 'UTC', '2026-04-30T12:00:00Z', { anchorDay: 31 }),
+    '2026-04-30T00:00:00.000Z', '2026-05-31T00:00:00.000Z', 'Anchor 31 cycle starts on April 30');
+  checkWindow(windowAt('custom', 'UTC', '2028-02-29T12:00:00Z', { anchorDay: 31 }),
+    '2028-02-29T00:00:00.000Z', '2028-03-31T00:00:00.000Z', 'Anchor 31 cycle starts on February 29 in a leap year');
+  checkWindow(windowAt('custom', 'America/New_York', '2026-03-31T02:00:00Z', { anchorDay: 31 }),
+    '2026-02-28T05:00:00.000Z', '2026-03-31T04:00:00.000Z', 'Anchor 31 cycle in a timezone spans the DST change');
+
+  // Keys and rolling windows
+  check(windowAt('monthly', 'UTC', '2026-10-18T10:30:00Z').key === '2026-10', 'Monthly UTC window keeps the YYYY-MM key');
+  const rolling = windowAt('rolling', 'UTC', '2026-10-18T10:30:00Z');
+  check(
+    rolling.start.toISOString() === '2026-10-17T11:00:00.000Z' && rolling.end === null && rolling.key === null,
+    'Rolling 24-hour window starts at the top of the hour 23 hours ago',
+    rolling
+  );
+
+  // Around every DST change, each window contains its instant and the next one starts
+  // where it ends
+  const broken = [];
+  for (const [timezone, days] of Object.entries(DST_CHANGES)) {
+    for (const day of days) {
+      const from = new Date(`${day}T00:00:00Z`).getTime() - 2 * 24 * 60 * 60 * 1000;
+      for (let instant = from; instant < from + 4 * 24 * 60 * 60 * 1000; instant += 30 * 60 * 1000) {
+        for (const { type, anchorDay } of PERIODS) {
+          const window = windowAt(type, timezone, instant, { anchorDay: anchorDay || 1 });
+          const next = windowAt(type, timezone, window.end, { anchorDay: anchorDay || 1 });
+          if (window.start > instant || window.end <= instant || next.start.getTime() !== window.end.getTime()) {
+            broken.push({ timezone, type, instant: new Date(instant).toISOString(), start: window.start, end: window.end });
+          }
+        }
+      }
+    }
+  }
+  check(broken.length === 0, 'Windows contain their instant and adjoin around every DST change', broken.slice(0, 3));
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Budget windows follow local midnights and anchor days');
+  // Requiring the services connects to Redis, which would keep the process alive
+  process.exit(0);
+}
+
+runBudgetPeriodsTest();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Concurrent budget enforcement test
+// Fires a burst of parallel usage events at an agent with a small monthly limit
+// and checks that the recorded spend never ends up above the limit, also when
+// events with negative or invalid costs are sent alongside the valid ones.
+
+const axios = require('axios');
+
+const API_BASE = process.env.API_BASE || 'http://localhost:3000/api';
+const API_KEY = process.env.API_KEY || 'your-api-key-here';
+
+const AGENT_ID = `concurrency-agent-${Date.now()}`;
+const CUSTOMER_ID = 'concurrency-customer';
+const MONTHLY_LIMIT = 1.00;
+const EVENT_COST = 0.10;
+const CONCURRENT_REQUESTS = 50;
+
+// Costs that must be refused before they reach the budget reservation: a negative
+// reservation would free headroom for the valid events sent at the same time
+const INVALID_COSTS = [-100, -0.5, 'not-a-number', null, '', { amount: 1 }];
+
+const api = axios.create({
+  baseURL: API_BASE,
+  headers: {
+    'Authorization': `Bearer ${API_KEY}`,
+    'Content-Type': 'application/json'
+  },
+  validateStatus: () => true
+});
+
+// No model, so the catalog cannot price the event and it keeps the reported cost
+function usageEvent(index) {
+  return {
+    event_name: 'concurrent_call',
+    agent_id: AGENT_ID,
+    customer_id: CUSTOMER_ID,
+    vendor: 'custom',
+    cost_amount: EVENT_COST,
+    metadata: { index }
+  };
+}
+
+async function runConcurrentBudgetTest() {
+  console.log('🧪 CONCURRENT BUDGET ENFORCEMENT TEST\n');
+
+  // Create the agent and give it a small limit
+  const setup = await api.post('/usage/record', { ...usageEvent(-1), cost_amount: 0 });
+  if (setup.status !== 201) {
+    throw new Error(`Setup failed (${setup.status}): ${JSON.stringify(setup.data)}`);
+  }
+
+  const budget = await api.patch(`/agents/${AGENT_ID}/budget`, { monthly_cost_limit: MONTHLY_LIMIT });
+  if (budget.status !== 200) {
+    throw new Error(`Setting budget failed (${budget.status}): ${JSON.stringify(budget.data)}`);
+  }
+  console.log(`✅ Agent ${AGENT_ID} created with a $${MONTHLY_LIMIT.toFixed(2)} monthly limit`);
+
+  // Fire all requests at once, the invalid ones interleaved with the valid ones
+  console.log(`\n🔥 Sending ${CONCURRENT_REQUESTS} concurrent $${EVENT_COST.toFixed(2)} events and ${INVALID_COSTS.length * 2} with invalid costs...`);
+  const invalidRequests = INVALID_COSTS.flatMap((cost, i) => [
+    api.post('/usage/record', { ...usageEvent(`invalid-${i}`), cost_amount: cost }),
+    api.post('/usage/record-bulk', { events: [usageEvent(`bulk-valid-${i}`), { ...usageEvent(`bulk-invalid-${i}`), cost_amount: cost }] })
+  ]);
+  const [invalidResponses, responses] = await Promise.all([
+    Promise.all(invalidRequests),
+    Promise.all(Array.from({ length: CONCURRENT_REQUESTS }, (_, i) => api.post('/usage/record', usageEvent(i))))
+  ]);
+
+  const invalidRefused = invalidResponses.filter(r => r.status === 400).length;
+  console.log(`   Invalid costs refused: ${invalidRefused}/${invalidResponses.length}`);
+
+  const accepted = responses.filter(r => r.status === 201).length;
+  const blocked = responses.filter(r => r.status === 403).length;
+  const failed = responses.length - accepted - blocked;
+
+  console.log(`   Accepted: ${accepted}`);
+  console.log(`   Blocked:  ${blocked}`);
+  console.log(`   Other:    ${failed}`);
+
+  // Check what was actually recorded
+  const agent = await api.get(`/agents/${AGENT_ID}`);
+  const spent = agent.data.current_spend;
+  const maxAccepted = Math.floor(MONTHLY_LIMIT / EVENT_COST + 1e-9);
+
+  console.log(`\n💰 Recorded spend: $${spent.toFixed(2)} of $${MONTHLY_LIMIT.toFixed(2)}`);
+
+  if (accepted > maxAccepted || spent > MONTHLY_LIMIT + 1e-6) {
+    console.error(`❌ Budget overrun: ${accepted} events accepted, at most ${maxAccepted} allowed`);
+    process.exit(1);
+  }
+
+  if (failed > 0) {
+    console.error('❌ Some requests failed with unexpected status codes');
+    process.exit(1);
+  }
+
+  if (invalidRefused !== invalidResponses.length) {
+    const unexpected = invalidResponses.filter(r => r.status !== 400).map(r => ({ status: r.status, data: r.data }));
+    console.error(`❌ Events with invalid costs were not refused with 400: ${JSON.stringify(unexpected)}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Budget held under concurrency (${accepted}/${maxAccepted} events accepted)`);
+}
+
+runConcurrentBudgetTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
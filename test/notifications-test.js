@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+// Notification channels test against local sinks
+// Starts an HTTP sink (webhook and chat channels) and an SMTP sink, registers a tenant,
+// sends test notifications to each channel, checks webhook signatures, routing rules and
+// the retry of a failing channel, then kills and revives an agent to see the kill switch
+// events arrive.
+//
+// The API must send email to the SMTP sink: start it with SMTP_HOST=localhost and
+// SMTP_PORT set to SMTP_SINK_PORT (2525 by default). SINK_HOST is how the API reaches
+// this machine (localhost by default). Channel URLs on private addresses are refused, so
+// the API must also allow the sink: start it with NOTIFICATION_ALLOWED_HOSTS=<SINK_HOST>.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+const API_BASE = process.env.API_BASE || 'http://localhost:3000/api';
+const SINK_HOST = process.env.SINK_HOST || 'localhost';
+const HTTP_SINK_PORT = parseInt(process.env.HTTP_SINK_PORT || '4010');
+const SMTP_SINK_PORT = parseInt(process.env.SMTP_SINK_PORT || '2525');
+
+const RUN_ID = Date.now();
+const AGENT_ID = `notifications-agent-${RUN_ID}`;
+
+let failures = 0;
+const requests = []; // { path, headers, body } received by the HTTP sink
+const emails = [];   // raw messages received by the SMTP sink
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+// Answers 500 on /fail and 200 elsewhere
+function startHttpSink() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = req.url === '/fail' ? 500 : 200;
+      res.end(req.url === '/fail' ? 'sink failure' : 'ok');
+    });
+  });
+  return new Promise(resolve => server.listen(HTTP_SINK_PORT, () => resolve(server)));
+}
+
+// Just enough SMTP to accept messages
+function startSmtpSink() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 notifications-test sink\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 Queued\r\n');
+          } else {
+            emails[emails.length - 1] += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 notifications-test sink\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          emails.push('');
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(SMTP_SINK_PORT, () => resolve(server)));
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return false;
+}
+
+async function registerTenant() {
+  const response = await axios.post(`${API_BASE}/auth/register`, {
+    email: `notifications-${RUN_ID}@notifications.test`,
+    password: 'notifications-test-password',
+    company_name: `Notifications ${RUN_ID}`
+  }, { validateStatus: () => true });
+
+  if (response.status !== 201) {
+    throw new Error(`Registering failed (${response.status}): ${JSON.stringify(response.data)}`);
+  }
+  return axios.create({
+    baseURL: API_BASE,
+    headers: {
+      'Authorization': `Bearer ${response.data.api_key}`,
+      'Content-Type': 'application/json'
+    },
+    validateStatus: () => true
+  });
+}
+
+async function createChannel(api, channel) {
+  const response = await api.post('/notifications/channels', channel);
+  if (response.status !== 201) {
+    throw new Error(`Creating channel ${channel.name} failed (${response.status}): ${JSON.stringify(response.data)}`);
+  }
+  return response.data;
+}
+
+async function runNotificationsTest() {
+  console.log('🧪 NOTIFICATION CHANNELS TEST\n');
+
+  const httpSink = await startHttpSink();
+  const smtpSink = await startSmtpSink();
+  const sinkUrl = `http://${SINK_HOST}:${HTTP_SINK_PORT}`;
+
+  try {
+    const api = await registerTenant();
+
+    const webhook = await createChannel(api, {
+      name: 'Ops webhook',
+      channel_type: 'webhook',
+      config: { url: `${sinkUrl}/webhook` }
+    });
+    const chat = await createChannel(api, {
+      name: 'Ops chat',
+      channel_type: 'chat',
+      config: { url: `${sinkUrl}/chat`, format: 'slack' }
+    });
+    const email = await createChannel(api, {
+      name: 'Ops email',
+      channel_type: 'email',
+      config: { to: ['ops@notifications.test'] }
+    });
+    const failing = await createChannel(api, {
+      name: 'Failing webhook',
+      channel_type: 'webhook',
+      config: { url: `${sinkUrl}/fail` }
+    });
+    check(webhook.signing_secret && webhook.signing_secret.startsWith('whsec_'), 'Webhook channel returns its signing secret');
+
+    const metadata = await api.post('/notifications/channels', {
+      name: 'Metadata endpoint',
+      channel_type: 'webhook',
+      config: { url: 'http://169.254.169.254/latest/meta-data' }
+    });
+    check(metadata.status === 400 && metadata.data.code === 'URL_NOT_ALLOWED', 'Channel URL on a private address is refused', metadata.data);
+
+    const nat64 = await api.post('/notifications/channels', {
+      name: 'Metadata endpoint over NAT64',
+      channel_type: 'webhook',
+      config: { url: 'http://[64:ff9b::a9fe:a9fe]/latest/meta-data' }
+    });
+    check(nat64.status === 400 && nat64.data.code === 'URL_NOT_ALLOWED', 'Channel URL embedding a private IPv4 address is refused', nat64.data);
+
+    const listed = await api.get('/notifications/channels');
+    check(
+      listed.data.channels.length === 4 && listed.data.channels.every(c => c.signing_secret === undefined),
+      'Channel list hides signing secrets',
+      listed.data
+    );
+
+    // Test notifications straight to each channel
+    const webhookTest = await api.post('/notifications/test', { channel_id: webhook.channel.id });
+    check(webhookTest.data.deliveries[0]?.status === 'delivered', 'Webhook test delivered', webhookTest.data);
+
+    const received = requests.find(r => r.path === '/webhook');
+    const timestamp = received && received.headers['x-signature-timestamp'];
+    const expected = received && crypto.createHmac('sha256', webhook.signing_secret)
+      .update(`${timestamp}.${received.body}`)
+      .digest('hex');
+    check(received && received.headers['x-signature'] === `sha256=${expected}`, 'Webhook signature verifies', received && received.headers);
+    check(received && JSON.parse(received.body).event_type === 'test', 'Webhook body is the notification');
+
+    const chatTest = await api.post('/notifications/test', { channel_id: chat.channel.id, severity: 'critical' });
+    check(chatTest.data.deliveries[0]?.status === 'delivered', 'Chat test delivered', chatTest.data);
+    const chatMessage = requests.find(r => r.path === '/chat');
+    check(chatMessage && typeof JSON.parse(chatMessage.body).text === 'string', 'Chat message is in Slack format', chatMessage && chatMessage.body);
+
+    const emailTest = await api.post('/notifications/test', { channel_id: email.channel.id });
+    check(emailTest.data.deliveries[0]?.status === 'delivered', 'Email test delivered', emailTest.data);
+    check(emails.some(message => message.includes('Subject: [INFO] Test notification')), 'SMTP sink received the email');
+
+    const failingTest = await api.post('/notifications/test', { channel_id: failing.channel.id });
+    const failedDelivery = failingTest.data.deliveries[0];
+    check(
+      failedDelivery?.status === 'pending' && failedDelivery.attempts === 1 && failedDelivery.response_status === 500 && failedDelivery.next_attempt_at,
+      'Failing channel is scheduled for a retry',
+      failedDelivery
+    );
+    check(failedDelivery?.last_error === 'HTTP 500', 'Failed delivery keeps the status, not the response body', failedDelivery);
+
+    // Routing: critical kill switch events to the webhook, everything to chat
+    await api.post('/notifications/rules', { channel_id: webhook.channel.id, min_severity: 'critical' });
+    await api.post('/notifications/rules', { channel_id: chat.channel.id, event_types: ['kill_agent', 'revive_agent'] });
+
+    const routed = await api.post('/notifications/test', { event_type: 'revive_agent', severity: 'info' });
+    check(
+      routed.data.deliveries.length === 1 && routed.data.deliveries[0].channel_id === chat.channel.id,
+      'An info event only goes to the channel routing its type',
+      routed.data
+    );
+
+    // A real kill and revival publish through the rules
+    const setup = await api.post('/usage/record', {
+      event_name: 'notifications_setup',
+      agent_id: AGENT_ID,
+      customer_id: 'notifications-customer',
+      vendor: 'custom',
+      cost_amount: 0.01
+    });
+    check(setup.status === 201, 'Agent recorded usage', setup.data);
+
+    const before = requests.length;
+    const kill = await api.post(`/killswitch/kill-agent/${AGENT_ID}`, { reason: 'Notifications test' });
+    check(kill.status === 200, 'Agent killed', kill.data);
+
+    const killDelivered = await waitFor(() => requests.slice(before).filter(r => r.path !== '/fail').length >= 2);
+    const killWebhook = requests.slice(before).find(r => r.path === '/webhook');
+    check(killDelivered, 'Kill reached the webhook and chat channels');
+    check(killWebhook && JSON.parse(killWebhook.body).severity === 'critical', 'Kill is a critical event', killWebhook && killWebhook.body);
+
+    const revive = await api.post(`/killswitch/revive-agent/${AGENT_ID}`, { reason: 'Notifications test recovery' });
+    check(revive.status === 200, 'Agent revived', revive.data);
+    check(
+      await waitFor(() => requests.some(r => r.path === '/chat' && r.body.includes('Revive agent'))),
+      'Revival reached the chat channel'
+    );
+
+    const log = await api.get('/notifications/deliveries', { params: { event_type: 'kill_agent' } });
+    check(
+      log.data.deliveries.length === 2 && log.data.deliveries.every(d => d.status === 'delivered'),
+      'Delivery log has the kill deliveries',
+      log.data
+    );
+  } finally {
+    httpSink.close();
+    smtpSink.close();
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Notifications are routed, signed and delivered');
+}
+
+runNotificationsTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
@@ -56,7 +56,7 @@ async function makeOpenAICall(prompt, testNumber) {
   });
 }
 
-async function recordUsage(agentId, customerId, cost, metadata = {}) {
+async function recordUsage(agentId, customerId, cost, tokens, metadata = {}) {
   return new Promise((resolve, reject) => {
     const data = JSON.stringify({
       event_name: 'real_openai_test',
@@ -65,6 +65,8 @@ async function recordUsage(agentId, customerId, cost, metadata = {}) {
       vendor: 'openai',
       model: 'gpt-3.5-turbo',
       cost_amount: cost,
+      input_tokens: tokens.input,
+      output_tokens: tokens.output,
       metadata: metadata
     });
 
@@ -154,6 +156,7 @@ async function runSafeTest() {
         'real-test-agent', 
         'real-api-test', 
         cost,
+        { input: inputTokens, output: outputTokens },
         { test_number: i, tokens: usage.total_tokens }
       );
       console.log(`📝 Tracked: ${trackResult.message || 'OK'}`);
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Tenant isolation test for the emergency stop
+// Registers two tenants, stops one of them and checks that the other keeps working,
+// that the stop state and audit events stay per tenant, and that only platform
+// operators can use the platform-wide stop.
+
+const axios = require('axios');
+
+const API_BASE = process.env.API_BASE || 'http://localhost:3000/api';
+const OPERATOR_TOKEN = process.env.OPERATOR_TOKEN;
+
+const RUN_ID = Date.now();
+const AGENT_ID = `isolation-agent-${RUN_ID}`;
+const CUSTOMER_ID = 'isolation-customer';
+
+let failures = 0;
+
+function client(credential) {
+  return axios.create({
+    baseURL: API_BASE,
+    headers: {
+      'Authorization': `Bearer ${credential}`,
+      'Content-Type': 'application/json'
+    },
+    validateStatus: () => true
+  });
+}
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+async function registerTenant(name) {
+  const response = await axios.post(`${API_BASE}/auth/register`, {
+    email: `${name}-${RUN_ID}@isolation.test`,
+    password: 'isolation-test-password',
+    company_name: `${name} ${RUN_ID}`
+  }, { validateStatus: () => true });
+
+  if (response.status !== 201) {
+    throw new Error(`Registering ${name} failed (${response.status}): ${JSON.stringify(response.data)}`);
+  }
+  return { api: client(response.data.api_key), dashboard: client(response.data.token) };
+}
+
+function usageEvent(eventName) {
+  return {
+    event_name: eventName,
+    agent_id: AGENT_ID,
+    customer_id: CUSTOMER_ID,
+    vendor: 'custom',
+    cost_amount: 0.01
+  };
+}
+
+async function runTenantIsolationTest() {
+  console.log('🧪 TENANT ISOLATION TEST - EMERGENCY STOP\n');
+
+  const { api: tenantA } = await registerTenant('tenant-a');
+  const { api: tenantB, dashboard: dashboardB } = await registerTenant('tenant-b');
+  console.log('✅ Registered two tenants');
+
+  // Both tenants use the same agent id, which must not link them
+  for (const [name, api] of [['A', tenantA], ['B', tenantB]]) {
+    const setup = await api.post('/usage/record', usageEvent('isolation_setup'));
+    if (setup.status !== 201) {
+      throw new Error(`Setup for tenant ${name} failed (${setup.status}): ${JSON.stringify(setup.data)}`);
+    }
+  }
+  console.log(`✅ Agent ${AGENT_ID} recording usage in both tenants\n`);
+
+  // Tenant A stops everything
+  console.log('🚨 Tenant A activates its emergency stop...');
+  const stop = await tenantA.post('/killswitch/emergency-stop-all', {
+    reason: 'Tenant isolation test',
+    confirm: true
+  });
+  check(stop.status === 200 && stop.data.scope === 'tenant', 'Tenant A emergency stop activated', stop.data);
+
+  const blockedA = await tenantA.post('/usage/record', usageEvent('after_stop'));
+  check(blockedA.status === 403 && blockedA.data.code === 'AGENT_KILLED', 'Tenant A agent is blocked', blockedA.data);
+
+  const allowedB = await tenantB.post('/usage/record', usageEvent('after_other_tenant_stop'));
+  check(allowedB.status === 201, 'Tenant B agent keeps recording usage', allowedB.data);
+
+  const checkB = await tenantB.get(`/killswitch/check-agent/${AGENT_ID}`);
+  check(checkB.data.is_active === true && checkB.data.status === 'active', 'Tenant B agent is still active', checkB.data);
+
+  // Stop state and audit events are per tenant
+  const statusA = await tenantA.get('/killswitch/status');
+  const statusB = await tenantB.get('/killswitch/status');
+  check(statusA.data.tenant_emergency_stop?.is_active === true, 'Tenant A status shows its stop', statusA.data.tenant_emergency_stop);
+  check(statusB.data.tenant_emergency_stop?.is_active === false, 'Tenant B status shows no stop', statusB.data.tenant_emergency_stop);
+  check(statusB.data.platform_emergency_stop?.is_active === false, 'Platform stop is not set', statusB.data.platform_emergency_stop);
+  check(
+    statusA.data.recent_events.some(e => e.event_type === 'emergency_stop_all' && e.target_type === 'tenant'),
+    'Tenant A audit log has the stop event'
+  );
+  check(
+    !statusB.data.recent_events.some(e => e.event_type === 'emergency_stop_all'),
+    'Tenant B audit log does not see tenant A\'s stop'
+  );
+
+  // Tenant B cannot clear tenant A's stop
+  await tenantB.post('/killswitch/emergency-stop-disable');
+  const stillStoppedA = await tenantA.get('/killswitch/status');
+  check(stillStoppedA.data.tenant_emergency_stop?.is_active === true, 'Tenant B disabling its stop leaves tenant A stopped');
+
+  // The platform stop needs an operator's dashboard login
+  const platformByApiKey = await tenantB.post('/killswitch/platform/emergency-stop', {
+    reason: 'Not a dashboard login',
+    confirm: true
+  });
+  check(platformByApiKey.status === 401, 'API keys cannot set the platform stop', platformByApiKey.data);
+
+  const platformDenied = await dashboardB.post('/killswitch/platform/emergency-stop', {
+    reason: 'Not an operator',
+    confirm: true
+  });
+  check(
+    platformDenied.status === 403 && platformDenied.data.code === 'PLATFORM_OPERATOR_REQUIRED',
+    'Non-operator cannot set the platform stop',
+    platformDenied.data
+  );
+
+  const platformDisableDenied = await dashboardB.post('/killswitch/platform/emergency-stop-disable');
+  check(platformDisableDenied.status === 403, 'Non-operator cannot clear the platform stop', platformDisableDenied.data);
+
+  // Tenant A recovers
+  console.log('\n🔓 Tenant A disables its stop and revives its agent...');
+  const disable = await tenantA.post('/killswitch/emergency-stop-disable');
+  check(disable.status === 200, 'Tenant A emergency stop disabled', disable.data);
+
+  const revive = await tenantA.post(`/killswitch/revive-agent/${AGENT_ID}`, { reason: 'Isolation test recovery' });
+  check(revive.status === 200, 'Tenant A agent revived', revive.data);
+
+  const recoveredA = await tenantA.post('/usage/record', usageEvent('after_recovery'));
+  check(recoveredA.status === 201, 'Tenant A agent records usage again', recoveredA.data);
+
+  if (OPERATOR_TOKEN) {
+    await runPlatformStopTest(tenantA, tenantB);
+  } else {
+    console.log('\n⏭️  Skipping platform stop test (set OPERATOR_TOKEN to run it)');
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Emergency stops are isolated per tenant');
+}
+
+async function runPlatformStopTest(tenantA, tenantB) {
+  console.log('\n🚨 Operator activates the platform stop...');
+  const operator = client(OPERATOR_TOKEN);
+
+  const stop = await operator.post('/killswitch/platform/emergency-stop', {
+    reason: 'Tenant isolation test',
+    confirm: true
+  });
+  check(stop.status === 200 && stop.data.scope === 'platform', 'Platform stop activated', stop.data);
+
+  try {
+    const blockedA = await tenantA.post('/usage/record', usageEvent('during_platform_stop'));
+    const blockedB = await tenantB.post('/usage/record', usageEvent('during_platform_stop'));
+    check(blockedA.status === 403 && blockedB.status === 403, 'Platform stop blocks every tenant');
+
+    const statusB = await tenantB.get('/killswitch/status');
+    check(statusB.data.platform_emergency_stop?.is_active === true, 'Tenants see the platform stop');
+    check(statusB.data.tenant_emergency_stop?.is_active === false, 'Platform stop does not set tenant stops');
+  } finally {
+    const disable = await operator.post('/killswitch/platform/emergency-stop-disable');
+    check(disable.status === 200, 'Platform stop disabled', disable.data);
+  }
+
+  // The platform stop refuses events but does not kill agents
+  const recoveredB = await tenantB.post('/usage/record', usageEvent('after_platform_stop'));
+  check(recoveredB.status === 201, 'Tenant B agent records usage without being revived', recoveredB.data);
+}
+
+runTenantIsolationTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Cost acceleration test
+// Computes costAcceleration over three monitoring windows, evenly and unevenly spaced (a
+// monitoring run can be late or skipped), as Postgres returns them: newest first, with
+// numeric columns as strings. Needs no server or database.
+
+const { costAcceleration } = require('../src/services/trigger-evaluators');
+
+let failures = 0;
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+// Monitoring window ending `minute` minutes after 12:00
+function monitoringWindow(minute, costPerMinute) {
+  return {
+    window_end: new Date(Date.UTC(2026, 9, 18, 12, minute)).toISOString(),
+    cost_per_minute: String(costPerMinute)
+  };
+}
+
+function near(actual, expected) {
+  return Math.abs(actual - expected) < 1e-9;
+}
+
+function runTriggerEvaluatorsTest() {
+  console.log('🧪 COST ACCELERATION TEST\n');
+
+  const even = costAcceleration([monitoringWindow(10, 4), monitoringWindow(5, 2), monitoringWindow(0, 1)]);
+  check(near(even, 0.04), 'Evenly spaced windows: slopes 0.2 then 0.4 $/min per minute over 5 minutes', even);
+
+  const uneven = costAcceleration([monitoringWindow(12, 4), monitoringWindow(10, 2), monitoringWindow(0, 1)]);
+  check(near(uneven, 0.15), 'Unevenly spaced windows: each slope uses its own span', uneven);
+
+  const steady = costAcceleration([monitoringWindow(12, 2.2), monitoringWindow(10, 2), monitoringWindow(0, 1)]);
+  check(near(steady, 0), 'Steady growth is no acceleration, however the windows are spaced', steady);
+
+  const slowing = costAcceleration([monitoringWindow(20, 3), monitoringWindow(5, 2.5), monitoringWindow(0, 1)]);
+  check(slowing < 0, 'Slowing growth is negative acceleration', slowing);
+
+  const duplicate = costAcceleration([monitoringWindow(10, 4), monitoringWindow(10, 2), monitoringWindow(0, 1)]);
+  check(duplicate === 0, 'Windows ending at the same time give no acceleration', duplicate);
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Cost acceleration follows the spacing of the monitoring windows');
+}
+
+runTriggerEvaluatorsTest();
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Loop detection test
+// Feeds request hash and tool call sequences to detectLoop: identical requests, cycles,
+// interrupted and partial cycles, tool chains and how ties between patterns are broken,
+// then checks per-agent overrides. Needs no server or database.
+
+const {
+  loopDetectionSchema,
+  loopSettingsFor,
+  maxLoopWindowMinutes,
+  detectLoop
+} = require('../src/services/trigger-loops');
+
+let failures = 0;
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+function settings(loopDetection = {}) {
+  return loopDetectionSchema.validate(loopDetection).value;
+}
+
+// One event per letter, oldest first, the letter being its request hash
+function requests(hashes) {
+  return hashes.split('').map(hash => ({ request_hash: hash }));
+}
+
+function checkLoop(loop, pattern, sequence, repeats, message) {
+  check(
+    loop.pattern === pattern && loop.sequence.join() === sequence.join() && loop.repeats === repeats,
+    message,
+    loop
+  );
+}
+
+function runTriggerLoopsTest() {
+  console.log('🧪 LOOP DETECTION TEST\n');
+
+  // Cycles of request hashes
+  checkLoop(detectLoop(requests('ABABAB'), settings()), 'cycle', ['A', 'B'], 3, 'A, B cycle repeated 3 times');
+  checkLoop(detectLoop(requests('ABCABCABCABC'), settings()), 'cycle', ['A', 'B', 'C'], 4, 'Cycle of 3 requests');
+  checkLoop(
+    detectLoop(requests('ABABCABABAB'), settings({ patterns: ['cycle'] })),
+    'cycle', ['A', 'B'], 3,
+    'Interrupted cycle counts its longest run'
+  );
+  checkLoop(
+    detectLoop(requests('ABABA'), settings()),
+    'identical', ['A'], 3,
+    'Partial cycle counts whole repeats only, below the identical count'
+  );
+  checkLoop(
+    detectLoop(requests('ABCDEABCDEABCDE'), settings()),
+    'identical', ['A'], 3,
+    'Cycles longer than max_cycle_length are not cycles'
+  );
+  checkLoop(
+    detectLoop(requests('ABCDEABCDEABCDE'), settings({ max_cycle_length: 5 })),
+    'cycle', ['A', 'B', 'C', 'D', 'E'], 3,
+    'max_cycle_length allows longer cycles'
+  );
+  checkLoop(
+    detectLoop(requests('AAAA'), settings({ patterns: ['cycle'] })),
+    null, [], 0,
+    'Repeating one request is not a cycle'
+  );
+  checkLoop(
+    detectLoop(requests('ABABAB'), settings({ patterns: ['identical'] })),
+    'identical', ['A'], 3,
+    'Disabled patterns are not looked for'
+  );
+
+  // Tool chains, across events and in every tool call format
+  checkLoop(
+    detectLoop([
+      { tool_calls: ['search', 'fetch'] },
+      { tool_calls: [{ name: 'search' }, { function: { name: 'fetch' } }] },
+      { tool_calls: ['search'] },
+      { tool_calls: ['fetch'] }
+    ], settings()),
+    'tool_chain', ['search', 'fetch'], 3,
+    'Tool chain spans events and tool call formats'
+  );
+  checkLoop(
+    detectLoop([{ tool_calls: ['search'] }, { tool_calls: ['search'] }, { tool_calls: ['search'] }], settings()),
+    'tool_chain', ['search'], 3,
+    'One tool called over and over is a chain'
+  );
+  checkLoop(
+    detectLoop([{ tool_calls: 'search' }, { tool_calls: [null, 42, ''] }, {}], settings()),
+    null, [], 0,
+    'Malformed tool calls are ignored'
+  );
+
+  // Ties go to the later, more specific pattern
+  checkLoop(
+    detectLoop(requests('ABAB'), settings()),
+    'cycle', ['A', 'B'], 2,
+    'Cycle wins a tie with the count of one of its requests'
+  );
+  checkLoop(
+    detectLoop([
+      { request_hash: 'A', tool_calls: ['search'] },
+      { request_hash: 'B' },
+      { request_hash: 'A', tool_calls: ['search'] },
+      { request_hash: 'B' }
+    ], settings()),
+    'tool_chain', ['search'], 2,
+    'Tool chain wins a tie with a cycle'
+  );
+
+  // Per-agent settings
+  const trigger = {
+    threshold_value: '20',
+    loop_detection: {
+      window_minutes: 10,
+      agent_overrides: {
+        'agent-a': { window_minutes: 30, threshold_value: 5 },
+        'agent-b': { enabled: false }
+      }
+    }
+  };
+  const overridden = loopSettingsFor(trigger, 'agent-a');
+  check(overridden.window_minutes === 30 && overridden.threshold_value === 5 && overridden.enabled, 'Agent override sets window and threshold', overridden);
+  check(loopSettingsFor(trigger, 'agent-b').enabled === false, 'Agent override can disable detection');
+  const standard = loopSettingsFor(trigger, 'agent-c');
+  check(standard.window_minutes === 10 && standard.threshold_value === 20, 'Other agents use the trigger settings', standard);
+  check(maxLoopWindowMinutes(trigger) === 30, 'Longest window covers the overrides');
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Loops are detected per pattern and ties are broken consistently');
+}
+
+runTriggerLoopsTest();
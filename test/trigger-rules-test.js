@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Rule trigger test
+// Checks the rule schema's size and depth limits, the SQL and parameters a rule compiles
+// to, and how compiled rules evaluate windows, including windows without events (no
+// aggregate row). Needs no server or database.
+
+const { ruleSchema, compileRule } = require('../src/services/trigger-rules');
+
+let failures = 0;
+
+function check(condition, message, details) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.error(`❌ ${message}${details ? `: ${JSON.stringify(details)}` : ''}`);
+  }
+}
+
+const REQUESTS_OVER_10 = { metric: 'requests', op: '>', value: 10 };
+const OPENAI = { field: 'vendor', op: 'eq', value: 'openai' };
+
+// A node wrapped in `not` n times
+function nested(n, node) {
+  return n > 0 ? { not: nested(n - 1, node) } : node;
+}
+
+// Aggregate row of one window for the first comparison, as Postgres returns it
+function windowRow({ cost = 0, count = 0, errors = 0, tokens = 0 }) {
+  return { c0_cost: String(cost), c0_count: String(count), c0_errors: String(errors), c0_tokens: String(tokens) };
+}
+
+function compile(rule, params = []) {
+  const { error, value } = ruleSchema.validate(rule);
+  if (error) {
+    throw new Error(`Rule refused: ${error.message}`);
+  }
+  return compileRule(value, params);
+}
+
+function runTriggerRulesTest() {
+  console.log('🧪 RULE TRIGGERS TEST\n');
+
+  // Limits
+  const defaults = ruleSchema.validate({ condition: REQUESTS_OVER_10 }).value;
+  check(defaults.window_minutes === 5 && defaults.for_windows === 1, 'Rules default to one 5-minute window', defaults);
+  check(!ruleSchema.validate({ condition: nested(5, REQUESTS_OVER_10) }).error, 'Condition nested 6 deep is accepted');
+  check(ruleSchema.validate({ condition: nested(6, REQUESTS_OVER_10) }).error, 'Condition nested 7 deep is refused');
+  check(
+    !ruleSchema.validate({ condition: { all: [{ ...REQUESTS_OVER_10, where: nested(3, OPENAI) }] } }).error,
+    'Comparison filter reaching depth 6 is accepted'
+  );
+  check(
+    ruleSchema.validate({ condition: { all: [{ ...REQUESTS_OVER_10, where: nested(4, OPENAI) }] } }).error,
+    'Comparison filter nesting counts towards the depth limit'
+  );
+  check(
+    !ruleSchema.validate({ condition: { all: Array(49).fill(REQUESTS_OVER_10) } }).error,
+    'Rule of 50 nodes is accepted'
+  );
+  check(
+    ruleSchema.validate({ condition: { all: Array(49).fill(REQUESTS_OVER_10) }, where: OPENAI }).error,
+    'Rule filter nodes count towards the node limit'
+  );
+  check(
+    ruleSchema.validate({ condition: { metric: 'requests', op: '>', value: 1, where: { field: 'metadata.a-b', op: 'exists' } } }).error,
+    'Metadata keys outside [A-Za-z0-9_] are refused'
+  );
+
+  // SQL: values are bound parameters numbered after the query's own
+  const params = ['target', 'now'];
+  const compiled = compile({
+    condition: { metric: 'error_rate', op: '>', value: 30, where: { field: 'metadata.route', op: 'in', value: ['a', 'b'] } },
+    where: { field: 'event_name', op: 'not_like', value: 'health_%' }
+  }, params);
+  check(
+    JSON.stringify(params) === JSON.stringify(['target', 'now', 'route', ['a', 'b'], 'health_%']),
+    'Filter values and metadata keys are pushed as parameters',
+    params
+  );
+  check(compiled.whereSql === '(ue.event_name IS NULL OR ue.event_name NOT LIKE $5)', 'not_like keeps events without the field', compiled.whereSql);
+  check(
+    compiled.selectSql.includes('COUNT(*) FILTER (WHERE (ue.metadata->>$3 = ANY($4::text[]))) as c0_count'),
+    'Comparison filter narrows its aggregates',
+    compiled.selectSql
+  );
+
+  // Evaluation over the last for_windows windows, newest first
+  const busy = compile({ condition: REQUESTS_OVER_10, for_windows: 3 });
+  check(busy.holds([windowRow({ count: 60 }), windowRow({ count: 55 }), windowRow({ count: 51 })]), 'Rule holds when every window matches');
+  check(!busy.holds([windowRow({ count: 60 }), windowRow({ count: 55 })]), 'Missing window counts as a window without events');
+  check(!busy.holds([]), 'Rule over no windows does not hold when it needs events');
+
+  const quiet = compile({ condition: { metric: 'requests', op: '<', value: 5 }, for_windows: 2 });
+  check(quiet.holds([]), 'Rule expecting few requests holds over windows without events');
+  check(!quiet.holds([undefined, windowRow({ count: 6 })]), 'Older busy window stops a quiet rule');
+
+  const failing = compile({
+    condition: { all: [{ metric: 'error_rate', op: '>=', value: 50 }, { not: { metric: 'spend', op: '>', value: 1 } }] }
+  });
+  check(failing.holds([{ ...windowRow({ count: 4, errors: 2, cost: 0.5 }), c1_cost: '0.5' }]), 'all and not combine comparisons');
+  check(!failing.holds([]), 'Error rate of a window without events is 0');
+
+  const metrics = busy.metrics([windowRow({ count: 60 })]);
+  check(
+    metrics.length === 1 && JSON.stringify(metrics[0].actual) === JSON.stringify([60, 0, 0]),
+    'Metrics report every window, with 0 for missing ones',
+    metrics
+  );
+
+  const perMinute = compile({ condition: { metric: 'spend_per_minute', op: '>', value: 1 }, window_minutes: 10 });
+  check(perMinute.metrics([windowRow({ cost: 25 })])[0].actual[0] === 2.5, 'Per-minute metrics divide by window_minutes');
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Rules are bounded, parameterized and evaluated over missing windows');
+}
+
+runTriggerRulesTest();